@@ -1,20 +1,120 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import Role from '../models/Role.js';
 import { logAudit } from '../utils/auditLogger.js';
+import { isTokenRevoked } from '../utils/tokenStore.js';
+import { hashToken } from '../utils/tokens.js';
+import { validateSession } from '../utils/sessions.js';
+import { trackImpersonatedRequest } from '../utils/impersonation.js';
+import { getTenantById } from '../utils/tenantCache.js';
+import { tenantAccessError } from './tenant.js';
+
+// Only record last use once a minute so busy integrations don't write on every request
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Log and reject a credential from one tenant used against another (critical for tenant isolation)
+ */
+const rejectCrossTenant = async (req, res, { userId, userTenant, apiKeyId }) => {
+  await logAudit({
+    tenantId: req.tenantId,
+    userId,
+    apiKeyId,
+    action: 'data.accessed',
+    details: {
+      violation: 'cross_tenant_access_attempt',
+      requestedTenant: req.tenantId,
+      userTenant
+    },
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return res.status(403).json({
+    error: 'Access denied',
+    message: 'Tenant mismatch - security violation logged'
+  });
+};
+
+/**
+ * Authenticate a request made with a tenant API key (X-API-Key header or Bearer vk_...).
+ * The key's tenant is used when the request does not name one.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null });
+
+  if (!apiKey || apiKey.isExpired()) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  if (req.tenantId && apiKey.tenantId.toString() !== req.tenantId.toString()) {
+    return rejectCrossTenant(req, res, { apiKeyId: apiKey._id, userTenant: apiKey.tenantId });
+  }
+
+  if (!req.tenant) {
+    const tenant = await getTenantById(apiKey.tenantId);
+    if (!tenant) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.tenant = tenant;
+    req.tenantId = tenant._id;
+  }
+
+  const accessError = tenantAccessError(req.tenant);
+  if (accessError) {
+    return res.status(403).json(accessError);
+  }
+
+  const user = await User.findById(apiKey.createdBy);
+  if (!user || !user.isActive) {
+    return res.status(401).json({ error: 'API key owner is no longer active' });
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+      .catch(error => console.error('❌ Failed to record API key use:', error.message));
+  }
+
+  req.user = user;
+  req.userId = user._id;
+  req.apiKey = apiKey;
+
+  next();
+};
 
 /**
- * Verify JWT token and attach user to request
+ * Build authentication middleware.
+ * requireAccountSetup gates tenant features until the user's email is verified
+ * and, if the tenant requires it, MFA is enrolled.
+ * allowApiKeys accepts tenant API keys in place of a user's JWT.
  */
-export const authenticate = async (req, res, next) => {
+const createAuthenticate = ({ requireAccountSetup, allowApiKeys }) => async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const token = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
 
     if (!token) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
+    if (ApiKey.isApiKey(token)) {
+      if (!allowApiKeys) {
+        return res.status(401).json({ error: 'API keys cannot be used for this endpoint' });
+      }
+      return await authenticateApiKey(req, res, next, token);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
+    // Refresh and MFA challenge tokens are only accepted by their /api/auth endpoints
+    if (decoded.type && decoded.type !== 'access') {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+
     const user = await User.findById(decoded.userId);
     
     if (!user || !user.isActive) {
@@ -23,27 +123,50 @@ export const authenticate = async (req, res, next) => {
 
     // Verify tenant matches (critical for tenant isolation)
     if (req.tenantId && user.tenantId.toString() !== req.tenantId.toString()) {
-      await logAudit({
-        tenantId: req.tenantId,
-        userId: user._id,
-        action: 'data.accessed',
-        details: { 
-          violation: 'cross_tenant_access_attempt',
-          requestedTenant: req.tenantId,
-          userTenant: user.tenantId
-        },
-        ip: req.ip,
-        userAgent: req.headers['user-agent']
+      return rejectCrossTenant(req, res, { userId: user._id, userTenant: user.tenantId });
+    }
+
+    // Suspended and closed tenants lock out every user, including existing sessions
+    const tenant = req.tenant || await getTenantById(user.tenantId);
+    if (!tenant) {
+      return res.status(401).json({ error: 'Invalid or inactive user' });
+    }
+    const accessError = tenantAccessError(tenant);
+    if (accessError) {
+      return res.status(403).json(accessError);
+    }
+
+    // Signed out remotely or idle for longer than the tenant allows
+    const sessionError = await validateSession(decoded, req);
+    if (sessionError) {
+      return res.status(401).json(sessionError);
+    }
+
+    if (requireAccountSetup && !user.emailVerified) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address to continue'
       });
-      
-      return res.status(403).json({ 
-        error: 'Access denied',
-        message: 'Tenant mismatch - security violation logged'
+    }
+
+    if (requireAccountSetup && tenant.security?.mfaRequired && !user.mfa?.enabled) {
+      return res.status(403).json({
+        error: 'MFA enrollment required',
+        code: 'MFA_ENROLLMENT_REQUIRED',
+        message: 'Your organization requires multi-factor authentication. Please set it up to continue.'
       });
     }
 
+    // A platform operator acting as this user: flag the request and audit changes it makes
+    if (decoded.imp) {
+      req.impersonation = { adminId: decoded.imp, sessionId: decoded.sid };
+      trackImpersonatedRequest(req, res);
+    }
+
     req.user = user;
     req.userId = user._id;
+    req.token = decoded;
     
     next();
   } catch (error) {
@@ -58,15 +181,90 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Require admin role
+ * Verify JWT token or tenant API key and attach user to request
+ */
+export const authenticate = createAuthenticate({ requireAccountSetup: true, allowApiKeys: true });
+
+/**
+ * Same as authenticate, but lets users who have not finished account setup
+ * through (logout, resending the verification email, MFA enrollment).
+ * Only accepts user tokens.
+ */
+export const authenticateAllowUnverified = createAuthenticate({ requireAccountSetup: false, allowApiKeys: false });
+
+/**
+ * Reject impersonated requests: credentials, MFA and API keys stay under the real user's control
+ */
+export const forbidImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({
+      error: 'Not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+  next();
+};
+
+/**
+ * Require an API key scope. Requests authenticated with a user token pass.
  */
-export const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({ 
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.hasScope(scope)) {
+    return res.status(403).json({
       error: 'Access denied',
-      message: 'Admin role required'
+      message: `API key is missing the ${scope} scope`
     });
   }
   next();
 };
 
+/**
+ * Permissions of the authenticated user's role (loaded once per request)
+ */
+export const getPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await Role.permissionsFor(req.user.tenantId, req.user.role);
+  }
+  return req.permissions;
+};
+
+/**
+ * Whether the authenticated user holds every permission of a role, and so may
+ * hand it to someone else
+ */
+export const canAssignRole = async (req, roleKey) => {
+  const [granted, rolePermissions] = await Promise.all([
+    getPermissions(req),
+    Role.permissionsFor(req.tenantId, roleKey)
+  ]);
+  return rolePermissions.every(permission => granted.includes(permission));
+};
+
+/**
+ * Require every listed permission. API keys act as their creator but are
+ * limited to call permissions, so management endpoints are never reachable with one.
+ */
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (req.apiKey && permissions.some(permission => !Role.API_KEY_PERMISSIONS.includes(permission))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'API keys cannot access this endpoint'
+      });
+    }
+
+    const granted = await getPermissions(req);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,41 @@
+import PlatformAdmin from '../models/PlatformAdmin.js';
+import { verifyPlatformToken } from '../utils/jwt.js';
+import { isTokenRevoked } from '../utils/tokenStore.js';
+
+/**
+ * Authenticate a platform operator. Tenant user tokens and API keys are never accepted here.
+ */
+export const authenticatePlatform = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const decoded = verifyPlatformToken(token);
+
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+
+    const admin = await PlatformAdmin.findById(decoded.adminId);
+
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ error: 'Invalid or inactive platform admin' });
+    }
+
+    req.platformAdmin = admin;
+    req.token = decoded;
+
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
+    next(error);
+  }
+};
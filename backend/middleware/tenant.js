@@ -1,48 +1,119 @@
 import Tenant from '../models/Tenant.js';
+import { getTenantBySubdomain, getTenantByCustomDomain } from '../utils/tenantCache.js';
 
 /**
- * Middleware to resolve tenant from subdomain or header
+ * Work out which tenant subdomain a request is for.
+ * The X-Tenant-Subdomain header (development/testing) wins over the Host header.
+ * Returns { subdomain, source } where source is 'header', 'host' or null.
+ */
+export const getRequestedSubdomain = (req) => {
+  // Check for tenant in header (for development/testing)
+  if (req.headers['x-tenant-subdomain']) {
+    return { subdomain: req.headers['x-tenant-subdomain'].toLowerCase().trim(), source: 'header' };
+  }
+
+  // Extract subdomain from host
+  const host = req.headers.host || '';
+  const parts = host.split('.');
+
+  // If host is like "acme.localhost:5000" or "acme.example.com"
+  if (parts.length >= 2) {
+    return { subdomain: parts[0].toLowerCase(), source: 'host' };
+  }
+
+  return { subdomain: null, source: null };
+};
+
+/**
+ * Hostname of a Host header or Origin URL, lowercased and without the port
+ */
+const toHostname = (value) => {
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Hostnames that could be a tenant's custom domain: the Host the API was
+ * reached on (proxied custom domains) and the browser Origin (cross-origin calls)
+ */
+const getCandidateDomains = (req) => [req.headers.host, req.headers.origin]
+  .filter(Boolean)
+  .map(toHostname)
+  .filter(hostname => hostname?.includes('.'));
+
+/**
+ * Whether a browser Origin is a tenant's verified custom domain (used by the CORS check)
+ */
+export const isCustomDomainOrigin = async (origin) => {
+  // Without a database connection the query would wait for one; just refuse
+  if (Tenant.db.readyState !== 1) return false;
+
+  const hostname = origin.startsWith('https://') ? toHostname(origin) : null;
+  if (!hostname) return false;
+
+  try {
+    return !!(await getTenantByCustomDomain(hostname));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Resolve the tenant a request is for. A verified custom domain (from the Host or
+ * Origin header) wins, since the tenant proved it owns it; then the
+ * X-Tenant-Subdomain header, then the first label of the Host header. An old
+ * subdomain of a renamed tenant still resolves during its redirect period; compare
+ * subdomain with tenant.subdomain to tell.
+ * Returns { tenant, subdomain, source } where source is 'domain', 'header', 'host' or null.
+ * Lookups go through the tenant cache; database errors are thrown to the caller.
+ */
+export const resolveRequestTenant = async (req) => {
+  const domains = getCandidateDomains(req);
+
+  for (const domain of domains) {
+    const tenant = await getTenantByCustomDomain(domain);
+    if (tenant) {
+      return { tenant, subdomain: tenant.subdomain, source: 'domain' };
+    }
+  }
+
+  const { subdomain, source } = getRequestedSubdomain(req);
+
+  if (!subdomain) {
+    return { tenant: null, subdomain: null, source: null };
+  }
+
+  const tenant = await getTenantBySubdomain(subdomain);
+  return { tenant, subdomain, source };
+};
+
+/**
+ * Middleware to resolve tenant from a custom domain, subdomain or header
  * Supports both subdomain routing and header-based tenant resolution for development
  * Gracefully handles database connection issues
  */
 export const tenantMiddleware = async (req, res, next) => {
   try {
-    let subdomain = null;
-
-    // Check for tenant in header (for development/testing)
-    if (req.headers['x-tenant-subdomain']) {
-      subdomain = req.headers['x-tenant-subdomain'];
-    } else {
-      // Extract subdomain from host
-      const host = req.headers.host || '';
-      const parts = host.split('.');
-
-      // If host is like "acme.localhost:5000" or "acme.example.com"
-      if (parts.length >= 2) {
-        subdomain = parts[0];
-      }
-    }
-
-    // Log tenant resolution for debugging
-    console.log('🔍 Tenant resolution:', {
-      path: req.path,
-      method: req.method,
-      host: req.headers.host,
-      subdomain: subdomain,
-      headerSubdomain: req.headers['x-tenant-subdomain'],
-      skipLookup: req.path.startsWith('/api/auth/')
-    });
+    const { subdomain } = getRequestedSubdomain(req);
 
     // Skip tenant lookup for certain paths (like auth routes)
-    if (subdomain && !req.path.startsWith('/api/auth/')) {
+    if ((subdomain || req.headers.origin) && !req.path.startsWith('/api/auth/')) {
       try {
-        const tenant = await Tenant.findOne({ subdomain, isActive: true });
+        // Resolved from the tenant cache, so only misses reach the database
+        const { tenant, subdomain: requested } = await resolveRequestTenant(req);
         if (tenant) {
           req.tenant = tenant;
           req.tenantId = tenant._id;
-          console.log('✅ Tenant found:', { subdomain, tenantId: tenant._id, name: tenant.name });
+
+          // Reached through a name the tenant was renamed from: tell the client the new one
+          if (requested !== tenant.subdomain) {
+            res.set('X-Tenant-Renamed-To', tenant.subdomain);
+          }
         } else {
-          console.log('⚠️ Tenant not found in database:', subdomain);
+          console.log('⚠️ Tenant not found:', { path: req.path, subdomain, origin: req.headers.origin });
         }
       } catch (dbError) {
         // If database is not connected, just log and continue
@@ -59,10 +130,39 @@ export const tenantMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Response body explaining why a tenant cannot be used (suspended or closed), or null if it is active
+ */
+export const tenantAccessError = (tenant) => {
+  if (tenant.status === 'suspended') {
+    return {
+      error: 'This organization is suspended',
+      code: 'TENANT_SUSPENDED',
+      message: 'Sign-in and API access are disabled. Please contact support.'
+    };
+  }
+
+  if (tenant.status === 'pending_deletion' || tenant.status === 'deleted') {
+    return {
+      error: 'This organization has been closed',
+      code: 'TENANT_CLOSED',
+      message: 'Its data will be deleted permanently. Please contact support to restore it.',
+      deletionScheduledFor: tenant.deletionScheduledFor
+    };
+  }
+
+  return null;
+};
+
 /**
  * Middleware to require a valid tenant
  */
 export const requireTenant = (req, res, next) => {
+  const accessError = req.tenant && tenantAccessError(req.tenant);
+  if (accessError) {
+    return res.status(403).json(accessError);
+  }
+
   if (!req.tenant) {
     console.log('🚫 Tenant access blocked:', {
       path: req.path,
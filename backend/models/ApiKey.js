@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+
+const API_KEY_PREFIX = 'vk_';
+const SCOPES = ['calls:read', 'calls:write', 'dashboard:read'];
+
+const apiKeySchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, kept so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Only the hash of the key is stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  // Requests made with the key act as this admin
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Generate the secret for a new key; returns the raw key, which is only ever shown once
+apiKeySchema.methods.issueKey = function() {
+  const key = `${API_KEY_PREFIX}${generateSecureToken(24)}`;
+  this.keyHash = hashToken(key);
+  this.prefix = key.slice(0, API_KEY_PREFIX.length + 8);
+  return key;
+};
+
+apiKeySchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Never expose the key hash
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  apiKey.expired = this.isExpired();
+  return apiKey;
+};
+
+// Whether a bearer credential looks like an API key rather than a JWT
+apiKeySchema.statics.isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+export default mongoose.model('ApiKey', apiKeySchema);
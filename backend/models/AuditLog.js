@@ -11,6 +11,11 @@ const auditLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Set when the action was performed with a tenant API key rather than a user session
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
   action: {
     type: String,
     required: true,
@@ -19,11 +24,65 @@ const auditLogSchema = new mongoose.Schema({
       'user.logout',
       'user.signup',
       'user.failed_login',
+      'user.locked_out',
+      'user.lockout_cleared',
+      'user.password_reset_requested',
+      'user.password_reset',
+      'user.password_changed',
+      'user.email_change_requested',
+      'user.email_changed',
+      'user.email_verified',
+      'user.verification_resent',
+      'user.mfa_enabled',
+      'user.mfa_disabled',
+      'user.mfa_failed',
+      'user.mfa_recovery_used',
+      'user.mfa_recovery_regenerated',
+      'user.sso_provisioned',
+      'user.sso_failed',
+      'user.role_changed',
+      'user.deactivated',
+      'user.reactivated',
+      'user.password_reset_forced',
+      'user.deleted',
+      'user.invited',
+      'invite.resent',
+      'invite.revoked',
+      'invite.accepted',
       'tenant.created',
       'tenant.updated',
+      'tenant.security_updated',
+      'tenant.call_defaults_updated',
+      'tenant.sso_updated',
+      'tenant.scim_updated',
+      'tenant.domain_updated',
+      'tenant.domain_verified',
+      'tenant.subdomain_changed',
+      'tenant.plan_changed',
+      'tenant.suspended',
+      'tenant.reactivated',
+      'tenant.closed',
+      'scim.user_created',
+      'scim.user_updated',
+      'scim.user_deactivated',
+      'scim.group_updated',
+      'role.created',
+      'role.updated',
+      'role.deleted',
+      'session.revoked',
+      'session.expired',
+      'impersonation.started',
+      'impersonation.request',
+      'impersonation.ended',
+      'apikey.created',
+      'apikey.revoked',
       'call.created',
       'call.completed',
       'branding.updated',
+      'branding.logo_uploaded',
+      'branding.logo_removed',
+      'branding.favicon_uploaded',
+      'branding.favicon_removed',
       'data.accessed'
     ]
   },
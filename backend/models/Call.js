@@ -22,6 +22,16 @@ const callSchema = new mongoose.Schema({
     enum: ['queued', 'ringing', 'in_progress', 'completed', 'failed', 'ended'],
     default: 'queued'
   },
+  // Effective configuration the call was created with: the tenant's defaults plus request overrides
+  config: {
+    systemPrompt: String,
+    model: String,
+    voice: String,
+    language: String,
+    maxDurationSeconds: Number,
+    recordingEnabled: Boolean,
+    firstSpeaker: String
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * A platform operator acting as a tenant user for support. The operator gets a
+ * single time-boxed access token (no refresh token) bound to `sessionId`.
+ */
+const impersonationSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlatformAdmin',
+    required: true,
+    index: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Session the impersonation token is bound to; revoking it ends the impersonation
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Number of mutating requests made while impersonating
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  endedAt: Date,
+  // ended (by the operator), expired or revoked (by a tenant admin)
+  endReason: String
+}, {
+  timestamps: true
+});
+
+impersonationSchema.index({ endedAt: 1, expiresAt: 1 });
+
+export default mongoose.model('Impersonation', impersonationSchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+
+const INVITATION_TTL_DAYS = 7;
+
+const invitationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Key of the Role the invitee joins with
+  role: {
+    type: String,
+    default: 'user'
+  },
+  // Only the hash of the invite token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastSentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: Date,
+  acceptedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ tenantId: 1, email: 1, status: 1 });
+
+// Issue a new invite token (initial send or resend); returns the raw token
+invitationSchema.methods.issueToken = function() {
+  const token = generateSecureToken();
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  this.lastSentAt = new Date();
+  this.sendCount += 1;
+  return token;
+};
+
+invitationSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+// Never expose the token hash
+invitationSchema.methods.toJSON = function() {
+  const invitation = this.toObject();
+  delete invitation.tokenHash;
+  invitation.expired = this.status === 'pending' && this.isExpired();
+  return invitation;
+};
+
+invitationSchema.statics.INVITATION_TTL_DAYS = INVITATION_TTL_DAYS;
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+/**
+ * Platform operator: runs the service across all tenants and belongs to none of them.
+ * Created with scripts/create-platform-admin.js, never through signup.
+ */
+const platformAdminSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 12
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+platformAdminSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  this.password = await bcrypt.hash(this.password, 12);
+  next();
+});
+
+platformAdminSchema.methods.comparePassword = async function(candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+platformAdminSchema.methods.toJSON = function() {
+  const admin = this.toObject();
+  delete admin.password;
+  return admin;
+};
+
+export default mongoose.model('PlatformAdmin', platformAdminSchema);
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit trail of platform operator actions. Kept apart from the per-tenant
+ * AuditLog so tenant admins never see it and it covers actions across tenants.
+ */
+const platformAuditLogSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlatformAdmin',
+    index: true
+  },
+  // Tenant the action was about, if any
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'platform.login',
+      'platform.failed_login',
+      'platform.logout',
+      'tenant.listed',
+      'tenant.viewed',
+      'tenant.activated',
+      'tenant.deactivated',
+      'tenant.suspended',
+      'tenant.reactivated',
+      'tenant.closed',
+      'tenant.plan_changed',
+      'tenant.purged',
+      'tenant.users_viewed',
+      'impersonation.started',
+      'impersonation.request',
+      'impersonation.ended',
+      'audit.viewed'
+    ]
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('PlatformAuditLog', platformAuditLogSchema);
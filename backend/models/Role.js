@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+// Every permission a role can grant, with the description shown to admins
+const PERMISSIONS = {
+  'calls.view': 'View your own calls and dashboard metrics',
+  'calls.view_all': 'View every call in the tenant',
+  'calls.create': 'Create calls',
+  'calls.configure': 'Edit the default call configuration',
+  'audit.view': 'View audit logs',
+  'branding.edit': 'Edit tenant branding',
+  'users.manage': 'Invite users, unlock accounts and sign out sessions',
+  'roles.manage': 'Create and edit roles',
+  'api_keys.manage': 'Create and revoke API keys',
+  'security.manage': 'Manage the security policy, SSO and SCIM'
+};
+
+// Requests made with an API key act as its creator, but only for these permissions
+const API_KEY_PERMISSIONS = ['calls.view', 'calls.view_all', 'calls.create'];
+
+// The roles every tenant starts with; users.role values from before custom roles map onto these keys
+const DEFAULT_ROLES = {
+  admin: {
+    name: 'Admin',
+    description: 'Full access to the tenant',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  user: {
+    name: 'User',
+    description: 'Create calls and view their own',
+    permissions: ['calls.view', 'calls.create']
+  }
+};
+
+const roleSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  // Stable identifier stored on users and invitations
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  // Built-in roles cannot be deleted; the admin role always has every permission
+  builtIn: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.index({ tenantId: 1, key: 1 }, { unique: true });
+
+/**
+ * Create the built-in roles for a tenant if they are missing
+ */
+roleSchema.statics.ensureDefaultRoles = async function(tenantId) {
+  await Promise.all(Object.entries(DEFAULT_ROLES).map(([key, role]) =>
+    this.updateOne(
+      { tenantId, key },
+      { $setOnInsert: { ...role, tenantId, key, builtIn: true } },
+      { upsert: true }
+    )
+  ));
+};
+
+/**
+ * Permissions granted by a role key in a tenant. Admins always get every
+ * permission, and built-in roles work before the tenant's roles are created.
+ */
+roleSchema.statics.permissionsFor = async function(tenantId, key) {
+  if (key === 'admin') {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const role = await this.findOne({ tenantId, key }).select('permissions');
+  return role?.permissions || DEFAULT_ROLES[key]?.permissions || [];
+};
+
+/**
+ * Look up a role that can be assigned in a tenant ({ key, name, ... }), or null if it does not exist
+ */
+roleSchema.statics.findAssignable = async function(tenantId, key) {
+  const role = await this.findOne({ tenantId, key });
+  if (role) return role;
+  return DEFAULT_ROLES[key] ? { key, ...DEFAULT_ROLES[key] } : null;
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.API_KEY_PERMISSIONS = API_KEY_PERMISSIONS;
+roleSchema.statics.DEFAULT_ROLES = DEFAULT_ROLES;
+
+export default mongoose.model('Role', roleSchema);
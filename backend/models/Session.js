@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * A signed-in device. Every access/refresh token pair carries the session id
+ * (sid claim), so revoking the session signs that device out.
+ */
+const sessionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Readable summary of the user agent, e.g. "Chrome on macOS"
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Follows the latest refresh token; expired sessions are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // logout, revoked, idle_timeout, all_revoked or impersonation_ended
+  revokeReason: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+// Summarise a user agent as "<browser> on <platform>"
+sessionSchema.statics.describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+export default mongoose.model('Session', sessionSchema);
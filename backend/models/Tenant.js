@@ -1,4 +1,28 @@
 import mongoose from 'mongoose';
+import { PLAN_KEYS, DEFAULT_PLAN } from '../utils/plans.js';
+
+// Lifecycle: active <-> suspended, either can be closed (pending_deletion, reversible
+// during the grace period), and a background purge finally marks it deleted
+const STATUSES = ['active', 'suspended', 'pending_deletion', 'deleted'];
+
+const STATUS_TRANSITIONS = {
+  active: ['suspended', 'pending_deletion'],
+  suspended: ['active', 'pending_deletion'],
+  pending_deletion: ['active'],
+  deleted: []
+};
+
+// Days between closing a tenant and purging its data
+const DELETION_GRACE_DAYS = Number(process.env.TENANT_DELETION_GRACE_DAYS) || 30;
+
+// Theme options; the frontend maps each font to a local font stack (lib/theme.js)
+const COLOR_MODES = ['light', 'dark', 'system'];
+const BRANDING_FONTS = ['system', 'humanist', 'geometric', 'serif', 'rounded', 'mono'];
+
+// Who talks first when a call connects
+const CALL_FIRST_SPEAKERS = ['agent', 'user'];
+// Ultravox ends calls after at most an hour
+const MAX_CALL_DURATION_SECONDS = 3600;
 
 const tenantSchema = new mongoose.Schema({
   subdomain: {
@@ -14,25 +38,222 @@ const tenantSchema = new mongoose.Schema({
       message: 'Subdomain can only contain lowercase letters, numbers, and hyphens'
     }
   },
+  // Names the tenant was renamed from; each keeps resolving to it until redirectUntil
+  previousSubdomains: [{
+    _id: false,
+    subdomain: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    renamedAt: Date,
+    redirectUntil: Date
+  }],
   name: {
     type: String,
     required: true,
     trim: true
   },
   branding: {
+    // Paths of uploaded images (see services/storage.js)
     logo: {
       type: String,
       default: ''
     },
+    favicon: {
+      type: String,
+      default: ''
+    },
+    // Hex colours; the rest of the palette is derived from these.
+    // Empty secondary/accent colours are derived from the primary colour.
     primaryColor: {
       type: String,
       default: '#3b82f6'
+    },
+    secondaryColor: {
+      type: String,
+      default: ''
+    },
+    accentColor: {
+      type: String,
+      default: ''
+    },
+    // Mode users see until they pick their own
+    colorMode: {
+      type: String,
+      enum: COLOR_MODES,
+      default: 'light'
+    },
+    font: {
+      type: String,
+      enum: BRANDING_FONTS,
+      default: 'system'
+    },
+    // Shown on the tenant's sign-in and sign-up pages
+    welcomeMessage: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: ''
+    }
+  },
+  security: {
+    // Every user in the tenant must enroll in TOTP MFA
+    mfaRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Sign sessions out after this many minutes without activity (null = never)
+    sessionIdleTimeoutMinutes: {
+      type: Number,
+      default: null,
+      min: 5,
+      max: 7 * 24 * 60
+    },
+    // false makes SSO the only way in (see allowsPasswordLogin)
+    passwordLoginEnabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // OpenID Connect single sign-on
+  sso: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    issuer: {
+      type: String,
+      trim: true
+    },
+    clientId: {
+      type: String,
+      trim: true
+    },
+    // Never returned by default queries; load with .select('+sso.clientSecret')
+    clientSecret: {
+      type: String,
+      select: false
+    },
+    // Only emails at these domains may sign in (empty allows any)
+    allowedDomains: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // Key of the role given to users created on their first SSO login
+    defaultRole: {
+      type: String,
+      default: 'user'
     }
   },
+  // Configuration for new calls; requests may override it (see utils/callConfig.js)
+  callDefaults: {
+    systemPrompt: {
+      type: String,
+      trim: true,
+      maxlength: 10000,
+      default: 'You are a helpful AI assistant.'
+    },
+    model: {
+      type: String,
+      trim: true,
+      default: 'fixie-ai/ultravox'
+    },
+    // Empty uses the Ultravox default voice
+    voice: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    // BCP 47 language hint such as en or es-MX; empty lets Ultravox detect it
+    language: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    maxDurationSeconds: {
+      type: Number,
+      min: 10,
+      max: MAX_CALL_DURATION_SECONDS,
+      default: MAX_CALL_DURATION_SECONDS
+    },
+    recordingEnabled: {
+      type: Boolean,
+      default: false
+    },
+    firstSpeaker: {
+      type: String,
+      enum: CALL_FIRST_SPEAKERS,
+      default: 'agent'
+    }
+  },
+  // SCIM 2.0 provisioning from the tenant's directory
+  scim: {
+    // Hash of the bearer token the directory authenticates with
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    tokenPrefix: String,
+    tokenCreatedAt: Date,
+    lastUsedAt: Date
+  },
+  // Tenant-owned hostname (e.g. voice.acme.com), usable once its TXT record is verified
+  customDomain: {
+    domain: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    verificationToken: String,
+    verifiedAt: Date,
+    lastCheckedAt: Date,
+    lastError: String
+  },
+  // Subscription plan; its limits are in utils/plans.js. Only new tenants get the
+  // default: one loaded without a plan predates plans and must not be saved onto it.
+  plan: {
+    type: String,
+    enum: PLAN_KEYS,
+    default: function() {
+      return this.isNew ? DEFAULT_PLAN : undefined;
+    }
+  },
+  planChangedAt: Date,
+  // Held while a check and the write it allows run as one step (utils/tenantLock.js)
+  lock: {
+    token: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    // Tenants deactivated before lifecycle states existed count as suspended
+    default: function() {
+      return this.isActive === false ? 'suspended' : 'active';
+    },
+    index: true
+  },
+  statusReason: String,
+  statusChangedAt: Date,
+  // Who made the last status change: a platform operator, a tenant user or the system
+  statusChangedBy: {
+    kind: {
+      type: String,
+      enum: ['platform_admin', 'user', 'system']
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    email: String
+  },
+  // When a closed tenant's data will be purged
+  deletionScheduledFor: Date,
+  purgedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
   },
+  // Mirrors status === 'active'; kept for queries that only care whether the tenant can be used
   isActive: {
     type: Boolean,
     default: true
@@ -41,5 +262,55 @@ const tenantSchema = new mongoose.Schema({
   timestamps: true
 });
 
+tenantSchema.pre('save', function(next) {
+  this.isActive = this.status === 'active';
+  next();
+});
+
+/**
+ * Move the tenant to another lifecycle state, recording why and who did it.
+ * actor is { kind, id, email }. Throws if the transition is not allowed. Call save() afterwards.
+ */
+tenantSchema.methods.setStatus = function(status, { reason, actor }) {
+  if (!STATUS_TRANSITIONS[this.status]?.includes(status)) {
+    throw new Error(`Cannot change tenant status from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this.statusReason = reason;
+  this.statusChangedAt = new Date();
+  this.statusChangedBy = actor;
+  this.deletionScheduledFor = status === 'pending_deletion'
+    ? new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+    : undefined;
+};
+
+tenantSchema.methods.canTransitionTo = function(status) {
+  return !!STATUS_TRANSITIONS[this.status]?.includes(status);
+};
+
+/**
+ * Whether users may sign in with a password. Turning SSO off always brings
+ * passwords back, so a broken SSO setup cannot lock a tenant out.
+ */
+tenantSchema.methods.allowsPasswordLogin = function() {
+  return this.security?.passwordLoginEnabled !== false || !this.sso?.enabled;
+};
+
+tenantSchema.index({ 'scim.tokenHash': 1 }, { sparse: true });
+tenantSchema.index({ 'previousSubdomains.subdomain': 1 });
+// Any tenant may claim a domain, but only one can verify it
+tenantSchema.index({ 'customDomain.domain': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'customDomain.verifiedAt': { $exists: true } }
+});
+
+tenantSchema.statics.STATUSES = STATUSES;
+tenantSchema.statics.DELETION_GRACE_DAYS = DELETION_GRACE_DAYS;
+tenantSchema.statics.COLOR_MODES = COLOR_MODES;
+tenantSchema.statics.BRANDING_FONTS = BRANDING_FONTS;
+tenantSchema.statics.CALL_FIRST_SPEAKERS = CALL_FIRST_SPEAKERS;
+tenantSchema.statics.MAX_CALL_DURATION_SECONDS = MAX_CALL_DURATION_SECONDS;
+
 export default mongoose.model('Tenant', tenantSchema);
 
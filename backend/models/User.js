@@ -1,5 +1,12 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { verifyTotp } from '../utils/totp.js';
+import { withTenantLock } from '../utils/tenantLock.js';
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const RECOVERY_CODE_COUNT = 10;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -19,9 +26,9 @@ const userSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Key of a Role in the tenant (built-in admin/user or a custom role)
   role: {
     type: String,
-    enum: ['admin', 'user'],
     default: 'user'
   },
   createdAt: {
@@ -31,6 +38,55 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  passwordResetToken: {
+    type: String,
+    index: true
+  },
+  passwordResetExpires: Date,
+  // Users created before verification existed are treated as verified;
+  // signup explicitly creates admins with emailVerified: false
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: Date,
+  emailVerificationToken: {
+    type: String,
+    index: true
+  },
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
+  // New address requested from the profile page; it replaces `email` once verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret generated during enrollment, promoted to `secret` once a code is confirmed
+    pendingSecret: String,
+    // Hashed single-use recovery codes
+    recoveryCodes: [String],
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: Number,
+    enrolledAt: Date
+  },
+  // Identity at the tenant's OIDC provider, linked on first SSO login
+  sso: {
+    issuer: String,
+    subject: String,
+    lastLoginAt: Date
+  },
+  // Set for users managed by the tenant's directory through SCIM
+  scim: {
+    externalId: String,
+    provisionedAt: Date
   }
 }, {
   timestamps: true
@@ -51,10 +107,110 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Create a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateSecureToken();
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return resetToken;
+};
+
+userSchema.statics.PASSWORD_RESET_TTL_MINUTES = PASSWORD_RESET_TTL_MINUTES;
+
+// Create an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = generateSecureToken();
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+  return verificationToken;
+};
+
+userSchema.statics.EMAIL_VERIFICATION_TTL_HOURS = EMAIL_VERIFICATION_TTL_HOURS;
+
+/**
+ * Whether this user is the only active admin left in their tenant, so taking
+ * away their admin role (or the user) would leave nobody able to manage it
+ */
+userSchema.methods.isLastActiveAdmin = async function() {
+  if (this.role !== 'admin' || !this.isActive) return false;
+
+  const otherAdmins = await this.constructor.countDocuments({
+    tenantId: this.tenantId,
+    role: 'admin',
+    isActive: true,
+    _id: { $ne: this._id }
+  });
+
+  return otherAdmins === 0;
+};
+
+/**
+ * Run change(), which demotes, deactivates or deletes this user, unless it would
+ * leave the tenant without an active admin. The check and the change hold the
+ * tenant lock, so two admins removing each other cannot both pass. The check reads
+ * the user as stored, so the change may already be set on this document. Returns
+ * whether the change ran.
+ */
+userSchema.methods.changeUnlessLastAdmin = async function(change) {
+  return withTenantLock(this.tenantId, async () => {
+    const stored = await this.constructor.findById(this._id).select('tenantId role isActive');
+    if (await stored?.isLastActiveAdmin()) return false;
+    await change();
+    return true;
+  });
+};
+
+// Replace MFA recovery codes; returns the plain codes (shown to the user once)
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateSecureToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.mfa.recoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Check a TOTP code or a recovery code. Returns 'totp', 'recovery' or null.
+// Used codes are consumed, so the caller must save the user afterwards.
+userSchema.methods.consumeMfaCode = function({ code, recoveryCode }) {
+  if (!this.mfa?.enabled || !this.mfa.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(this.mfa.secret, code);
+    if (step === null || (this.mfa.lastUsedStep && step <= this.mfa.lastUsedStep)) {
+      return null;
+    }
+    this.mfa.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hashed = hashToken(recoveryCode.trim().toLowerCase());
+    const index = this.mfa.recoveryCodes.indexOf(hashed);
+    if (index === -1) return null;
+    this.mfa.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Remove password and secrets from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  if (user.mfa) {
+    user.mfa = {
+      enabled: user.mfa.enabled,
+      enrolledAt: user.mfa.enrolledAt,
+      recoveryCodesRemaining: user.mfa.recoveryCodes?.length || 0
+    };
+  }
   return user;
 };
 
@@ -0,0 +1,117 @@
+import express from 'express';
+import ApiKey from '../models/ApiKey.js';
+import { authenticate, requirePermission, forbidImpersonation } from '../middleware/auth.js';
+import { requireTenant } from '../middleware/tenant.js';
+import { logAudit } from '../utils/auditLogger.js';
+
+const router = express.Router();
+
+const MAX_EXPIRY_DAYS = 365;
+
+// Managing API keys needs its own permission (and is not possible with an API key)
+router.use(authenticate, requireTenant, requirePermission('api_keys.manage'));
+
+/**
+ * GET /api/api-keys
+ * List the tenant's API keys
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ tenantId: req.tenantId })
+      .populate('createdBy', 'email')
+      .sort({ createdAt: -1 });
+
+    res.json(apiKeys);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create an API key. The key itself is only returned in this response.
+ */
+router.post('/', forbidImpersonation, async (req, res, next) => {
+  try {
+    const name = req.body.name?.trim();
+    const { expiresInDays } = req.body;
+    // Keys created without scopes get all of them
+    const scopes = req.body.scopes?.length ? [...new Set(req.body.scopes)] : ApiKey.SCOPES;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const invalidScopes = scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ error: `Invalid scopes: ${invalidScopes.join(', ')}. Allowed: ${ApiKey.SCOPES.join(', ')}` });
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+      return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+    }
+
+    const apiKey = new ApiKey({
+      tenantId: req.tenantId,
+      name,
+      scopes,
+      createdBy: req.userId,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+    const key = apiKey.issueKey();
+    await apiKey.save();
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'apikey.created',
+      details: { apiKeyId: apiKey._id, name, prefix: apiKey.prefix, scopes },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    console.log('🔑 API key created:', { tenantId: req.tenantId, name, prefix: apiKey.prefix });
+
+    res.status(201).json({ apiKey, key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke an API key (takes effect immediately)
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ error: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.userId;
+    await apiKey.save();
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'apikey.revoked',
+      details: { apiKeyId: apiKey._id, name: apiKey.name, prefix: apiKey.prefix },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
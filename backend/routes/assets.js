@@ -0,0 +1,52 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { getFile } from '../services/storage.js';
+
+const router = express.Router();
+
+// Stored file names contain a hash of their content, so a URL never changes meaning
+const FILE_PATTERN = /^(logo|favicon)-([a-f0-9]{16})\.(png|jpg|webp)$/;
+
+/**
+ * GET /api/assets/tenants/:tenantId/:file
+ * Serve a tenant's uploaded file (public, so logos show on sign-in pages and in <img> tags)
+ */
+router.get('/tenants/:tenantId/:file', async (req, res, next) => {
+  try {
+    const { tenantId, file } = req.params;
+
+    const match = file.match(FILE_PATTERN);
+    if (!mongoose.Types.ObjectId.isValid(tenantId) || !match) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const stored = await getFile(`tenants/${tenantId}/${file}`);
+    if (!stored) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const etag = `"${match[2]}"`;
+    res.set({
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      ETag: etag,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'",
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    res.set({
+      'Content-Type': stored.contentType,
+      'Content-Length': stored.size,
+      'Last-Modified': stored.updatedAt.toUTCString()
+    });
+    res.send(stored.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
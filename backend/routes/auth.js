@@ -1,11 +1,123 @@
 import express from 'express';
 import User from '../models/User.js';
 import Tenant from '../models/Tenant.js';
-import { generateToken } from '../utils/jwt.js';
+import Invitation from '../models/Invitation.js';
+import Role from '../models/Role.js';
+import Impersonation from '../models/Impersonation.js';
+import {
+  issueAuthTokens,
+  verifyRefreshToken,
+  generateMfaToken,
+  verifyMfaToken,
+  generateTenantSelectionToken,
+  verifyTenantSelectionToken
+} from '../utils/jwt.js';
+import { incrementValue } from '../utils/redis.js';
+import { consumeRefreshToken, revokeAccessToken, revokeRefreshToken, revokeAllUserTokens, isTokenRevoked } from '../utils/tokenStore.js';
 import { logAudit } from '../utils/auditLogger.js';
+import { hashToken } from '../utils/tokens.js';
+import {
+  getIpLockout,
+  getAccountLockout,
+  recordIpFailure,
+  recordAccountFailure,
+  clearAccountLockout,
+  lockoutRetryAfter,
+  failureDelayMs,
+  recordPasswordResetRequest
+} from '../utils/loginThrottle.js';
+import { serializeTenant, completeLogin } from '../utils/authResponse.js';
+import { validateSession, revokeSession } from '../utils/sessions.js';
+import { endImpersonation } from '../utils/impersonation.js';
+import { authenticateAllowUnverified } from '../middleware/auth.js';
+import { resolveRequestTenant, tenantAccessError } from '../middleware/tenant.js';
+import { invalidateTenant, getTenantById } from '../utils/tenantCache.js';
+import { normalizeSubdomain, checkSubdomainFormat, checkSubdomainAvailability } from '../utils/subdomains.js';
+import { takeSeat } from '../utils/quotas.js';
+import { sendPasswordResetEmail, sendVerificationEmail, buildAppUrl } from '../services/email.js';
+import mfaRoutes from './mfa.js';
 
 const router = express.Router();
 
+router.use('/mfa', mfaRoutes);
+
+// Wrong codes allowed per MFA challenge token
+const MAX_MFA_ATTEMPTS = 5;
+
+// Minimum time between verification emails for the same user
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Password verified: either ask for the second factor or finish the login
+ */
+const continueLogin = async (req, res, user, tenant, details) => {
+  // Right credentials, but the tenant is suspended or closed
+  const accessError = tenantAccessError(tenant);
+  if (accessError) {
+    console.log('🚫 Login blocked, tenant is', tenant.status, ':', tenant.subdomain);
+    return res.status(403).json(accessError);
+  }
+
+  // SSO-only tenant: people who manage security keep password access so a broken
+  // identity provider cannot lock everyone out
+  if (!tenant.allowsPasswordLogin()) {
+    const permissions = await Role.permissionsFor(tenant._id, user.role);
+    if (!permissions.includes('security.manage')) {
+      console.log('🚫 Password login disabled for tenant:', tenant.subdomain);
+      return res.status(403).json({
+        error: 'This organization signs in with SSO',
+        code: 'PASSWORD_LOGIN_DISABLED',
+        message: 'Use "Sign in with SSO" instead.'
+      });
+    }
+  }
+
+  // Second factor required: hand out a challenge token instead of real tokens. Failed
+  // passwords are only forgotten once the code is right too, so MFA guesses keep
+  // counting towards the account lockout.
+  if (user.mfa?.enabled) {
+    console.log('🔐 MFA challenge issued for user:', user.email);
+    return res.json({
+      mfaRequired: true,
+      mfaToken: generateMfaToken(user._id, tenant._id)
+    });
+  }
+
+  await clearAccountLockout(user._id);
+  await completeLogin(req, res, user, tenant, details);
+};
+
+/**
+ * Issue a fresh verification token for the user and email the link
+ */
+const sendVerificationLink = async (user, tenant) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendVerificationEmail({
+    to: user.email,
+    tenantName: tenant.name,
+    verifyUrl: buildAppUrl('/verify-email', { token: verificationToken }),
+    expiresInHours: User.EMAIL_VERIFICATION_TTL_HOURS
+  });
+};
+
+/**
+ * GET /api/auth/subdomain-availability?subdomain=acme
+ * Whether a subdomain can be claimed at signup, with alternatives when it cannot (public)
+ */
+router.get('/subdomain-availability', async (req, res, next) => {
+  try {
+    if (typeof req.query.subdomain !== 'string' || !req.query.subdomain.trim()) {
+      return res.status(400).json({ error: 'subdomain is required' });
+    }
+
+    res.json(await checkSubdomainAvailability(req.query.subdomain));
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/auth/signup
  * Create new tenant and admin user
@@ -14,7 +126,8 @@ router.post('/signup', async (req, res, next) => {
   console.log('🔐 Signup request received:', { email: req.body.email, subdomain: req.body.subdomain });
 
   try {
-    const { email, password, subdomain, tenantName } = req.body;
+    const { email, password, tenantName } = req.body;
+    const subdomain = normalizeSubdomain(req.body.subdomain);
 
     // Validation
     if (!email || !password || !subdomain || !tenantName) {
@@ -27,16 +140,22 @@ router.post('/signup', async (req, res, next) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
-    // Check if subdomain exists (with error handling)
-    let existingTenant;
+    const subdomainError = checkSubdomainFormat(subdomain);
+    if (subdomainError) {
+      console.log('❌ Signup validation failed:', subdomainError);
+      return res.status(400).json({ error: subdomainError });
+    }
+
+    // Check if subdomain is free, including old names of renamed tenants (with error handling)
+    let availability;
     try {
-      existingTenant = await Tenant.findOne({ subdomain });
+      availability = await checkSubdomainAvailability(subdomain);
     } catch (dbError) {
       console.log('⚠️ Database not available for subdomain check, proceeding with signup');
     }
 
-    if (existingTenant) {
-      return res.status(400).json({ error: 'Subdomain already taken' });
+    if (availability && !availability.available) {
+      return res.status(400).json({ error: 'Subdomain already taken', suggestions: availability.suggestions });
     }
 
     // Create tenant (with error handling)
@@ -46,11 +165,24 @@ router.post('/signup', async (req, res, next) => {
         subdomain,
         name: tenantName
       });
+      // Forget any cached "no such tenant" lookup for the new subdomain
+      await invalidateTenant(tenant);
     } catch (dbError) {
+      // Another signup claimed the subdomain since the check above
+      if (dbError.code === 11000) {
+        return res.status(400).json({ error: 'Subdomain already taken' });
+      }
       console.error('❌ Failed to create tenant:', dbError.message);
       return res.status(500).json({ error: 'Failed to create tenant. Please try again.' });
     }
 
+    // Built-in admin and user roles (custom roles are added from Settings)
+    try {
+      await Role.ensureDefaultRoles(tenant._id);
+    } catch (dbError) {
+      console.error('❌ Failed to create default roles:', dbError.message);
+    }
+
     // Create admin user (with error handling)
     let user;
     try {
@@ -58,13 +190,15 @@ router.post('/signup', async (req, res, next) => {
         email,
         password,
         tenantId: tenant._id,
-        role: 'admin'
+        role: 'admin',
+        emailVerified: false
       });
     } catch (dbError) {
       console.error('❌ Failed to create user:', dbError.message);
       // Clean up tenant if user creation fails
       try {
         await Tenant.findByIdAndDelete(tenant._id);
+        await invalidateTenant(tenant);
       } catch (cleanupError) {
         console.error('❌ Failed to cleanup tenant:', cleanupError.message);
       }
@@ -95,20 +229,24 @@ router.post('/signup', async (req, res, next) => {
       // Don't fail the signup if audit logging fails
     }
 
-    // Generate token
-    const token = generateToken(user._id, tenant._id);
+    // Send verification link (the account stays pending until it is used)
+    try {
+      await sendVerificationLink(user, tenant);
+    } catch (emailError) {
+      console.error('❌ Failed to send verification email:', emailError.message);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(user._id, tenant._id, req);
 
     console.log('✅ Signup successful for user:', email, 'tenant:', subdomain);
 
     res.status(201).json({
       token,
+      refreshToken,
+      verificationRequired: true,
       user: user.toJSON(),
-      tenant: {
-        id: tenant._id,
-        subdomain: tenant.subdomain,
-        name: tenant.name,
-        branding: tenant.branding
-      }
+      tenant: serializeTenant(tenant)
     });
   } catch (error) {
     console.error('❌ Signup error:', error);
@@ -116,87 +254,717 @@ router.post('/signup', async (req, res, next) => {
   }
 });
 
+/**
+ * Answer a login attempt made while locked out
+ */
+const sendLockedOut = (res, lockout) => {
+  const retryAfter = lockoutRetryAfter(lockout);
+  const minutes = Math.ceil(retryAfter / 60);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter
+  });
+};
+
+/**
+ * Count a failed password against the client IP and every account it was tried on,
+ * audit it in each account's tenant, then slow the response down
+ */
+const recordFailedLogin = async (req, { email, tenant, accounts }) => {
+  const audit = { ip: req.ip, userAgent: req.headers['user-agent'] };
+  let failures = 0;
+
+  try {
+    const ipResult = await recordIpFailure(req.ip);
+    failures = ipResult.failures;
+    if (ipResult.lockout) {
+      console.log('🚫 IP locked out until', ipResult.lockout.lockedUntil, ':', req.ip);
+    }
+
+    for (const account of accounts) {
+      const { failures: accountFailures, lockout } = await recordAccountFailure(account._id);
+      failures = Math.max(failures, accountFailures);
+
+      await logAudit({
+        ...audit,
+        tenantId: account.tenantId._id,
+        userId: account._id,
+        action: 'user.failed_login',
+        details: { email, failures: accountFailures }
+      });
+
+      if (lockout) {
+        console.log('🚫 Account locked out:', email, 'until', lockout.lockedUntil);
+        await logAudit({
+          ...audit,
+          tenantId: account.tenantId._id,
+          userId: account._id,
+          action: 'user.locked_out',
+          details: { email, failures: accountFailures, lockedUntil: lockout.lockedUntil }
+        });
+      }
+    }
+
+    // Unknown email or locked account: still visible to the tenant it was tried against
+    if (accounts.length === 0 && tenant) {
+      await logAudit({ ...audit, tenantId: tenant._id, action: 'user.failed_login', details: { email } });
+    }
+  } catch (throttleError) {
+    console.log('⚠️ Failed to record failed login:', throttleError.message);
+  }
+
+  const delay = failureDelayMs(failures);
+  if (delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+};
+
 /**
  * POST /api/auth/login
- * Authenticate user
+ * Authenticate user within the tenant given by subdomain or X-Tenant-Subdomain.
+ * Without a tenant, the credentials are checked against every tenant: a single
+ * match logs in directly, several matches return the tenants to choose from.
  */
 router.post('/login', async (req, res, next) => {
   console.log('🔐 Login request received:', { email: req.body.email });
 
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = req.body.email?.toLowerCase().trim();
 
     if (!email || !password) {
       console.log('❌ Login validation failed: missing email or password');
       return res.status(400).json({ error: 'Email and password required' });
     }
 
-    // Find user by email (with error handling for database issues)
-    let user;
+    // Resolve the tenant the user is logging into (with error handling for database issues)
+    let tenant = null;
+    let source = null;
     try {
-      user = await User.findOne({ email, isActive: true });
+      ({ tenant, source } = await resolveRequestTenant(req));
+    } catch (dbError) {
+      console.error('❌ Database not available for tenant lookup:', dbError.message);
+      return res.status(500).json({ error: 'Service temporarily unavailable. Please try again.' });
+    }
+
+    // An explicitly requested tenant must exist; a Host-derived one may just be the API's own hostname
+    if (!tenant && source === 'header') {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const ipLockout = await getIpLockout(req.ip);
+    if (ipLockout) {
+      console.log('🚫 Login blocked, IP locked out:', req.ip);
+      return sendLockedOut(res, ipLockout);
+    }
+
+    // Find candidate users (with error handling for database issues)
+    let candidates;
+    try {
+      candidates = await User.find({
+        email,
+        isActive: true,
+        ...(tenant && { tenantId: tenant._id })
+      }).populate('tenantId');
     } catch (dbError) {
       console.error('❌ Database not available for user lookup:', dbError.message);
       return res.status(500).json({ error: 'Service temporarily unavailable. Please try again.' });
     }
+    // Suspended and closed tenants stay in, so their users learn why they cannot sign in
+    candidates = candidates.filter(candidate => candidate.tenantId && candidate.tenantId.status !== 'deleted');
 
-    if (!user || !(await user.comparePassword(password))) {
-      // Log failed login attempt (with error handling)
-      try {
-        await logAudit({
-          action: 'user.failed_login',
-          details: { email },
-          ip: req.ip,
-          userAgent: req.headers['user-agent']
-        });
-      } catch (auditError) {
-        console.log('⚠️ Failed to log failed login:', auditError.message);
+    // Locked accounts are not even checked, so guessing cannot continue while locked. They
+    // get the same answer as a wrong password, so a lockout does not reveal that the account exists
+    const lockouts = await Promise.all(candidates.map(candidate => getAccountLockout(candidate._id)));
+    const unlocked = candidates.filter((candidate, index) => !lockouts[index]);
+    if (unlocked.length < candidates.length) {
+      console.log('🚫 Locked out account skipped at login:', email);
+    }
+
+    const matches = [];
+    for (const candidate of unlocked) {
+      if (await candidate.comparePassword(password)) {
+        matches.push(candidate);
       }
+    }
 
+    if (matches.length === 0) {
+      await recordFailedLogin(req, { email, tenant, accounts: unlocked });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Get tenant info (with error handling)
-    let tenant;
+    // Same credentials in several tenants: let the user pick one
+    if (matches.length > 1) {
+      console.log('🏢 Tenant selection required for user:', email, 'matches:', matches.length);
+      return res.json({
+        tenantSelectionRequired: true,
+        selectionToken: generateTenantSelectionToken(matches.map(match => match._id)),
+        tenants: matches.map(match => ({
+          id: match.tenantId._id,
+          subdomain: match.tenantId.subdomain,
+          name: match.tenantId.name,
+          branding: match.tenantId.branding
+        }))
+      });
+    }
+
+    const user = matches[0];
+    const userTenant = user.tenantId;
+    user.depopulate('tenantId');
+    await continueLogin(req, res, user, userTenant, { email });
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/login/select-tenant
+ * Finish a login that matched several tenants, using the tenant the user picked
+ */
+router.post('/login/select-tenant', async (req, res, next) => {
+  try {
+    const { selectionToken, tenantId } = req.body;
+
+    if (!selectionToken || !tenantId) {
+      return res.status(400).json({ error: 'Selection token and tenant are required' });
+    }
+
+    let decoded;
     try {
-      tenant = await Tenant.findById(user.tenantId);
-    } catch (dbError) {
-      console.error('❌ Database not available for tenant lookup:', dbError.message);
-      return res.status(500).json({ error: 'Service temporarily unavailable. Please try again.' });
+      decoded = verifyTenantSelectionToken(selectionToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Login session expired. Please log in again.' });
+    }
+
+    const user = await User.findOne({
+      _id: { $in: decoded.userIds },
+      tenantId,
+      isActive: true
+    }).populate('tenantId');
+
+    if (!user || !user.tenantId || user.tenantId.status === 'deleted') {
+      return res.status(401).json({ error: 'Invalid tenant selection' });
     }
 
-    // Log successful login (with error handling)
+    const tenant = user.tenantId;
+    user.depopulate('tenantId');
+    await continueLogin(req, res, user, tenant, { email: user.email });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login/mfa
+ * Second login step: exchange an MFA challenge token and a TOTP or recovery code for real tokens
+ */
+router.post('/login/mfa', async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'MFA token and code are required' });
+    }
+
+    let decoded;
     try {
+      decoded = verifyMfaToken(mfaToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'MFA session expired. Please log in again.' });
+    }
+
+    const attempts = await incrementValue(`auth:mfa-attempts:${decoded.jti}`, 5 * 60);
+    if (attempts > MAX_MFA_ATTEMPTS) {
+      return res.status(429).json({ error: 'Too many attempts. Please log in again.' });
+    }
+
+    const [user, tenant] = await Promise.all([
+      User.findById(decoded.userId),
+      Tenant.findById(decoded.tenantId)
+    ]);
+
+    if (!user || !user.isActive || !tenant) {
+      return res.status(401).json({ error: 'Invalid or inactive user' });
+    }
+
+    // Wrong codes lock the account like wrong passwords do
+    const accountLockout = await getAccountLockout(user._id);
+    if (accountLockout) {
+      console.log('🚫 MFA blocked, account locked out:', user.email);
+      return sendLockedOut(res, accountLockout);
+    }
+
+    const method = user.consumeMfaCode({ code, recoveryCode });
+
+    if (!method) {
+      const { failures, lockout } = await recordAccountFailure(user._id);
+      const audit = { tenantId: tenant._id, userId: user._id, ip: req.ip, userAgent: req.headers['user-agent'] };
+
+      await logAudit({
+        ...audit,
+        action: 'user.mfa_failed',
+        details: { email: user.email, attempt: attempts, failures }
+      });
+
+      if (lockout) {
+        console.log('🚫 Account locked out after failed MFA codes:', user.email, 'until', lockout.lockedUntil);
+        await logAudit({
+          ...audit,
+          action: 'user.locked_out',
+          details: { email: user.email, failures, lockedUntil: lockout.lockedUntil, mfa: true }
+        });
+      }
+
+      const delay = failureDelayMs(failures);
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await user.save();
+    await clearAccountLockout(user._id);
+
+    if (method === 'recovery') {
       await logAudit({
         tenantId: tenant._id,
         userId: user._id,
-        action: 'user.login',
-        details: { email },
+        action: 'user.mfa_recovery_used',
+        details: { email: user.email, remaining: user.mfa.recoveryCodes.length },
         ip: req.ip,
         userAgent: req.headers['user-agent']
       });
-    } catch (auditError) {
-      console.log('⚠️ Failed to log successful login:', auditError.message);
     }
 
-    // Generate token
-    const token = generateToken(user._id, tenant._id);
+    await completeLogin(req, res, user, tenant, { email: user.email, mfa: method });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Find a pending, unexpired invitation by its raw token
+ */
+const findPendingInvitation = async (token) => {
+  const invitation = await Invitation.findOne({ tokenHash: hashToken(token), status: 'pending' })
+    .populate('tenantId', 'name subdomain branding isActive');
 
-    console.log('✅ Login successful for user:', email, 'tenant:', tenant.subdomain);
+  if (!invitation || invitation.isExpired() || !invitation.tenantId?.isActive) {
+    return null;
+  }
+  return invitation;
+};
+
+/**
+ * GET /api/auth/invitations/:token
+ * Look up an invitation so the accept page can show who it is for
+ */
+router.get('/invitations/:token', async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    const role = await Role.findAssignable(invitation.tenantId._id, invitation.role);
 
     res.json({
-      token,
-      user: user.toJSON(),
+      email: invitation.email,
+      role: invitation.role,
+      roleName: role?.name || invitation.role,
+      expiresAt: invitation.expiresAt,
       tenant: {
-        id: tenant._id,
-        subdomain: tenant.subdomain,
-        name: tenant.name,
-        branding: tenant.branding
+        name: invitation.tenantId.name,
+        subdomain: invitation.tenantId.subdomain,
+        branding: invitation.tenantId.branding
       }
     });
   } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/accept-invite
+ * Accept an invitation: create the user with the invited role and log them in
+ */
+router.post('/accept-invite', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    const tenant = await Tenant.findById(invitation.tenantId._id);
+
+    const existingUser = await User.findOne({ tenantId: tenant._id, email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({ error: 'An account with this email already exists. Please log in.' });
+    }
+
+    // The seat was held when the invite was sent, but the plan may have changed since.
+    // The invite link was delivered to this address, so it counts as verified.
+    const { error: quotaError, result: user } = await takeSeat(tenant, () => User.create({
+      email: invitation.email,
+      password,
+      tenantId: tenant._id,
+      role: invitation.role,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    }));
+    if (quotaError) {
+      return res.status(403).json(quotaError);
+    }
+
+    invitation.status = 'accepted';
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUserId = user._id;
+    await invitation.save();
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: user._id,
+      action: 'invite.accepted',
+      details: { invitationId: invitation._id, email: user.email, role: user.role, invitedBy: invitation.invitedBy },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    await completeLogin(req, res, user, tenant, { email: user.email, via: 'invitation' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair (rotation)
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // Each refresh token can be used once; a second use means it was leaked
+    const stored = await consumeRefreshToken(decoded.jti);
+    if (!stored) {
+      console.log('🚫 Refresh token reuse detected, revoking all tokens for user:', decoded.userId);
+      await revokeAllUserTokens(decoded.userId);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    const tenant = user && await getTenantById(user.tenantId);
+    if (!user || !user.isActive || !tenant) {
+      return res.status(401).json({ error: 'Invalid or inactive user' });
+    }
+
+    const accessError = tenantAccessError(tenant);
+    if (accessError) {
+      return res.status(403).json(accessError);
+    }
+
+    // Signed out remotely or idle for longer than the tenant allows
+    const sessionError = await validateSession(decoded, req);
+    if (sessionError) {
+      return res.status(401).json(sessionError);
+    }
+
+    // Refresh tokens from before sessions were tracked start a new session
+    const tokens = await issueAuthTokens(user._id, user.tenantId, req, decoded.sid);
+
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current access token and the given refresh token
+ */
+router.post('/logout', authenticateAllowUnverified, async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await revokeAccessToken(req.token.jti, req.token.exp);
+
+    // Signing out of a support session ends the impersonation (audited on both sides)
+    if (req.impersonation) {
+      const impersonation = await Impersonation.findOne({ sessionId: req.token.sid });
+      if (impersonation) {
+        await endImpersonation(impersonation._id, { reason: 'ended', req });
+      }
+      return res.json({ message: 'Impersonation ended' });
+    }
+
+    if (req.token.sid) {
+      await revokeSession(req.token.sid, { reason: 'logout' });
+    }
+
+    if (refreshToken) {
+      try {
+        const decoded = verifyRefreshToken(refreshToken);
+        if (decoded.userId === req.userId.toString()) {
+          await revokeRefreshToken(decoded.jti);
+        }
+      } catch (tokenError) {
+        // Expired or malformed refresh tokens are already unusable
+      }
+    }
+
+    await logAudit({
+      tenantId: req.user.tenantId,
+      userId: req.userId,
+      action: 'user.logout',
+      details: { email: req.user.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address using the link sent at signup
+ */
+router.post('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    // Link sent for an email change from the profile page: switch to the new address
+    const previousEmail = user.email;
+    if (user.pendingEmail) {
+      if (await User.exists({ tenantId: user.tenantId, email: user.pendingEmail, _id: { $ne: user._id } })) {
+        return res.status(400).json({ error: 'Another account already uses this email' });
+      }
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    const emailChanged = user.email !== previousEmail;
+
+    await logAudit({
+      tenantId: user.tenantId,
+      userId: user._id,
+      action: emailChanged ? 'user.email_changed' : 'user.email_verified',
+      details: emailChanged ? { from: previousEmail, to: user.email } : { email: user.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ message: emailChanged ? 'Email changed' : 'Email verified', user: user.toJSON() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link to the logged-in user
+ */
+router.post('/resend-verification', authenticateAllowUnverified, async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const lastSentAt = user.emailVerificationSentAt?.getTime() || 0;
+    if (Date.now() - lastSentAt < VERIFICATION_RESEND_INTERVAL_MS) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+    }
+
+    // The new link goes to the current address, so it must not confirm a pending email change
+    user.pendingEmail = undefined;
+
+    const tenant = await Tenant.findById(user.tenantId);
+    await sendVerificationLink(user, tenant);
+
+    await logAudit({
+      tenantId: user.tenantId,
+      userId: user._id,
+      action: 'user.verification_resent',
+      details: { email: user.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use password reset link to an account in the requested tenant.
+ * Always responds the same way so it cannot be used to discover which emails have
+ * accounts; rate limited per email and per client IP.
+ */
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const genericResponse = { message: 'If an account exists for that email, a password reset link has been sent.' };
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Only ever look in the tenant the request is for; without one nothing is sent
+    const { tenant } = await resolveRequestTenant(req);
+
+    const throttle = await recordPasswordResetRequest({
+      ip: req.ip,
+      email: normalizedEmail,
+      tenantId: tenant?._id
+    });
+    if (throttle.ipLimited) {
+      console.log('🚫 Password reset requests throttled for IP:', req.ip);
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ error: 'Too many password reset requests. Try again later.', retryAfter: throttle.retryAfter });
+    }
+
+    if (!tenant || !tenant.isActive || throttle.emailLimited) {
+      return res.json(genericResponse);
+    }
+
+    const query = { email: normalizedEmail, tenantId: tenant._id, isActive: true };
+
+    const users = await User.find(query).populate('tenantId', 'name subdomain');
+
+    for (const user of users) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail({
+          to: user.email,
+          tenantName: user.tenantId.name,
+          resetUrl: buildAppUrl('/reset-password', { token: resetToken }),
+          expiresInMinutes: User.PASSWORD_RESET_TTL_MINUTES
+        });
+      } catch (emailError) {
+        console.error('❌ Failed to send password reset email:', emailError.message);
+      }
+
+      await logAudit({
+        tenantId: user.tenantId._id,
+        userId: user._id,
+        action: 'user.password_reset_requested',
+        details: { email: user.email },
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a reset token
+ */
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sessions opened with the old password should not survive a reset
+    await revokeAllUserTokens(user._id);
+    // Proving control of the mailbox unlocks an account locked by failed logins
+    await clearAccountLockout(user._id);
+
+    await logAudit({
+      tenantId: user.tenantId,
+      userId: user._id,
+      action: 'user.password_reset',
+      details: { email: user.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -1,8 +1,10 @@
 import express from 'express';
 import Call from '../models/Call.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireScope, requirePermission, getPermissions } from '../middleware/auth.js';
 import { requireTenant } from '../middleware/tenant.js';
 import { logAudit } from '../utils/auditLogger.js';
+import { pickCallConfig, resolveCallConfig } from '../utils/callConfig.js';
+import { startCall } from '../utils/quotas.js';
 import * as ultravox from '../services/ultravox.js';
 
 const router = express.Router();
@@ -10,37 +12,61 @@ const router = express.Router();
 // Use mock or real Ultravox API based on environment
 const USE_MOCK = !process.env.ULTRAVOX_API_KEY || process.env.USE_MOCK_ULTRAVOX === 'true';
 
+/**
+ * Calls the requester may see: the whole tenant with calls.view_all, otherwise their own
+ */
+const visibleCallsQuery = async (req) => {
+  const permissions = await getPermissions(req);
+  return permissions.includes('calls.view_all')
+    ? { tenantId: req.tenantId }
+    : { tenantId: req.tenantId, userId: req.userId };
+};
+
 /**
  * POST /api/calls
- * Create a new test call
+ * Create a new test call with the tenant's call defaults; any configuration
+ * fields in the body override them for this call. Refused with QUOTA_EXCEEDED
+ * once the plan's calls or concurrent calls are used up, and cut short to the
+ * call minutes left this month.
  */
-router.post('/', authenticate, requireTenant, async (req, res, next) => {
+router.post('/', authenticate, requireTenant, requireScope('calls:write'), requirePermission('calls.create'), async (req, res, next) => {
   try {
-    const { systemPrompt, model, voice } = req.body;
+    const config = resolveCallConfig(req.tenant, pickCallConfig(req.body));
 
-    // Create call via Ultravox API (or mock)
-    const ultravoxCall = USE_MOCK
-      ? await ultravox.mockCreateCall({ systemPrompt, model, voice })
-      : await ultravox.createCall({ systemPrompt, model, voice });
-
-    // Save call to database
-    const call = await Call.create({
-      tenantId: req.tenantId,
-      userId: req.userId,
-      ultravoxCallId: ultravoxCall.callId,
-      status: ultravoxCall.status || 'queued',
-      metadata: {
-        joinUrl: ultravoxCall.joinUrl,
-        createdAt: ultravoxCall.createdAt
+    const { error: quotaError, result: call } = await startCall(req.tenant, async (maxDurationSeconds) => {
+      if (maxDurationSeconds !== null && maxDurationSeconds < config.maxDurationSeconds) {
+        config.maxDurationSeconds = maxDurationSeconds;
       }
+
+      // Create call via Ultravox API (or mock)
+      const ultravoxCall = USE_MOCK
+        ? await ultravox.mockCreateCall(config)
+        : await ultravox.createCall(config);
+
+      // Save call to database
+      return Call.create({
+        tenantId: req.tenantId,
+        userId: req.userId,
+        ultravoxCallId: ultravoxCall.callId,
+        status: ultravoxCall.status || 'queued',
+        config,
+        metadata: {
+          joinUrl: ultravoxCall.joinUrl,
+          createdAt: ultravoxCall.createdAt
+        }
+      });
     });
+    if (quotaError) {
+      return res.status(403).json(quotaError);
+    }
 
     // Log audit
     await logAudit({
       tenantId: req.tenantId,
       userId: req.userId,
+      apiKeyId: req.apiKey?._id,
       action: 'call.created',
-      details: { callId: call._id, ultravoxCallId: ultravoxCall.callId },
+      details: { callId: call._id, ultravoxCallId: call.ultravoxCallId },
       ip: req.ip,
       userAgent: req.headers['user-agent']
     });
@@ -53,11 +79,11 @@ router.post('/', authenticate, requireTenant, async (req, res, next) => {
 
 /**
  * GET /api/calls
- * Get all calls for tenant
+ * Get calls for tenant (only your own without calls.view_all)
  */
-router.get('/', authenticate, requireTenant, async (req, res, next) => {
+router.get('/', authenticate, requireTenant, requireScope('calls:read'), requirePermission('calls.view'), async (req, res, next) => {
   try {
-    const calls = await Call.find({ tenantId: req.tenantId })
+    const calls = await Call.find(await visibleCallsQuery(req))
       .populate('userId', 'email role')
       .sort({ createdAt: -1 })
       .limit(100);
@@ -72,11 +98,11 @@ router.get('/', authenticate, requireTenant, async (req, res, next) => {
  * GET /api/calls/:id
  * Get specific call details
  */
-router.get('/:id', authenticate, requireTenant, async (req, res, next) => {
+router.get('/:id', authenticate, requireTenant, requireScope('calls:read'), requirePermission('calls.view'), async (req, res, next) => {
   try {
     const call = await Call.findOne({
       _id: req.params.id,
-      tenantId: req.tenantId  // Ensure tenant isolation
+      ...(await visibleCallsQuery(req))  // Ensure tenant isolation
     }).populate('userId', 'email role');
 
     if (!call) {
@@ -93,11 +119,11 @@ router.get('/:id', authenticate, requireTenant, async (req, res, next) => {
  * GET /api/calls/:id/status
  * Get real-time call status from Ultravox
  */
-router.get('/:id/status', authenticate, requireTenant, async (req, res, next) => {
+router.get('/:id/status', authenticate, requireTenant, requireScope('calls:read'), requirePermission('calls.view'), async (req, res, next) => {
   try {
     const call = await Call.findOne({
       _id: req.params.id,
-      tenantId: req.tenantId
+      ...(await visibleCallsQuery(req))
     });
 
     if (!call) {
@@ -117,7 +143,7 @@ router.get('/:id/status', authenticate, requireTenant, async (req, res, next) =>
         data: status
       });
 
-      if (status.duration) call.duration = status.duration;
+      if (status.duration != null) call.duration = status.duration;
       if (status.recordingUrl) call.recordingUrl = status.recordingUrl;
 
       await call.save();
@@ -127,6 +153,7 @@ router.get('/:id/status', authenticate, requireTenant, async (req, res, next) =>
         await logAudit({
           tenantId: req.tenantId,
           userId: req.userId,
+          apiKeyId: req.apiKey?._id,
           action: 'call.completed',
           details: { callId: call._id, duration: status.duration },
           ip: req.ip,
@@ -151,11 +178,11 @@ router.get('/:id/status', authenticate, requireTenant, async (req, res, next) =>
  * GET /api/calls/:id/transcript
  * Get call transcript
  */
-router.get('/:id/transcript', authenticate, requireTenant, async (req, res, next) => {
+router.get('/:id/transcript', authenticate, requireTenant, requireScope('calls:read'), requirePermission('calls.view'), async (req, res, next) => {
   try {
     const call = await Call.findOne({
       _id: req.params.id,
-      tenantId: req.tenantId
+      ...(await visibleCallsQuery(req))
     });
 
     if (!call) {
@@ -2,8 +2,10 @@ import express from 'express';
 import Call from '../models/Call.js';
 import User from '../models/User.js';
 import AuditLog from '../models/AuditLog.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission, requireScope, getPermissions } from '../middleware/auth.js';
 import { requireTenant } from '../middleware/tenant.js';
+import { getPlan } from '../utils/plans.js';
+import { getUsage, currentPeriod } from '../utils/quotas.js';
 
 const router = express.Router();
 
@@ -11,22 +13,22 @@ const router = express.Router();
  * GET /api/dashboard/metrics
  * Get dashboard metrics
  */
-router.get('/metrics', authenticate, requireTenant, async (req, res, next) => {
+router.get('/metrics', authenticate, requireTenant, requireScope('dashboard:read'), requirePermission('calls.view'), async (req, res, next) => {
   try {
-    const isAdmin = req.user.role === 'admin';
+    const permissions = await getPermissions(req);
 
     // Base query for tenant isolation
     const baseQuery = { tenantId: req.tenantId };
     
-    // Non-admins can only see their own data
-    const userQuery = isAdmin ? baseQuery : { ...baseQuery, userId: req.userId };
+    // Without calls.view_all users only see their own data
+    const userQuery = permissions.includes('calls.view_all') ? baseQuery : { ...baseQuery, userId: req.userId };
 
     // Get metrics
     const [totalCalls, completedCalls, activeCalls, totalUsers] = await Promise.all([
       Call.countDocuments(userQuery),
       Call.countDocuments({ ...userQuery, status: 'completed' }),
       Call.countDocuments({ ...userQuery, status: { $in: ['queued', 'ringing', 'in_progress'] } }),
-      isAdmin ? User.countDocuments(baseQuery) : Promise.resolve(null)
+      permissions.includes('users.manage') ? User.countDocuments(baseQuery) : Promise.resolve(null)
     ]);
 
     // Get recent activity
@@ -64,16 +66,37 @@ router.get('/metrics', authenticate, requireTenant, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/dashboard/usage
+ * The tenant's plan and its usage this month against each of the plan's limits
+ */
+router.get('/usage', authenticate, requireTenant, requireScope('dashboard:read'), requirePermission('calls.view'), async (req, res, next) => {
+  try {
+    const plan = getPlan(req.tenant);
+    const usage = await getUsage(req.tenant);
+
+    res.json({
+      plan: { key: plan.key, name: plan.name },
+      limits: plan.limits,
+      usage,
+      period: currentPeriod()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/dashboard/audit-logs
- * Get audit logs (admin only)
+ * Get audit logs (audit.view)
  */
-router.get('/audit-logs', authenticate, requireTenant, requireAdmin, async (req, res, next) => {
+router.get('/audit-logs', authenticate, requireTenant, requirePermission('audit.view'), async (req, res, next) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     
     const logs = await AuditLog.find({ tenantId: req.tenantId })
       .populate('userId', 'email role')
+      .populate('apiKeyId', 'name prefix')
       .sort({ timestamp: -1 })
       .limit(limit);
 
@@ -85,12 +108,12 @@ router.get('/audit-logs', authenticate, requireTenant, requireAdmin, async (req,
 
 /**
  * GET /api/dashboard/users
- * Get all users (admin only)
+ * Get all users with their email verification status (users.manage)
  */
-router.get('/users', authenticate, requireTenant, requireAdmin, async (req, res, next) => {
+router.get('/users', authenticate, requireTenant, requirePermission('users.manage'), async (req, res, next) => {
   try {
     const users = await User.find({ tenantId: req.tenantId })
-      .select('-password')
+      .select('email role isActive emailVerified emailVerifiedAt createdAt')
       .sort({ createdAt: -1 });
 
     res.json(users);
@@ -103,11 +126,11 @@ router.get('/users', authenticate, requireTenant, requireAdmin, async (req, res,
  * GET /api/dashboard/stats
  * Get real-time statistics
  */
-router.get('/stats', authenticate, requireTenant, async (req, res, next) => {
+router.get('/stats', authenticate, requireTenant, requireScope('dashboard:read'), requirePermission('calls.view'), async (req, res, next) => {
   try {
-    const isAdmin = req.user.role === 'admin';
+    const permissions = await getPermissions(req);
     const baseQuery = { tenantId: req.tenantId };
-    const userQuery = isAdmin ? baseQuery : { ...baseQuery, userId: req.userId };
+    const userQuery = permissions.includes('calls.view_all') ? baseQuery : { ...baseQuery, userId: req.userId };
 
     // Get call status breakdown
     const statusBreakdown = await Call.aggregate([
@@ -0,0 +1,214 @@
+import express from 'express';
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import { authenticate, requirePermission, canAssignRole } from '../middleware/auth.js';
+import { requireTenant } from '../middleware/tenant.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { takeSeat } from '../utils/quotas.js';
+import { sendInvitationEmail, buildAppUrl } from '../services/email.js';
+
+const router = express.Router();
+
+// Inviting people is part of managing users
+router.use(authenticate, requireTenant, requirePermission('users.manage'));
+
+/**
+ * Email the invite link for a freshly issued token
+ */
+const deliverInvitation = async (req, invitation, token) => {
+  const role = await Role.findAssignable(req.tenantId, invitation.role);
+
+  await sendInvitationEmail({
+    to: invitation.email,
+    tenantName: req.tenant.name,
+    inviterEmail: req.user.email,
+    roleName: role?.name || invitation.role,
+    acceptUrl: buildAppUrl('/accept-invite', { token }),
+    expiresInDays: Invitation.INVITATION_TTL_DAYS
+  });
+};
+
+/**
+ * GET /api/invitations
+ * List invitations for the tenant
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = { tenantId: req.tenantId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'email')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json(invitations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/invitations
+ * Invite a teammate by email with a role. Refused with QUOTA_EXCEEDED when the
+ * plan's seats are all taken by active users and pending invitations.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const email = req.body.email?.toLowerCase().trim();
+    const role = req.body.role || 'user';
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (!(await Role.findAssignable(req.tenantId, role))) {
+      return res.status(400).json({ error: `Role ${role} does not exist` });
+    }
+
+    if (!(await canAssignRole(req, role))) {
+      return res.status(403).json({ error: 'You cannot invite someone to a role with permissions you do not have' });
+    }
+
+    const existingUser = await User.findOne({ tenantId: req.tenantId, email });
+    if (existingUser) {
+      return res.status(400).json({ error: 'This person is already a member of your tenant' });
+    }
+
+    const existingInvite = await Invitation.findOne({ tenantId: req.tenantId, email, status: 'pending' });
+    if (existingInvite && !existingInvite.isExpired()) {
+      return res.status(400).json({ error: 'An invitation is already pending for this email. Resend it instead.' });
+    }
+
+    // Pending invitations hold a seat, so each of them can still be accepted
+    const { error: quotaError, result: { invitation, token } = {} } = await takeSeat(req.tenant, async () => {
+      // An expired invite is replaced rather than left pending forever
+      if (existingInvite) {
+        existingInvite.status = 'revoked';
+        existingInvite.revokedAt = new Date();
+        await existingInvite.save();
+      }
+
+      const invitation = new Invitation({
+        tenantId: req.tenantId,
+        email,
+        role,
+        invitedBy: req.userId
+      });
+      const token = invitation.issueToken();
+      await invitation.save();
+      return { invitation, token };
+    }, { includeInvitations: true });
+    if (quotaError) {
+      return res.status(403).json(quotaError);
+    }
+
+    try {
+      await deliverInvitation(req, invitation, token);
+    } catch (emailError) {
+      console.error('❌ Failed to send invitation email:', emailError.message);
+    }
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'user.invited',
+      details: { invitationId: invitation._id, email, role },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(201).json(invitation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/invitations/:id/resend
+ * Send a new link (the previous one stops working) and extend the expiry. An
+ * expired invitation no longer holds a seat, so renewing it needs one free.
+ */
+router.post('/:id/resend', async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ error: `Invitation is already ${invitation.status}` });
+    }
+
+    const reissue = async () => {
+      const token = invitation.issueToken();
+      await invitation.save();
+      return token;
+    };
+
+    const { error: quotaError, result: token } = invitation.isExpired()
+      ? await takeSeat(req.tenant, reissue, { includeInvitations: true })
+      : { result: await reissue() };
+    if (quotaError) {
+      return res.status(403).json(quotaError);
+    }
+
+    try {
+      await deliverInvitation(req, invitation, token);
+    } catch (emailError) {
+      console.error('❌ Failed to resend invitation email:', emailError.message);
+    }
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'invite.resent',
+      details: { invitationId: invitation._id, email: invitation.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(invitation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/invitations/:id
+ * Revoke a pending invitation
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ error: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'invite.revoked',
+      details: { invitationId: invitation._id, email: invitation.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(invitation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
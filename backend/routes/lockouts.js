@@ -0,0 +1,71 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { requireTenant } from '../middleware/tenant.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { getAccountThrottleState, clearAccountLockout } from '../utils/loginThrottle.js';
+
+const router = express.Router();
+
+// Unlocking accounts is part of managing users
+router.use(authenticate, requireTenant, requirePermission('users.manage'));
+
+/**
+ * GET /api/lockouts
+ * List tenant accounts that are locked out or have recent failed logins
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const users = await User.find({ tenantId: req.tenantId }).select('email role isActive');
+
+    const states = await Promise.all(users.map(user => getAccountThrottleState(user._id)));
+
+    const lockouts = users
+      .map((user, index) => ({
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        failedAttempts: states[index].failures,
+        locked: !!states[index].lockout,
+        lockedAt: states[index].lockout?.lockedAt || null,
+        lockedUntil: states[index].lockout?.lockedUntil || null
+      }))
+      .filter(entry => entry.locked || entry.failedAttempts > 0)
+      .sort((a, b) => Number(b.locked) - Number(a.locked) || b.failedAttempts - a.failedAttempts);
+
+    res.json(lockouts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/lockouts/:userId
+ * Unlock an account and reset its failed login count
+ */
+router.delete('/:userId', async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.userId, tenantId: req.tenantId });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const wasLocked = await clearAccountLockout(user._id);
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'user.lockout_cleared',
+      details: { targetUserId: user._id, email: user.email, wasLocked },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Lockout cleared', userId: user._id, wasLocked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,170 @@
+import express from 'express';
+import QRCode from 'qrcode';
+import Tenant from '../models/Tenant.js';
+import { authenticateAllowUnverified, forbidImpersonation } from '../middleware/auth.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUrl } from '../utils/totp.js';
+
+const router = express.Router();
+
+// Enrollment must stay reachable for users whose tenant forces MFA
+router.use(authenticateAllowUnverified, forbidImpersonation);
+
+/**
+ * POST /api/auth/mfa/setup
+ * Start TOTP enrollment: generate a secret and its provisioning QR code
+ */
+router.post('/setup', async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.mfa?.enabled) {
+      return res.status(400).json({ error: 'MFA is already enabled' });
+    }
+
+    const tenant = await Tenant.findById(user.tenantId);
+    const secret = generateTotpSecret();
+    const otpauthUrl = buildOtpauthUrl({
+      secret,
+      accountName: user.email,
+      issuer: tenant?.name || 'Voho SaaS'
+    });
+
+    user.mfa.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enable
+ * Confirm enrollment with a code from the authenticator app
+ */
+router.post('/enable', async (req, res, next) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (user.mfa?.enabled) {
+      return res.status(400).json({ error: 'MFA is already enabled' });
+    }
+
+    if (!user.mfa?.pendingSecret) {
+      return res.status(400).json({ error: 'Start MFA setup first' });
+    }
+
+    const step = verifyTotp(user.mfa.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    user.mfa.enabled = true;
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enrolledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await logAudit({
+      tenantId: user.tenantId,
+      userId: user._id,
+      action: 'user.mfa_enabled',
+      details: { email: user.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ user: user.toJSON(), recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn MFA off (requires password and a current code)
+ */
+router.post('/disable', async (req, res, next) => {
+  try {
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({ error: 'MFA is not enabled' });
+    }
+
+    const tenant = await Tenant.findById(user.tenantId);
+    if (tenant?.security?.mfaRequired) {
+      return res.status(403).json({ error: 'Your organization requires MFA' });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (!user.consumeMfaCode({ code, recoveryCode })) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    user.mfa = { enabled: false, recoveryCodes: [] };
+    await user.save();
+
+    await logAudit({
+      tenantId: user.tenantId,
+      userId: user._id,
+      action: 'user.mfa_disabled',
+      details: { email: user.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ user: user.toJSON() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace all recovery codes (requires a current code)
+ */
+router.post('/recovery-codes', async (req, res, next) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({ error: 'MFA is not enabled' });
+    }
+
+    if (!user.consumeMfaCode({ code })) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await logAudit({
+      tenantId: user.tenantId,
+      userId: user._id,
+      action: 'user.mfa_recovery_regenerated',
+      details: { email: user.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ user: user.toJSON(), recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
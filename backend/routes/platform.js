@@ -0,0 +1,505 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PlatformAdmin from '../models/PlatformAdmin.js';
+import PlatformAuditLog from '../models/PlatformAuditLog.js';
+import Tenant from '../models/Tenant.js';
+import User from '../models/User.js';
+import Call from '../models/Call.js';
+import ApiKey from '../models/ApiKey.js';
+import Impersonation from '../models/Impersonation.js';
+import { generatePlatformToken } from '../utils/jwt.js';
+import { revokeAccessToken } from '../utils/tokenStore.js';
+import { logAudit, logPlatformAudit } from '../utils/auditLogger.js';
+import { invalidateTenant } from '../utils/tenantCache.js';
+import { PLANS, PLAN_KEYS, getPlan } from '../utils/plans.js';
+import { getUsage } from '../utils/quotas.js';
+import { changeTenantStatus, STATUS_ACTIONS } from '../utils/tenantLifecycle.js';
+import { getIpLockout, recordIpFailure, lockoutRetryAfter } from '../utils/loginThrottle.js';
+import { authenticatePlatform } from '../middleware/platformAuth.js';
+import { serializeTenant as serializeLoginTenant } from '../utils/authResponse.js';
+import {
+  startImpersonation,
+  endImpersonation,
+  DEFAULT_IMPERSONATION_MINUTES,
+  MAX_IMPERSONATION_MINUTES
+} from '../utils/impersonation.js';
+
+/**
+ * Platform operator console. Mounted before tenantMiddleware: these routes work
+ * across every tenant and are never scoped to one.
+ */
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const audit = (req, action, { tenantId, details } = {}) => logPlatformAudit({
+  adminId: req.platformAdmin?._id,
+  tenantId,
+  action,
+  details,
+  ip: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+const serializeTenant = (tenant) => ({
+  id: tenant._id,
+  name: tenant.name,
+  subdomain: tenant.subdomain,
+  isActive: tenant.isActive,
+  plan: getPlan(tenant).key,
+  status: tenant.status,
+  statusReason: tenant.statusReason,
+  statusChangedAt: tenant.statusChangedAt,
+  statusChangedBy: tenant.statusChangedBy?.email || tenant.statusChangedBy?.kind,
+  deletionScheduledFor: tenant.deletionScheduledFor,
+  createdAt: tenant.createdAt
+});
+
+/**
+ * User and call counts for a set of tenants, keyed by tenant id
+ */
+const usageByTenant = async (tenantIds) => {
+  const since = new Date(Date.now() - 30 * DAY_MS);
+
+  const [users, calls] = await Promise.all([
+    User.aggregate([
+      { $match: { tenantId: { $in: tenantIds } } },
+      {
+        $group: {
+          _id: '$tenantId',
+          users: { $sum: 1 },
+          activeUsers: { $sum: { $cond: ['$isActive', 1, 0] } }
+        }
+      }
+    ]),
+    Call.aggregate([
+      { $match: { tenantId: { $in: tenantIds } } },
+      {
+        $group: {
+          _id: '$tenantId',
+          calls: { $sum: 1 },
+          callsLast30Days: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, 1, 0] } },
+          totalDuration: { $sum: { $ifNull: ['$duration', 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const usage = {};
+  for (const id of tenantIds) {
+    const userCounts = users.find(entry => entry._id.equals(id));
+    const callCounts = calls.find(entry => entry._id.equals(id));
+    usage[id] = {
+      users: userCounts?.users || 0,
+      activeUsers: userCounts?.activeUsers || 0,
+      calls: callCounts?.calls || 0,
+      callsLast30Days: callCounts?.callsLast30Days || 0,
+      totalDuration: callCounts?.totalDuration || 0
+    };
+  }
+  return usage;
+};
+
+const findTenant = async (id) => (mongoose.isValidObjectId(id) ? Tenant.findById(id) : null);
+
+/**
+ * POST /api/platform/auth/login
+ * Sign in as a platform operator
+ */
+router.post('/auth/login', async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const ipLockout = await getIpLockout(req.ip);
+    if (ipLockout) {
+      const retryAfter = lockoutRetryAfter(ipLockout);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed login attempts. Try again later.', retryAfter });
+    }
+
+    const admin = await PlatformAdmin.findOne({ email: email.toLowerCase().trim() });
+
+    if (!admin || !admin.isActive || !await admin.comparePassword(password)) {
+      await recordIpFailure(req.ip);
+      await logPlatformAudit({
+        adminId: admin?._id,
+        action: 'platform.failed_login',
+        details: { email },
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    req.platformAdmin = admin;
+    await audit(req, 'platform.login', { details: { email: admin.email } });
+
+    console.log('🛠️ Platform admin signed in:', admin.email);
+
+    res.json({ token: generatePlatformToken(admin._id), admin: admin.toJSON() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use(authenticatePlatform);
+
+/**
+ * POST /api/platform/auth/logout
+ * Revoke the current platform token
+ */
+router.post('/auth/logout', async (req, res, next) => {
+  try {
+    await revokeAccessToken(req.token.jti, req.token.exp);
+    await audit(req, 'platform.logout');
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/platform/auth/me
+ * The signed-in platform operator
+ */
+router.get('/auth/me', (req, res) => {
+  res.json({ admin: req.platformAdmin.toJSON() });
+});
+
+/**
+ * GET /api/platform/tenants
+ * List tenants with user and call counts. Query: search (name or subdomain),
+ * status (active | inactive), page, limit.
+ */
+router.get('/tenants', async (req, res, next) => {
+  try {
+    const search = req.query.search?.trim();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { subdomain: pattern }];
+    }
+    if (Tenant.STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const [tenants, total] = await Promise.all([
+      Tenant.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Tenant.countDocuments(query)
+    ]);
+
+    const usage = await usageByTenant(tenants.map(tenant => tenant._id));
+
+    await audit(req, 'tenant.listed', { details: { search, status: req.query.status, page } });
+
+    res.json({
+      tenants: tenants.map(tenant => ({ ...serializeTenant(tenant), usage: usage[tenant._id] })),
+      total,
+      page,
+      limit
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/platform/tenants/:id
+ * Tenant details with usage, including usage against the plan's limits this month
+ */
+router.get('/tenants/:id', async (req, res, next) => {
+  try {
+    const tenant = await findTenant(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const [usage, quotaUsage, admins, activeApiKeys] = await Promise.all([
+      usageByTenant([tenant._id]),
+      getUsage(tenant),
+      User.find({ tenantId: tenant._id, role: 'admin' }).select('email isActive'),
+      ApiKey.countDocuments({ tenantId: tenant._id, revokedAt: null })
+    ]);
+
+    await audit(req, 'tenant.viewed', { tenantId: tenant._id, details: { subdomain: tenant.subdomain } });
+
+    res.json({
+      ...serializeTenant(tenant),
+      usage: { ...usage[tenant._id], activeApiKeys },
+      quota: { limits: getPlan(tenant).limits, usage: quotaUsage },
+      admins: admins.map(admin => ({ id: admin._id, email: admin.email, isActive: admin.isActive })),
+      security: {
+        mfaRequired: !!tenant.security?.mfaRequired,
+        ssoEnabled: !!tenant.sso?.enabled,
+        scimEnabled: !!tenant.scim?.tokenPrefix
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/platform/tenants/:id/status
+ * Move a tenant through its lifecycle: suspend, reactivate or close it.
+ * Body: status ('active', 'suspended' or 'pending_deletion'), reason (required
+ * unless reactivating). Closing starts the grace period before the data is purged.
+ */
+router.patch('/tenants/:id/status', async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    const reason = req.body.reason?.trim();
+
+    if (!Object.keys(STATUS_ACTIONS).includes(status)) {
+      return res.status(400).json({ error: 'status must be active, suspended or pending_deletion' });
+    }
+
+    if (status !== 'active' && !reason) {
+      return res.status(400).json({ error: 'A reason is required to suspend or close a tenant' });
+    }
+
+    const tenant = await findTenant(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    if (!tenant.canTransitionTo(status)) {
+      return res.status(400).json({ error: `A ${tenant.status.replace('_', ' ')} tenant cannot be changed to ${status.replace('_', ' ')}` });
+    }
+
+    const previousStatus = tenant.status;
+
+    await changeTenantStatus(tenant, status, {
+      reason,
+      actor: { kind: 'platform_admin', id: req.platformAdmin._id, email: req.platformAdmin.email },
+      req
+    });
+
+    await audit(req, STATUS_ACTIONS[status], {
+      tenantId: tenant._id,
+      details: { subdomain: tenant.subdomain, previousStatus, reason, deletionScheduledFor: tenant.deletionScheduledFor }
+    });
+
+    res.json(serializeTenant(tenant));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/platform/tenants/:id/plan
+ * Move a tenant to another plan. Body: plan ('free', 'pro', 'enterprise' or 'legacy').
+ * Usage already over a lower plan's limits is kept; only new calls and seats are refused.
+ */
+router.patch('/tenants/:id/plan', async (req, res, next) => {
+  try {
+    const { plan } = req.body;
+
+    if (!PLAN_KEYS.includes(plan)) {
+      return res.status(400).json({ error: `plan must be one of: ${PLAN_KEYS.join(', ')}` });
+    }
+
+    const tenant = await findTenant(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const previousPlan = getPlan(tenant).key;
+    if (previousPlan === plan) {
+      return res.status(400).json({ error: `The tenant is already on the ${PLANS[plan].name} plan` });
+    }
+
+    tenant.plan = plan;
+    tenant.planChangedAt = new Date();
+    await tenant.save();
+    await invalidateTenant(tenant);
+
+    const details = { subdomain: tenant.subdomain, previousPlan, plan };
+
+    await logAudit({
+      tenantId: tenant._id,
+      action: 'tenant.plan_changed',
+      details: { ...details, by: req.platformAdmin.email, byPlatformAdmin: true },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    await audit(req, 'tenant.plan_changed', { tenantId: tenant._id, details });
+
+    console.log(`💳 Tenant ${tenant.subdomain}: plan ${previousPlan} -> ${plan}`);
+
+    res.json(serializeTenant(tenant));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/platform/tenants/:id/users
+ * A tenant's users, to pick one to impersonate
+ */
+router.get('/tenants/:id/users', async (req, res, next) => {
+  try {
+    const tenant = await findTenant(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const users = await User.find({ tenantId: tenant._id }).select('email role isActive').sort({ email: 1 });
+
+    await audit(req, 'tenant.users_viewed', { tenantId: tenant._id, details: { subdomain: tenant.subdomain } });
+
+    res.json(users.map(user => ({ id: user._id, email: user.email, role: user.role, isActive: user.isActive })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/platform/tenants/:id/impersonate
+ * Start a time-boxed support session as one of the tenant's users.
+ * Body: userId, reason, durationMinutes (default 30, max 120).
+ */
+router.post('/tenants/:id/impersonate', async (req, res, next) => {
+  try {
+    const reason = req.body.reason?.trim();
+    const minutes = req.body.durationMinutes === undefined
+      ? DEFAULT_IMPERSONATION_MINUTES
+      : Number(req.body.durationMinutes);
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to impersonate a user' });
+    }
+
+    if (!Number.isInteger(minutes) || minutes < 5 || minutes > MAX_IMPERSONATION_MINUTES) {
+      return res.status(400).json({ error: `durationMinutes must be between 5 and ${MAX_IMPERSONATION_MINUTES}` });
+    }
+
+    const tenant = await findTenant(req.params.id);
+
+    if (!tenant || !tenant.isActive) {
+      return res.status(404).json({ error: 'Active tenant not found' });
+    }
+
+    const user = mongoose.isValidObjectId(req.body.userId)
+      ? await User.findOne({ _id: req.body.userId, tenantId: tenant._id, isActive: true })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ error: 'Active user not found in this tenant' });
+    }
+
+    // Impersonation cannot verify email or enroll MFA on the user's behalf
+    if (!user.emailVerified || (tenant.security?.mfaRequired && !user.mfa?.enabled)) {
+      return res.status(409).json({ error: 'User has not finished account setup' });
+    }
+
+    const { token, impersonation } = await startImpersonation({
+      admin: req.platformAdmin,
+      user,
+      reason,
+      minutes,
+      req
+    });
+
+    res.status(201).json({
+      token,
+      impersonation: {
+        id: impersonation._id,
+        reason,
+        expiresAt: impersonation.expiresAt,
+        adminEmail: req.platformAdmin.email
+      },
+      user: user.toJSON(),
+      tenant: serializeLoginTenant(tenant)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/platform/impersonations
+ * Impersonation sessions that are still running
+ */
+router.get('/impersonations', async (req, res, next) => {
+  try {
+    const impersonations = await Impersonation.find({ endedAt: null, expiresAt: { $gt: new Date() } })
+      .populate('adminId', 'email')
+      .populate('tenantId', 'name subdomain')
+      .populate('userId', 'email')
+      .sort({ createdAt: -1 });
+
+    res.json(impersonations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/platform/impersonations/:id/end
+ * End an impersonation session from the console
+ */
+router.post('/impersonations/:id/end', async (req, res, next) => {
+  try {
+    const impersonation = mongoose.isValidObjectId(req.params.id)
+      ? await endImpersonation(req.params.id, { reason: 'ended', req })
+      : null;
+
+    if (!impersonation) {
+      return res.status(404).json({ error: 'Active impersonation not found' });
+    }
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/platform/audit-logs
+ * The platform audit trail, newest first. Query: tenantId, limit.
+ */
+router.get('/audit-logs', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = {};
+
+    if (req.query.tenantId) {
+      if (!mongoose.isValidObjectId(req.query.tenantId)) {
+        return res.status(400).json({ error: 'Invalid tenantId' });
+      }
+      query.tenantId = req.query.tenantId;
+    }
+
+    const logs = await PlatformAuditLog.find(query)
+      .populate('adminId', 'email')
+      .populate('tenantId', 'name subdomain')
+      .sort({ timestamp: -1 })
+      .limit(limit);
+
+    await audit(req, 'audit.viewed', { tenantId: query.tenantId, details: { limit } });
+
+    res.json(logs);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,222 @@
+import express from 'express';
+import User from '../models/User.js';
+import Tenant from '../models/Tenant.js';
+import AuditLog from '../models/AuditLog.js';
+import Session from '../models/Session.js';
+import { authenticateAllowUnverified, forbidImpersonation } from '../middleware/auth.js';
+import { issueAuthTokens } from '../utils/jwt.js';
+import { revokeAllUserTokens } from '../utils/tokenStore.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { sendEmailChangeEmail, buildAppUrl } from '../services/email.js';
+
+const router = express.Router();
+
+// Unverified users can use their profile too, e.g. to fix a mistyped email
+router.use(authenticateAllowUnverified);
+
+// Minimum time between email change links for the same user
+const EMAIL_CHANGE_INTERVAL_MS = 60 * 1000;
+
+// Audit actions shown as the user's login history
+const LOGIN_HISTORY_ACTIONS = [
+  'user.login',
+  'user.logout',
+  'user.failed_login',
+  'user.locked_out',
+  'user.mfa_failed',
+  'user.mfa_recovery_used',
+  'session.expired'
+];
+
+/**
+ * How a login audit entry signed in: 'sso', 'invitation', 'password' or 'password + MFA'
+ */
+const loginMethod = (details = {}) => {
+  if (details.method) return details.method;
+  if (details.via) return details.via;
+  return details.mfa ? 'password + MFA' : 'password';
+};
+
+/**
+ * Sign out everywhere except the current session, which gets fresh tokens
+ * because the user-wide revocation also covers the tokens it was using
+ */
+const revokeOtherSessions = async (req) => {
+  await revokeAllUserTokens(req.userId, { exceptSessionId: req.token.sid });
+  return await issueAuthTokens(req.userId, req.user.tenantId, req, req.token.sid);
+};
+
+/**
+ * GET /api/profile
+ * The current user's account
+ */
+router.get('/', (req, res) => {
+  res.json({ user: req.user.toJSON() });
+});
+
+/**
+ * PUT /api/profile/password
+ * Change your password (requires the current one); other sessions are signed out
+ */
+router.put('/password', forbidImpersonation, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!await user.comparePassword(currentPassword)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const tokens = await revokeOtherSessions(req);
+
+    await logAudit({
+      tenantId: user.tenantId,
+      userId: user._id,
+      action: 'user.password_changed',
+      details: { email: user.email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    console.log('🔑 Password changed for user:', user.email);
+
+    res.json({ message: 'Password changed. Other sessions have been signed out.', ...tokens });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/profile/email
+ * Request an email change (requires the current password). The new address
+ * only replaces the old one after it is verified from the emailed link.
+ */
+router.put('/email', forbidImpersonation, async (req, res, next) => {
+  try {
+    const { currentPassword } = req.body;
+    const email = req.body.email?.toLowerCase().trim();
+
+    if (!email || !currentPassword) {
+      return res.status(400).json({ error: 'New email and current password are required' });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (user.scim?.provisionedAt) {
+      return res.status(400).json({ error: 'Your email is managed by your organization\'s directory' });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ error: 'This is already your email' });
+    }
+
+    if (!await user.comparePassword(currentPassword)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const lastSentAt = user.emailVerificationSentAt?.getTime() || 0;
+    if (Date.now() - lastSentAt < EMAIL_CHANGE_INTERVAL_MS) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+    }
+
+    if (await User.exists({ tenantId: user.tenantId, email })) {
+      return res.status(400).json({ error: 'Another account already uses this email' });
+    }
+
+    user.pendingEmail = email;
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    const tenant = await Tenant.findById(user.tenantId);
+    await sendEmailChangeEmail({
+      to: email,
+      tenantName: tenant.name,
+      verifyUrl: buildAppUrl('/verify-email', { token: verificationToken }),
+      expiresInHours: User.EMAIL_VERIFICATION_TTL_HOURS
+    });
+
+    const tokens = await revokeOtherSessions(req);
+
+    await logAudit({
+      tenantId: user.tenantId,
+      userId: user._id,
+      action: 'user.email_change_requested',
+      details: { from: user.email, to: email },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: `We sent a confirmation link to ${email}. Your email changes once you click it.`,
+      user: user.toJSON(),
+      ...tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/profile/email
+ * Cancel a pending email change
+ */
+router.delete('/email', forbidImpersonation, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user.pendingEmail) {
+      return res.status(400).json({ error: 'There is no pending email change' });
+    }
+
+    user.pendingEmail = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email change cancelled', user: user.toJSON() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/profile/login-history
+ * Your recent sign-ins, sign-outs and failed attempts
+ */
+router.get('/login-history', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const entries = await AuditLog.find({
+      tenantId: req.user.tenantId,
+      userId: req.userId,
+      action: { $in: LOGIN_HISTORY_ACTIONS }
+    })
+      .sort({ timestamp: -1 })
+      .limit(limit);
+
+    res.json(entries.map(entry => ({
+      id: entry._id,
+      action: entry.action,
+      ...(entry.action === 'user.login' && { method: loginMethod(entry.details) }),
+      device: Session.describeDevice(entry.userAgent),
+      ip: entry.ip,
+      timestamp: entry.timestamp
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,223 @@
+import express from 'express';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import Tenant from '../models/Tenant.js';
+import { authenticate, requirePermission, getPermissions } from '../middleware/auth.js';
+import { requireTenant } from '../middleware/tenant.js';
+import { logAudit } from '../utils/auditLogger.js';
+
+const router = express.Router();
+
+router.use(authenticate, requireTenant);
+
+const toKey = (name) => name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Validate a permission list from the request body.
+ * Returns { permissions } or { error }. Nobody can add a permission they do not have themselves.
+ */
+const readPermissions = async (req, current = []) => {
+  const permissions = [...new Set(req.body.permissions || [])];
+
+  const unknown = permissions.filter(permission => !Role.PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return { error: `Unknown permissions: ${unknown.join(', ')}` };
+  }
+
+  const granted = await getPermissions(req);
+  const notHeld = permissions.filter(permission => !granted.includes(permission) && !current.includes(permission));
+  if (notHeld.length > 0) {
+    return { error: `You cannot grant permissions you do not have: ${notHeld.join(', ')}` };
+  }
+
+  return { permissions };
+};
+
+/**
+ * GET /api/roles/permissions
+ * The permission catalog and the current user's own permissions
+ */
+router.get('/permissions', async (req, res, next) => {
+  try {
+    res.json({
+      permissions: Object.entries(Role.PERMISSIONS).map(([key, description]) => ({ key, description })),
+      granted: await getPermissions(req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/roles
+ * List the tenant's roles with how many users have each (any member, for role pickers)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    await Role.ensureDefaultRoles(req.tenantId);
+
+    const [roles, counts] = await Promise.all([
+      Role.find({ tenantId: req.tenantId }).sort({ builtIn: -1, name: 1 }),
+      User.aggregate([
+        { $match: { tenantId: req.tenantId } },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json(roles.map(role => ({
+      ...role.toJSON(),
+      // The admin role always has every permission, including ones added later
+      permissions: role.key === 'admin' ? Object.keys(Role.PERMISSIONS) : role.permissions,
+      userCount: counts.find(count => count._id === role.key)?.count || 0
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/roles
+ * Create a custom role from a name and permissions
+ */
+router.post('/', requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const name = req.body.name?.trim();
+    const key = name ? toKey(name) : '';
+
+    if (!name || !key) {
+      return res.status(400).json({ error: 'A role name is required' });
+    }
+
+    const { permissions, error } = await readPermissions(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (Role.DEFAULT_ROLES[key] || await Role.exists({ tenantId: req.tenantId, key })) {
+      return res.status(400).json({ error: 'A role with this name already exists' });
+    }
+
+    const role = await Role.create({
+      tenantId: req.tenantId,
+      key,
+      name,
+      description: req.body.description?.trim() || '',
+      permissions
+    });
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'role.created',
+      details: { roleId: role._id, key, name, permissions },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(201).json(role);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/roles/:key
+ * Rename a custom role or change a role's permissions (the admin role cannot be changed)
+ */
+router.put('/:key', requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    if (req.params.key === 'admin') {
+      return res.status(400).json({ error: 'The admin role always has every permission and cannot be changed' });
+    }
+
+    await Role.ensureDefaultRoles(req.tenantId);
+    const role = await Role.findOne({ tenantId: req.tenantId, key: req.params.key });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { permissions, error } = await readPermissions(req, role.permissions);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const changes = { permissions: { from: role.permissions, to: permissions } };
+    role.permissions = permissions;
+
+    // Built-in roles keep their names so they stay recognizable
+    if (!role.builtIn && req.body.name?.trim()) {
+      changes.name = { from: role.name, to: req.body.name.trim() };
+      role.name = req.body.name.trim();
+    }
+    if (req.body.description !== undefined) {
+      role.description = req.body.description?.trim() || '';
+    }
+    await role.save();
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'role.updated',
+      details: { roleId: role._id, key: role.key, changes },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(role);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/roles/:key
+ * Delete a custom role that nobody has (including pending invitations and SSO sign-ups)
+ */
+router.delete('/:key', requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ tenantId: req.tenantId, key: req.params.key });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (role.builtIn) {
+      return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    const [userCount, inviteCount, ssoDefault] = await Promise.all([
+      User.countDocuments({ tenantId: req.tenantId, role: role.key }),
+      Invitation.countDocuments({ tenantId: req.tenantId, role: role.key, status: 'pending' }),
+      Tenant.exists({ _id: req.tenantId, 'sso.defaultRole': role.key })
+    ]);
+
+    if (userCount > 0 || inviteCount > 0) {
+      return res.status(400).json({
+        error: `This role is still assigned to ${userCount} user(s) and ${inviteCount} pending invitation(s)`
+      });
+    }
+
+    if (ssoDefault) {
+      return res.status(400).json({ error: 'This role is the default role for SSO sign-ups' });
+    }
+
+    await role.deleteOne();
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: req.userId,
+      action: 'role.deleted',
+      details: { roleId: role._id, key: role.key, name: role.name },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ message: 'Role deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,685 @@
+import express from 'express';
+import Tenant from '../models/Tenant.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { hashToken, generateSecureToken } from '../utils/tokens.js';
+import { revokeAllUserTokens } from '../utils/tokenStore.js';
+import { takeSeat } from '../utils/quotas.js';
+
+/**
+ * SCIM 2.0 provisioning (RFC 7643/7644) for a tenant's directory.
+ * Users map onto User email/role/isActive. Groups are the two roles:
+ * "Admins" (id "admin") and "Users" (id "user"); adding a member to Admins makes
+ * them an admin and removing one makes them a user. Everyone belongs to Users,
+ * so its membership changes no role. Deleting a user deactivates it so its
+ * history is kept.
+ */
+
+const router = express.Router();
+
+const USER_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:User';
+const GROUP_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:Group';
+const LIST_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:ListResponse';
+const ERROR_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:Error';
+const SERVICE_PROVIDER_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig';
+
+const GROUPS = { admin: 'Admins', user: 'Users' };
+const MAX_PAGE_SIZE = 200;
+// Only record last use once a minute so sync runs don't write on every request
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+class ScimError extends Error {
+  constructor(status, detail, scimType) {
+    super(detail);
+    this.status = status;
+    this.scimType = scimType;
+  }
+}
+
+// Directories send application/scim+json
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+
+/**
+ * Authenticate the directory with the tenant's SCIM bearer token
+ */
+router.use(async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace(/^Bearer /i, '');
+    if (!token) {
+      throw new ScimError(401, 'Authentication required');
+    }
+
+    const tenant = await Tenant.findOne({ 'scim.tokenHash': hashToken(token), isActive: true });
+    if (!tenant) {
+      throw new ScimError(401, 'Invalid SCIM token');
+    }
+
+    // A subdomain resolved by tenantMiddleware must agree with the token
+    if (req.tenantId && req.tenantId.toString() !== tenant._id.toString()) {
+      throw new ScimError(403, 'SCIM token does not belong to this tenant');
+    }
+
+    req.tenant = tenant;
+    req.tenantId = tenant._id;
+
+    if (!tenant.scim.lastUsedAt || Date.now() - tenant.scim.lastUsedAt.getTime() > TOKEN_TOUCH_INTERVAL_MS) {
+      Tenant.updateOne({ _id: tenant._id }, { 'scim.lastUsedAt': new Date() })
+        .catch(error => console.error('❌ Failed to record SCIM token use:', error.message));
+    }
+
+    res.type('application/scim+json');
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+const resourceUrl = (req, type, id) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${type}/${id}`;
+
+const toScimUser = (req, user) => ({
+  schemas: [USER_SCHEMA],
+  id: user._id.toString(),
+  ...(user.scim?.externalId && { externalId: user.scim.externalId }),
+  userName: user.email,
+  emails: [{ value: user.email, type: 'work', primary: true }],
+  active: user.isActive,
+  roles: [{ value: user.role, primary: true }],
+  // Custom roles have no SCIM group
+  groups: GROUPS[user.role] ? [{ value: user.role, display: GROUPS[user.role] }] : [],
+  meta: {
+    resourceType: 'User',
+    created: user.createdAt,
+    lastModified: user.updatedAt,
+    location: resourceUrl(req, 'Users', user._id)
+  }
+});
+
+const toScimGroup = (req, role, members) => ({
+  schemas: [GROUP_SCHEMA],
+  id: role,
+  displayName: GROUPS[role],
+  members: members.map(member => ({
+    value: member._id.toString(),
+    display: member.email,
+    $ref: resourceUrl(req, 'Users', member._id)
+  })),
+  meta: {
+    resourceType: 'Group',
+    location: resourceUrl(req, 'Groups', role)
+  }
+});
+
+const listResponse = (resources, totalResults, startIndex) => ({
+  schemas: [LIST_SCHEMA],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources
+});
+
+const parsePagination = (query) => {
+  const startIndex = Math.max(1, parseInt(query.startIndex, 10) || 1);
+  const count = Math.min(MAX_PAGE_SIZE, Math.max(0, parseInt(query.count, 10) || MAX_PAGE_SIZE));
+  return { startIndex, count };
+};
+
+// Only simple `attribute eq "value"` filters are supported (what directories use to look users up)
+const parseFilter = (filter) => {
+  if (!filter) return null;
+
+  const match = filter.match(/^\s*([\w.]+)\s+eq\s+"([^"]*)"\s*$/i);
+  if (!match) {
+    throw new ScimError(400, `Unsupported filter: ${filter}`, 'invalidFilter');
+  }
+
+  return { attribute: match[1].toLowerCase(), value: match[2] };
+};
+
+// Some directories send booleans as strings ("True"/"False")
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) {
+    return value.toLowerCase() === 'true';
+  }
+  throw new ScimError(400, `Invalid boolean value: ${value}`, 'invalidValue');
+};
+
+const parseEmail = (value) => {
+  const raw = Array.isArray(value)
+    ? (value.find(email => email.primary) || value[0])?.value
+    : (typeof value === 'object' ? value?.value : value);
+  const email = raw?.toLowerCase().trim();
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new ScimError(400, `Invalid email: ${raw}`, 'invalidValue');
+  }
+  return email;
+};
+
+const parseRole = (value) => {
+  const raw = Array.isArray(value)
+    ? (value.find(role => role.primary) || value[0])?.value
+    : (typeof value === 'object' ? value?.value : value);
+  const role = typeof raw === 'string' ? raw.trim() : '';
+
+  if (!role) {
+    throw new ScimError(400, 'Role must be a role key or name', 'invalidValue');
+  }
+  return role;
+};
+
+/**
+ * Find the tenant role a directory refers to, by key or (case-insensitively) by name;
+ * returns its key
+ */
+const resolveRole = async (tenantId, value) => {
+  const role = await Role.findAssignable(tenantId, value.toLowerCase())
+    || await Role.findOne({ tenantId, name: value }).collation({ locale: 'en', strength: 2 });
+
+  if (!role) {
+    const keys = new Set([...Object.keys(Role.DEFAULT_ROLES), ...await Role.find({ tenantId }).distinct('key')]);
+    throw new ScimError(400, `Role must be one of: ${[...keys].join(', ')}`, 'invalidValue');
+  }
+  return role.key;
+};
+
+/**
+ * Read the supported attributes of a full User resource (POST/PUT)
+ */
+const readUserResource = (body) => ({
+  email: parseEmail(body.userName || body.emails),
+  ...(body.active !== undefined && { active: parseBoolean(body.active) }),
+  ...(body.roles?.length && { role: parseRole(body.roles) }),
+  ...(body.externalId !== undefined && { externalId: body.externalId })
+});
+
+/**
+ * Turn PATCH operations into attribute changes. Attributes we do not store
+ * (name, displayName, ...) are ignored rather than rejected.
+ */
+const readPatchOperations = (body) => {
+  if (!Array.isArray(body.Operations)) {
+    throw new ScimError(400, 'Operations are required', 'invalidSyntax');
+  }
+
+  const changes = {};
+  const applyAttribute = (attribute, value, op) => {
+    const name = attribute.toLowerCase();
+
+    if (name === 'active') {
+      if (op === 'remove') throw new ScimError(400, 'active cannot be removed', 'mutability');
+      changes.active = parseBoolean(value);
+    } else if (name === 'username' || name === 'emails' || name.startsWith('emails[')) {
+      if (op === 'remove') throw new ScimError(400, 'userName cannot be removed', 'mutability');
+      changes.email = parseEmail(value);
+    } else if (name === 'roles' || name.startsWith('roles[')) {
+      changes.role = op === 'remove' ? 'user' : parseRole(value);
+    } else if (name === 'externalid') {
+      changes.externalId = op === 'remove' ? null : value;
+    }
+  };
+
+  for (const operation of body.Operations) {
+    const op = operation.op?.toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw new ScimError(400, `Unsupported operation: ${operation.op}`, 'invalidSyntax');
+    }
+
+    if (operation.path) {
+      applyAttribute(operation.path, operation.value, op);
+    } else if (op !== 'remove' && operation.value && typeof operation.value === 'object') {
+      Object.entries(operation.value).forEach(([attribute, value]) => applyAttribute(attribute, value, op));
+    } else {
+      throw new ScimError(400, 'A path is required for this operation', 'noTarget');
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Create or activate a user with create(), refusing once the tenant's plan has no seat left
+ */
+const withSeat = async (tenant, create) => {
+  const { error: quotaError, result } = await takeSeat(tenant, create);
+  if (quotaError) {
+    throw new ScimError(403, quotaError.message);
+  }
+  return result;
+};
+
+/**
+ * Apply attribute changes to a user; returns what changed as { field: { from, to } }
+ */
+const applyUserChanges = async (user, changes) => {
+  const diff = {};
+  const role = changes.role !== undefined ? await resolveRole(user.tenantId, changes.role) : undefined;
+
+  if (changes.email !== undefined && changes.email !== user.email) {
+    const existing = await User.findOne({ tenantId: user.tenantId, email: changes.email, _id: { $ne: user._id } });
+    if (existing) {
+      throw new ScimError(409, 'A user with this userName already exists', 'uniqueness');
+    }
+    diff.email = { from: user.email, to: changes.email };
+    user.email = changes.email;
+  }
+
+  if (role !== undefined && role !== user.role) {
+    diff.role = { from: user.role, to: role };
+    user.role = role;
+  }
+
+  if (changes.active !== undefined && changes.active !== user.isActive) {
+    diff.active = { from: user.isActive, to: changes.active };
+    user.isActive = changes.active;
+  }
+
+  const externalId = changes.externalId ?? undefined;
+  if (changes.externalId !== undefined && externalId !== user.scim?.externalId) {
+    diff.externalId = { from: user.scim?.externalId, to: externalId };
+    user.set('scim.externalId', externalId);
+  }
+
+  return diff;
+};
+
+/**
+ * Save a user changed through SCIM: activating takes a seat, demoting or deactivating
+ * must leave an active admin, and deactivated users are signed out
+ */
+const storeUserChanges = async (req, user, diff) => {
+  if (diff.active?.to === true) {
+    await withSeat(req.tenant, () => user.save());
+  } else if (diff.role?.from === 'admin' || diff.active?.to === false) {
+    if (!(await user.changeUnlessLastAdmin(() => user.save()))) {
+      throw new ScimError(400, 'The tenant must keep at least one active admin', 'mutability');
+    }
+  } else {
+    await user.save();
+  }
+
+  if (diff.active?.to === false) {
+    await revokeAllUserTokens(user._id);
+  }
+};
+
+/**
+ * Save a user changed through SCIM and audit the change
+ */
+const saveUserChanges = async (req, user, diff) => {
+  if (Object.keys(diff).length === 0) return;
+
+  await storeUserChanges(req, user, diff);
+
+  await logAudit({
+    tenantId: req.tenantId,
+    userId: user._id,
+    action: diff.active?.to === false ? 'scim.user_deactivated' : 'scim.user_updated',
+    details: { email: user.email, changes: diff },
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  console.log('🔄 SCIM user updated:', user.email, Object.keys(diff));
+};
+
+const findUser = async (req) => {
+  const user = req.params.id.match(/^[a-f\d]{24}$/i)
+    ? await User.findOne({ _id: req.params.id, tenantId: req.tenantId })
+    : null;
+
+  if (!user) {
+    throw new ScimError(404, `User ${req.params.id} not found`);
+  }
+  return user;
+};
+
+/**
+ * GET /api/scim/v2/ServiceProviderConfig
+ * Capabilities of this SCIM server
+ */
+router.get('/ServiceProviderConfig', (req, res) => {
+  res.json({
+    schemas: [SERVICE_PROVIDER_SCHEMA],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_PAGE_SIZE },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'Bearer token',
+      description: 'Tenant SCIM token generated in Settings'
+    }]
+  });
+});
+
+/**
+ * GET /api/scim/v2/Users
+ * List users, optionally filtered by userName, emails.value or externalId
+ */
+router.get('/Users', async (req, res, next) => {
+  try {
+    const { startIndex, count } = parsePagination(req.query);
+    const filter = parseFilter(req.query.filter);
+    const query = { tenantId: req.tenantId };
+
+    if (filter) {
+      if (filter.attribute === 'username' || filter.attribute === 'emails.value') {
+        query.email = filter.value.toLowerCase();
+      } else if (filter.attribute === 'externalid') {
+        query['scim.externalId'] = filter.value;
+      } else {
+        throw new ScimError(400, `Filtering on ${filter.attribute} is not supported`, 'invalidFilter');
+      }
+    }
+
+    const [totalResults, users] = await Promise.all([
+      User.countDocuments(query),
+      User.find(query).sort({ createdAt: 1 }).skip(startIndex - 1).limit(count)
+    ]);
+
+    res.json(listResponse(users.map(user => toScimUser(req, user)), totalResults, startIndex));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/scim/v2/Users/:id
+ */
+router.get('/Users/:id', async (req, res, next) => {
+  try {
+    res.json(toScimUser(req, await findUser(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/scim/v2/Users
+ * Provision a user. Directory-managed users sign in with SSO, so they get an unusable random password.
+ */
+router.post('/Users', async (req, res, next) => {
+  try {
+    const attributes = readUserResource(req.body);
+
+    const existing = await User.findOne({ tenantId: req.tenantId, email: attributes.email });
+    if (existing) {
+      throw new ScimError(409, 'A user with this userName already exists', 'uniqueness');
+    }
+
+    const role = attributes.role ? await resolveRole(req.tenantId, attributes.role) : 'user';
+    const createUser = () => User.create({
+      tenantId: req.tenantId,
+      email: attributes.email,
+      password: generateSecureToken(),
+      role,
+      isActive: attributes.active ?? true,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      scim: {
+        externalId: attributes.externalId,
+        provisionedAt: new Date()
+      }
+    });
+
+    // Only active users take a seat
+    const user = (attributes.active ?? true) ? await withSeat(req.tenant, createUser) : await createUser();
+
+    await logAudit({
+      tenantId: req.tenantId,
+      userId: user._id,
+      action: 'scim.user_created',
+      details: { email: user.email, role: user.role, active: user.isActive, externalId: attributes.externalId },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    console.log('👤 SCIM user provisioned:', user.email, 'tenant:', req.tenant.subdomain);
+
+    res.status(201).location(resourceUrl(req, 'Users', user._id)).json(toScimUser(req, user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/scim/v2/Users/:id
+ * Replace a user's attributes; the role only changes when roles is sent
+ */
+router.put('/Users/:id', async (req, res, next) => {
+  try {
+    const user = await findUser(req);
+    const attributes = readUserResource(req.body);
+
+    // Directories that do not sync roles leave out the attribute; the role set in the app stays
+    const diff = await applyUserChanges(user, {
+      email: attributes.email,
+      role: attributes.role,
+      active: attributes.active ?? true,
+      externalId: attributes.externalId ?? null
+    });
+    await saveUserChanges(req, user, diff);
+
+    res.json(toScimUser(req, user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/scim/v2/Users/:id
+ * Partially update a user (e.g. deactivate with active: false)
+ */
+router.patch('/Users/:id', async (req, res, next) => {
+  try {
+    const user = await findUser(req);
+    const diff = await applyUserChanges(user, readPatchOperations(req.body));
+    await saveUserChanges(req, user, diff);
+
+    res.json(toScimUser(req, user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/scim/v2/Users/:id
+ * Deprovision a user (deactivated, not removed)
+ */
+router.delete('/Users/:id', async (req, res, next) => {
+  try {
+    const user = await findUser(req);
+    const diff = await applyUserChanges(user, { active: false });
+    await saveUserChanges(req, user, diff);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+const findGroupRole = (id) => {
+  if (!GROUPS[id]) {
+    throw new ScimError(404, `Group ${id} not found`);
+  }
+  return id;
+};
+
+const loadGroup = async (req, role) => {
+  const members = await User.find({ tenantId: req.tenantId, role }).select('email').sort({ createdAt: 1 });
+  return toScimGroup(req, role, members);
+};
+
+/**
+ * Set the role of Admins members: adding makes them an admin, removing makes them a user.
+ * Everyone belongs to Users, so changing its members would only demote admins and
+ * custom roles; it changes nothing.
+ */
+const updateGroupMembers = async (req, role, { add = [], remove = [], replace = null }) => {
+  if (role !== 'admin') return;
+
+  const ids = (values) => values.map(member => member.value).filter(id => /^[a-f\d]{24}$/i.test(id || ''));
+  let toAdd = ids(add);
+  let toRemove = ids(remove);
+
+  if (replace) {
+    toAdd = ids(replace);
+    const current = await User.find({ tenantId: req.tenantId, role }).select('_id');
+    toRemove = current.map(user => user._id.toString()).filter(id => !toAdd.includes(id));
+  }
+
+  const added = [];
+  const removed = [];
+
+  for (const user of await User.find({ tenantId: req.tenantId, _id: { $in: toAdd }, role: { $ne: role } })) {
+    const diff = await applyUserChanges(user, { role });
+    await storeUserChanges(req, user, diff);
+    added.push({ email: user.email, changes: diff });
+  }
+
+  for (const user of await User.find({ tenantId: req.tenantId, _id: { $in: toRemove }, role })) {
+    const diff = await applyUserChanges(user, { role: 'user' });
+    await storeUserChanges(req, user, diff);
+    removed.push({ email: user.email, changes: diff });
+  }
+
+  if (added.length > 0 || removed.length > 0) {
+    await logAudit({
+      tenantId: req.tenantId,
+      action: 'scim.group_updated',
+      details: { group: GROUPS[role], added, removed },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    console.log('🔄 SCIM group updated:', GROUPS[role], { added: added.length, removed: removed.length });
+  }
+};
+
+/**
+ * GET /api/scim/v2/Groups
+ * List the role groups, optionally filtered by displayName
+ */
+router.get('/Groups', async (req, res, next) => {
+  try {
+    const filter = parseFilter(req.query.filter);
+    let roles = Object.keys(GROUPS);
+
+    if (filter) {
+      if (filter.attribute !== 'displayname') {
+        throw new ScimError(400, `Filtering on ${filter.attribute} is not supported`, 'invalidFilter');
+      }
+      roles = roles.filter(role => GROUPS[role].toLowerCase() === filter.value.toLowerCase());
+    }
+
+    const groups = await Promise.all(roles.map(role => loadGroup(req, role)));
+    res.json(listResponse(groups, groups.length, 1));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/scim/v2/Groups/:id
+ */
+router.get('/Groups/:id', async (req, res, next) => {
+  try {
+    res.json(await loadGroup(req, findGroupRole(req.params.id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/scim/v2/Groups
+ * Groups are fixed; pushing one of them reports it as existing
+ */
+router.post('/Groups', (req, res, next) => {
+  const exists = Object.values(GROUPS).some(name => name.toLowerCase() === req.body.displayName?.toLowerCase());
+  next(exists
+    ? new ScimError(409, `Group ${req.body.displayName} already exists`, 'uniqueness')
+    : new ScimError(400, `Only the ${Object.values(GROUPS).join(' and ')} groups are supported`, 'mutability'));
+});
+
+/**
+ * PUT /api/scim/v2/Groups/:id
+ * Replace a group's members
+ */
+router.put('/Groups/:id', async (req, res, next) => {
+  try {
+    const role = findGroupRole(req.params.id);
+    await updateGroupMembers(req, role, { replace: req.body.members || [] });
+    res.json(await loadGroup(req, role));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/scim/v2/Groups/:id
+ * Add or remove group members
+ */
+router.patch('/Groups/:id', async (req, res, next) => {
+  try {
+    const role = findGroupRole(req.params.id);
+
+    if (!Array.isArray(req.body.Operations)) {
+      throw new ScimError(400, 'Operations are required', 'invalidSyntax');
+    }
+
+    const changes = { add: [], remove: [], replace: null };
+    for (const operation of req.body.Operations) {
+      const op = operation.op?.toLowerCase();
+      const path = operation.path || '';
+      // e.g. members[value eq "64f..."]
+      const memberFilter = path.match(/^members\[value eq "([^"]+)"\]$/i);
+
+      if (op === 'add' && (path.toLowerCase() === 'members' || !path)) {
+        changes.add.push(...(operation.value?.members || operation.value || []));
+      } else if (op === 'remove' && memberFilter) {
+        changes.remove.push({ value: memberFilter[1] });
+      } else if (op === 'remove' && path.toLowerCase() === 'members') {
+        changes.remove.push(...(operation.value || []));
+      } else if (op === 'replace' && path.toLowerCase() === 'members') {
+        changes.replace = operation.value || [];
+      } else if (op === 'replace' && (!path || path.toLowerCase() === 'displayname')) {
+        // Renaming the built-in groups is ignored
+      } else {
+        throw new ScimError(400, `Unsupported group operation: ${operation.op} ${path}`, 'invalidSyntax');
+      }
+    }
+
+    await updateGroupMembers(req, role, changes);
+    res.json(await loadGroup(req, role));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/scim/v2/Groups/:id
+ */
+router.delete('/Groups/:id', (req, res, next) => {
+  next(new ScimError(400, 'Built-in groups cannot be deleted', 'mutability'));
+});
+
+// Errors in the SCIM error format (RFC 7644 section 3.12)
+router.use((error, req, res, next) => {
+  if (!(error instanceof ScimError)) {
+    console.error('❌ SCIM error:', error);
+  }
+
+  const status = error.status || 500;
+  res.status(status).type('application/scim+json').json({
+    schemas: [ERROR_SCHEMA],
+    status: String(status),
+    ...(error.scimType && { scimType: error.scimType }),
+    detail: status === 500 ? 'Internal server error' : error.message
+  });
+});
+
+export default router;
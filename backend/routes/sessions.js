@@ -0,0 +1,156 @@
+import express from 'express';
+import Session from '../models/Session.js';
+import { authenticate, authenticateAllowUnverified, requirePermission, canAssignRole } from '../middleware/auth.js';
+import { requireTenant } from '../middleware/tenant.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { revokeSession, revokeUserSessions, getIdleTimeoutMinutes } from '../utils/sessions.js';
+
+const router = express.Router();
+
+/**
+ * Query for sessions that can still be used (not revoked, expired or idle too long)
+ */
+const activeSessionQuery = (tenant) => {
+  const idleTimeout = getIdleTimeoutMinutes(tenant);
+
+  return {
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    ...(idleTimeout && { lastActiveAt: { $gt: new Date(Date.now() - idleTimeout * 60 * 1000) } })
+  };
+};
+
+const serializeSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastActiveAt: session.lastActiveAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId,
+  ...(session.userId?.email && { user: { id: session.userId._id, email: session.userId.email, role: session.userId.role } })
+});
+
+/**
+ * Audit a session being signed out by a user or admin
+ */
+const auditRevoked = (req, details) => logAudit({
+  tenantId: req.tenantId || req.user.tenantId,
+  userId: req.userId,
+  action: 'session.revoked',
+  details,
+  ip: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+/**
+ * GET /api/sessions/tenant
+ * List active sessions of every user in the tenant (users.manage)
+ */
+router.get('/tenant', authenticate, requireTenant, requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const sessions = await Session.find({ tenantId: req.tenantId, ...activeSessionQuery(req.tenant) })
+      .populate('userId', 'email role')
+      .sort({ lastActiveAt: -1 });
+
+    res.json(sessions.map(session => serializeSession(session, req.token?.sid)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sessions/tenant/:id
+ * Sign out any session in the tenant (users.manage), unless its user has
+ * permissions the admin lacks
+ */
+router.delete('/tenant/:id', authenticate, requireTenant, requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, tenantId: req.tenantId, revokedAt: null })
+      .populate('userId', 'email role');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!(await canAssignRole(req, session.userId.role))) {
+      return res.status(403).json({ error: 'You cannot manage a user who has permissions you do not have' });
+    }
+
+    await revokeSession(session._id, { reason: 'revoked', revokedBy: req.userId });
+
+    await auditRevoked(req, {
+      sessionId: session._id,
+      targetUserId: session.userId._id,
+      email: session.userId.email,
+      device: session.device,
+      ip: session.ip
+    });
+
+    console.log('🚪 Session revoked by admin:', session._id, 'user:', session.userId.email);
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions
+ * List the current user's active sessions; the one making the request is marked current
+ */
+router.get('/', authenticateAllowUnverified, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({ userId: req.userId, ...activeSessionQuery(req.tenant) })
+      .sort({ lastActiveAt: -1 });
+
+    res.json(sessions.map(session => serializeSession(session, req.token.sid)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sessions
+ * Sign out all of the current user's other sessions
+ */
+router.delete('/', authenticateAllowUnverified, async (req, res, next) => {
+  try {
+    const count = await revokeUserSessions(req.userId, {
+      reason: 'revoked',
+      revokedBy: req.userId,
+      exceptSessionId: req.token.sid
+    });
+
+    await auditRevoked(req, { otherSessions: true, count });
+
+    res.json({ message: `Signed out of ${count} other session${count === 1 ? '' : 's'}`, count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Sign out one of the current user's sessions
+ */
+router.delete('/:id', authenticateAllowUnverified, async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: req.userId, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session._id, { reason: 'revoked', revokedBy: req.userId });
+
+    await auditRevoked(req, { sessionId: session._id, device: session.device, ip: session.ip });
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,220 @@
+import express from 'express';
+import Tenant from '../models/Tenant.js';
+import User from '../models/User.js';
+import { requireTenant } from '../middleware/tenant.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { takeSeat } from '../utils/quotas.js';
+import { setValue, takeValue } from '../utils/redis.js';
+import { generateSecureToken } from '../utils/tokens.js';
+import { completeLogin } from '../utils/authResponse.js';
+import {
+  discoverProvider,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  generatePkce,
+  generateRandomValue,
+  getRedirectUri
+} from '../services/oidc.js';
+
+const router = express.Router();
+
+const STATE_PREFIX = 'sso:state:';
+// Time the user has to complete sign-in at the identity provider
+const STATE_TTL_SECONDS = 10 * 60;
+
+// SSO is always for the tenant resolved by tenantMiddleware
+router.use(requireTenant);
+
+/**
+ * Audit a failed SSO login and respond with the error
+ */
+const failSsoLogin = async (req, res, status, error, details = {}) => {
+  console.log('❌ SSO login failed:', error, details);
+
+  await logAudit({
+    tenantId: req.tenantId,
+    action: 'user.sso_failed',
+    details: { error, ...details },
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return res.status(status).json({ error });
+};
+
+/**
+ * GET /api/sso
+ * Whether the tenant offers SSO login (public)
+ */
+router.get('/', (req, res) => {
+  res.json({ enabled: !!req.tenant.sso?.enabled });
+});
+
+/**
+ * POST /api/sso/start
+ * Begin an SSO login: returns the identity provider URL to send the browser to
+ */
+router.post('/start', async (req, res, next) => {
+  try {
+    const { sso } = req.tenant;
+
+    if (!sso?.enabled) {
+      return res.status(400).json({ error: 'SSO is not enabled for this tenant' });
+    }
+
+    let metadata;
+    try {
+      metadata = await discoverProvider(sso.issuer);
+    } catch (oidcError) {
+      console.error('❌ OIDC discovery failed:', oidcError.message);
+      return res.status(502).json({ error: 'Identity provider is not reachable. Please try again later.' });
+    }
+
+    const state = generateRandomValue();
+    const nonce = generateRandomValue();
+    const { codeVerifier, codeChallenge } = generatePkce();
+    const redirectUri = getRedirectUri();
+
+    await setValue(`${STATE_PREFIX}${state}`, {
+      tenantId: req.tenantId.toString(),
+      nonce,
+      codeVerifier,
+      redirectUri
+    }, STATE_TTL_SECONDS);
+
+    res.json({
+      authorizationUrl: buildAuthorizationUrl(metadata, {
+        clientId: sso.clientId,
+        redirectUri,
+        state,
+        nonce,
+        codeChallenge,
+        loginHint: req.body.email?.trim()
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sso/callback
+ * Finish an SSO login with the code and state the identity provider redirected back with.
+ * Users signing in for the first time are created with the tenant's default SSO role.
+ */
+router.post('/callback', async (req, res, next) => {
+  try {
+    const { code, state } = req.body;
+
+    if (!code || !state) {
+      return res.status(400).json({ error: 'Code and state are required' });
+    }
+
+    // State is single use: it carries the PKCE verifier and nonce for this login attempt
+    const pending = await takeValue(`${STATE_PREFIX}${state}`);
+    if (!pending) {
+      return res.status(400).json({ error: 'SSO session expired. Please try again.' });
+    }
+
+    if (pending.tenantId !== req.tenantId.toString()) {
+      return failSsoLogin(req, res, 400, 'SSO session was started for a different tenant');
+    }
+
+    const tenant = await Tenant.findById(req.tenantId).select('+sso.clientSecret');
+    if (!tenant?.sso?.enabled) {
+      return res.status(400).json({ error: 'SSO is not enabled for this tenant' });
+    }
+
+    let claims;
+    try {
+      const metadata = await discoverProvider(tenant.sso.issuer);
+      const tokens = await exchangeCode(metadata, {
+        clientId: tenant.sso.clientId,
+        clientSecret: tenant.sso.clientSecret,
+        code,
+        redirectUri: pending.redirectUri,
+        codeVerifier: pending.codeVerifier
+      });
+      claims = await verifyIdToken(metadata, tokens.id_token, {
+        clientId: tenant.sso.clientId,
+        nonce: pending.nonce
+      });
+    } catch (oidcError) {
+      return failSsoLogin(req, res, 401, 'Could not verify your identity provider login', { reason: oidcError.message });
+    }
+
+    const email = claims.email?.toLowerCase().trim();
+    if (!email) {
+      return failSsoLogin(req, res, 401, 'Your identity provider did not share an email address', { subject: claims.sub });
+    }
+
+    if (claims.email_verified === false) {
+      return failSsoLogin(req, res, 401, 'Your email address is not verified with your identity provider', { email });
+    }
+
+    const domain = email.split('@')[1];
+    const allowedDomains = tenant.sso.allowedDomains || [];
+    if (allowedDomains.length > 0 && !allowedDomains.includes(domain)) {
+      return failSsoLogin(req, res, 403, 'Your email domain is not allowed to sign in to this tenant', { email });
+    }
+
+    let user = await User.findOne({ tenantId: tenant._id, email });
+
+    if (user && !user.isActive) {
+      return failSsoLogin(req, res, 403, 'Your account has been deactivated', { email });
+    }
+
+    // Once linked, an account only follows the identity it was linked to
+    if (user?.sso?.subject && (user.sso.subject !== claims.sub || user.sso.issuer !== claims.iss)) {
+      return failSsoLogin(req, res, 403, 'This account is linked to a different identity', { email, subject: claims.sub });
+    }
+
+    const provisioned = !user;
+    if (provisioned) {
+      // Just-in-time provisioning; the random password is never shown, so the account is SSO only until reset
+      user = new User({
+        tenantId: tenant._id,
+        email,
+        password: generateSecureToken(),
+        role: tenant.sso.defaultRole || 'user',
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+    } else if (!user.emailVerified) {
+      // The identity provider has vouched for the address
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    user.sso = { issuer: claims.iss, subject: claims.sub, lastLoginAt: new Date() };
+
+    if (provisioned) {
+      const { error: quotaError } = await takeSeat(tenant, () => user.save());
+      if (quotaError) {
+        return failSsoLogin(req, res, 403, quotaError.message, { email, quota: quotaError.quota });
+      }
+    } else {
+      await user.save();
+    }
+
+    if (provisioned) {
+      console.log('👤 SSO user provisioned:', email, 'tenant:', tenant.subdomain);
+
+      await logAudit({
+        tenantId: tenant._id,
+        userId: user._id,
+        action: 'user.sso_provisioned',
+        details: { email, role: user.role, subject: claims.sub },
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+    }
+
+    await completeLogin(req, res, user, tenant, { email, method: 'sso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,11 +1,59 @@
 import express from 'express';
+import crypto from 'crypto';
 import Tenant from '../models/Tenant.js';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { authenticate, requirePermission, forbidImpersonation, canAssignRole } from '../middleware/auth.js';
 import { requireTenant } from '../middleware/tenant.js';
 import { logAudit } from '../utils/auditLogger.js';
+import { invalidateTenant } from '../utils/tenantCache.js';
+import { changeTenantStatus } from '../utils/tenantLifecycle.js';
+import { discoverProvider, getRedirectUri } from '../services/oidc.js';
+import { checkDomainVerification, getVerificationRecord } from '../services/dns.js';
+import { putFile, removeFile, getAssetPath, getAssetKey } from '../services/storage.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { singleFileUpload } from '../utils/multipart.js';
+import { readImage } from '../utils/images.js';
+import { pickCallConfig, validateCallConfig } from '../utils/callConfig.js';
+import { normalizeSubdomain, checkSubdomainAvailability, SUBDOMAIN_REDIRECT_DAYS } from '../utils/subdomains.js';
 
 const router = express.Router();
 
+const LOGO_MAX_BYTES = Number(process.env.LOGO_MAX_BYTES) || 512 * 1024;
+const LOGO_MAX_DIMENSION = Number(process.env.LOGO_MAX_DIMENSION) || 2048;
+
+// Images a tenant can upload as part of its branding, and their size rules
+const BRANDING_IMAGES = {
+  logo: { label: 'Logo', minDimension: 16, maxDimension: LOGO_MAX_DIMENSION },
+  favicon: { label: 'Favicon', minDimension: 16, maxDimension: 512, square: true }
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const THEME_FIELDS = ['primaryColor', 'secondaryColor', 'accentColor', 'colorMode', 'font'];
+const WELCOME_MESSAGE_MAX_LENGTH = 500;
+
+/**
+ * Check the theme fields of a branding update; returns an error message or null.
+ * Secondary and accent colours may be empty to derive them from the primary colour.
+ */
+const validateTheme = ({ primaryColor, secondaryColor, accentColor, colorMode, font }) => {
+  if (primaryColor !== undefined && !HEX_COLOR.test(primaryColor)) {
+    return 'Primary color must be a hex color such as #3b82f6';
+  }
+  for (const [label, value] of [['Secondary', secondaryColor], ['Accent', accentColor]]) {
+    if (value !== undefined && value !== '' && !HEX_COLOR.test(value)) {
+      return `${label} color must be a hex color such as #3b82f6, or empty`;
+    }
+  }
+  if (colorMode !== undefined && !Tenant.COLOR_MODES.includes(colorMode)) {
+    return `Color mode must be one of: ${Tenant.COLOR_MODES.join(', ')}`;
+  }
+  if (font !== undefined && !Tenant.BRANDING_FONTS.includes(font)) {
+    return `Font must be one of: ${Tenant.BRANDING_FONTS.join(', ')}`;
+  }
+  return null;
+};
+
 /**
  * GET /api/tenant/branding
  * Get tenant branding (public)
@@ -32,7 +80,12 @@ router.get('/branding', async (req, res, next) => {
     res.json({
       name: tenant.name,
       subdomain: tenant.subdomain,
-      branding: tenant.branding
+      branding: tenant.branding,
+      // Which sign-in methods the login page should offer
+      loginOptions: {
+        password: tenant.allowsPasswordLogin(),
+        sso: !!tenant.sso?.enabled
+      }
     });
   } catch (error) {
     console.error('❌ Branding lookup error:', error);
@@ -42,16 +95,30 @@ router.get('/branding', async (req, res, next) => {
 
 /**
  * PUT /api/tenant/branding
- * Update tenant branding (admin only)
+ * Update tenant branding (branding.edit)
  */
-router.put('/branding', authenticate, requireAdmin, async (req, res, next) => {
+router.put('/branding', authenticate, requirePermission('branding.edit'), async (req, res, next) => {
   try {
-    const { logo, primaryColor, name } = req.body;
+    const { logo, favicon, name, welcomeMessage } = req.body;
+    const theme = {};
+    for (const field of THEME_FIELDS) {
+      if (req.body[field] !== undefined) theme[field] = req.body[field];
+    }
 
     if (!req.tenantId) {
       return res.status(404).json({ error: 'Tenant not found' });
     }
 
+    const themeError = validateTheme(theme);
+    if (themeError) {
+      return res.status(400).json({ error: themeError });
+    }
+
+    if (welcomeMessage !== undefined
+      && (typeof welcomeMessage !== 'string' || welcomeMessage.trim().length > WELCOME_MESSAGE_MAX_LENGTH)) {
+      return res.status(400).json({ error: `Welcome message must be text of at most ${WELCOME_MESSAGE_MAX_LENGTH} characters` });
+    }
+
     // Get tenant info (with error handling)
     let tenant;
     try {
@@ -65,10 +132,15 @@ router.put('/branding', authenticate, requireAdmin, async (req, res, next) => {
       return res.status(404).json({ error: 'Tenant not found' });
     }
 
+    // Images are uploaded and removed through /branding/logo and /branding/favicon, never set to an arbitrary URL
+    if ((logo !== undefined && logo !== tenant.branding.logo) || (favicon !== undefined && favicon !== tenant.branding.favicon)) {
+      return res.status(400).json({ error: 'Upload or remove images with /api/tenant/branding/logo and /api/tenant/branding/favicon' });
+    }
+
     // Update fields
     if (name) tenant.name = name;
-    if (logo !== undefined) tenant.branding.logo = logo;
-    if (primaryColor) tenant.branding.primaryColor = primaryColor;
+    Object.assign(tenant.branding, theme);
+    if (welcomeMessage !== undefined) tenant.branding.welcomeMessage = welcomeMessage.trim();
 
     // Save tenant (with error handling)
     try {
@@ -78,13 +150,15 @@ router.put('/branding', authenticate, requireAdmin, async (req, res, next) => {
       return res.status(500).json({ error: 'Failed to update tenant. Please try again.' });
     }
 
+    await invalidateTenant(tenant);
+
     // Log audit (with error handling)
     try {
       await logAudit({
         tenantId: tenant._id,
         userId: req.userId,
         action: 'branding.updated',
-        details: { logo, primaryColor, name },
+        details: { ...theme, name, welcomeMessage },
         ip: req.ip,
         userAgent: req.headers['user-agent']
       });
@@ -102,6 +176,703 @@ router.put('/branding', authenticate, requireAdmin, async (req, res, next) => {
   }
 });
 
+// Old images are only tidied up: failing to remove one never fails the request
+const removeStoredImage = async (key) => {
+  try {
+    await removeFile(key);
+  } catch (error) {
+    console.error('❌ Failed to remove old branding image:', key, error.message);
+  }
+};
+
+/**
+ * POST /api/tenant/branding/logo
+ * POST /api/tenant/branding/favicon
+ * Upload the logo or favicon (branding.edit): multipart/form-data with a PNG, JPEG or
+ * WebP image in the "logo" or "favicon" field. Metadata is stripped before storing it.
+ *
+ * DELETE /api/tenant/branding/logo
+ * DELETE /api/tenant/branding/favicon
+ * Remove it (branding.edit)
+ */
+for (const [kind, rules] of Object.entries(BRANDING_IMAGES)) {
+  router.post(
+    `/branding/${kind}`,
+    authenticate,
+    requireTenant,
+    requirePermission('branding.edit'),
+    singleFileUpload(kind, { maxBytes: LOGO_MAX_BYTES }),
+    async (req, res, next) => {
+      try {
+        const image = readImage(req.file.buffer);
+
+        const sizes = [image.width, image.height];
+        if (sizes.some(size => size < rules.minDimension || size > rules.maxDimension)) {
+          return res.status(400).json({
+            error: `${rules.label} must be ${rules.minDimension} to ${rules.maxDimension} pixels wide and tall (this one is ${image.width}x${image.height})`
+          });
+        }
+        if (rules.square && image.width !== image.height) {
+          return res.status(400).json({ error: `${rules.label} must be square (this one is ${image.width}x${image.height})` });
+        }
+
+        // Named after the content, so the URL can be cached forever
+        const hash = crypto.createHash('sha256').update(image.data).digest('hex').slice(0, 16);
+        const key = `tenants/${req.tenantId}/${kind}-${hash}.${image.extension}`;
+        await putFile(key, image.data, { contentType: image.contentType });
+
+        const previousKey = getAssetKey(req.tenant.branding?.[kind]);
+        const tenant = await Tenant.findByIdAndUpdate(
+          req.tenantId,
+          { [`branding.${kind}`]: getAssetPath(key) },
+          { new: true }
+        );
+        await invalidateTenant(tenant);
+
+        if (previousKey && previousKey !== key) {
+          await removeStoredImage(previousKey);
+        }
+
+        await logAudit({
+          tenantId: tenant._id,
+          userId: req.userId,
+          action: `branding.${kind}_uploaded`,
+          details: {
+            filename: req.file.filename,
+            type: image.type,
+            width: image.width,
+            height: image.height,
+            bytes: image.data.length
+          },
+          ip: req.ip,
+          userAgent: req.headers['user-agent']
+        });
+
+        console.log(`🖼️ ${rules.label} uploaded:`, tenant.subdomain, key);
+
+        res.json({
+          name: tenant.name,
+          branding: tenant.branding
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.delete(`/branding/${kind}`, authenticate, requireTenant, requirePermission('branding.edit'), async (req, res, next) => {
+    try {
+      const previousKey = getAssetKey(req.tenant.branding?.[kind]);
+      const tenant = await Tenant.findByIdAndUpdate(req.tenantId, { [`branding.${kind}`]: '' }, { new: true });
+      await invalidateTenant(tenant);
+
+      if (previousKey) {
+        await removeStoredImage(previousKey);
+      }
+
+      await logAudit({
+        tenantId: tenant._id,
+        userId: req.userId,
+        action: `branding.${kind}_removed`,
+        details: { previous: req.tenant.branding?.[kind] },
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+
+      res.json({
+        name: tenant.name,
+        branding: tenant.branding
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+/**
+ * PUT /api/tenant/security
+ * Update tenant security policy: mandatory MFA and session idle timeout (security.manage).
+ * Fields left out keep their current value.
+ */
+router.put('/security', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const { mfaRequired, sessionIdleTimeoutMinutes, passwordLoginEnabled } = req.body;
+
+    if (mfaRequired !== undefined && typeof mfaRequired !== 'boolean') {
+      return res.status(400).json({ error: 'mfaRequired must be a boolean' });
+    }
+
+    if (passwordLoginEnabled !== undefined && typeof passwordLoginEnabled !== 'boolean') {
+      return res.status(400).json({ error: 'passwordLoginEnabled must be a boolean' });
+    }
+
+    if (sessionIdleTimeoutMinutes !== undefined && sessionIdleTimeoutMinutes !== null &&
+        (!Number.isInteger(sessionIdleTimeoutMinutes) || sessionIdleTimeoutMinutes < 5 || sessionIdleTimeoutMinutes > 7 * 24 * 60)) {
+      return res.status(400).json({ error: 'Session idle timeout must be between 5 minutes and 7 days' });
+    }
+
+    if (mfaRequired === undefined && sessionIdleTimeoutMinutes === undefined && passwordLoginEnabled === undefined) {
+      return res.status(400).json({ error: 'No security settings to update' });
+    }
+
+    if (passwordLoginEnabled === false && !req.tenant.sso?.enabled) {
+      return res.status(400).json({ error: 'Turn on SSO before turning off password sign-in' });
+    }
+
+    // Don't let an admin lock themselves out of their own tenant
+    if (mfaRequired && !req.user.mfa?.enabled) {
+      return res.status(400).json({ error: 'Enable MFA on your own account before requiring it for everyone' });
+    }
+
+    const tenant = req.tenant;
+    if (mfaRequired !== undefined) {
+      tenant.security.mfaRequired = mfaRequired;
+    }
+    if (sessionIdleTimeoutMinutes !== undefined) {
+      tenant.security.sessionIdleTimeoutMinutes = sessionIdleTimeoutMinutes;
+    }
+    if (passwordLoginEnabled !== undefined) {
+      tenant.security.passwordLoginEnabled = passwordLoginEnabled;
+    }
+    await tenant.save();
+    await invalidateTenant(tenant);
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: req.userId,
+      action: 'tenant.security_updated',
+      details: { mfaRequired, sessionIdleTimeoutMinutes, passwordLoginEnabled },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ security: tenant.security });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tenant/call-defaults
+ * Configuration new calls start from (calls.create, so callers know what they override)
+ */
+router.get('/call-defaults', authenticate, requireTenant, requirePermission('calls.create'), (req, res) => {
+  res.json({
+    callDefaults: req.tenant.callDefaults,
+    maxDurationSeconds: Tenant.MAX_CALL_DURATION_SECONDS,
+    firstSpeakers: Tenant.CALL_FIRST_SPEAKERS
+  });
+});
+
+/**
+ * PUT /api/tenant/call-defaults
+ * Update the default call configuration (calls.configure). Fields left out keep their current value.
+ */
+router.put('/call-defaults', authenticate, requireTenant, requirePermission('calls.configure'), async (req, res, next) => {
+  try {
+    const updates = pickCallConfig(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No call defaults to update' });
+    }
+
+    const configError = validateCallConfig(updates);
+    if (configError) {
+      return res.status(400).json({ error: configError });
+    }
+
+    const tenant = req.tenant;
+    Object.assign(tenant.callDefaults, updates);
+    await tenant.save();
+    await invalidateTenant(tenant);
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: req.userId,
+      action: 'tenant.call_defaults_updated',
+      details: updates,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({ callDefaults: tenant.callDefaults });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * SSO settings as shown to admins (the client secret is never returned)
+ */
+const serializeSsoConfig = (sso, hasClientSecret) => ({
+  enabled: !!sso?.enabled,
+  issuer: sso?.issuer || '',
+  clientId: sso?.clientId || '',
+  hasClientSecret,
+  allowedDomains: sso?.allowedDomains || [],
+  defaultRole: sso?.defaultRole || 'user',
+  redirectUri: getRedirectUri()
+});
+
+// Identity providers must use HTTPS, except on localhost (e.g. a local mock IdP)
+const isValidIssuer = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' ||
+      (url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * GET /api/tenant/sso
+ * Get OpenID Connect SSO settings (security.manage)
+ */
+router.get('/sso', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const tenant = await Tenant.findById(req.tenantId).select('+sso.clientSecret');
+    res.json(serializeSsoConfig(tenant.sso, !!tenant.sso?.clientSecret));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/tenant/sso
+ * Update OpenID Connect SSO settings (security.manage).
+ * Leave clientSecret out to keep the stored one.
+ */
+router.put('/sso', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const { enabled, clientSecret, defaultRole = 'user' } = req.body;
+    const issuer = req.body.issuer?.trim().replace(/\/+$/, '');
+    const clientId = req.body.clientId?.trim();
+    const allowedDomains = [...new Set((req.body.allowedDomains || [])
+      .map(domain => String(domain).toLowerCase().trim().replace(/^@/, ''))
+      .filter(Boolean))];
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+
+    if (issuer && !isValidIssuer(issuer)) {
+      return res.status(400).json({ error: 'Issuer must be an https:// URL' });
+    }
+
+    if (!(await Role.findAssignable(req.tenantId, defaultRole))) {
+      return res.status(400).json({ error: `Role ${defaultRole} does not exist` });
+    }
+
+    if (!(await canAssignRole(req, defaultRole))) {
+      return res.status(403).json({ error: 'You cannot give SSO users a role with permissions you do not have' });
+    }
+
+    const invalidDomains = allowedDomains.filter(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain));
+    if (invalidDomains.length > 0) {
+      return res.status(400).json({ error: `Invalid email domains: ${invalidDomains.join(', ')}` });
+    }
+
+    const tenant = await Tenant.findById(req.tenantId).select('+sso.clientSecret');
+    const secret = clientSecret || tenant.sso?.clientSecret;
+
+    if (enabled) {
+      if (!issuer || !clientId || !secret) {
+        return res.status(400).json({ error: 'Issuer, client ID and client secret are required to enable SSO' });
+      }
+
+      // Catch typos before users get sent to a broken login
+      try {
+        await discoverProvider(issuer);
+      } catch (oidcError) {
+        return res.status(400).json({ error: `Could not load the identity provider configuration: ${oidcError.message}` });
+      }
+    }
+
+    tenant.sso = {
+      enabled,
+      issuer,
+      clientId,
+      clientSecret: secret,
+      allowedDomains,
+      defaultRole
+    };
+    await tenant.save();
+    await invalidateTenant(tenant);
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: req.userId,
+      action: 'tenant.sso_updated',
+      details: { enabled, issuer, clientId, allowedDomains, defaultRole, clientSecretChanged: !!clientSecret },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(serializeSsoConfig(tenant.sso, !!secret));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * SCIM provisioning status as shown to admins (the token is only returned when generated)
+ */
+const serializeScimConfig = (req, scim) => ({
+  enabled: !!scim?.tokenPrefix,
+  tokenPrefix: scim?.tokenPrefix || null,
+  tokenCreatedAt: scim?.tokenCreatedAt || null,
+  lastUsedAt: scim?.lastUsedAt || null,
+  baseUrl: `${req.protocol}://${req.get('host')}/api/scim/v2`
+});
+
+/**
+ * GET /api/tenant/scim
+ * Get SCIM provisioning status (security.manage)
+ */
+router.get('/scim', authenticate, requireTenant, requirePermission('security.manage'), (req, res) => {
+  res.json(serializeScimConfig(req, req.tenant.scim));
+});
+
+/**
+ * POST /api/tenant/scim/token
+ * Generate a SCIM bearer token, replacing any existing one (security.manage).
+ * The token is returned once; only its hash is stored.
+ */
+router.post('/scim/token', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const token = `scim_${generateSecureToken()}`;
+    const rotated = !!req.tenant.scim?.tokenPrefix;
+
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, {
+      scim: {
+        tokenHash: hashToken(token),
+        tokenPrefix: token.slice(0, 12),
+        tokenCreatedAt: new Date()
+      }
+    }, { new: true });
+    await invalidateTenant(tenant);
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: req.userId,
+      action: 'tenant.scim_updated',
+      details: { enabled: true, rotated, tokenPrefix: tenant.scim.tokenPrefix },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    console.log('🔑 SCIM token generated for tenant:', tenant.subdomain);
+
+    res.status(201).json({ ...serializeScimConfig(req, tenant.scim), token });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/tenant/scim/token
+ * Revoke the SCIM token, turning provisioning off (security.manage)
+ */
+router.delete('/scim/token', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, { $unset: { scim: 1 } }, { new: true });
+    await invalidateTenant(tenant);
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: req.userId,
+      action: 'tenant.scim_updated',
+      details: { enabled: false, tokenPrefix: req.tenant.scim?.tokenPrefix },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(serializeScimConfig(req, tenant.scim));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Custom domain status as shown to admins, with the TXT record to publish
+ */
+const serializeDomainConfig = (customDomain) => {
+  if (!customDomain?.domain) {
+    return { domain: null, verified: false };
+  }
+
+  return {
+    domain: customDomain.domain,
+    verified: !!customDomain.verifiedAt,
+    verifiedAt: customDomain.verifiedAt || null,
+    lastCheckedAt: customDomain.lastCheckedAt || null,
+    lastError: customDomain.lastError || null,
+    record: getVerificationRecord(customDomain.domain, customDomain.verificationToken)
+  };
+};
+
+// A fully qualified hostname such as voice.acme.com (no scheme, port or path)
+const DOMAIN_PATTERN = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// The app's own hostname and its subdomains cannot be claimed by a tenant
+const isPlatformDomain = (domain) => {
+  try {
+    const appHost = new URL(process.env.FRONTEND_URL || 'http://localhost:5173').hostname;
+    return domain === appHost || domain.endsWith(`.${appHost}`);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * GET /api/tenant/domain
+ * Get the custom domain and its verification status (security.manage)
+ */
+router.get('/domain', authenticate, requireTenant, requirePermission('security.manage'), (req, res) => {
+  res.json(serializeDomainConfig(req.tenant.customDomain));
+});
+
+/**
+ * PUT /api/tenant/domain
+ * Set the custom domain (security.manage). The domain is not used until its
+ * TXT record is verified; changing it starts verification over.
+ */
+router.put('/domain', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const domain = req.body.domain?.toLowerCase().trim().replace(/\.$/, '');
+
+    if (!domain || !DOMAIN_PATTERN.test(domain)) {
+      return res.status(400).json({ error: 'Enter a hostname such as voice.example.com' });
+    }
+
+    if (isPlatformDomain(domain)) {
+      return res.status(400).json({ error: 'That domain belongs to the platform and cannot be used' });
+    }
+
+    if (domain === req.tenant.customDomain?.domain) {
+      return res.json(serializeDomainConfig(req.tenant.customDomain));
+    }
+
+    const claimed = await Tenant.exists({
+      _id: { $ne: req.tenantId },
+      'customDomain.domain': domain,
+      'customDomain.verifiedAt': { $exists: true }
+    });
+    if (claimed) {
+      return res.status(409).json({ error: 'That domain is already in use by another organization' });
+    }
+
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, {
+      customDomain: { domain, verificationToken: generateSecureToken() }
+    }, { new: true });
+    await invalidateTenant(req.tenant, tenant);
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: req.userId,
+      action: 'tenant.domain_updated',
+      details: { domain, previousDomain: req.tenant.customDomain?.domain },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(serializeDomainConfig(tenant.customDomain));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tenant/domain/verify
+ * Look up the verification TXT record and mark the domain verified if it is there (security.manage)
+ */
+router.post('/domain/verify', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const customDomain = req.tenant.customDomain;
+
+    if (!customDomain?.domain) {
+      return res.status(400).json({ error: 'No custom domain configured' });
+    }
+
+    if (customDomain.verifiedAt) {
+      return res.json(serializeDomainConfig(customDomain));
+    }
+
+    const { verified, error } = await checkDomainVerification(customDomain.domain, customDomain.verificationToken);
+
+    if (verified) {
+      const claimed = await Tenant.exists({
+        _id: { $ne: req.tenantId },
+        'customDomain.domain': customDomain.domain,
+        'customDomain.verifiedAt': { $exists: true }
+      });
+      if (claimed) {
+        return res.status(409).json({ error: 'That domain is already in use by another organization' });
+      }
+    }
+
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, verified
+      ? {
+          $set: { 'customDomain.lastCheckedAt': new Date(), 'customDomain.verifiedAt': new Date() },
+          $unset: { 'customDomain.lastError': 1 }
+        }
+      : { $set: { 'customDomain.lastCheckedAt': new Date(), 'customDomain.lastError': error } },
+    { new: true });
+    await invalidateTenant(tenant);
+
+    if (verified) {
+      await logAudit({
+        tenantId: tenant._id,
+        userId: req.userId,
+        action: 'tenant.domain_verified',
+        details: { domain: customDomain.domain },
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+
+      console.log('🌐 Custom domain verified:', customDomain.domain, 'tenant:', tenant.subdomain);
+    }
+
+    res.json(serializeDomainConfig(tenant.customDomain));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/tenant/domain
+ * Remove the custom domain (security.manage)
+ */
+router.delete('/domain', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, { $unset: { customDomain: 1 } }, { new: true });
+    await invalidateTenant(req.tenant, tenant);
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: req.userId,
+      action: 'tenant.domain_updated',
+      details: { domain: null, previousDomain: req.tenant.customDomain?.domain },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json(serializeDomainConfig(tenant.customDomain));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tenant/subdomain/availability?subdomain=acme
+ * Like GET /api/auth/subdomain-availability, but the tenant's own old names count as free (security.manage)
+ */
+router.get('/subdomain/availability', authenticate, requireTenant, requirePermission('security.manage'), async (req, res, next) => {
+  try {
+    if (typeof req.query.subdomain !== 'string' || !req.query.subdomain.trim()) {
+      return res.status(400).json({ error: 'subdomain is required' });
+    }
+
+    res.json(await checkSubdomainAvailability(req.query.subdomain, { exceptTenantId: req.tenantId }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/tenant/subdomain
+ * Rename the tenant's subdomain (security.manage). The old name keeps resolving to the
+ * tenant for SUBDOMAIN_REDIRECT_DAYS, and nobody else can claim it until then.
+ */
+router.put('/subdomain', authenticate, requireTenant, requirePermission('security.manage'), forbidImpersonation, async (req, res, next) => {
+  try {
+    const tenant = req.tenant;
+    const subdomain = normalizeSubdomain(req.body.subdomain);
+    const previousSubdomain = tenant.subdomain;
+
+    if (subdomain === previousSubdomain) {
+      return res.status(400).json({ error: 'That is already your subdomain' });
+    }
+
+    // The tenant's own old names count as free, so a rename can be undone
+    const availability = await checkSubdomainAvailability(subdomain, { exceptTenantId: tenant._id });
+    if (!availability.available) {
+      return res.status(400).json({ error: availability.reason, suggestions: availability.suggestions });
+    }
+
+    const now = new Date();
+    const redirectUntil = new Date(now.getTime() + SUBDOMAIN_REDIRECT_DAYS * 24 * 60 * 60 * 1000);
+    const before = tenant.toObject();
+
+    tenant.previousSubdomains = [
+      ...tenant.previousSubdomains.filter(previous => previous.redirectUntil > now && previous.subdomain !== subdomain),
+      { subdomain: previousSubdomain, renamedAt: now, redirectUntil }
+    ];
+    tenant.subdomain = subdomain;
+
+    try {
+      await tenant.save();
+    } catch (dbError) {
+      // Claimed by a signup since the availability check
+      if (dbError.code === 11000) {
+        return res.status(400).json({ error: 'This subdomain is already taken' });
+      }
+      throw dbError;
+    }
+    await invalidateTenant(before, tenant);
+
+    await logAudit({
+      tenantId: tenant._id,
+      userId: req.userId,
+      action: 'tenant.subdomain_changed',
+      details: { subdomain, previousSubdomain, redirectUntil },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    console.log('🔀 Tenant subdomain renamed:', previousSubdomain, '->', subdomain);
+
+    res.json({ subdomain, previousSubdomains: tenant.previousSubdomains });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tenant/close
+ * Close the organization (security.manage). Everyone is signed out at once and the
+ * tenant's data is purged after the grace period, unless support restores it first.
+ * Body: currentPassword, subdomain (typed again to confirm), reason (optional).
+ */
+router.post('/close', authenticate, requireTenant, requirePermission('security.manage'), forbidImpersonation, async (req, res, next) => {
+  try {
+    const { currentPassword, subdomain } = req.body;
+
+    if (!currentPassword || subdomain?.toLowerCase().trim() !== req.tenant.subdomain) {
+      return res.status(400).json({ error: 'Your password and the subdomain are required to close the organization' });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!await user.comparePassword(currentPassword)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const tenant = await changeTenantStatus(req.tenant, 'pending_deletion', {
+      reason: req.body.reason?.trim() || 'Closed by the organization',
+      actor: { kind: 'user', id: user._id, email: user.email },
+      req
+    });
+
+    res.json({
+      status: tenant.status,
+      deletionScheduledFor: tenant.deletionScheduledFor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/tenant/info
  * Get full tenant information (authenticated)
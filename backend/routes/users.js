@@ -0,0 +1,269 @@
+import express from 'express';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import ApiKey from '../models/ApiKey.js';
+import { authenticate, requirePermission, canAssignRole } from '../middleware/auth.js';
+import { requireTenant } from '../middleware/tenant.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { takeSeat } from '../utils/quotas.js';
+import { revokeAllUserTokens } from '../utils/tokenStore.js';
+import { generateSecureToken } from '../utils/tokens.js';
+import { sendPasswordResetEmail, buildAppUrl } from '../services/email.js';
+
+const router = express.Router();
+
+router.use(authenticate, requireTenant, requirePermission('users.manage'));
+
+const LAST_ADMIN_ERROR = 'The tenant must keep at least one active admin';
+
+const serializeUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  mfaEnabled: !!user.mfa?.enabled,
+  sso: !!user.sso?.subject,
+  scim: !!user.scim?.provisionedAt,
+  createdAt: user.createdAt
+});
+
+/**
+ * Load the target user of a request and check the caller may manage them.
+ * Returns { user } or { status, error }. Nobody can change their own account here
+ * or manage someone who has permissions they do not have themselves.
+ */
+const loadManagedUser = async (req) => {
+  const user = await User.findOne({ _id: req.params.id, tenantId: req.tenantId });
+
+  if (!user) {
+    return { status: 404, error: 'User not found' };
+  }
+
+  if (user._id.toString() === req.userId.toString()) {
+    return { status: 400, error: 'You cannot change your own account here' };
+  }
+
+  if (!(await canAssignRole(req, user.role))) {
+    return { status: 403, error: 'You cannot manage a user who has permissions you do not have' };
+  }
+
+  return { user };
+};
+
+const auditUserChange = (req, user, action, details = {}) => logAudit({
+  tenantId: req.tenantId,
+  userId: req.userId,
+  action,
+  details: { targetUserId: user._id, email: user.email, ...details },
+  ip: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+/**
+ * GET /api/users
+ * List the tenant's users with their status
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const users = await User.find({ tenantId: req.tenantId }).sort({ createdAt: -1 });
+    res.json(users.map(serializeUser));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/users/:id/role
+ * Change a user's role
+ */
+router.put('/:id/role', async (req, res, next) => {
+  try {
+    const { user, status, error } = await loadManagedUser(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const role = req.body.role ? await Role.findAssignable(req.tenantId, req.body.role) : null;
+    if (!role) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    if (role.key === user.role) {
+      return res.json(serializeUser(user));
+    }
+
+    if (!(await canAssignRole(req, role.key))) {
+      return res.status(403).json({ error: 'You cannot assign a role with permissions you do not have' });
+    }
+
+    const previousRole = user.role;
+    const changeRole = () => {
+      user.role = role.key;
+      return user.save();
+    };
+
+    if (role.key === 'admin') {
+      await changeRole();
+    } else if (!(await user.changeUnlessLastAdmin(changeRole))) {
+      return res.status(400).json({ error: LAST_ADMIN_ERROR });
+    }
+
+    await auditUserChange(req, user, 'user.role_changed', { from: previousRole, to: role.key });
+
+    console.log('👤 Role changed:', user.email, previousRole, '→', role.key);
+
+    res.json(serializeUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/deactivate
+ * Block a user from signing in and end all of their sessions
+ */
+router.post('/:id/deactivate', async (req, res, next) => {
+  try {
+    const { user, status, error } = await loadManagedUser(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ error: 'User is already deactivated' });
+    }
+
+    const deactivated = await user.changeUnlessLastAdmin(() => {
+      user.isActive = false;
+      return user.save();
+    });
+    if (!deactivated) {
+      return res.status(400).json({ error: LAST_ADMIN_ERROR });
+    }
+
+    await revokeAllUserTokens(user._id);
+
+    await auditUserChange(req, user, 'user.deactivated');
+
+    console.log('🚫 User deactivated:', user.email);
+
+    res.json(serializeUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/reactivate
+ * Let a deactivated user sign in again, if the plan has a seat left
+ */
+router.post('/:id/reactivate', async (req, res, next) => {
+  try {
+    const { user, status, error } = await loadManagedUser(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ error: 'User is already active' });
+    }
+
+    const { error: quotaError } = await takeSeat(req.tenant, () => {
+      user.isActive = true;
+      return user.save();
+    });
+    if (quotaError) {
+      return res.status(403).json(quotaError);
+    }
+
+    await auditUserChange(req, user, 'user.reactivated');
+
+    console.log('✅ User reactivated:', user.email);
+
+    res.json(serializeUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/reset-password
+ * Invalidate a user's password, sign them out everywhere and email them a reset link
+ */
+router.post('/:id/reset-password', async (req, res, next) => {
+  try {
+    const { user, status, error } = await loadManagedUser(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ error: 'Reactivate the user before resetting their password' });
+    }
+
+    // The old password stops working right away; the user sets a new one from the email
+    user.password = generateSecureToken();
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    await revokeAllUserTokens(user._id);
+
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail({
+        to: user.email,
+        tenantName: req.tenant.name,
+        resetUrl: buildAppUrl('/reset-password', { token: resetToken }),
+        expiresInMinutes: User.PASSWORD_RESET_TTL_MINUTES
+      });
+    } catch (emailError) {
+      emailSent = false;
+      console.error('❌ Failed to send password reset email:', emailError.message);
+    }
+
+    await auditUserChange(req, user, 'user.password_reset_forced', { emailSent });
+
+    res.json({
+      message: emailSent
+        ? `Password reset. A reset link was sent to ${user.email}.`
+        : 'Password reset, but the reset email could not be sent. The user can request a new link from the login page.',
+      emailSent
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Remove a user from the tenant. Their calls and audit history are kept;
+ * API keys they created are revoked.
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { user, status, error } = await loadManagedUser(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!(await user.changeUnlessLastAdmin(() => user.deleteOne()))) {
+      return res.status(400).json({ error: LAST_ADMIN_ERROR });
+    }
+
+    await revokeAllUserTokens(user._id);
+    const { modifiedCount: apiKeysRevoked } = await ApiKey.updateMany(
+      { tenantId: req.tenantId, createdBy: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.userId }
+    );
+
+    await auditUserChange(req, user, 'user.deleted', { role: user.role, apiKeysRevoked });
+
+    console.log('🗑️ User deleted:', user.email);
+
+    res.json({ message: 'User deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
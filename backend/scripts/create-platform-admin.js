@@ -0,0 +1,44 @@
+/**
+ * Create a platform operator, or reset the password of an existing one.
+ * Platform operators sign in to the /platform console and are not members of any tenant.
+ *
+ * Usage: node scripts/create-platform-admin.js <email> <password> [name]
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import PlatformAdmin from '../models/PlatformAdmin.js';
+
+dotenv.config();
+
+const [email, password, name = ''] = process.argv.slice(2);
+
+const createAdmin = async () => {
+  if (!email || !password) {
+    throw new Error('Usage: node scripts/create-platform-admin.js <email> <password> [name]');
+  }
+
+  if (password.length < 12) {
+    throw new Error('Platform admin passwords must be at least 12 characters');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const existing = await PlatformAdmin.findOne({ email: email.toLowerCase() });
+  const admin = existing || new PlatformAdmin({ email });
+
+  admin.password = password;
+  admin.isActive = true;
+  if (name) admin.name = name;
+  await admin.save();
+
+  console.log(`✅ Platform admin ${existing ? 'updated' : 'created'}: ${admin.email}`);
+};
+
+createAdmin()
+  .catch((error) => {
+    console.error('❌ Failed to create platform admin:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,36 @@
+/**
+ * Plans migration
+ * Puts every tenant created before plans existed on the legacy plan, which has no
+ * limits and keeps audit logs forever, so adding plans takes nothing away from them.
+ * Move tenants to a real plan from the platform console afterwards.
+ * Safe to run more than once: tenants that already have a plan are left alone.
+ *
+ * Usage: node scripts/migrate-plans.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Tenant from '../models/Tenant.js';
+import { LEGACY_PLAN } from '../utils/plans.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const withoutPlan = { plan: { $exists: false } };
+  const subdomains = await Tenant.find(withoutPlan).distinct('subdomain');
+
+  const result = await Tenant.updateMany(withoutPlan, { $set: { plan: LEGACY_PLAN, planChangedAt: new Date() } });
+
+  subdomains.forEach(subdomain => console.log(`🔄 ${subdomain}: ${LEGACY_PLAN}`));
+  console.log(`✅ Moved ${result.modifiedCount} tenant(s) to the ${LEGACY_PLAN} plan`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Plans migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
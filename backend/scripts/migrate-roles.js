@@ -0,0 +1,47 @@
+/**
+ * Roles migration
+ * Creates the built-in admin and user roles for every tenant and moves users
+ * and pending invitations whose role no longer exists onto the user role.
+ * Existing users keep their role: the old admin/user values are the built-in role keys.
+ * Safe to run more than once.
+ *
+ * Usage: node scripts/migrate-roles.js
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Tenant from '../models/Tenant.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import Role from '../models/Role.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const tenants = await Tenant.find().select('subdomain');
+
+  for (const tenant of tenants) {
+    await Role.ensureDefaultRoles(tenant._id);
+
+    const roleKeys = (await Role.find({ tenantId: tenant._id }).select('key')).map(role => role.key);
+    const orphaned = { tenantId: tenant._id, role: { $nin: roleKeys } };
+
+    const users = await User.updateMany(orphaned, { role: 'user' });
+    const invitations = await Invitation.updateMany({ ...orphaned, status: 'pending' }, { role: 'user' });
+
+    console.log(`🔄 ${tenant.subdomain}: roles ${roleKeys.join(', ')}` +
+      ` • ${users.modifiedCount} user(s) and ${invitations.modifiedCount} invitation(s) moved to user`);
+  }
+
+  console.log(`✅ Migrated ${tenants.length} tenant(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Roles migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
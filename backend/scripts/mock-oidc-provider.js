@@ -0,0 +1,160 @@
+/**
+ * Mock OpenID Connect Provider
+ * A tiny identity provider for trying out tenant SSO locally. Supports discovery,
+ * the authorization code flow with PKCE (S256), client_secret_basic/post and JWKS.
+ * Any email entered on its sign-in form is accepted.
+ *
+ * Usage: node scripts/mock-oidc-provider.js
+ * Then configure the tenant's SSO settings with:
+ *   issuer        http://localhost:4010
+ *   client ID     voho-local
+ *   client secret voho-local-secret
+ *
+ * Tests import createMockOidcProvider and serve the app on a port of their own.
+ */
+
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const CODE_TTL_MS = 60 * 1000;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the provider's Express app for an issuer URL and client credentials
+ */
+export const createMockOidcProvider = ({ issuer, clientId: expectedClientId, clientSecret: expectedClientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keyId = crypto.randomUUID();
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      scopes_supported: ['openid', 'email', 'profile']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Sign-in form: posts the original authorization request back along with the chosen email
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, response_type: responseType, code_challenge_method: challengeMethod } = req.query;
+
+    if (clientId !== expectedClientId || responseType !== 'code' || challengeMethod !== 'S256' || !req.query.code_challenge) {
+      return res.status(400).send('Invalid authorization request (client_id, response_type=code and S256 PKCE are required)');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('\n');
+
+    res.send(`<!doctype html>
+  <title>Mock identity provider</title>
+  <form method="post" action="/authorize" style="font-family: sans-serif; max-width: 320px; margin: 80px auto">
+    <h2>Mock identity provider</h2>
+    <label>Email<br><input name="email" type="email" required value="${escapeHtml(req.query.login_hint)}" style="width: 100%"></label>
+    ${hidden}
+    <p><button type="submit">Sign in</button></p>
+  </form>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { email, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.body;
+
+    if (!email || !redirectUri) {
+      return res.status(400).send('Email and redirect_uri are required');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { email: email.toLowerCase(), redirectUri, nonce, codeChallenge, expiresAt: Date.now() + CODE_TTL_MS });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+
+    const basic = req.headers.authorization?.match(/^Basic (.+)$/);
+    if (basic) {
+      [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+
+    if (clientId !== expectedClientId || clientSecret !== expectedClientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const entry = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!entry || entry.expiresAt < Date.now() || entry.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== entry.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({
+      email: entry.email,
+      email_verified: true,
+      name: entry.email.split('@')[0],
+      nonce: entry.nonce
+    }, privateKey, {
+      algorithm: 'RS256',
+      keyid: keyId,
+      issuer,
+      audience: expectedClientId,
+      subject: crypto.createHash('sha256').update(entry.email).digest('hex').slice(0, 24),
+      expiresIn: '5m'
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return app;
+};
+
+// Run as a script: serve the provider on MOCK_OIDC_PORT
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.env.MOCK_OIDC_PORT || 4010;
+  const options = {
+    issuer: process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`,
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || 'voho-local',
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || 'voho-local-secret'
+  };
+
+  createMockOidcProvider(options).listen(port, () => {
+    console.log(`🪪 Mock OIDC provider running at ${options.issuer}`);
+    console.log(`   client ID: ${options.clientId}  client secret: ${options.clientSecret}`);
+  });
+}
@@ -6,13 +6,34 @@ import authRoutes from './routes/auth.js';
 import tenantRoutes from './routes/tenant.js';
 import callRoutes from './routes/calls.js';
 import dashboardRoutes from './routes/dashboard.js';
-import { tenantMiddleware } from './middleware/tenant.js';
+import invitationRoutes from './routes/invitations.js';
+import lockoutRoutes from './routes/lockouts.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import ssoRoutes from './routes/sso.js';
+import scimRoutes from './routes/scim.js';
+import sessionRoutes from './routes/sessions.js';
+import roleRoutes from './routes/roles.js';
+import userRoutes from './routes/users.js';
+import profileRoutes from './routes/profile.js';
+import platformRoutes from './routes/platform.js';
+import assetRoutes from './routes/assets.js';
+import { tenantMiddleware, isCustomDomainOrigin } from './middleware/tenant.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { endFinishedImpersonations } from './utils/impersonation.js';
+import { getTenantCacheStats } from './utils/tenantCache.js';
+import { purgeClosedTenants } from './utils/tenantLifecycle.js';
+import { pruneExpiredAuditLogs } from './utils/quotas.js';
 
 dotenv.config();
 
 const app = express();
 
+// Behind a proxy/load balancer, trust X-Forwarded-For so req.ip is the client (login throttling is per IP)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -58,15 +79,24 @@ app.use(cors({
       return callback(null, true);
     }
 
-    // Block all other origins
-    console.log('❌ Blocked CORS request from:', origin);
-    console.log('Allowed origins:', allowedOrigins);
-    console.log('Environment FRONTEND_URL:', process.env.FRONTEND_URL);
-    callback(new Error('Not allowed by CORS'));
+    // Allow tenants' verified custom domains
+    isCustomDomainOrigin(origin).then((allowed) => {
+      if (allowed) {
+        console.log('✅ Allowed CORS request from tenant custom domain:', origin);
+        return callback(null, true);
+      }
+
+      // Block all other origins
+      console.log('❌ Blocked CORS request from:', origin);
+      console.log('Allowed origins:', allowedOrigins);
+      console.log('Environment FRONTEND_URL:', process.env.FRONTEND_URL);
+      callback(new Error('Not allowed by CORS'));
+    });
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'HEAD'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Tenant-Subdomain', 'Accept', 'Origin', 'User-Agent']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Tenant-Subdomain', 'Accept', 'Origin', 'User-Agent'],
+  exposedHeaders: ['X-Tenant-Renamed-To']
 }));
 
 // Pre-flight requests
@@ -84,6 +114,12 @@ app.use('/api/auth', authRoutes);
 // Fallback route for direct requests (in case Vercel proxy isn't working)
 app.use('/auth', authRoutes);
 
+// Platform operator console (works across all tenants, never tenant-scoped)
+app.use('/api/platform', platformRoutes);
+
+// Uploaded tenant files such as logos (public, addressed by tenant id)
+app.use('/api/assets', assetRoutes);
+
 // Tenant resolution middleware (applied to all routes after auth)
 app.use(tenantMiddleware);
 
@@ -91,6 +127,15 @@ app.use(tenantMiddleware);
 app.use('/api/tenant', tenantRoutes);
 app.use('/api/calls', callRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/lockouts', lockoutRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/sso', ssoRoutes);
+app.use('/api/scim/v2', scimRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/profile', profileRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -100,7 +145,8 @@ app.get('/api/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     port: process.env.PORT || 5000,
     mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    tenant: req.tenant?.subdomain || 'none'
+    tenant: req.tenant?.subdomain || 'none',
+    tenantCache: getTenantCacheStats()
   });
 });
 
@@ -114,7 +160,17 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       tenant: '/api/tenant',
       calls: '/api/calls',
-      dashboard: '/api/dashboard'
+      dashboard: '/api/dashboard',
+      invitations: '/api/invitations',
+      lockouts: '/api/lockouts',
+      apiKeys: '/api/api-keys',
+      sso: '/api/sso',
+      scim: '/api/scim/v2',
+      sessions: '/api/sessions',
+      roles: '/api/roles',
+      users: '/api/users',
+      profile: '/api/profile',
+      platform: '/api/platform'
     }
   });
 });
@@ -160,6 +216,30 @@ const startServer = async () => {
     });
   });
 
+  // Close out impersonations that expired or were signed out, so their end is audited
+  setInterval(() => {
+    if (mongoose.connection.readyState !== 1) return;
+    endFinishedImpersonations().catch(error => {
+      console.error('❌ Failed to end finished impersonations:', error.message);
+    });
+  }, 60 * 1000).unref();
+
+  // Delete the data of closed tenants once their grace period is over
+  setInterval(() => {
+    if (mongoose.connection.readyState !== 1) return;
+    purgeClosedTenants().catch(error => {
+      console.error('❌ Failed to purge closed tenants:', error.message);
+    });
+  }, 60 * 60 * 1000).unref();
+
+  // Drop audit log entries older than each tenant's plan retains them
+  setInterval(() => {
+    if (mongoose.connection.readyState !== 1) return;
+    pruneExpiredAuditLogs().catch(error => {
+      console.error('❌ Failed to prune audit logs:', error.message);
+    });
+  }, 60 * 60 * 1000).unref();
+
   // Graceful shutdown
   process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
@@ -0,0 +1,64 @@
+/**
+ * DNS Service
+ * Verifies that a tenant controls its custom domain by looking for a TXT record.
+ * Lookups go through a replaceable resolver so tests (or a DNS-over-HTTPS
+ * provider) can stand in for the system resolver with setTxtResolver.
+ */
+
+import { promises as dnsPromises } from 'dns';
+
+// Label the TXT record lives under, e.g. _voho-verification.voice.acme.com
+export const VERIFICATION_LABEL = '_voho-verification';
+const VERIFICATION_PREFIX = 'voho-verification=';
+
+const systemResolver = async (hostname) => {
+  const records = await dnsPromises.resolveTxt(hostname);
+  // Long TXT values come back split into chunks
+  return records.map(chunks => chunks.join(''));
+};
+
+let txtResolver = systemResolver;
+
+/**
+ * Replace the TXT resolver. A resolver is an async function (hostname) => string[].
+ * Call with no argument to go back to the system resolver.
+ */
+export const setTxtResolver = (resolver = systemResolver) => {
+  if (typeof resolver !== 'function') {
+    throw new Error('TXT resolver must be a function');
+  }
+  txtResolver = resolver;
+};
+
+/**
+ * The record a tenant has to publish to prove it owns the domain
+ */
+export const getVerificationRecord = (domain, token) => ({
+  type: 'TXT',
+  name: `${VERIFICATION_LABEL}.${domain}`,
+  value: `${VERIFICATION_PREFIX}${token}`
+});
+
+/**
+ * Check for the verification TXT record.
+ * Returns { verified, error } - missing records are reported, not thrown.
+ */
+export const checkDomainVerification = async (domain, token) => {
+  const record = getVerificationRecord(domain, token);
+
+  let values;
+  try {
+    values = await txtResolver(record.name);
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+      return { verified: false, error: `No TXT record found at ${record.name}` };
+    }
+    return { verified: false, error: `DNS lookup failed: ${error.code || error.message}` };
+  }
+
+  if (values.some(value => value.trim() === record.value)) {
+    return { verified: true, error: null };
+  }
+
+  return { verified: false, error: `TXT record at ${record.name} does not contain ${record.value}` };
+};
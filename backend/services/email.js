@@ -0,0 +1,167 @@
+/**
+ * Email Service
+ * Sends transactional email through a pluggable transport.
+ * Built-in transports: "console" (default) logs messages, "file" writes them to disk.
+ * Other transports (SMTP, SES, ...) can be plugged in with registerEmailTransport.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log('📧 Email:', {
+        to: message.to,
+        subject: message.subject
+      });
+      console.log(message.text);
+    }
+  },
+
+  file: {
+    send: async (message) => {
+      const outboxDir = process.env.EMAIL_OUTBOX_DIR || 'tmp/emails';
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+      console.log('📧 Email written to:', filePath);
+    }
+  }
+};
+
+/**
+ * Register a custom transport. A transport is an object with an async send(message) method.
+ */
+export const registerEmailTransport = (name, transport) => {
+  if (typeof transport?.send !== 'function') {
+    throw new Error('Email transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the transport named by EMAIL_TRANSPORT
+ */
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.EMAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${transportName}`);
+  }
+
+  await transport.send({
+    from: process.env.EMAIL_FROM || 'Voho SaaS <no-reply@voho.app>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Escape user-controlled values (tenant names, emails) before putting them in HTML
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Build an absolute link into the frontend app
+ */
+export const buildAppUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Send password reset link
+ */
+export const sendPasswordResetEmail = async ({ to, tenantName, resetUrl, expiresInMinutes }) => {
+  await sendEmail({
+    to,
+    subject: `Reset your ${tenantName} password`,
+    text: [
+      `We received a request to reset the password for your ${tenantName} account.`,
+      '',
+      `Reset your password: ${resetUrl}`,
+      '',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>We received a request to reset the password for your <strong>${escapeHtml(tenantName)}</strong> account.</p>
+<p><a href="${escapeHtml(resetUrl)}">Reset your password</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once.
+If you did not request a password reset, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send email verification link
+ */
+export const sendVerificationEmail = async ({ to, tenantName, verifyUrl, expiresInHours }) => {
+  await sendEmail({
+    to,
+    subject: `Verify your email for ${tenantName}`,
+    text: [
+      `Welcome to ${tenantName}! Please confirm your email address to activate your account.`,
+      '',
+      `Verify your email: ${verifyUrl}`,
+      '',
+      `This link expires in ${expiresInHours} hours.`
+    ].join('\n'),
+    html: `<p>Welcome to <strong>${escapeHtml(tenantName)}</strong>! Please confirm your email address to activate your account.</p>
+<p><a href="${escapeHtml(verifyUrl)}">Verify your email</a></p>
+<p>This link expires in ${expiresInHours} hours.</p>`
+  });
+};
+
+/**
+ * Send the link that confirms a new email address for an existing account
+ */
+export const sendEmailChangeEmail = async ({ to, tenantName, verifyUrl, expiresInHours }) => {
+  await sendEmail({
+    to,
+    subject: `Confirm your new email for ${tenantName}`,
+    text: [
+      `You asked to use this address for your ${tenantName} account.`,
+      '',
+      `Confirm your new email: ${verifyUrl}`,
+      '',
+      `This link expires in ${expiresInHours} hours. Until then you keep signing in with your current email.`,
+      'If you did not ask for this change, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>You asked to use this address for your <strong>${escapeHtml(tenantName)}</strong> account.</p>
+<p><a href="${escapeHtml(verifyUrl)}">Confirm your new email</a></p>
+<p>This link expires in ${expiresInHours} hours. Until then you keep signing in with your current email.
+If you did not ask for this change, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send teammate invitation link
+ */
+export const sendInvitationEmail = async ({ to, tenantName, inviterEmail, roleName, acceptUrl, expiresInDays }) => {
+  await sendEmail({
+    to,
+    subject: `You've been invited to join ${tenantName}`,
+    text: [
+      `${inviterEmail} has invited you to join ${tenantName} with the ${roleName} role.`,
+      '',
+      `Accept the invitation: ${acceptUrl}`,
+      '',
+      `This invitation expires in ${expiresInDays} days.`
+    ].join('\n'),
+    html: `<p>${escapeHtml(inviterEmail)} has invited you to join <strong>${escapeHtml(tenantName)}</strong> with the ${escapeHtml(roleName)} role.</p>
+<p><a href="${escapeHtml(acceptUrl)}">Accept the invitation</a></p>
+<p>This invitation expires in ${expiresInDays} days.</p>`
+  });
+};
@@ -0,0 +1,169 @@
+/**
+ * OpenID Connect Service
+ * Authorization code + PKCE flow against a tenant's identity provider:
+ * discovery, building the authorization URL, exchanging the code and
+ * verifying the ID token against the provider's published keys.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { buildAppUrl } from './email.js';
+
+// Discovery documents and key sets change rarely; cache them per issuer
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+
+  return body;
+};
+
+const getCached = (cache, key) => {
+  const entry = cache.get(key);
+  return entry && entry.expiresAt > Date.now() ? entry.value : null;
+};
+
+/**
+ * Where the provider sends the user back to; must be registered with the provider
+ */
+export const getRedirectUri = () => process.env.OIDC_REDIRECT_URI || buildAppUrl('/sso/callback');
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ */
+export const generatePkce = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Random value for the state and nonce parameters
+ */
+export const generateRandomValue = () => base64Url(crypto.randomBytes(24));
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ */
+export const discoverProvider = async (issuer) => {
+  const normalizedIssuer = issuer.replace(/\/+$/, '');
+  const cached = getCached(metadataCache, normalizedIssuer);
+  if (cached) return cached;
+
+  const metadata = await fetchJson(`${normalizedIssuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer?.replace(/\/+$/, '') !== normalizedIssuer) {
+    throw new Error(`OIDC discovery issuer mismatch: expected ${normalizedIssuer}, got ${metadata.issuer}`);
+  }
+
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw new Error(`OIDC discovery document is missing ${field}`);
+    }
+  }
+
+  metadataCache.set(normalizedIssuer, { value: metadata, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+  return metadata;
+};
+
+/**
+ * Build the URL that sends the user to the provider to sign in
+ */
+export const buildAuthorizationUrl = (metadata, { clientId, redirectUri, state, nonce, codeChallenge, loginHint }) => {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ */
+export const exchangeCode = async (metadata, { clientId, clientSecret, code, redirectUri, codeVerifier }) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic is the spec default; fall back to client_secret_post when it is the only method offered
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', clientId);
+    params.set('client_secret', clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response did not include an id_token');
+  }
+
+  return tokens;
+};
+
+const getSigningKey = async (metadata, kid) => {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let keys = getCached(jwksCache, metadata.jwks_uri);
+  let key = keys && findKey(keys);
+
+  // Unknown kid: the provider may have rotated keys, so refetch once
+  if (!key) {
+    keys = (await fetchJson(metadata.jwks_uri)).keys || [];
+    jwksCache.set(metadata.jwks_uri, { value: keys, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw new Error('No matching signing key found for ID token');
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature and claims; returns the claims
+ */
+export const verifyIdToken = async (metadata, idToken, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const publicKey = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(idToken, publicKey, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: metadata.issuer,
+    audience: clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
@@ -0,0 +1,123 @@
+/**
+ * Storage Service
+ * Stores uploaded files (tenant logos) behind a small driver interface so a
+ * deployment can move from local disk to object storage without touching routes.
+ *
+ * A driver implements:
+ *   put(key, buffer, { contentType })  -> void
+ *   get(key)                           -> { body, contentType, size, updatedAt } or null
+ *   remove(key)                        -> void (missing files are ignored)
+ *
+ * Keys are slash-separated relative paths such as tenants/<tenantId>/logo-<hash>.png.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+const KEY_PATTERN = /^[a-z0-9]+(?:\/[a-z0-9][a-z0-9.-]*)+$/i;
+
+const assertValidKey = (key) => {
+  if (!KEY_PATTERN.test(key) || key.split('/').some(part => part === '..' || part.startsWith('.'))) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Driver keeping files under a directory on the local disk
+ */
+export const createLocalDiskDriver = (rootDir) => {
+  const resolvePath = (key) => {
+    assertValidKey(key);
+    return path.join(rootDir, ...key.split('/'));
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolvePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a reader never sees a half-written file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, filePath);
+    },
+
+    async get(key) {
+      const filePath = resolvePath(key);
+      try {
+        const [body, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+        return {
+          body,
+          contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+          size: stats.size,
+          updatedAt: stats.mtime
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolvePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const defaultRoot = process.env.STORAGE_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+const createDriver = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (driver !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (supported: local)`);
+  }
+  return createLocalDiskDriver(defaultRoot);
+};
+
+let storageDriver = createDriver();
+
+/**
+ * Replace the storage driver (e.g. with an object storage driver, or an in-memory one in tests).
+ * Call with no argument to go back to the driver configured by STORAGE_DRIVER.
+ */
+export const setStorageDriver = (driver = createDriver()) => {
+  if (!['put', 'get', 'remove'].every(method => typeof driver?.[method] === 'function')) {
+    throw new Error('Storage driver must implement put, get and remove');
+  }
+  storageDriver = driver;
+};
+
+export const putFile = (key, buffer, options = {}) => storageDriver.put(key, buffer, options);
+export const getFile = (key) => storageDriver.get(key);
+export const removeFile = (key) => storageDriver.remove(key);
+
+// Stored files are served by routes/assets.js under this path
+const ASSET_PATH_PREFIX = '/api/assets/';
+
+/**
+ * Public path a stored file is served from, e.g. /api/assets/tenants/<id>/logo-<hash>.png
+ */
+export const getAssetPath = (key) => `${ASSET_PATH_PREFIX}${key}`;
+
+/**
+ * Storage key behind a path returned by getAssetPath, or null for anything else
+ * (e.g. a logo URL saved before uploads existed)
+ */
+export const getAssetKey = (assetPath) => (
+  typeof assetPath === 'string' && assetPath.startsWith(ASSET_PATH_PREFIX)
+    ? assetPath.slice(ASSET_PATH_PREFIX.length)
+    : null
+);
@@ -6,10 +6,29 @@
 const ULTRAVOX_API_KEY = process.env.ULTRAVOX_API_KEY;
 const ULTRAVOX_API_URL = process.env.ULTRAVOX_API_URL || 'https://api.ultravox.ai';
 
+const FIRST_SPEAKERS = {
+  agent: 'FIRST_SPEAKER_AGENT',
+  user: 'FIRST_SPEAKER_USER'
+};
+
+/**
+ * Ultravox request body for a call configuration (see utils/callConfig.js).
+ * Empty voice and language leave the choice to Ultravox.
+ */
+const toUltravoxCall = (config) => ({
+  systemPrompt: config.systemPrompt,
+  model: config.model,
+  ...(config.voice && { voice: config.voice }),
+  ...(config.language && { languageHint: config.language }),
+  maxDuration: `${config.maxDurationSeconds}s`,
+  recordingEnabled: config.recordingEnabled,
+  firstSpeaker: FIRST_SPEAKERS[config.firstSpeaker]
+});
+
 /**
- * Create a new call via Ultravox API
+ * Create a new call via Ultravox API with the call's effective configuration
  */
-export const createCall = async (callParams) => {
+export const createCall = async (config) => {
   try {
     const response = await fetch(`${ULTRAVOX_API_URL}/calls`, {
       method: 'POST',
@@ -17,12 +36,7 @@ export const createCall = async (callParams) => {
         'Content-Type': 'application/json',
         'X-API-Key': ULTRAVOX_API_KEY
       },
-      body: JSON.stringify({
-        systemPrompt: callParams.systemPrompt || 'You are a helpful AI assistant.',
-        model: callParams.model || 'fixie-ai/ultravox',
-        voice: callParams.voice || 'default',
-        ...callParams
-      })
+      body: JSON.stringify(toUltravoxCall(config))
     });
 
     if (!response.ok) {
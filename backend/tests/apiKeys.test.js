@@ -0,0 +1,104 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { app, clearMemoryDatabase, createTenant, createUser, signIn } from './helpers/app.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+
+describe('API keys', () => {
+  let tenant;
+  let alice;
+  let aliceToken;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    tenant = await createTenant('acme');
+    alice = await createUser(tenant, 'alice@acme.com', { role: 'admin' });
+    aliceToken = await signIn(alice);
+  });
+
+  const manage = (method, path, token = aliceToken) => request(app)[method](`/api/api-keys${path}`)
+    .set('Authorization', `Bearer ${token}`)
+    .set('X-Tenant-Subdomain', 'acme');
+
+  const createKey = async (body, token) => (await manage('post', '', token).send({ name: 'CI', ...body })).body;
+
+  const withKey = (method, path, key) => request(app)[method](path).set('X-API-Key', key);
+
+  test('the key is shown once and identifies the tenant on its own', async () => {
+    const { apiKey, key } = await createKey();
+
+    expect(apiKey.scopes).toEqual(['calls:read', 'calls:write', 'dashboard:read']);
+    expect(JSON.stringify((await manage('get', '')).body)).not.toContain(key);
+    expect((await withKey('get', '/api/calls', key)).status).toBe(200);
+  });
+
+  test('unknown scopes are refused', async () => {
+    const response = await manage('post', '').send({ name: 'CI', scopes: ['users:write'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Invalid scopes: users:write/);
+  });
+
+  test('a key only reaches endpoints its scopes allow', async () => {
+    const { key } = await createKey({ scopes: ['dashboard:read'] });
+
+    expect((await withKey('get', '/api/dashboard/usage', key)).status).toBe(200);
+
+    const response = await withKey('get', '/api/calls', key);
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('API key is missing the calls:read scope');
+  });
+
+  test('a key never reaches management endpoints', async () => {
+    const { key } = await createKey();
+
+    for (const path of ['/api/users', '/api/api-keys']) {
+      const response = await withKey('get', path, key);
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('API keys cannot access this endpoint');
+    }
+  });
+
+  test('a key cannot do more than the user who created it', async () => {
+    await Role.create({ tenantId: tenant._id, key: 'auditor', name: 'Auditor', permissions: ['calls.view', 'api_keys.manage'] });
+    const auditorToken = await signIn(await createUser(tenant, 'audrey@acme.com', { role: 'auditor' }));
+    const { key } = await createKey({ scopes: ['calls:read', 'calls:write'] }, auditorToken);
+
+    expect((await withKey('get', '/api/calls', key)).status).toBe(200);
+    const response = await withKey('post', '/api/calls', key).send({});
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Missing permission: calls.create');
+  });
+
+  test('managing keys needs the permission', async () => {
+    const janeToken = await signIn(await createUser(tenant, 'jane@acme.com'));
+
+    expect((await manage('post', '', janeToken).send({ name: 'CI' })).status).toBe(403);
+  });
+
+  test('a revoked key stops working at once', async () => {
+    const { apiKey, key } = await createKey();
+
+    expect((await manage('delete', `/${apiKey._id}`)).status).toBe(200);
+
+    const response = await withKey('get', '/api/calls', key);
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid API key');
+  });
+
+  test('a key stops working when its creator is deactivated', async () => {
+    const { key } = await createKey();
+    await User.updateOne({ _id: alice._id }, { isActive: false });
+
+    expect((await withKey('get', '/api/calls', key)).status).toBe(401);
+  });
+
+  test('a key is refused on another tenant', async () => {
+    await createTenant('globex');
+    const { key } = await createKey();
+
+    const response = await withKey('get', '/api/calls', key).set('X-Tenant-Subdomain', 'globex');
+
+    expect(response.status).toBe(403);
+  });
+});
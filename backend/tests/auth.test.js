@@ -0,0 +1,118 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { app, clearMemoryDatabase, createTenant, createUser, PASSWORD } from './helpers/app.js';
+import AuditLog from '../models/AuditLog.js';
+import { generateTotp, generateTotpSecret } from '../utils/totp.js';
+
+// Few failures lock an account
+process.env.LOGIN_MAX_FAILURES = '2';
+
+describe('auth', () => {
+  let tenant;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    tenant = await createTenant('acme');
+  });
+
+  const post = (path, body, token) => {
+    const req = request(app).post(path).set('X-Tenant-Subdomain', 'acme');
+    return (token ? req.set('Authorization', `Bearer ${token}`) : req).send(body);
+  };
+
+  const signedIn = async (token) => (await request(app).get('/api/calls')
+    .set('Authorization', `Bearer ${token}`)
+    .set('X-Tenant-Subdomain', 'acme')).status === 200;
+
+  const login = async (email) => (await post('/api/auth/login', { email, password: PASSWORD })).body;
+
+  test('login returns an access and a refresh token', async () => {
+    await createUser(tenant, 'jane@acme.com');
+
+    const response = await post('/api/auth/login', { email: 'Jane@Acme.com ', password: PASSWORD });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ token: expect.any(String), refreshToken: expect.any(String) });
+    expect(response.body.user.email).toBe('jane@acme.com');
+    expect(await signedIn(response.body.token)).toBe(true);
+  });
+
+  test('a wrong password is refused', async () => {
+    await createUser(tenant, 'jane@acme.com');
+
+    const response = await post('/api/auth/login', { email: 'jane@acme.com', password: 'wrong-password' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid credentials');
+  });
+
+  test('refreshing rotates the refresh token', async () => {
+    await createUser(tenant, 'jane@acme.com');
+    const { refreshToken } = await login('jane@acme.com');
+
+    const response = await post('/api/auth/refresh', { refreshToken });
+
+    expect(response.status).toBe(200);
+    expect(response.body.refreshToken).not.toBe(refreshToken);
+    expect(await signedIn(response.body.token)).toBe(true);
+  });
+
+  test('reusing a refresh token revokes every token of the user', async () => {
+    await createUser(tenant, 'jane@acme.com');
+    const { refreshToken } = await login('jane@acme.com');
+    const rotated = (await post('/api/auth/refresh', { refreshToken })).body;
+
+    const reuse = await post('/api/auth/refresh', { refreshToken });
+
+    expect(reuse.status).toBe(401);
+    expect(await signedIn(rotated.token)).toBe(false);
+    expect((await post('/api/auth/refresh', { refreshToken: rotated.refreshToken })).status).toBe(401);
+  });
+
+  test('logging out revokes the access and refresh token', async () => {
+    await createUser(tenant, 'jane@acme.com');
+    const { token, refreshToken } = await login('jane@acme.com');
+
+    const response = await post('/api/auth/logout', { refreshToken }, token);
+
+    expect(response.status).toBe(200);
+    expect(await signedIn(token)).toBe(false);
+    expect((await post('/api/auth/refresh', { refreshToken })).status).toBe(401);
+    expect(await AuditLog.findOne({ action: 'user.logout' })).not.toBeNull();
+  });
+
+  describe('with MFA', () => {
+    const secret = generateTotpSecret();
+
+    beforeEach(() => createUser(tenant, 'jane@acme.com', { mfa: { enabled: true, secret } }));
+
+    const verify = (mfaToken, code) => post('/api/auth/login/mfa', { mfaToken, code });
+
+    test('the password alone only gets a token for the second step', async () => {
+      const body = await login('jane@acme.com');
+
+      expect(body).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+    });
+
+    test('a valid code completes the login once', async () => {
+      const { mfaToken } = await login('jane@acme.com');
+      const code = generateTotp(secret);
+
+      const response = await verify(mfaToken, code);
+
+      expect(response.status).toBe(200);
+      expect(await signedIn(response.body.token)).toBe(true);
+      expect((await verify((await login('jane@acme.com')).mfaToken, code)).status).toBe(401);
+    });
+
+    test('wrong codes count towards the account lockout', async () => {
+      const { mfaToken } = await login('jane@acme.com');
+      await verify(mfaToken, '000000');
+      await verify(mfaToken, '000001');
+
+      expect((await verify(mfaToken, generateTotp(secret))).status).toBe(429);
+      expect((await post('/api/auth/login', { email: 'jane@acme.com', password: PASSWORD })).status).toBe(401);
+      expect(await AuditLog.findOne({ action: 'user.locked_out', 'details.mfa': true })).not.toBeNull();
+    });
+  });
+});
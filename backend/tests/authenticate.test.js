@@ -0,0 +1,65 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { app, clearMemoryDatabase, createTenant, createUser, signIn } from './helpers/app.js';
+
+describe('authenticate', () => {
+  let tenant;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    tenant = await createTenant('acme', { security: { mfaRequired: true } });
+  });
+
+  const get = (path, token, subdomain) => {
+    const req = request(app).get(path).set('Authorization', `Bearer ${token}`);
+    return subdomain ? req.set('X-Tenant-Subdomain', subdomain) : req;
+  };
+
+  test('a tenant that requires MFA turns away users who have not enrolled', async () => {
+    const token = await signIn(await createUser(tenant, 'jane@acme.com'));
+
+    const response = await get('/api/calls', token, 'acme');
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('MFA_ENROLLMENT_REQUIRED');
+  });
+
+  test('the MFA requirement holds for requests without any tenant context', async () => {
+    const token = await signIn(await createUser(tenant, 'jane@acme.com'));
+
+    const response = await get('/api/calls', token);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('MFA_ENROLLMENT_REQUIRED');
+  });
+
+  test('enrolled users get through', async () => {
+    const token = await signIn(await createUser(tenant, 'jane@acme.com', { mfa: { enabled: true, secret: 'SECRET' } }));
+
+    const response = await get('/api/calls', token, 'acme');
+
+    expect(response.status).toBe(200);
+  });
+
+  test('users can still reach MFA enrollment before enrolling', async () => {
+    const token = await signIn(await createUser(tenant, 'jane@acme.com'));
+
+    const response = await request(app)
+      .post('/api/auth/mfa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+  });
+
+  test('a token for one tenant is refused on another', async () => {
+    await createTenant('globex');
+    const token = await signIn(await createUser(tenant, 'jane@acme.com', { mfa: { enabled: true, secret: 'SECRET' } }));
+
+    const response = await get('/api/calls', token, 'globex');
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toMatch(/Tenant mismatch/);
+  });
+});
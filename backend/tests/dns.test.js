@@ -0,0 +1,61 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { checkDomainVerification, getVerificationRecord, setTxtResolver } from '../services/dns.js';
+
+const DOMAIN = 'voice.acme.com';
+const TOKEN = 'abc123';
+const RECORD_NAME = '_voho-verification.voice.acme.com';
+
+const dnsError = (code) => Object.assign(new Error(`queryTxt ${code}`), { code });
+
+describe('domain verification with a stub TXT resolver', () => {
+  afterEach(() => setTxtResolver());
+
+  test('getVerificationRecord names the record and value to publish', () => {
+    expect(getVerificationRecord(DOMAIN, TOKEN)).toEqual({
+      type: 'TXT',
+      name: RECORD_NAME,
+      value: 'voho-verification=abc123'
+    });
+  });
+
+  test('a matching record verifies the domain', async () => {
+    const lookups = [];
+    setTxtResolver(async (hostname) => {
+      lookups.push(hostname);
+      return ['v=spf1 -all', ' voho-verification=abc123 '];
+    });
+
+    await expect(checkDomainVerification(DOMAIN, TOKEN)).resolves.toEqual({ verified: true, error: null });
+    expect(lookups).toEqual([RECORD_NAME]);
+  });
+
+  test('a record with another token does not verify', async () => {
+    setTxtResolver(async () => ['voho-verification=someone-else']);
+
+    const result = await checkDomainVerification(DOMAIN, TOKEN);
+    expect(result.verified).toBe(false);
+    expect(result.error).toBe(`TXT record at ${RECORD_NAME} does not contain voho-verification=abc123`);
+  });
+
+  test.each(['ENOTFOUND', 'ENODATA'])('%s is reported as a missing record', async (code) => {
+    setTxtResolver(async () => { throw dnsError(code); });
+
+    await expect(checkDomainVerification(DOMAIN, TOKEN)).resolves.toEqual({
+      verified: false,
+      error: `No TXT record found at ${RECORD_NAME}`
+    });
+  });
+
+  test('other resolver errors are reported as a failed lookup', async () => {
+    setTxtResolver(async () => { throw dnsError('ETIMEOUT'); });
+
+    await expect(checkDomainVerification(DOMAIN, TOKEN)).resolves.toEqual({
+      verified: false,
+      error: 'DNS lookup failed: ETIMEOUT'
+    });
+  });
+
+  test('setTxtResolver refuses anything but a function', () => {
+    expect(() => setTxtResolver('8.8.8.8')).toThrow('TXT resolver must be a function');
+  });
+});
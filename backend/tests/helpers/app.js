@@ -0,0 +1,50 @@
+import { useMemoryDatabase, clearMemoryDatabase, setMemoryDatabaseLatency } from './memoryDatabase.js';
+
+// The whole API on the in-memory database; imported after the secrets are set
+process.env.JWT_SECRET ||= 'test-jwt-secret';
+// Lets tests give each client its own IP with X-Forwarded-For
+process.env.TRUST_PROXY ||= '1';
+
+const { default: app } = await import('../../server.js');
+const { default: Tenant } = await import('../../models/Tenant.js');
+const { default: User } = await import('../../models/User.js');
+const { default: Role } = await import('../../models/Role.js');
+const { issueAuthTokens } = await import('../../utils/jwt.js');
+const { invalidateTenant } = await import('../../utils/tenantCache.js');
+
+useMemoryDatabase();
+
+export { app, clearMemoryDatabase, setMemoryDatabaseLatency };
+
+export const PASSWORD = 'correct-horse-battery';
+
+/**
+ * Create an active tenant with its built-in roles
+ */
+export const createTenant = async (subdomain, fields = {}) => {
+  const tenant = await Tenant.create({ subdomain, name: subdomain, ...fields });
+  await Role.ensureDefaultRoles(tenant._id);
+  // Forget lookups cached while the subdomain did not exist
+  await invalidateTenant(tenant);
+  return tenant;
+};
+
+/**
+ * Create a verified user; the password is PASSWORD unless given
+ */
+export const createUser = (tenant, email, fields = {}) => User.create({
+  tenantId: tenant._id,
+  email,
+  password: PASSWORD,
+  role: 'user',
+  emailVerified: true,
+  ...fields
+});
+
+/**
+ * Access token for a new session of the user, as login would issue
+ */
+export const signIn = async (user) => {
+  const { token } = await issueAuthTokens(user._id, user.tenantId, { headers: { 'user-agent': 'jest' }, ip: '127.0.0.1' });
+  return token;
+};
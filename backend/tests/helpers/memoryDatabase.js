@@ -0,0 +1,447 @@
+import mongoose from 'mongoose';
+
+/**
+ * In-memory stand-in for MongoDB. Replaces the driver collection behind every
+ * registered model, so models, hooks, casting and validation run for real without
+ * a database. Supports the filters, updates and aggregation stages the routes use;
+ * anything else throws so a test cannot pass on a silently ignored operator.
+ */
+
+const stores = new Map();
+
+// Delay before every operation, so concurrent requests interleave as they would over a network
+let latencyMs = 0;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const isObjectId = (value) => value?._bsontype === 'ObjectId' || value?._bsontype === 'ObjectID';
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+};
+
+const comparable = (value) => {
+  if (isObjectId(value)) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const equals = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((entry, index) => equals(entry, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => equals(a[key], b[key]));
+  }
+  return comparable(a) === comparable(b);
+};
+
+const compare = (a, b) => {
+  const [x, y] = [comparable(a), comparable(b)];
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+};
+
+/**
+ * Values at a dotted path, descending into arrays the way MongoDB does
+ */
+const valuesAt = (value, path) => {
+  const [head, ...rest] = path.split('.');
+  if (Array.isArray(value) && !/^\d+$/.test(head)) {
+    return value.flatMap(entry => valuesAt(entry, path));
+  }
+  const next = value?.[head];
+  return rest.length === 0 ? [next] : valuesAt(next, rest.join('.'));
+};
+
+const candidatesAt = (doc, path) => valuesAt(doc, path)
+  .flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const matchesOperator = (doc, path, operator, operand) => {
+  const candidates = candidatesAt(doc, path);
+
+  switch (operator) {
+    case '$eq': return candidates.some(value => matchesValue(value, operand));
+    case '$ne': return !candidates.some(value => matchesValue(value, operand));
+    case '$in': return operand.some(option => candidates.some(value => matchesValue(value, option)));
+    case '$nin': return !operand.some(option => candidates.some(value => matchesValue(value, option)));
+    case '$gt': return candidates.some(value => value != null && compare(value, operand) > 0);
+    case '$gte': return candidates.some(value => value != null && compare(value, operand) >= 0);
+    case '$lt': return candidates.some(value => value != null && compare(value, operand) < 0);
+    case '$lte': return candidates.some(value => value != null && compare(value, operand) <= 0);
+    case '$exists': return valuesAt(doc, path).some(value => value !== undefined) === !!operand;
+    case '$not': return !matchesCondition(doc, path, operand);
+    case '$regex': return candidates.some(value => typeof value === 'string' && new RegExp(operand).test(value));
+    case '$elemMatch': return valuesAt(doc, path).some(value => Array.isArray(value) &&
+      value.some(entry => (isPlainObject(entry) ? matches(entry, operand) : matchesCondition({ entry }, 'entry', operand))));
+    case '$size': return valuesAt(doc, path).some(value => Array.isArray(value) && value.length === operand);
+    default: throw new Error(`memoryDatabase: unsupported query operator ${operator}`);
+  }
+};
+
+const matchesValue = (value, expected) => {
+  // A missing field matches null, as in MongoDB
+  if (expected === null) return value === null || value === undefined;
+  if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+  return equals(value, expected);
+};
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+const matchesCondition = (doc, path, condition) => {
+  if (condition instanceof RegExp) return candidatesAt(doc, path).some(value => matchesValue(value, condition));
+  if (!isOperatorObject(condition)) return candidatesAt(doc, path).some(value => matchesValue(value, condition));
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$options') return true;
+    if (operator === '$regex') return matchesOperator(doc, path, '$regex', new RegExp(operand, condition.$options));
+    return matchesOperator(doc, path, operator, operand);
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+  if (key === '$and') return condition.every(sub => matches(doc, sub));
+  if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+  return matchesCondition(doc, key, condition);
+});
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  keys.slice(0, -1).forEach((key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = valuesAt(doc, keys.slice(0, -1).join('.') || keys[0])[0];
+  if (keys.length === 1) delete doc[keys[0]];
+  else if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+const getPath = (doc, path) => valuesAt(doc, path)[0];
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  if (Array.isArray(update)) {
+    throw new Error('memoryDatabase: update pipelines are not supported');
+  }
+
+  const operators = isOperatorObject(update) ? update : { $set: update };
+  for (const [operator, fields] of Object.entries(operators)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(value)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+        case '$min': if (getPath(doc, path) === undefined || compare(value, getPath(doc, path)) < 0) setPath(doc, path, clone(value)); break;
+        case '$max': if (getPath(doc, path) === undefined || compare(value, getPath(doc, path)) > 0) setPath(doc, path, clone(value)); break;
+        case '$push':
+        case '$addToSet': {
+          const list = getPath(doc, path) || [];
+          const additions = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          additions.forEach((entry) => {
+            if (operator === '$push' || !list.some(existing => equals(existing, entry))) list.push(clone(entry));
+          });
+          setPath(doc, path, list);
+          break;
+        }
+        case '$pull':
+        case '$pullAll': {
+          const list = getPath(doc, path) || [];
+          const remove = (entry) => (operator === '$pullAll'
+            ? value.some(candidate => equals(candidate, entry))
+            : isPlainObject(value) && isPlainObject(entry) && !isOperatorObject(value)
+              ? matches(entry, value)
+              : matchesCondition({ entry }, 'entry', value));
+          setPath(doc, path, list.filter(entry => !remove(entry)));
+          break;
+        }
+        default: throw new Error(`memoryDatabase: unsupported update operator ${operator}`);
+      }
+    }
+  }
+  return doc;
+};
+
+const project = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+
+  const entries = Object.entries(projection).filter(([key]) => key !== '_id');
+  const inclusive = entries.some(([, value]) => value === 1 || value === true);
+
+  if (!inclusive) {
+    const result = clone(doc);
+    entries.forEach(([path]) => unsetPath(result, path));
+    if (projection._id === 0) delete result._id;
+    return result;
+  }
+
+  const result = projection._id === 0 ? {} : { _id: doc._id };
+  entries.forEach(([path]) => {
+    const value = getPath(doc, path);
+    if (value !== undefined) setPath(result, path, clone(value));
+  });
+  return result;
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const keys = Array.isArray(sort) ? sort : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compare(getPath(a, path), getPath(b, path)) * (direction === -1 || direction === 'desc' ? -1 : 1);
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+};
+
+const duplicateKeyError = (fields) => Object.assign(
+  new Error(`E11000 duplicate key error: ${Object.keys(fields).join(', ')}`),
+  { code: 11000, keyPattern: fields, keyValue: fields }
+);
+
+/**
+ * Evaluate the aggregation expressions the routes use in $group
+ */
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (!isPlainObject(expression)) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  switch (operator) {
+    case '$ifNull': return evaluate(doc, args[0]) ?? evaluate(doc, args[1]);
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(args) ? args : [args.if, args.then, args.else];
+      return evaluate(doc, condition) ? evaluate(doc, then) : evaluate(doc, otherwise);
+    }
+    default:
+      if (!operator.startsWith('$')) {
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value)]));
+      }
+      throw new Error(`memoryDatabase: unsupported expression ${operator}`);
+  }
+};
+
+const group = (docs, { _id, ...accumulators }) => {
+  const groups = new Map();
+  docs.forEach((doc) => {
+    const key = evaluate(doc, _id);
+    const id = JSON.stringify(comparable(key) ?? null);
+    if (!groups.has(id)) groups.set(id, { _id: key ?? null, docs: [] });
+    groups.get(id).docs.push(doc);
+  });
+
+  return [...groups.values()].map(({ _id: key, docs: members }) => {
+    const result = { _id: key };
+    Object.entries(accumulators).forEach(([field, accumulator]) => {
+      const [[operator, expression]] = Object.entries(accumulator);
+      const values = members.map(doc => evaluate(doc, expression)).filter(value => typeof value === 'number');
+      switch (operator) {
+        case '$sum': result[field] = values.reduce((total, value) => total + value, 0); break;
+        case '$avg': result[field] = values.length ? values.reduce((total, value) => total + value, 0) / values.length : null; break;
+        case '$max': result[field] = values.length ? Math.max(...values) : null; break;
+        case '$min': result[field] = values.length ? Math.min(...values) : null; break;
+        default: throw new Error(`memoryDatabase: unsupported accumulator ${operator}`);
+      }
+    });
+    return result;
+  });
+};
+
+const cursor = (docs) => ({
+  toArray: async () => docs,
+  close: async () => {},
+  [Symbol.asyncIterator]: async function* () { yield* docs; }
+});
+
+/**
+ * Driver-level collection over an array of raw documents
+ */
+const createCollection = (model) => {
+  const docs = [];
+  const uniqueIndexes = model.schema.indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields, options]) => ({ fields, partial: options.partialFilterExpression }));
+
+  const checkUnique = (candidate) => {
+    for (const { fields, partial } of uniqueIndexes) {
+      if (partial && !matches(candidate, partial)) continue;
+      const paths = Object.keys(fields);
+      if (paths.every(path => getPath(candidate, path) === undefined)) continue;
+      const clash = docs.some(doc => doc !== candidate && paths.every(path => equals(getPath(doc, path), getPath(candidate, path))));
+      if (clash) throw duplicateKeyError(Object.fromEntries(paths.map(path => [path, 1])));
+    }
+  };
+
+  const findMatching = (filter, { sort, skip = 0, limit } = {}) => {
+    const found = sortDocs(docs.filter(doc => matches(doc, filter)), sort).slice(skip);
+    return limit ? found.slice(0, limit) : found;
+  };
+
+  const insert = (raw) => {
+    const doc = clone(raw);
+    if (doc._id === undefined) doc._id = new mongoose.Types.ObjectId();
+    docs.push(doc);
+    try {
+      checkUnique(doc);
+    } catch (error) {
+      docs.splice(docs.indexOf(doc), 1);
+      throw error;
+    }
+    return doc;
+  };
+
+  const update = (doc, changes) => {
+    const before = clone(doc);
+    applyUpdate(doc, changes);
+    try {
+      checkUnique(doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+    return !equals(before, doc);
+  };
+
+  const upsert = (filter, changes) => {
+    const seed = Object.fromEntries(Object.entries(filter)
+      .filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value)));
+    const doc = {};
+    Object.entries(seed).forEach(([path, value]) => setPath(doc, path, clone(value)));
+    applyUpdate(doc, changes, { inserting: true });
+    return insert(doc);
+  };
+
+  const updateMatching = async (filter, changes, options = {}, many = false) => {
+    const targets = many ? findMatching(filter) : findMatching(filter, { sort: options.sort }).slice(0, 1);
+    if (targets.length === 0 && options.upsert) {
+      const doc = upsert(filter, changes);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    const modifiedCount = targets.filter(doc => update(doc, changes)).length;
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  };
+
+  const removeMatching = async (filter, many) => {
+    const targets = many ? findMatching(filter) : findMatching(filter).slice(0, 1);
+    targets.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { acknowledged: true, deletedCount: targets.length };
+  };
+
+  const result = (doc, options) => (doc ? clone(project(doc, options?.projection)) : null);
+  const withMetadata = (value, options) => (options?.includeResultMetadata ? { value, ok: 1 } : value);
+
+  return {
+    docs,
+    find: (filter, options = {}) => cursor(findMatching(filter, options).map(doc => result(doc, options))),
+    findOne: async (filter, options = {}) => result(findMatching(filter, options)[0], options),
+    countDocuments: async (filter) => findMatching(filter).length,
+    estimatedDocumentCount: async () => docs.length,
+    distinct: async (field, filter) => {
+      const values = [];
+      findMatching(filter).forEach(doc => candidatesAt(doc, field)
+        .filter(value => value !== undefined && !Array.isArray(value))
+        .forEach(value => { if (!values.some(existing => equals(existing, value))) values.push(value); }));
+      return values.map(clone);
+    },
+    insertOne: async (raw) => ({ acknowledged: true, insertedId: insert(raw)._id }),
+    insertMany: async (raws) => {
+      const inserted = raws.map(insert);
+      return { acknowledged: true, insertedCount: inserted.length, insertedIds: inserted.map(doc => doc._id) };
+    },
+    updateOne: (filter, changes, options) => updateMatching(filter, changes, options),
+    updateMany: (filter, changes, options) => updateMatching(filter, changes, options, true),
+    replaceOne: async (filter, replacement) => {
+      const [doc] = findMatching(filter);
+      if (!doc) return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+      Object.keys(doc).forEach(key => key !== '_id' && delete doc[key]);
+      Object.assign(doc, clone(replacement), { _id: doc._id });
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    },
+    findOneAndUpdate: async (filter, changes, options = {}) => {
+      let [doc] = findMatching(filter, { sort: options.sort });
+      const before = doc ? clone(doc) : null;
+      if (doc) update(doc, changes);
+      else if (options.upsert) doc = upsert(filter, changes);
+      const returned = options.returnDocument === 'after' ? doc : before;
+      return withMetadata(result(returned, options), options);
+    },
+    findOneAndDelete: async (filter, options = {}) => {
+      const [doc] = findMatching(filter, { sort: options.sort });
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return withMetadata(result(doc, options), options);
+    },
+    deleteOne: (filter) => removeMatching(filter, false),
+    deleteMany: (filter) => removeMatching(filter, true),
+    aggregate: (pipeline) => {
+      let current = docs.map(clone);
+      for (const stage of pipeline) {
+        const [[name, spec]] = Object.entries(stage);
+        switch (name) {
+          case '$match': current = current.filter(doc => matches(doc, spec)); break;
+          case '$group': current = group(current, spec); break;
+          case '$sort': current = sortDocs(current, spec); break;
+          case '$limit': current = current.slice(0, spec); break;
+          case '$count': current = [{ [spec]: current.length }]; break;
+          default: throw new Error(`memoryDatabase: unsupported aggregation stage ${name}`);
+        }
+      }
+      return cursor(current);
+    },
+    createIndex: async () => 'index',
+    createIndexes: async () => [],
+    listIndexes: () => cursor([])
+  };
+};
+
+/**
+ * Back every model registered so far with an in-memory collection. Import the
+ * routes under test (which import their models) before calling this.
+ */
+export const useMemoryDatabase = () => {
+  for (const name of mongoose.modelNames()) {
+    if (stores.has(name)) continue;
+    const model = mongoose.model(name);
+    const collection = createCollection(model);
+    stores.set(name, collection);
+    Object.entries(collection).forEach(([method, fn]) => {
+      if (['docs', 'listIndexes'].includes(method)) return;
+      model.collection[method] = async (...args) => {
+        if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs));
+        return fn(...args);
+      };
+    });
+  }
+};
+
+/**
+ * Make every operation take ms milliseconds (0 to answer at once)
+ */
+export const setMemoryDatabaseLatency = (ms) => {
+  latencyMs = ms;
+};
+
+/**
+ * Empty every in-memory collection (e.g. in beforeEach)
+ */
+export const clearMemoryDatabase = () => {
+  stores.forEach(({ docs }) => docs.splice(0, docs.length));
+};
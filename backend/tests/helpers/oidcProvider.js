@@ -0,0 +1,46 @@
+import http from 'http';
+import { createMockOidcProvider } from '../../scripts/mock-oidc-provider.js';
+
+export const CLIENT_ID = 'voho-test';
+export const CLIENT_SECRET = 'voho-test-secret';
+
+/**
+ * Serve the mock identity provider on a free local port.
+ * Returns { issuer, signIn, close }.
+ */
+export const startMockOidcProvider = async () => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+  server.on('request', createMockOidcProvider({ issuer, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET }));
+
+  /**
+   * Sign in at the provider as the user would, following an authorization URL.
+   * overrides replace parameters of the authorization request (e.g. a forged nonce).
+   * Returns the { code, state } the provider redirects back with.
+   */
+  const signIn = async (authorizationUrl, email, overrides = {}) => {
+    const { searchParams } = new URL(authorizationUrl);
+    const form = new URLSearchParams({
+      email,
+      client_id: searchParams.get('client_id'),
+      redirect_uri: searchParams.get('redirect_uri'),
+      state: searchParams.get('state'),
+      nonce: searchParams.get('nonce'),
+      code_challenge: searchParams.get('code_challenge'),
+      ...overrides
+    });
+
+    const response = await fetch(`${issuer}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+    const location = new URL(response.headers.get('location'));
+    return { code: location.searchParams.get('code'), state: location.searchParams.get('state') };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { issuer, signIn, close };
+};
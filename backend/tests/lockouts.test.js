@@ -0,0 +1,73 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { app, clearMemoryDatabase, createTenant, createUser, signIn, PASSWORD } from './helpers/app.js';
+
+// Few failures lock an account; each test comes from its own IP, so IP failures do not add up
+process.env.LOGIN_MAX_FAILURES = '2';
+let clients = 0;
+
+describe('login lockouts', () => {
+  let tenant;
+  let adminToken;
+  let jane;
+  let ip;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    ip = `10.0.0.${++clients}`;
+    tenant = await createTenant('acme');
+    adminToken = await signIn(await createUser(tenant, 'alice@acme.com', { role: 'admin' }));
+    jane = await createUser(tenant, 'jane@acme.com');
+  });
+
+  const login = (email, password) => request(app)
+    .post('/api/auth/login')
+    .set('X-Tenant-Subdomain', 'acme')
+    .set('X-Forwarded-For', ip)
+    .send({ email, password });
+
+  const admin = (method, path) => request(app)[method](path)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .set('X-Tenant-Subdomain', 'acme');
+
+  const lockOut = async (email) => {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await login(email, 'wrong-password');
+    }
+  };
+
+  test('wrong passwords are counted until the account is locked', async () => {
+    await login('jane@acme.com', 'wrong-password');
+
+    let [entry] = (await admin('get', '/api/lockouts')).body;
+    expect(entry).toMatchObject({ email: 'jane@acme.com', failedAttempts: 1, locked: false });
+
+    await lockOut('jane@acme.com');
+
+    [entry] = (await admin('get', '/api/lockouts')).body;
+    expect(entry).toMatchObject({ email: 'jane@acme.com', locked: true });
+    expect((await login('jane@acme.com', PASSWORD)).status).toBe(401);
+  });
+
+  test('a locked account is answered like an unknown email', async () => {
+    await lockOut('jane@acme.com');
+
+    const locked = await login('jane@acme.com', PASSWORD);
+    const unknown = await login('nobody@acme.com', PASSWORD);
+
+    expect(locked.status).toBe(unknown.status);
+    expect(locked.body).toEqual(unknown.body);
+    expect(locked.headers['retry-after']).toBeUndefined();
+  });
+
+  test('an admin can unlock the account', async () => {
+    await lockOut('jane@acme.com');
+
+    const response = await admin('delete', `/api/lockouts/${jane._id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.wasLocked).toBe(true);
+    expect((await login('jane@acme.com', PASSWORD)).body.token).toBeDefined();
+    expect((await admin('get', '/api/lockouts')).body).toEqual([]);
+  });
+});
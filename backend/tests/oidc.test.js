@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import {
+  discoverProvider,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  generatePkce,
+  generateRandomValue
+} from '../services/oidc.js';
+import { startMockOidcProvider, CLIENT_ID, CLIENT_SECRET } from './helpers/oidcProvider.js';
+
+const REDIRECT_URI = 'http://localhost:3000/sso/callback';
+
+describe('OIDC service against the mock identity provider', () => {
+  let provider;
+  let metadata;
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider();
+    metadata = await discoverProvider(provider.issuer);
+  });
+
+  afterAll(() => provider.close());
+
+  /**
+   * Run the authorization code flow up to the token response
+   */
+  const authorize = async ({ nonce = generateRandomValue(), signInOverrides, exchangeOverrides } = {}) => {
+    const state = generateRandomValue();
+    const { codeVerifier, codeChallenge } = generatePkce();
+    const url = buildAuthorizationUrl(metadata, { clientId: CLIENT_ID, redirectUri: REDIRECT_URI, state, nonce, codeChallenge });
+
+    const { code } = await provider.signIn(url, 'Jane@Acme.com', signInOverrides);
+    const tokens = await exchangeCode(metadata, {
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      code,
+      redirectUri: REDIRECT_URI,
+      codeVerifier,
+      ...exchangeOverrides
+    });
+    return { tokens, nonce };
+  };
+
+  test('generatePkce derives an S256 challenge from the verifier', () => {
+    const { codeVerifier, codeChallenge } = generatePkce();
+    const expected = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    expect(codeVerifier).toMatch(/^[\w-]{43}$/);
+    expect(codeChallenge).toBe(expected);
+  });
+
+  test('buildAuthorizationUrl asks for a code with state, nonce and S256 PKCE', () => {
+    const url = new URL(buildAuthorizationUrl(metadata, {
+      clientId: CLIENT_ID,
+      redirectUri: REDIRECT_URI,
+      state: 'the-state',
+      nonce: 'the-nonce',
+      codeChallenge: 'the-challenge',
+      loginHint: 'jane@acme.com'
+    }));
+
+    expect(`${url.origin}${url.pathname}`).toBe(metadata.authorization_endpoint);
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: 'code',
+      client_id: CLIENT_ID,
+      redirect_uri: REDIRECT_URI,
+      scope: 'openid email profile',
+      state: 'the-state',
+      nonce: 'the-nonce',
+      code_challenge: 'the-challenge',
+      code_challenge_method: 'S256',
+      login_hint: 'jane@acme.com'
+    });
+  });
+
+  test('discoverProvider rejects a document for another issuer', async () => {
+    const impostor = provider.issuer.replace('127.0.0.1', 'localhost');
+    await expect(discoverProvider(impostor)).rejects.toThrow('issuer mismatch');
+  });
+
+  test('a complete flow yields verified claims', async () => {
+    const { tokens, nonce } = await authorize();
+    const claims = await verifyIdToken(metadata, tokens.id_token, { clientId: CLIENT_ID, nonce });
+
+    expect(claims).toMatchObject({ email: 'jane@acme.com', email_verified: true, iss: provider.issuer, aud: CLIENT_ID });
+  });
+
+  test('the token endpoint refuses a code verifier that does not match the challenge', async () => {
+    await expect(authorize({ exchangeOverrides: { codeVerifier: generatePkce().codeVerifier } }))
+      .rejects.toThrow('PKCE verification failed');
+  });
+
+  test('verifyIdToken rejects a token minted for another nonce', async () => {
+    const { tokens } = await authorize({ signInOverrides: { nonce: 'replayed-nonce' } });
+
+    await expect(verifyIdToken(metadata, tokens.id_token, { clientId: CLIENT_ID, nonce: 'expected-nonce' }))
+      .rejects.toThrow('nonce mismatch');
+  });
+
+  test('verifyIdToken rejects a token for another client', async () => {
+    const { tokens, nonce } = await authorize();
+
+    await expect(verifyIdToken(metadata, tokens.id_token, { clientId: 'someone-else', nonce }))
+      .rejects.toThrow('audience invalid');
+  });
+
+  test('verifyIdToken rejects a token with a tampered payload', async () => {
+    const { tokens, nonce } = await authorize();
+    const [header, payload, signature] = tokens.id_token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, email: 'admin@acme.com' })).toString('base64url');
+
+    await expect(verifyIdToken(metadata, `${header}.${forged}.${signature}`, { clientId: CLIENT_ID, nonce }))
+      .rejects.toThrow('invalid signature');
+  });
+});
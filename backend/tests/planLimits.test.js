@@ -0,0 +1,67 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { app, clearMemoryDatabase, createTenant, createUser, signIn } from './helpers/app.js';
+import Invitation from '../models/Invitation.js';
+import Call from '../models/Call.js';
+
+describe('plan limits', () => {
+  let tenant;
+  let admin;
+  let adminToken;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    tenant = await createTenant('acme', { plan: 'free' });
+    admin = await createUser(tenant, 'alice@acme.com', { role: 'admin' });
+    adminToken = await signIn(admin);
+  });
+
+  const send = (method, path, body = {}) => request(app)[method](path)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .set('X-Tenant-Subdomain', 'acme')
+    .send(body);
+
+  const invite = async (email, expiresAt) => {
+    const invitation = new Invitation({ tenantId: tenant._id, email, invitedBy: admin._id });
+    invitation.issueToken();
+    if (expiresAt) invitation.expiresAt = expiresAt;
+    return invitation.save();
+  };
+
+  describe('resending an invitation', () => {
+    test('renews a pending invitation without taking another seat', async () => {
+      await createUser(tenant, 'bob@acme.com');
+      const invitation = await invite('carol@acme.com');
+
+      const response = await send('post', `/api/invitations/${invitation._id}/resend`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.sendCount).toBe(2);
+    });
+
+    test('needs a free seat once the invitation has expired', async () => {
+      const expired = await invite('carol@acme.com', new Date(Date.now() - 1000));
+      await createUser(tenant, 'bob@acme.com');
+      await invite('dave@acme.com');
+
+      const response = await send('post', `/api/invitations/${expired._id}/resend`);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({ code: 'QUOTA_EXCEEDED', quota: 'seats', used: 3 });
+      expect((await Invitation.findById(expired._id)).isExpired()).toBe(true);
+    });
+  });
+
+  test('calls without a final duration count the minutes they were started with', async () => {
+    const call = (fields) => ({ tenantId: tenant._id, userId: admin._id, ultravoxCallId: `uv-${Math.random()}`, ...fields });
+    await Call.create([
+      call({ status: 'completed', duration: 120, config: { maxDurationSeconds: 600 } }),
+      call({ status: 'in_progress', config: { maxDurationSeconds: 600 } })
+    ]);
+
+    const response = await send('get', '/api/dashboard/usage');
+
+    expect(response.status).toBe(200);
+    expect(response.body.usage.callMinutes).toBe(12);
+  });
+});
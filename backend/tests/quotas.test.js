@@ -0,0 +1,104 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-ins for the collections; Tenant.updateOne applies the tenant lock's
+// conditional update the way MongoDB would
+const tenantLocks = new Map();
+const activeUsers = [];
+const tenantPlans = [];
+const deletedAuditQueries = [];
+
+const lockExpired = (tenantId, now) => !(tenantLocks.get(tenantId)?.expiresAt > now);
+
+jest.unstable_mockModule('../models/Tenant.js', () => ({
+  default: {
+    MAX_CALL_DURATION_SECONDS: 3600,
+    updateOne: async (filter, update) => {
+      if (update.$set) {
+        if (!lockExpired(filter._id, filter['lock.expiresAt'].$not.$gt)) return { modifiedCount: 0 };
+        tenantLocks.set(filter._id, update.$set.lock);
+        return { modifiedCount: 1 };
+      }
+      if (tenantLocks.get(filter._id)?.token !== filter['lock.token']) return { modifiedCount: 0 };
+      tenantLocks.delete(filter._id);
+      return { modifiedCount: 1 };
+    },
+    find: ({ plan }) => ({
+      distinct: async () => tenantPlans.filter(tenant => tenant.plan === plan).map(tenant => tenant._id)
+    })
+  }
+}));
+jest.unstable_mockModule('../models/User.js', () => ({
+  default: { countDocuments: async ({ tenantId }) => activeUsers.filter(user => user.tenantId === tenantId).length }
+}));
+jest.unstable_mockModule('../models/Invitation.js', () => ({ default: { countDocuments: async () => 0 } }));
+jest.unstable_mockModule('../models/Call.js', () => ({ default: {} }));
+jest.unstable_mockModule('../models/AuditLog.js', () => ({
+  default: {
+    deleteMany: async (query) => {
+      deletedAuditQueries.push(query);
+      return { deletedCount: query.tenantId.$in.length };
+    }
+  }
+}));
+
+const { takeSeat, pruneExpiredAuditLogs } = await import('../utils/quotas.js');
+const { getPlan } = await import('../utils/plans.js');
+
+const addUser = (tenantId) => async () => {
+  // Creating the user takes a moment, which is where a count-then-create check races
+  await new Promise(resolve => setTimeout(resolve, 20));
+  activeUsers.push({ tenantId });
+};
+
+describe('plan quotas', () => {
+  beforeEach(() => {
+    tenantLocks.clear();
+    activeUsers.length = 0;
+    tenantPlans.length = 0;
+    deletedAuditQueries.length = 0;
+  });
+
+  test('tenants without a plan are on the unlimited legacy plan', () => {
+    expect(getPlan({})).toMatchObject({ key: 'legacy', limits: { seats: null, auditRetentionDays: null } });
+    expect(getPlan({ plan: 'pro' }).key).toBe('pro');
+  });
+
+  test('concurrent requests cannot both take the last seat', async () => {
+    const tenant = { _id: 'tenant-acme', plan: 'free' };
+    activeUsers.push({ tenantId: tenant._id }, { tenantId: tenant._id });
+
+    const results = await Promise.all([
+      takeSeat(tenant, addUser(tenant._id)),
+      takeSeat(tenant, addUser(tenant._id))
+    ]);
+
+    expect(results.filter(result => result.error)).toHaveLength(1);
+    expect(results.find(result => result.error).error).toMatchObject({ code: 'QUOTA_EXCEEDED', quota: 'seats', used: 3 });
+    expect(activeUsers).toHaveLength(3);
+    expect(tenantLocks.size).toBe(0);
+  });
+
+  test('the lock is released when creating fails', async () => {
+    const tenant = { _id: 'tenant-acme', plan: 'free' };
+
+    await expect(takeSeat(tenant, async () => { throw new Error('duplicate email'); })).rejects.toThrow('duplicate email');
+    expect(tenantLocks.size).toBe(0);
+    await expect(takeSeat(tenant, addUser(tenant._id))).resolves.toEqual({ result: undefined });
+  });
+
+  test('unlimited seats skip the lock', async () => {
+    const tenant = { _id: 'tenant-legacy' };
+    tenantLocks.set(tenant._id, { token: 'held-elsewhere', expiresAt: new Date(Date.now() + 60000) });
+
+    await expect(takeSeat(tenant, async () => 'created')).resolves.toEqual({ result: 'created' });
+  });
+
+  test('audit logs are only pruned for tenants with a recorded plan', async () => {
+    tenantPlans.push({ _id: 'tenant-free', plan: 'free' }, { _id: 'tenant-without-plan' });
+
+    await pruneExpiredAuditLogs();
+
+    expect(deletedAuditQueries).toHaveLength(1);
+    expect(deletedAuditQueries[0].tenantId.$in).toEqual(['tenant-free']);
+  });
+});
@@ -0,0 +1,98 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { app, clearMemoryDatabase, createTenant, createUser, signIn } from './helpers/app.js';
+import Role from '../models/Role.js';
+import Tenant from '../models/Tenant.js';
+
+// Everything but calls.view_all, calls.configure, audit.view, branding.edit and api_keys.manage
+const MANAGER_PERMISSIONS = ['calls.view', 'calls.create', 'users.manage', 'roles.manage', 'security.manage'];
+
+describe('roles and permissions', () => {
+  let tenant;
+  let managerToken;
+  let jane;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    tenant = await createTenant('acme');
+    await Role.create({ tenantId: tenant._id, key: 'manager', name: 'Manager', permissions: MANAGER_PERMISSIONS });
+    managerToken = await signIn(await createUser(tenant, 'max@acme.com', { role: 'manager' }));
+    jane = await createUser(tenant, 'jane@acme.com');
+  });
+
+  const send = (method, path, body = {}, token = managerToken) => request(app)[method](path)
+    .set('Authorization', `Bearer ${token}`)
+    .set('X-Tenant-Subdomain', 'acme')
+    .send(body);
+
+  test('endpoints need their permission', async () => {
+    const response = await send('get', '/api/users', {}, await signIn(jane));
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Missing permission: users.manage');
+  });
+
+  describe('managing roles', () => {
+    test('a role can only get permissions its creator holds', async () => {
+      const refused = await send('post', '/api/roles', { name: 'Auditor', permissions: ['calls.view', 'audit.view'] });
+      expect(refused.status).toBe(400);
+      expect(refused.body.error).toBe('You cannot grant permissions you do not have: audit.view');
+
+      const created = await send('post', '/api/roles', { name: 'Caller', permissions: ['calls.view', 'calls.create'] });
+      expect(created.status).toBe(201);
+      expect(created.body.key).toBe('caller');
+    });
+
+    test('editing a role keeps permissions the editor lacks but cannot add them', async () => {
+      await Role.create({ tenantId: tenant._id, key: 'auditor', name: 'Auditor', permissions: ['audit.view'] });
+
+      const kept = await send('put', '/api/roles/auditor', { permissions: ['audit.view', 'calls.view'] });
+      expect(kept.status).toBe(200);
+      expect(kept.body.permissions).toEqual(['audit.view', 'calls.view']);
+
+      const added = await send('put', '/api/roles/auditor', { permissions: ['audit.view', 'branding.edit'] });
+      expect(added.status).toBe(400);
+    });
+
+    test('the admin role cannot be changed', async () => {
+      const response = await send('put', '/api/roles/admin', { permissions: ['calls.view'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('a role in use cannot be deleted', async () => {
+      await Role.create({ tenantId: tenant._id, key: 'caller', name: 'Caller', permissions: ['calls.view'] });
+      await createUser(tenant, 'carl@acme.com', { role: 'caller' });
+
+      const response = await send('delete', '/api/roles/caller');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/still assigned to 1 user/);
+    });
+  });
+
+  describe('handing out roles', () => {
+    test('a user cannot be given a role with permissions the manager lacks', async () => {
+      const refused = await send('put', `/api/users/${jane._id}/role`, { role: 'admin' });
+      expect(refused.status).toBe(403);
+      expect(refused.body.error).toBe('You cannot assign a role with permissions you do not have');
+
+      const allowed = await send('put', `/api/users/${jane._id}/role`, { role: 'manager' });
+      expect(allowed.status).toBe(200);
+    });
+
+    test('nobody can be invited to a role with permissions the manager lacks', async () => {
+      const response = await send('post', '/api/invitations', { email: 'new@acme.com', role: 'admin' });
+
+      expect(response.status).toBe(403);
+      expect((await send('post', '/api/invitations', { email: 'new@acme.com', role: 'user' })).status).toBe(201);
+    });
+
+    test('SSO cannot default to a role with permissions the manager lacks', async () => {
+      const response = await send('put', '/api/tenant/sso', { enabled: false, defaultRole: 'admin' });
+
+      expect(response.status).toBe(403);
+      expect((await Tenant.findById(tenant._id)).sso?.defaultRole).not.toBe('admin');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { app, clearMemoryDatabase, setMemoryDatabaseLatency, createTenant, createUser, signIn } from './helpers/app.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import AuditLog from '../models/AuditLog.js';
+import { hashToken } from '../utils/tokens.js';
+
+const SCIM_TOKEN = 'scim-test-token';
+
+describe('SCIM provisioning', () => {
+  let tenant;
+  let alice;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    tenant = await createTenant('acme', { scim: { tokenHash: hashToken(SCIM_TOKEN) } });
+    alice = await createUser(tenant, 'alice@acme.com', { role: 'admin' });
+    await Role.create({ tenantId: tenant._id, key: 'support', name: 'Support', permissions: ['calls.view'] });
+  });
+
+  const scim = (method, path, body) => request(app)[method](`/api/scim/v2${path}`)
+    .set('Authorization', `Bearer ${SCIM_TOKEN}`)
+    .send(body);
+
+  const patchGroup = (group, op, userId) => scim('patch', `/Groups/${group}`, {
+    Operations: op === 'add'
+      ? [{ op: 'add', path: 'members', value: [{ value: userId.toString() }] }]
+      : [{ op: 'remove', path: `members[value eq "${userId}"]` }]
+  });
+
+  const roleOf = async (user) => (await User.findById(user._id)).role;
+
+  test('requires the tenant token', async () => {
+    const response = await request(app).get('/api/scim/v2/Users').set('Authorization', 'Bearer wrong');
+
+    expect(response.status).toBe(401);
+    expect(response.body.schemas).toEqual(['urn:ietf:params:scim:api:messages:2.0:Error']);
+  });
+
+  test('provisions a verified user who can be found by userName', async () => {
+    const response = await scim('post', '/Users', { userName: 'Jane@acme.com', externalId: 'dir-42' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ userName: 'jane@acme.com', active: true, externalId: 'dir-42' });
+    expect(await User.findById(response.body.id)).toMatchObject({ role: 'user', emailVerified: true });
+    expect(await AuditLog.findOne({ action: 'scim.user_created' })).not.toBeNull();
+
+    const list = await scim('get', '/Users?filter=userName eq "jane@acme.com"');
+    expect(list.body.totalResults).toBe(1);
+  });
+
+  test('refuses to provision an email that already has an account', async () => {
+    const response = await scim('post', '/Users', { userName: 'alice@acme.com' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.scimType).toBe('uniqueness');
+  });
+
+  test('deprovisioning deactivates the user and signs them out', async () => {
+    const jane = await createUser(tenant, 'jane@acme.com');
+    const token = await signIn(jane);
+
+    const response = await scim('delete', `/Users/${jane._id}`);
+
+    expect(response.status).toBe(204);
+    expect((await User.findById(jane._id)).isActive).toBe(false);
+    expect(await AuditLog.findOne({ action: 'scim.user_deactivated' })).not.toBeNull();
+    const signedOut = await request(app).get('/api/calls')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Tenant-Subdomain', 'acme');
+    expect(signedOut.status).toBe(401);
+  });
+
+  test('roles may name a custom role and a PUT without roles keeps it', async () => {
+    const jane = await createUser(tenant, 'jane@acme.com');
+
+    await scim('patch', `/Users/${jane._id}`, { Operations: [{ op: 'replace', path: 'roles', value: 'Support' }] });
+    expect(await roleOf(jane)).toBe('support');
+
+    const response = await scim('put', `/Users/${jane._id}`, { userName: 'jane@acme.com', active: true });
+    expect(response.status).toBe(200);
+    expect(await roleOf(jane)).toBe('support');
+  });
+
+  test('the last active admin cannot be deprovisioned', async () => {
+    const response = await scim('delete', `/Users/${alice._id}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ scimType: 'mutability', detail: 'The tenant must keep at least one active admin' });
+    expect((await User.findById(alice._id)).isActive).toBe(true);
+  });
+
+  describe('groups', () => {
+    test('adding to Admins makes an admin and removing makes a user', async () => {
+      const jane = await createUser(tenant, 'jane@acme.com', { role: 'support' });
+
+      expect((await patchGroup('admin', 'add', jane._id)).status).toBe(200);
+      expect(await roleOf(jane)).toBe('admin');
+
+      const response = await patchGroup('admin', 'remove', jane._id);
+      expect(response.status).toBe(200);
+      expect(response.body.members.map(member => member.display)).toEqual(['alice@acme.com']);
+      expect(await roleOf(jane)).toBe('user');
+    });
+
+    test('adding to Users does not demote admins or custom roles', async () => {
+      const sam = await createUser(tenant, 'sam@acme.com', { role: 'support' });
+
+      expect((await patchGroup('user', 'add', alice._id)).status).toBe(200);
+      expect((await patchGroup('user', 'add', sam._id)).status).toBe(200);
+
+      expect(await roleOf(alice)).toBe('admin');
+      expect(await roleOf(sam)).toBe('support');
+    });
+
+    test('removing the last admin from Admins is refused', async () => {
+      const response = await patchGroup('admin', 'remove', alice._id);
+
+      expect(response.status).toBe(400);
+      expect(response.body.scimType).toBe('mutability');
+      expect(await roleOf(alice)).toBe('admin');
+    });
+
+    test('replacing the members of Admins keeps an admin', async () => {
+      const response = await scim('put', '/Groups/admin', { displayName: 'Admins', members: [] });
+
+      expect(response.status).toBe(400);
+      expect(await roleOf(alice)).toBe('admin');
+    });
+
+    describe('at once', () => {
+      afterEach(() => setMemoryDatabaseLatency(0));
+
+      test('removing both admins in parallel leaves one of them', async () => {
+        const bob = await createUser(tenant, 'bob@acme.com', { role: 'admin' });
+        setMemoryDatabaseLatency(5);
+
+        const responses = await Promise.all([patchGroup('admin', 'remove', alice._id), patchGroup('admin', 'remove', bob._id)]);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+        expect(await User.countDocuments({ tenantId: tenant._id, role: 'admin', isActive: true })).toBe(1);
+      });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { app, clearMemoryDatabase, createTenant, createUser, signIn } from './helpers/app.js';
+import Role from '../models/Role.js';
+
+describe('sessions', () => {
+  let tenant;
+  let alice;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    tenant = await createTenant('acme');
+    alice = await createUser(tenant, 'alice@acme.com', { role: 'admin' });
+  });
+
+  const send = (method, path, token) => request(app)[method](path)
+    .set('Authorization', `Bearer ${token}`)
+    .set('X-Tenant-Subdomain', 'acme');
+
+  const sessionIds = async (token) => (await send('get', '/api/sessions', token)).body.map(session => session.id);
+
+  const signedIn = async (token) => (await send('get', '/api/calls', token)).status === 200;
+
+  test('users see their sessions with the current one flagged', async () => {
+    const laptop = await signIn(alice);
+    await signIn(alice);
+
+    const response = await send('get', '/api/sessions', laptop);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(2);
+    expect(response.body.filter(session => session.current)).toHaveLength(1);
+  });
+
+  test('signing out one session ends only that one', async () => {
+    const laptop = await signIn(alice);
+    const phone = await signIn(alice);
+    const [phoneSession] = (await send('get', '/api/sessions', phone)).body.filter(session => session.current);
+
+    expect((await send('delete', `/api/sessions/${phoneSession.id}`, laptop)).status).toBe(200);
+
+    expect(await signedIn(phone)).toBe(false);
+    expect(await signedIn(laptop)).toBe(true);
+  });
+
+  test('signing out everywhere else keeps the current session', async () => {
+    const laptop = await signIn(alice);
+    const phone = await signIn(alice);
+
+    const response = await send('delete', '/api/sessions', laptop);
+
+    expect(response.body.count).toBe(1);
+    expect(await signedIn(phone)).toBe(false);
+    expect(await signedIn(laptop)).toBe(true);
+  });
+
+  test('users cannot sign out sessions of someone else through their own list', async () => {
+    const bobToken = await signIn(await createUser(tenant, 'bob@acme.com'));
+    const [bobSession] = await sessionIds(bobToken);
+
+    const response = await send('delete', `/api/sessions/${bobSession}`, await signIn(alice));
+
+    expect(response.status).toBe(404);
+    expect(await signedIn(bobToken)).toBe(true);
+  });
+
+  test('admins can sign out any session in the tenant', async () => {
+    const bobToken = await signIn(await createUser(tenant, 'bob@acme.com'));
+    const [bobSession] = await sessionIds(bobToken);
+
+    const response = await send('delete', `/api/sessions/tenant/${bobSession}`, await signIn(alice));
+
+    expect(response.status).toBe(200);
+    expect(await signedIn(bobToken)).toBe(false);
+  });
+
+  test('managers cannot sign out someone with permissions they lack', async () => {
+    await Role.create({ tenantId: tenant._id, key: 'support', name: 'Support', permissions: ['calls.view', 'users.manage'] });
+    const supportToken = await signIn(await createUser(tenant, 'sam@acme.com', { role: 'support' }));
+    const aliceToken = await signIn(alice);
+    const [aliceSession] = await sessionIds(aliceToken);
+
+    const response = await send('delete', `/api/sessions/tenant/${aliceSession}`, supportToken);
+
+    expect(response.status).toBe(403);
+    expect(await signedIn(aliceToken)).toBe(true);
+  });
+});
@@ -0,0 +1,180 @@
+import express from 'express';
+import request from 'supertest';
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { startMockOidcProvider, CLIENT_ID, CLIENT_SECRET } from './helpers/oidcProvider.js';
+
+// The routes run for real against the mock identity provider; only the database
+// and the token issuing behind completeLogin are stood in for.
+const savedUsers = [];
+const tenants = new Map();
+
+class FakeUser {
+  constructor(fields) {
+    Object.assign(this, { _id: `user-${savedUsers.length + 1}`, isActive: true }, fields);
+  }
+
+  async save() {
+    savedUsers.push(this);
+  }
+
+  static async findOne({ tenantId, email }) {
+    return savedUsers.find(user => user.tenantId === tenantId && user.email === email) || null;
+  }
+}
+
+jest.unstable_mockModule('../models/User.js', () => ({ default: FakeUser }));
+jest.unstable_mockModule('../models/Tenant.js', () => ({
+  default: { findById: (id) => ({ select: async () => tenants.get(id) || null }) }
+}));
+jest.unstable_mockModule('../utils/auditLogger.js', () => ({
+  logAudit: jest.fn(async () => {}),
+  logPlatformAudit: jest.fn(async () => {})
+}));
+jest.unstable_mockModule('../utils/quotas.js', () => ({ takeSeat: async (tenant, create) => ({ result: await create() }) }));
+jest.unstable_mockModule('../utils/authResponse.js', () => ({
+  completeLogin: async (req, res, user, tenant, details) => res.json({
+    user: { id: user._id, email: user.email, role: user.role },
+    tenant: tenant.subdomain,
+    details
+  })
+}));
+
+const { default: ssoRoutes } = await import('../routes/sso.js');
+const { logAudit } = await import('../utils/auditLogger.js');
+
+const createTenant = (id, subdomain, issuer) => ({
+  _id: id,
+  subdomain,
+  status: 'active',
+  isActive: true,
+  sso: { enabled: true, issuer, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, allowedDomains: [], defaultRole: 'user' }
+});
+
+// Stands in for tenantMiddleware: the tenant comes from X-Tenant-Subdomain
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const tenant = [...tenants.values()].find(candidate => candidate.subdomain === req.headers['x-tenant-subdomain']);
+    if (tenant) {
+      req.tenant = tenant;
+      req.tenantId = tenant._id;
+    }
+    next();
+  });
+  app.use('/api/sso', ssoRoutes);
+  return app;
+};
+
+describe('SSO routes against the mock identity provider', () => {
+  let provider;
+  let app;
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider();
+    tenants.set('tenant-acme', createTenant('tenant-acme', 'acme', provider.issuer));
+    tenants.set('tenant-globex', createTenant('tenant-globex', 'globex', provider.issuer));
+    app = createApp();
+  });
+
+  afterAll(() => provider.close());
+
+  beforeEach(() => {
+    savedUsers.length = 0;
+    logAudit.mockClear();
+  });
+
+  const start = async (subdomain = 'acme') => {
+    const response = await request(app).post('/api/sso/start').set('X-Tenant-Subdomain', subdomain).send({});
+    expect(response.status).toBe(200);
+    return response.body.authorizationUrl;
+  };
+
+  const callback = (body, subdomain = 'acme') => request(app)
+    .post('/api/sso/callback')
+    .set('X-Tenant-Subdomain', subdomain)
+    .send(body);
+
+  test('start sends the browser to the provider with state, nonce and PKCE', async () => {
+    const url = new URL(await start());
+
+    expect(url.origin).toBe(provider.issuer);
+    expect(url.searchParams.get('client_id')).toBe(CLIENT_ID);
+    expect(url.searchParams.get('state')).toBeTruthy();
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('code_challenge')).toMatch(/^[\w-]{43}$/);
+  });
+
+  test('callback signs in and provisions a first-time user', async () => {
+    const { code, state } = await provider.signIn(await start(), 'jane@acme.com');
+    const response = await callback({ code, state });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      user: { email: 'jane@acme.com', role: 'user' },
+      tenant: 'acme',
+      details: { email: 'jane@acme.com', method: 'sso' }
+    });
+    expect(savedUsers).toHaveLength(1);
+    expect(savedUsers[0].sso.issuer).toBe(provider.issuer);
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'user.sso_provisioned' }));
+  });
+
+  test('callback requires the code and state', async () => {
+    const response = await callback({ code: 'abc' });
+    expect(response.status).toBe(400);
+  });
+
+  test('callback rejects an unknown state', async () => {
+    const { code } = await provider.signIn(await start(), 'jane@acme.com');
+    const response = await callback({ code, state: 'not-a-state-we-issued' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/expired/);
+    expect(savedUsers).toHaveLength(0);
+  });
+
+  test('state is single use', async () => {
+    const { code, state } = await provider.signIn(await start(), 'jane@acme.com');
+    expect((await callback({ code, state })).status).toBe(200);
+
+    const replay = await callback({ code, state });
+    expect(replay.status).toBe(400);
+  });
+
+  test('callback rejects a state started for another tenant', async () => {
+    const { code, state } = await provider.signIn(await start('globex'), 'jane@acme.com');
+    const response = await callback({ code, state }, 'acme');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/different tenant/);
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'user.sso_failed' }));
+  });
+
+  test('callback rejects a code issued for another PKCE challenge', async () => {
+    const { code, state } = await provider.signIn(await start(), 'jane@acme.com', {
+      code_challenge: 'challenge-of-an-attacker-session-0000000000'
+    });
+    const response = await callback({ code, state });
+
+    expect(response.status).toBe(401);
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.sso_failed',
+      details: expect.objectContaining({ reason: expect.stringContaining('PKCE') })
+    }));
+    expect(savedUsers).toHaveLength(0);
+  });
+
+  test('callback rejects an ID token minted for another nonce', async () => {
+    const { code, state } = await provider.signIn(await start(), 'jane@acme.com', { nonce: 'replayed-nonce' });
+    const response = await callback({ code, state });
+
+    expect(response.status).toBe(401);
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.sso_failed',
+      details: expect.objectContaining({ reason: 'ID token nonce mismatch' })
+    }));
+    expect(savedUsers).toHaveLength(0);
+  });
+});
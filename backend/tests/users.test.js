@@ -0,0 +1,121 @@
+import request from 'supertest';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { app, clearMemoryDatabase, setMemoryDatabaseLatency, createTenant, createUser, signIn } from './helpers/app.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import AuditLog from '../models/AuditLog.js';
+
+describe('user management', () => {
+  let tenant;
+  let alice;
+  let aliceToken;
+
+  beforeEach(async () => {
+    clearMemoryDatabase();
+    tenant = await createTenant('acme');
+    alice = await createUser(tenant, 'alice@acme.com', { role: 'admin' });
+    aliceToken = await signIn(alice);
+  });
+
+  const send = (method, path, token, body = {}) => request(app)[method](path)
+    .set('Authorization', `Bearer ${token}`)
+    .set('X-Tenant-Subdomain', 'acme')
+    .send(body);
+
+  const activeAdmins = () => User.countDocuments({ tenantId: tenant._id, role: 'admin', isActive: true });
+
+  test('changing a role is audited', async () => {
+    const bob = await createUser(tenant, 'bob@acme.com', { role: 'admin' });
+
+    const response = await send('put', `/api/users/${bob._id}/role`, aliceToken, { role: 'user' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.role).toBe('user');
+    expect(await AuditLog.findOne({ action: 'user.role_changed' })).toMatchObject({
+      details: { from: 'admin', to: 'user', email: 'bob@acme.com' }
+    });
+  });
+
+  test('nobody can change their own account', async () => {
+    const response = await send('post', `/api/users/${alice._id}/deactivate`, aliceToken);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/your own account/);
+  });
+
+  test('a manager cannot act on someone with permissions they lack', async () => {
+    await Role.create({ tenantId: tenant._id, key: 'support', name: 'Support', permissions: ['calls.view', 'users.manage'] });
+    const support = await createUser(tenant, 'sam@acme.com', { role: 'support' });
+
+    const response = await send('post', `/api/users/${alice._id}/deactivate`, await signIn(support));
+
+    expect(response.status).toBe(403);
+    expect((await User.findById(alice._id)).isActive).toBe(true);
+  });
+
+  describe('last active admin', () => {
+    let ownerToken;
+
+    beforeEach(async () => {
+      // Holds every permission without being an admin, so it may manage Alice
+      await Role.create({ tenantId: tenant._id, key: 'owner', name: 'Owner', permissions: Object.keys(Role.PERMISSIONS) });
+      ownerToken = await signIn(await createUser(tenant, 'olivia@acme.com', { role: 'owner' }));
+    });
+
+    test.each([
+      ['demoted', 'put', 'role', { role: 'user' }],
+      ['deactivated', 'post', 'deactivate', {}],
+      ['deleted', 'delete', '', {}]
+    ])('cannot be %s', async (change, method, action, body) => {
+      const path = action ? `/api/users/${alice._id}/${action}` : `/api/users/${alice._id}`;
+
+      const response = await send(method, path, ownerToken, body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('The tenant must keep at least one active admin');
+      expect(await activeAdmins()).toBe(1);
+    });
+
+    test('can be removed once another admin exists', async () => {
+      await createUser(tenant, 'bob@acme.com', { role: 'admin' });
+
+      const response = await send('delete', `/api/users/${alice._id}`, ownerToken);
+
+      expect(response.status).toBe(200);
+      expect(await activeAdmins()).toBe(1);
+    });
+  });
+
+  describe('concurrent changes', () => {
+    afterEach(() => setMemoryDatabaseLatency(0));
+
+    test.each([
+      ['demote', 'put', 'role', { role: 'user' }],
+      ['deactivate', 'post', 'deactivate', {}],
+      ['delete', 'delete', '', {}]
+    ])('two admins who %s each other at once leave one admin', async (change, method, action, body) => {
+      const bob = await createUser(tenant, 'bob@acme.com', { role: 'admin' });
+      const bobToken = await signIn(bob);
+      const path = (user) => (action ? `/api/users/${user._id}/${action}` : `/api/users/${user._id}`);
+      setMemoryDatabaseLatency(5);
+
+      const responses = await Promise.all([
+        send(method, path(bob), aliceToken, body),
+        send(method, path(alice), bobToken, body)
+      ]);
+
+      expect(responses.filter(response => response.status === 200)).toHaveLength(1);
+      expect(await activeAdmins()).toBe(1);
+    });
+  });
+
+  test('deactivating a user signs them out', async () => {
+    const bob = await createUser(tenant, 'bob@acme.com');
+    const bobToken = await signIn(bob);
+
+    expect((await send('post', `/api/users/${bob._id}/deactivate`, aliceToken)).status).toBe(200);
+
+    const response = await send('get', '/api/calls', bobToken);
+    expect(response.status).toBe(401);
+  });
+});
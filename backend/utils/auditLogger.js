@@ -1,13 +1,15 @@
 import AuditLog from '../models/AuditLog.js';
+import PlatformAuditLog from '../models/PlatformAuditLog.js';
 
 /**
  * Log audit events for security and compliance
  */
-export const logAudit = async ({ tenantId, userId, action, details, ip, userAgent }) => {
+export const logAudit = async ({ tenantId, userId, apiKeyId, action, details, ip, userAgent }) => {
   try {
     await AuditLog.create({
       tenantId,
       userId,
+      apiKeyId,
       action,
       details,
       ip,
@@ -20,3 +22,22 @@ export const logAudit = async ({ tenantId, userId, action, details, ip, userAgen
   }
 };
 
+
+/**
+ * Log platform operator actions to the platform-level audit trail
+ */
+export const logPlatformAudit = async ({ adminId, tenantId, action, details, ip, userAgent }) => {
+  try {
+    await PlatformAuditLog.create({
+      adminId,
+      tenantId,
+      action,
+      details,
+      ip,
+      userAgent,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Platform audit logging error:', error);
+  }
+};
@@ -0,0 +1,56 @@
+import { issueAuthTokens } from './jwt.js';
+import { logAudit } from './auditLogger.js';
+import { tenantAccessError } from '../middleware/tenant.js';
+
+/**
+ * Shared success path for every way of logging in (password, MFA, invitation, SSO)
+ */
+
+/**
+ * Tenant fields returned to the client after authentication
+ */
+export const serializeTenant = (tenant) => ({
+  id: tenant._id,
+  subdomain: tenant.subdomain,
+  name: tenant.name,
+  branding: tenant.branding,
+  security: tenant.security
+});
+
+/**
+ * Audit a successful login, issue tokens and send the login response
+ */
+export const completeLogin = async (req, res, user, tenant, details) => {
+  // Suspended and closed tenants cannot sign in, whichever way the user authenticated
+  const accessError = tenantAccessError(tenant);
+  if (accessError) {
+    return res.status(403).json(accessError);
+  }
+
+  // Log successful login (with error handling)
+  try {
+    await logAudit({
+      tenantId: tenant._id,
+      userId: user._id,
+      action: 'user.login',
+      details,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  } catch (auditError) {
+    console.log('⚠️ Failed to log successful login:', auditError.message);
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user._id, tenant._id, req);
+
+  console.log('✅ Login successful for user:', user.email, 'tenant:', tenant.subdomain);
+
+  res.json({
+    token,
+    refreshToken,
+    mfaEnrollmentRequired: !!tenant.security?.mfaRequired && !user.mfa?.enabled,
+    user: user.toJSON(),
+    tenant: serializeTenant(tenant)
+  });
+};
@@ -0,0 +1,91 @@
+/**
+ * Call configuration: a tenant's stored defaults (Tenant.callDefaults) with the
+ * overrides of a single request on top. The result is what Ultravox receives and
+ * what is recorded on the Call.
+ */
+
+import Tenant from '../models/Tenant.js';
+
+export const CALL_CONFIG_FIELDS = [
+  'systemPrompt',
+  'model',
+  'voice',
+  'language',
+  'maxDurationSeconds',
+  'recordingEnabled',
+  'firstSpeaker'
+];
+
+const SYSTEM_PROMPT_MAX_LENGTH = 10000;
+const MIN_CALL_DURATION_SECONDS = 10;
+
+// Ultravox model names look like fixie-ai/ultravox or fixie-ai/ultravox-70B
+const MODEL_PATTERN = /^[a-z0-9][\w.-]*\/[\w.:-]+$/i;
+// BCP 47 tags such as en, pt-BR or zh-Hant-TW
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+const VOICE_PATTERN = /^[\w .'()-]{1,100}$/;
+
+const callConfigError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * The call configuration fields present in a request body
+ */
+export const pickCallConfig = (body = {}) => Object.fromEntries(
+  CALL_CONFIG_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, typeof body[field] === 'string' ? body[field].trim() : body[field]])
+);
+
+/**
+ * Check call configuration fields; returns an error message or null.
+ * Fields that are left out are not checked.
+ */
+export const validateCallConfig = ({ systemPrompt, model, voice, language, maxDurationSeconds, recordingEnabled, firstSpeaker }) => {
+  if (systemPrompt !== undefined
+    && (typeof systemPrompt !== 'string' || !systemPrompt || systemPrompt.length > SYSTEM_PROMPT_MAX_LENGTH)) {
+    return `System prompt must be between 1 and ${SYSTEM_PROMPT_MAX_LENGTH} characters`;
+  }
+  if (model !== undefined && (typeof model !== 'string' || model.length > 100 || !MODEL_PATTERN.test(model))) {
+    return 'Model must be an Ultravox model name such as fixie-ai/ultravox';
+  }
+  if (voice !== undefined && (typeof voice !== 'string' || (voice !== '' && !VOICE_PATTERN.test(voice)))) {
+    return 'Voice must be a voice name or ID of at most 100 characters, or empty for the default voice';
+  }
+  if (language !== undefined && (typeof language !== 'string' || (language !== '' && !LANGUAGE_PATTERN.test(language)))) {
+    return 'Language must be a language code such as en or es-MX, or empty to detect it';
+  }
+  if (maxDurationSeconds !== undefined
+    && (!Number.isInteger(maxDurationSeconds)
+      || maxDurationSeconds < MIN_CALL_DURATION_SECONDS
+      || maxDurationSeconds > Tenant.MAX_CALL_DURATION_SECONDS)) {
+    return `Max duration must be a whole number of seconds between ${MIN_CALL_DURATION_SECONDS} and ${Tenant.MAX_CALL_DURATION_SECONDS}`;
+  }
+  if (recordingEnabled !== undefined && typeof recordingEnabled !== 'boolean') {
+    return 'recordingEnabled must be a boolean';
+  }
+  if (firstSpeaker !== undefined && !Tenant.CALL_FIRST_SPEAKERS.includes(firstSpeaker)) {
+    return `First speaker must be one of: ${Tenant.CALL_FIRST_SPEAKERS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Effective configuration for a new call in the tenant. Overrides may shorten calls
+ * but not make them longer than the tenant allows. Throws an error with status 400
+ * for an invalid override.
+ */
+export const resolveCallConfig = (tenant, overrides = {}) => {
+  const error = validateCallConfig(overrides);
+  if (error) {
+    throw callConfigError(error);
+  }
+
+  const defaults = tenant.callDefaults?.toObject?.() || tenant.callDefaults || {};
+  if (overrides.maxDurationSeconds > defaults.maxDurationSeconds) {
+    throw callConfigError(`Calls in this tenant last at most ${defaults.maxDurationSeconds} seconds`);
+  }
+
+  return Object.fromEntries(
+    CALL_CONFIG_FIELDS.map(field => [field, overrides[field] !== undefined ? overrides[field] : defaults[field]])
+  );
+};
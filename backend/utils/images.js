@@ -0,0 +1,204 @@
+/**
+ * Inspect uploaded images and strip their metadata (EXIF, XMP, comments, text
+ * chunks) without re-encoding them. Only PNG, JPEG and WebP are accepted: the
+ * type is read from the file's own bytes, never from the name or the declared
+ * content type, and SVG is refused because it can carry scripts.
+ */
+
+const invalidImage = (message) => Object.assign(new Error(message), { status: 400 });
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Chunks needed to render a PNG; text, time, EXIF and animation chunks are dropped
+const PNG_KEPT_CHUNKS = new Set(['IHDR', 'PLTE', 'tRNS', 'IDAT', 'IEND', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'sBIT']);
+
+const readPng = (buffer) => {
+  if (buffer.length < 33 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    throw invalidImage('The PNG file is damaged');
+  }
+
+  const kept = [buffer.subarray(0, 8)];
+  let offset = 8;
+  let ended = false;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+
+    if (PNG_KEPT_CHUNKS.has(type)) kept.push(buffer.subarray(offset, end));
+    offset = end;
+
+    if (type === 'IEND') {
+      ended = true;
+      break;
+    }
+  }
+
+  if (!ended) {
+    throw invalidImage('The PNG file is damaged');
+  }
+
+  return {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    data: Buffer.concat(kept)
+  };
+};
+
+// SOF markers carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but do not
+const isJpegFrameMarker = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+// APP0 (JFIF) and APP14 (Adobe colour transform) affect decoding, and APP2 may hold the ICC profile
+const keepJpegSegment = (marker, segment) => {
+  if (marker === 0xfe) return false; // comment
+  if (marker < 0xe0 || marker > 0xef) return true;
+  if (marker === 0xe0 || marker === 0xee) return true;
+  if (marker === 0xe2) return segment.toString('ascii', 4, 15) === 'ICC_PROFILE';
+  return false; // APP1 (EXIF, XMP), APP13 (Photoshop/IPTC) and the rest
+};
+
+const readJpeg = (buffer) => {
+  const kept = [buffer.subarray(0, 2)];
+  let offset = 2;
+  let width;
+  let height;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw invalidImage('The JPEG file is damaged');
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Fill bytes and standalone markers have no length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      kept.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) break;
+    const segment = buffer.subarray(offset, end);
+
+    if (isJpegFrameMarker(marker) && segment.length >= 9) {
+      height = segment.readUInt16BE(5);
+      width = segment.readUInt16BE(7);
+    }
+
+    // Start of scan: the compressed data runs to the end of the image
+    if (marker === 0xda) {
+      if (!width || !height) break;
+      kept.push(buffer.subarray(offset));
+      return { width, height, data: Buffer.concat(kept) };
+    }
+
+    if (keepJpegSegment(marker, segment)) kept.push(segment);
+    offset = end;
+  }
+
+  throw invalidImage('The JPEG file is damaged');
+};
+
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+const readWebp = (buffer) => {
+  const chunks = [];
+  let offset = 12;
+  let width;
+  let height;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('ascii', offset, offset + 4);
+    const length = buffer.readUInt32LE(offset + 4);
+    // Chunks are padded to an even length
+    const end = offset + 8 + length + (length % 2);
+    if (offset + 8 + length > buffer.length) {
+      throw invalidImage('The WebP file is damaged');
+    }
+    const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+    const data = chunk.subarray(8);
+
+    if (type === 'VP8X' && length >= 10) {
+      data[0] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      width = data.readUIntLE(4, 3) + 1;
+      height = data.readUIntLE(7, 3) + 1;
+    } else if (type === 'VP8 ' && length >= 10 && !width) {
+      width = data.readUInt16LE(6) & 0x3fff;
+      height = data.readUInt16LE(8) & 0x3fff;
+    } else if (type === 'VP8L' && length >= 5 && !width) {
+      const bits = data.readUInt32LE(1);
+      width = (bits & 0x3fff) + 1;
+      height = ((bits >> 14) & 0x3fff) + 1;
+    }
+
+    if (type !== 'EXIF' && type !== 'XMP ') chunks.push(chunk);
+    offset = end;
+  }
+
+  if (!width || !height) {
+    throw invalidImage('The WebP file is damaged');
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'ascii');
+
+  return { width, height, data: Buffer.concat([header, body]) };
+};
+
+const FORMATS = [
+  {
+    type: 'png',
+    contentType: 'image/png',
+    extension: 'png',
+    matches: (buffer) => buffer.subarray(0, 8).equals(PNG_SIGNATURE),
+    read: readPng
+  },
+  {
+    type: 'jpeg',
+    contentType: 'image/jpeg',
+    extension: 'jpg',
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    read: readJpeg
+  },
+  {
+    type: 'webp',
+    contentType: 'image/webp',
+    extension: 'webp',
+    matches: (buffer) => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP',
+    read: readWebp
+  }
+];
+
+/**
+ * Identify an image and return it without metadata:
+ * { type, contentType, extension, width, height, data }.
+ * Throws an error with status 400 for anything that is not a readable PNG, JPEG or WebP.
+ */
+export const readImage = (buffer) => {
+  const format = buffer.length >= 12 && FORMATS.find(candidate => candidate.matches(buffer));
+  if (!format) {
+    throw invalidImage('Image must be a PNG, JPEG or WebP file');
+  }
+
+  const { width, height, data } = format.read(buffer);
+
+  return {
+    type: format.type,
+    contentType: format.contentType,
+    extension: format.extension,
+    width,
+    height,
+    data
+  };
+};
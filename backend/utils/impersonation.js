@@ -0,0 +1,137 @@
+import Impersonation from '../models/Impersonation.js';
+import Session from '../models/Session.js';
+import { generateImpersonationToken } from './jwt.js';
+import { newSessionId, startSession, revokeSession } from './sessions.js';
+import { logAudit, logPlatformAudit } from './auditLogger.js';
+
+/**
+ * Support impersonation: a platform operator acting as a tenant user for a
+ * limited time. Every step is written to both the tenant and platform audit logs.
+ */
+
+export const DEFAULT_IMPERSONATION_MINUTES = 30;
+export const MAX_IMPERSONATION_MINUTES = 120;
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Write an impersonation event to the tenant's audit log and the platform audit trail
+ */
+const auditBoth = (impersonation, action, details, req) => Promise.all([
+  logAudit({
+    tenantId: impersonation.tenantId,
+    userId: impersonation.userId,
+    action,
+    details: { ...details, impersonationId: impersonation._id, platformAdminId: impersonation.adminId },
+    ip: req?.ip,
+    userAgent: req?.headers['user-agent']
+  }),
+  logPlatformAudit({
+    adminId: impersonation.adminId,
+    tenantId: impersonation.tenantId,
+    action,
+    details: { ...details, impersonationId: impersonation._id, userId: impersonation.userId },
+    ip: req?.ip,
+    userAgent: req?.headers['user-agent']
+  })
+]);
+
+/**
+ * Start impersonating a user. Returns the access token and the Impersonation record.
+ */
+export const startImpersonation = async ({ admin, user, reason, minutes, req }) => {
+  const sessionId = newSessionId();
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  const token = generateImpersonationToken(user._id, user.tenantId, sessionId, admin._id, minutes * 60);
+
+  // Shows up in the user's and tenant's session lists, where it can be signed out
+  await startSession(sessionId, user._id, user.tenantId, req, expiresAt, { device: `Support session (${admin.email})` });
+
+  const impersonation = await Impersonation.create({
+    adminId: admin._id,
+    tenantId: user.tenantId,
+    userId: user._id,
+    sessionId,
+    reason,
+    expiresAt
+  });
+
+  await auditBoth(impersonation, 'impersonation.started', {
+    email: user.email,
+    adminEmail: admin.email,
+    reason,
+    expiresAt
+  }, req);
+
+  console.log('🕵️ Impersonation started:', admin.email, 'as', user.email, `(${minutes} min)`);
+
+  return { token, impersonation };
+};
+
+/**
+ * End an impersonation and sign its session out. Safe to call more than once;
+ * returns null if it had already ended.
+ */
+export const endImpersonation = async (id, { reason, req } = {}) => {
+  const impersonation = await Impersonation.findOneAndUpdate(
+    { _id: id, endedAt: null },
+    { endedAt: new Date(), endReason: reason },
+    { new: true }
+  );
+
+  if (!impersonation) return null;
+
+  await revokeSession(impersonation.sessionId, { reason: 'impersonation_ended' });
+
+  // The ending request itself does not need a separate request audit entry
+  if (req?.impersonation) {
+    req.impersonation.ended = true;
+  }
+
+  await auditBoth(impersonation, 'impersonation.ended', {
+    reason,
+    requestCount: impersonation.requestCount
+  }, req);
+
+  console.log('🕵️ Impersonation ended:', impersonation._id, reason);
+
+  return impersonation;
+};
+
+/**
+ * Audit a mutating request made with an impersonation token once it has finished
+ */
+export const trackImpersonatedRequest = (req, res) => {
+  if (!MUTATING_METHODS.includes(req.method)) return;
+
+  res.on('finish', () => {
+    if (req.impersonation.ended) return;
+
+    Impersonation.findOneAndUpdate({ sessionId: req.impersonation.sessionId }, { $inc: { requestCount: 1 } })
+      .then(impersonation => impersonation && auditBoth(impersonation, 'impersonation.request', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode
+      }, req))
+      .catch(error => console.error('❌ Failed to audit impersonated request:', error.message));
+  });
+};
+
+/**
+ * Record the end of impersonations that timed out or whose session a tenant admin signed out
+ */
+export const endFinishedImpersonations = async () => {
+  const active = await Impersonation.find({ endedAt: null });
+
+  for (const impersonation of active) {
+    if (impersonation.expiresAt <= new Date()) {
+      await endImpersonation(impersonation._id, { reason: 'expired' });
+      continue;
+    }
+
+    const session = await Session.findById(impersonation.sessionId).select('revokedAt');
+    if (!session || session.revokedAt) {
+      await endImpersonation(impersonation._id, { reason: 'revoked' });
+    }
+  }
+};
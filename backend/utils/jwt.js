@@ -1,16 +1,134 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { storeRefreshToken } from './tokenStore.js';
+import { newSessionId, startSession, extendSession } from './sessions.js';
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Generate short-lived access token for authenticated user, bound to their session
+ */
+export const generateToken = (userId, tenantId, sessionId) => {
+  return jwt.sign(
+    { userId, tenantId, sid: sessionId, type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m', jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Generate refresh token and register it so it can be rotated or revoked
+ */
+export const generateRefreshToken = async (userId, tenantId, sessionId) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId, tenantId, sid: sessionId, type: 'refresh' },
+    getRefreshSecret(),
+    { expiresIn: process.env.REFRESH_TOKEN_TTL || '7d', jwtid: jti }
+  );
+
+  await storeRefreshToken(jti, userId, jwt.decode(token).exp);
+  return token;
+};
+
+/**
+ * Issue an access/refresh token pair. Starts a new session for the requesting
+ * device, or continues sessionId when rotating a refresh token.
+ */
+export const issueAuthTokens = async (userId, tenantId, req, sessionId = null) => {
+  const sid = sessionId || newSessionId();
+  const token = generateToken(userId, tenantId, sid);
+  const refreshToken = await generateRefreshToken(userId, tenantId, sid);
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  if (sessionId) {
+    await extendSession(sessionId, req, expiresAt);
+  } else {
+    await startSession(sid, userId, tenantId, req, expiresAt);
+  }
+
+  return { token, refreshToken };
+};
+
+/**
+ * Generate short-lived MFA challenge token, exchanged for real tokens once a code is verified
+ */
+export const generateMfaToken = (userId, tenantId) => {
+  return jwt.sign(
+    { userId, tenantId, type: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Verify and decode MFA challenge token
+ */
+export const verifyMfaToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== 'mfa') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+};
+
+/**
+ * Generate short-lived token listing the accounts that matched a login across tenants
+ */
+export const generateTenantSelectionToken = (userIds) => {
+  return jwt.sign(
+    { userIds, type: 'tenant_select' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * Verify and decode tenant selection token
+ */
+export const verifyTenantSelectionToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== 'tenant_select') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+};
 
 /**
- * Generate JWT token for authenticated user
+ * Generate a time-boxed access token for a platform operator acting as a tenant user.
+ * The imp claim (operator id) marks every request made with it as impersonated.
  */
-export const generateToken = (userId, tenantId) => {
+export const generateImpersonationToken = (userId, tenantId, sessionId, adminId, expiresInSeconds) => {
   return jwt.sign(
-    { userId, tenantId },
+    { userId, tenantId, sid: sessionId, type: 'access', imp: adminId },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: expiresInSeconds, jwtid: crypto.randomUUID() }
   );
 };
 
+/**
+ * Generate token for a platform operator. It carries no tenant and is only
+ * accepted by the /api/platform endpoints.
+ */
+export const generatePlatformToken = (adminId) => {
+  return jwt.sign(
+    { adminId, type: 'platform' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.PLATFORM_TOKEN_TTL || '4h', jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Verify and decode platform operator token
+ */
+export const verifyPlatformToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== 'platform') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+};
+
 /**
  * Verify and decode JWT token
  */
@@ -18,3 +136,13 @@ export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
+/**
+ * Verify and decode refresh token
+ */
+export const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, getRefreshSecret());
+  if (decoded.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+};
@@ -0,0 +1,134 @@
+import { getValue, setValue, deleteValue, incrementValue } from './redis.js';
+
+/**
+ * Brute-force protection for password logins.
+ * Failures are counted per account (user id) and per client IP. Each failure
+ * slows the response down a little more, and once a limit is reached the
+ * account or IP is locked out for a period that doubles with every further failure.
+ * Password reset requests are rate limited per email and per client IP.
+ */
+
+const FAILURES_PREFIX = 'auth:login-failures:';
+const LOCKOUT_PREFIX = 'auth:lockout:';
+const RESET_REQUESTS_PREFIX = 'auth:reset-requests:';
+
+// Failures are forgotten this long after the first one in a series
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+const MAX_DELAY_MS = 4000;
+
+const getAccountMaxFailures = () => parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const getIpMaxFailures = () => parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const getBaseLockoutSeconds = () => parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 60;
+
+// Password reset requests are counted in fixed windows of this length
+const RESET_WINDOW_SECONDS = 60 * 60;
+const getResetEmailMaxRequests = () => parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL, 10) || 3;
+const getResetIpMaxRequests = () => parseInt(process.env.PASSWORD_RESET_MAX_PER_IP, 10) || 20;
+
+const accountKey = (userId) => `account:${userId}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const getLockout = async (key) => {
+  const lockout = await getValue(`${LOCKOUT_PREFIX}${key}`);
+  if (!lockout || new Date(lockout.lockedUntil) <= new Date()) return null;
+  return lockout;
+};
+
+/**
+ * Count a failure and lock the key out once it reaches maxFailures.
+ * Returns { failures, lockout } where lockout is null if not (yet) locked.
+ */
+const recordFailure = async (key, maxFailures) => {
+  const failures = await incrementValue(`${FAILURES_PREFIX}${key}`, FAILURE_WINDOW_SECONDS);
+  if (failures < maxFailures) {
+    return { failures, lockout: null };
+  }
+
+  const seconds = Math.min(getBaseLockoutSeconds() * 2 ** (failures - maxFailures), MAX_LOCKOUT_SECONDS);
+  const lockout = {
+    failures,
+    lockedAt: new Date().toISOString(),
+    lockedUntil: new Date(Date.now() + seconds * 1000).toISOString()
+  };
+  await setValue(`${LOCKOUT_PREFIX}${key}`, lockout, seconds);
+
+  return { failures, lockout };
+};
+
+/**
+ * Seconds until a lockout ends (for Retry-After)
+ */
+export const lockoutRetryAfter = (lockout) => {
+  return Math.max(1, Math.ceil((new Date(lockout.lockedUntil) - Date.now()) / 1000));
+};
+
+/**
+ * Delay to apply before answering a failed login, growing with the failure count
+ */
+export const failureDelayMs = (failures) => {
+  if (failures <= 1) return 0;
+  return Math.min(250 * 2 ** (failures - 2), MAX_DELAY_MS);
+};
+
+/**
+ * Current lockout for an account, or null
+ */
+export const getAccountLockout = async (userId) => getLockout(accountKey(userId));
+
+/**
+ * Current lockout for a client IP, or null
+ */
+export const getIpLockout = async (ip) => getLockout(ipKey(ip));
+
+/**
+ * Record a failed password for an account
+ */
+export const recordAccountFailure = async (userId) => recordFailure(accountKey(userId), getAccountMaxFailures());
+
+/**
+ * Record a failed login from a client IP
+ */
+export const recordIpFailure = async (ip) => recordFailure(ipKey(ip), getIpMaxFailures());
+
+/**
+ * Forget failures and lift any lockout for an account (successful login, password reset, admin unlock).
+ * Returns true if the account was locked.
+ */
+export const clearAccountLockout = async (userId) => {
+  const [, wasLocked] = await Promise.all([
+    deleteValue(`${FAILURES_PREFIX}${accountKey(userId)}`),
+    deleteValue(`${LOCKOUT_PREFIX}${accountKey(userId)}`)
+  ]);
+  return wasLocked;
+};
+
+/**
+ * Failure count and lockout for an account, for admin views
+ */
+export const getAccountThrottleState = async (userId) => {
+  const [failures, lockout] = await Promise.all([
+    getValue(`${FAILURES_PREFIX}${accountKey(userId)}`),
+    getAccountLockout(userId)
+  ]);
+  return { failures: failures || 0, lockout };
+};
+
+/**
+ * Count a password reset request from a client IP for an email (in a tenant).
+ * Returns { ipLimited, emailLimited, retryAfter }: a limited IP should be refused,
+ * while a limited email just gets no further emails, so the response still does not
+ * reveal whether the account exists.
+ */
+export const recordPasswordResetRequest = async ({ ip, email, tenantId }) => {
+  const [ipRequests, emailRequests] = await Promise.all([
+    incrementValue(`${RESET_REQUESTS_PREFIX}${ipKey(ip)}`, RESET_WINDOW_SECONDS),
+    incrementValue(`${RESET_REQUESTS_PREFIX}email:${tenantId}:${email}`, RESET_WINDOW_SECONDS)
+  ]);
+
+  return {
+    ipLimited: ipRequests > getResetIpMaxRequests(),
+    emailLimited: emailRequests > getResetEmailMaxRequests(),
+    retryAfter: RESET_WINDOW_SECONDS
+  };
+};
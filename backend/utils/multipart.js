@@ -0,0 +1,135 @@
+/**
+ * Minimal multipart/form-data parsing for small single-file uploads (logos).
+ * The whole body is buffered, so only use it behind a tight size limit.
+ */
+
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+// Room for the part headers and boundaries around the file itself
+const ENVELOPE_BYTES = 16 * 1024;
+
+const readBody = (req, limit, tooLarge) => new Promise((resolve, reject) => {
+  const declared = Number(req.headers['content-length']);
+  if (declared > limit) {
+    reject(tooLarge);
+    req.resume();
+    return;
+  }
+
+  const chunks = [];
+  let received = 0;
+  let failed = false;
+
+  req.on('data', (chunk) => {
+    if (failed) return;
+    received += chunk.length;
+    if (received > limit) {
+      failed = true;
+      reject(tooLarge);
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (!failed) resolve(Buffer.concat(chunks));
+  });
+  req.on('error', reject);
+});
+
+const parseHeaders = (text) => {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+  return headers;
+};
+
+const dispositionParam = (disposition, name) => {
+  const match = disposition.match(new RegExp(`(?:^|;)\\s*${name}="([^"]*)"`, 'i'));
+  return match ? match[1] : undefined;
+};
+
+/**
+ * Split a multipart body into { fields, files }; files are
+ * { fieldName, filename, contentType, buffer }. Returns null if the body is malformed.
+ */
+export const parseMultipart = (body, boundary) => {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  // The first boundary has no leading CRLF; prepend one so every boundary looks alike
+  const data = Buffer.concat([Buffer.from('\r\n'), body]);
+  let position = data.indexOf(delimiter);
+  if (position === -1) return null;
+
+  for (;;) {
+    position += delimiter.length;
+    // "--" after a boundary closes the body
+    if (data.toString('ascii', position, position + 2) === '--') break;
+
+    const next = data.indexOf(delimiter, position);
+    if (next === -1) return null;
+
+    const part = data.subarray(position + 2, next);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return null;
+
+    const headers = parseHeaders(part.subarray(0, headerEnd).toString('utf8'));
+    const content = part.subarray(headerEnd + 4);
+    const disposition = headers['content-disposition'] || '';
+    const fieldName = dispositionParam(disposition, 'name');
+    const filename = dispositionParam(disposition, 'filename');
+
+    if (fieldName !== undefined) {
+      if (filename !== undefined) {
+        files.push({ fieldName, filename, contentType: headers['content-type'], buffer: content });
+      } else {
+        fields[fieldName] = content.toString('utf8');
+      }
+    }
+
+    position = next;
+  }
+
+  return { fields, files };
+};
+
+/**
+ * Middleware accepting one file in the given form field, up to maxBytes.
+ * Sets req.file ({ fieldName, filename, contentType, buffer }) and req.body (the other fields).
+ */
+export const singleFileUpload = (field, { maxBytes }) => async (req, res, next) => {
+  try {
+    const contentType = req.headers['content-type'] || '';
+    const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+
+    if (!/^multipart\/form-data/i.test(contentType) || !boundary) {
+      throw uploadError(400, `Send the file as multipart/form-data in the "${field}" field`);
+    }
+
+    const tooLarge = uploadError(413, `File is too large (at most ${Math.floor(maxBytes / 1024)} KB)`);
+    const body = await readBody(req, maxBytes + ENVELOPE_BYTES, tooLarge);
+    const parsed = parseMultipart(body, boundary[1] || boundary[2]);
+    if (!parsed) {
+      throw uploadError(400, 'Malformed multipart body');
+    }
+
+    const file = parsed.files.find(candidate => candidate.fieldName === field);
+    if (!file || file.buffer.length === 0) {
+      throw uploadError(400, `No file in the "${field}" field`);
+    }
+    if (file.buffer.length > maxBytes) {
+      throw tooLarge;
+    }
+
+    req.file = file;
+    req.body = parsed.fields;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
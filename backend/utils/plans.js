@@ -0,0 +1,64 @@
+/**
+ * Subscription plans and the limits that come with them. A limit of null means
+ * unlimited. Usage is measured and enforced in utils/quotas.js.
+ */
+
+export const PLANS = {
+  free: {
+    name: 'Free',
+    limits: {
+      monthlyCalls: 50,
+      callMinutes: 100,
+      concurrentCalls: 1,
+      seats: 3,
+      auditRetentionDays: 7
+    }
+  },
+  pro: {
+    name: 'Pro',
+    limits: {
+      monthlyCalls: 2000,
+      callMinutes: 5000,
+      concurrentCalls: 10,
+      seats: 25,
+      auditRetentionDays: 90
+    }
+  },
+  enterprise: {
+    name: 'Enterprise',
+    limits: {
+      monthlyCalls: null,
+      callMinutes: null,
+      concurrentCalls: 100,
+      seats: null,
+      auditRetentionDays: 365
+    }
+  },
+  // Tenants created before plans existed (see scripts/migrate-plans.js) keep what they had
+  legacy: {
+    name: 'Legacy',
+    limits: {
+      monthlyCalls: null,
+      callMinutes: null,
+      concurrentCalls: null,
+      seats: null,
+      auditRetentionDays: null
+    }
+  }
+};
+
+export const PLAN_KEYS = Object.keys(PLANS);
+
+// Plan given to new tenants
+export const DEFAULT_PLAN = PLAN_KEYS.includes(process.env.DEFAULT_PLAN) ? process.env.DEFAULT_PLAN : 'free';
+
+// Plan of tenants that have none yet, until scripts/migrate-plans.js sets it
+export const LEGACY_PLAN = 'legacy';
+
+/**
+ * The plan a tenant is on; tenants created before plans existed are on the legacy plan
+ */
+export const getPlan = (tenant) => {
+  const key = PLANS[tenant?.plan] ? tenant.plan : LEGACY_PLAN;
+  return { key, ...PLANS[key] };
+};
@@ -0,0 +1,226 @@
+import Tenant from '../models/Tenant.js';
+import User from '../models/User.js';
+import Call from '../models/Call.js';
+import Invitation from '../models/Invitation.js';
+import AuditLog from '../models/AuditLog.js';
+import { PLANS, getPlan } from './plans.js';
+import { withTenantLock } from './tenantLock.js';
+
+/**
+ * Usage of a tenant against its plan's limits (see utils/plans.js). Call quotas
+ * run per calendar month in UTC. Quota errors are response bodies like
+ * tenantAccessError's, sent with status 403.
+ *
+ * Limits are checked and the user or call that uses them up is created under the
+ * tenant lock (takeSeat, startCall; see utils/tenantLock.js), so concurrent requests cannot both get
+ * the last seat or call.
+ */
+
+const ACTIVE_CALL_STATUSES = ['queued', 'ringing', 'in_progress'];
+
+// Shortest call worth starting; matches the minimum in utils/callConfig.js
+const MIN_CALL_SECONDS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The current billing period: { start, end } of this calendar month in UTC
+ */
+export const currentPeriod = (now = new Date()) => ({
+  start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+  end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+});
+
+/**
+ * Calls still running. A call nobody polled to completion stops counting once it
+ * is older than the longest call the platform allows.
+ */
+const activeCallsQuery = (tenantId) => ({
+  tenantId,
+  status: { $in: ACTIVE_CALL_STATUSES },
+  createdAt: { $gte: new Date(Date.now() - Tenant.MAX_CALL_DURATION_SECONDS * 1000) }
+});
+
+const countSeats = (tenantId) => User.countDocuments({ tenantId, isActive: true });
+
+const countPendingInvitations = (tenantId) => Invitation.countDocuments({
+  tenantId,
+  status: 'pending',
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Call usage this period: number of calls, seconds talked and calls still running.
+ * A call counts the maxDurationSeconds it was started with until its final
+ * duration is known, so calls nobody polled to completion still use up minutes.
+ */
+const getCallUsage = async (tenantId) => {
+  const { start } = currentPeriod();
+
+  const [monthly, concurrentCalls] = await Promise.all([
+    Call.aggregate([
+      { $match: { tenantId, createdAt: { $gte: start } } },
+      { $group: { _id: null, calls: { $sum: 1 }, seconds: { $sum: { $ifNull: ['$duration', { $ifNull: ['$config.maxDurationSeconds', 0] }] } } } }
+    ]),
+    Call.countDocuments(activeCallsQuery(tenantId))
+  ]);
+
+  return {
+    monthlyCalls: monthly[0]?.calls || 0,
+    callSeconds: monthly[0]?.seconds || 0,
+    concurrentCalls
+  };
+};
+
+/**
+ * Everything a plan limits, for the dashboard
+ */
+export const getUsage = async (tenant) => {
+  const [calls, seats, pendingInvitations] = await Promise.all([
+    getCallUsage(tenant._id),
+    countSeats(tenant._id),
+    countPendingInvitations(tenant._id)
+  ]);
+
+  return {
+    monthlyCalls: calls.monthlyCalls,
+    callMinutes: Math.ceil(calls.callSeconds / 60),
+    concurrentCalls: calls.concurrentCalls,
+    seats,
+    pendingInvitations
+  };
+};
+
+const QUOTA_MESSAGES = {
+  monthlyCalls: (plan, limit, period) =>
+    `The ${plan.name} plan includes ${limit} calls per month and this month's are used up. They reset on ${period.end.toISOString().slice(0, 10)}, or upgrade your plan for more.`,
+  callMinutes: (plan, limit, period) =>
+    `The ${plan.name} plan includes ${limit} call minutes per month and this month's are used up. They reset on ${period.end.toISOString().slice(0, 10)}, or upgrade your plan for more.`,
+  concurrentCalls: (plan, limit) =>
+    `The ${plan.name} plan allows ${limit} active ${limit === 1 ? 'call' : 'calls'} at a time. Wait for a call to end or upgrade your plan.`,
+  seats: (plan, limit) =>
+    `The ${plan.name} plan includes ${limit} seats and all of them are taken. Deactivate a user, revoke a pending invitation or upgrade your plan.`
+};
+
+/**
+ * Response body for a request that would go over one of the plan's limits
+ */
+export const quotaError = (tenant, quota, used) => {
+  const plan = getPlan(tenant);
+  const limit = plan.limits[quota];
+
+  return {
+    error: 'Plan limit reached',
+    code: 'QUOTA_EXCEEDED',
+    quota,
+    plan: plan.key,
+    limit,
+    used,
+    message: QUOTA_MESSAGES[quota](plan, limit, currentPeriod())
+  };
+};
+
+/**
+ * Check whether the tenant may start another call. Returns { error } with a quota
+ * error body, or { maxDurationSeconds } with how long the call may last within the
+ * minutes left this month (null when minutes are unlimited).
+ */
+const checkCallQuota = async (tenant) => {
+  const { limits } = getPlan(tenant);
+  const usage = await getCallUsage(tenant._id);
+
+  if (limits.monthlyCalls !== null && usage.monthlyCalls >= limits.monthlyCalls) {
+    return { error: quotaError(tenant, 'monthlyCalls', usage.monthlyCalls) };
+  }
+
+  if (limits.concurrentCalls !== null && usage.concurrentCalls >= limits.concurrentCalls) {
+    return { error: quotaError(tenant, 'concurrentCalls', usage.concurrentCalls) };
+  }
+
+  if (limits.callMinutes === null) {
+    return { maxDurationSeconds: null };
+  }
+
+  const remainingSeconds = Math.floor(limits.callMinutes * 60 - usage.callSeconds);
+  if (remainingSeconds < MIN_CALL_SECONDS) {
+    return { error: quotaError(tenant, 'callMinutes', Math.ceil(usage.callSeconds / 60)) };
+  }
+
+  return { maxDurationSeconds: remainingSeconds };
+};
+
+/**
+ * Start a call if the plan allows one: create(maxDurationSeconds) runs under the
+ * tenant lock and should create the Call, cutting it to maxDurationSeconds unless
+ * that is null. Returns { error } with a quota error body, or { result } from create.
+ */
+export const startCall = (tenant, create) => {
+  const { limits } = getPlan(tenant);
+
+  const start = async () => {
+    const quota = await checkCallQuota(tenant);
+    return quota.error ? { error: quota.error } : { result: await create(quota.maxDurationSeconds) };
+  };
+
+  const unlimited = [limits.monthlyCalls, limits.callMinutes, limits.concurrentCalls].every(limit => limit === null);
+  return unlimited ? start() : withTenantLock(tenant._id, start);
+};
+
+/**
+ * Quota error body if the tenant has no seat left for another active user, or null
+ */
+const seatQuotaError = async (tenant, { includeInvitations }) => {
+  const { limits } = getPlan(tenant);
+
+  const [seats, invitations] = await Promise.all([
+    countSeats(tenant._id),
+    includeInvitations ? countPendingInvitations(tenant._id) : 0
+  ]);
+
+  const used = seats + invitations;
+  return used >= limits.seats ? quotaError(tenant, 'seats', used) : null;
+};
+
+/**
+ * Take a seat for a user or invitation if the plan has one left: create() runs under
+ * the tenant lock and should create or activate it. With includeInvitations pending
+ * invitations count as taken seats, so every outstanding invite can still be
+ * accepted. Returns { error } with a quota error body, or { result } from create.
+ */
+export const takeSeat = async (tenant, create, { includeInvitations = false } = {}) => {
+  if (getPlan(tenant).limits.seats === null) {
+    return { result: await create() };
+  }
+
+  return withTenantLock(tenant._id, async () => {
+    const error = await seatQuotaError(tenant, { includeInvitations });
+    return error ? { error } : { result: await create() };
+  });
+};
+
+/**
+ * Delete audit log entries older than each tenant's plan keeps them
+ */
+export const pruneExpiredAuditLogs = async () => {
+  let deleted = 0;
+
+  for (const [key, { limits }] of Object.entries(PLANS)) {
+    if (limits.auditRetentionDays === null) continue;
+
+    // Only tenants whose plan was set: one without a plan predates plans and keeps its history
+    const tenantIds = await Tenant.find({ plan: key }).distinct('_id');
+    if (tenantIds.length === 0) continue;
+
+    const result = await AuditLog.deleteMany({
+      tenantId: { $in: tenantIds },
+      timestamp: { $lt: new Date(Date.now() - limits.auditRetentionDays * DAY_MS) }
+    });
+    deleted += result.deletedCount;
+  }
+
+  if (deleted > 0) {
+    console.log(`🧹 Deleted ${deleted} audit log entries past their plan's retention`);
+  }
+
+  return deleted;
+};
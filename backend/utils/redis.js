@@ -0,0 +1,149 @@
+import { createClient } from 'redis';
+
+/**
+ * Shared key-value store backed by Redis when REDIS_URL is configured.
+ * Falls back to an in-process store so development and tests work without Redis.
+ * Values are JSON encoded; TTLs are in seconds.
+ */
+
+let clientPromise = null;
+const memoryStore = new Map();
+
+// Periodically drop expired in-memory entries so the fallback does not grow forever
+const sweepInterval = setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt && entry.expiresAt <= now) {
+      memoryStore.delete(key);
+    }
+  }
+}, 60 * 1000);
+sweepInterval.unref();
+
+/**
+ * Get a connected Redis client, or null if Redis is not configured/available
+ */
+export const getRedisClient = async () => {
+  if (!process.env.REDIS_URL) return null;
+
+  if (!clientPromise) {
+    const client = createClient({
+      url: process.env.REDIS_URL,
+      socket: {
+        // Give up after a few attempts so requests fall back to memory instead of hanging
+        reconnectStrategy: (retries) => (retries > 3 ? new Error('Redis unavailable') : 500)
+      }
+    });
+
+    client.on('error', (error) => {
+      console.error('❌ Redis error:', error.message);
+    });
+
+    clientPromise = client.connect()
+      .then(() => {
+        console.log('✅ Redis connected');
+        return client;
+      })
+      .catch((error) => {
+        console.log('⚠️ Redis not available, using in-memory store:', error.message);
+        return null;
+      });
+  }
+
+  const client = await clientPromise;
+  return client?.isReady ? client : null;
+};
+
+const getMemoryEntry = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Store a value, optionally expiring after ttlSeconds
+ */
+export const setValue = async (key, value, ttlSeconds) => {
+  const client = await getRedisClient();
+  const ttl = ttlSeconds ? Math.max(1, Math.ceil(ttlSeconds)) : null;
+
+  if (client) {
+    await client.set(key, JSON.stringify(value), ttl ? { EX: ttl } : undefined);
+    return;
+  }
+
+  memoryStore.set(key, {
+    value,
+    expiresAt: ttl ? Date.now() + ttl * 1000 : null
+  });
+};
+
+/**
+ * Read a value, or null if missing/expired
+ */
+export const getValue = async (key) => {
+  const client = await getRedisClient();
+
+  if (client) {
+    const raw = await client.get(key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  return getMemoryEntry(key)?.value ?? null;
+};
+
+/**
+ * Delete a value. Returns true if the key existed.
+ */
+export const deleteValue = async (key) => {
+  const client = await getRedisClient();
+
+  if (client) {
+    return (await client.del(key)) > 0;
+  }
+
+  const existed = !!getMemoryEntry(key);
+  memoryStore.delete(key);
+  return existed;
+};
+
+/**
+ * Atomically read and delete a value (single-use tokens). Returns null if missing.
+ */
+export const takeValue = async (key) => {
+  const client = await getRedisClient();
+
+  if (client) {
+    const raw = await client.getDel(key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  const entry = getMemoryEntry(key);
+  memoryStore.delete(key);
+  return entry?.value ?? null;
+};
+
+/**
+ * Increment a counter, starting its TTL when it is first created. Returns the new count.
+ */
+export const incrementValue = async (key, ttlSeconds) => {
+  const client = await getRedisClient();
+  const ttl = Math.max(1, Math.ceil(ttlSeconds));
+
+  if (client) {
+    const [count] = await client.multi().incr(key).expire(key, ttl, 'NX').exec();
+    return count;
+  }
+
+  const entry = getMemoryEntry(key);
+  const count = (entry?.value || 0) + 1;
+  memoryStore.set(key, {
+    value: count,
+    expiresAt: entry?.expiresAt || Date.now() + ttl * 1000
+  });
+  return count;
+};
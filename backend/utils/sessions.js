@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import Tenant from '../models/Tenant.js';
+import { logAudit } from './auditLogger.js';
+
+/**
+ * Session bookkeeping for signed-in devices (see models/Session.js)
+ */
+
+// Only record activity once a minute so requests don't each write to the session
+const ACTIVITY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Id for a session about to be started (tokens are signed before the session is saved)
+ */
+export const newSessionId = () => new mongoose.Types.ObjectId().toString();
+
+/**
+ * Record a new session for a login from this request. `device` overrides the
+ * label derived from the user agent.
+ */
+export const startSession = async (sessionId, userId, tenantId, req, expiresAt, { device } = {}) => {
+  const userAgent = req?.headers['user-agent'];
+
+  return await Session.create({
+    _id: sessionId,
+    userId,
+    tenantId,
+    userAgent,
+    device: device || Session.describeDevice(userAgent),
+    ip: req?.ip,
+    lastActiveAt: new Date(),
+    expiresAt
+  });
+};
+
+/**
+ * Keep a session alive for its newly rotated refresh token
+ */
+export const extendSession = async (sessionId, req, expiresAt) => {
+  await Session.updateOne({ _id: sessionId }, { expiresAt, lastActiveAt: new Date(), ip: req?.ip });
+};
+
+/**
+ * Minutes of inactivity after which the tenant signs sessions out (null when disabled)
+ */
+export const getIdleTimeoutMinutes = (tenant) => tenant?.security?.sessionIdleTimeoutMinutes || null;
+
+/**
+ * End a single session
+ */
+export const revokeSession = async (sessionId, { reason, revokedBy } = {}) => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, {
+    revokedAt: new Date(),
+    revokeReason: reason,
+    revokedBy
+  });
+};
+
+/**
+ * End every active session of a user, optionally keeping one (e.g. the current device).
+ * Returns how many sessions were ended.
+ */
+export const revokeUserSessions = async (userId, { reason, revokedBy, exceptSessionId } = {}) => {
+  const result = await Session.updateMany({
+    userId,
+    revokedAt: null,
+    ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+  }, {
+    revokedAt: new Date(),
+    revokeReason: reason,
+    revokedBy
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Check the session a token was issued for and record activity on it.
+ * Returns null when the session is usable, otherwise the error to respond with.
+ * Tokens issued before sessions were tracked carry no sid and are accepted.
+ */
+export const validateSession = async (decoded, req) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || session.revokedAt || session.userId.toString() !== decoded.userId) {
+    return { error: 'Session revoked', code: 'SESSION_REVOKED' };
+  }
+
+  const sameTenant = req.tenant && req.tenant._id.toString() === session.tenantId.toString();
+  const tenant = sameTenant ? req.tenant : await Tenant.findById(session.tenantId).select('security');
+  const idleTimeout = getIdleTimeoutMinutes(tenant);
+
+  if (idleTimeout && Date.now() - session.lastActiveAt.getTime() > idleTimeout * 60 * 1000) {
+    await revokeSession(session._id, { reason: 'idle_timeout' });
+
+    await logAudit({
+      tenantId: session.tenantId,
+      userId: session.userId,
+      action: 'session.expired',
+      details: { sessionId: session._id, device: session.device, reason: 'idle_timeout', idleTimeoutMinutes: idleTimeout },
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    return { error: 'Session expired due to inactivity', code: 'SESSION_IDLE_TIMEOUT' };
+  }
+
+  if (Date.now() - session.lastActiveAt.getTime() > ACTIVITY_TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { lastActiveAt: new Date(), ip: req.ip })
+      .catch(error => console.error('❌ Failed to record session activity:', error.message));
+  }
+
+  return null;
+};
@@ -0,0 +1,141 @@
+import Tenant from '../models/Tenant.js';
+
+/**
+ * Rules for the subdomains tenants can claim at signup or rename to: length limits,
+ * a reserved list, and names other tenants hold (including names a renamed tenant
+ * still redirects from).
+ */
+
+export const SUBDOMAIN_MIN_LENGTH = Number(process.env.SUBDOMAIN_MIN_LENGTH) || 3;
+// DNS labels are at most 63 characters
+export const SUBDOMAIN_MAX_LENGTH = Math.min(Number(process.env.SUBDOMAIN_MAX_LENGTH) || 63, 63);
+
+// How long an old subdomain keeps pointing at a renamed tenant
+export const SUBDOMAIN_REDIRECT_DAYS = Number(process.env.SUBDOMAIN_REDIRECT_DAYS) || 30;
+
+// Names used by the product itself, or that could pass for it
+const BUILT_IN_RESERVED = [
+  'www', 'api', 'app', 'admin', 'administrator', 'platform', 'auth', 'login', 'logout', 'signin', 'signup',
+  'sso', 'oauth', 'account', 'accounts', 'billing', 'dashboard', 'console', 'status', 'support', 'help',
+  'docs', 'blog', 'mail', 'email', 'smtp', 'imap', 'pop', 'ftp', 'cdn', 'static', 'assets', 'media',
+  'files', 'uploads', 'dev', 'staging', 'test', 'demo', 'internal', 'root', 'system', 'security',
+  'voho', 'ultravox'
+];
+
+// RESERVED_SUBDOMAINS adds comma-separated names (e.g. trademarks or blocked words)
+const RESERVED = new Set([
+  ...BUILT_IN_RESERVED,
+  ...(process.env.RESERVED_SUBDOMAINS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+]);
+
+const SUBDOMAIN_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+const SUGGESTION_SUFFIXES = ['hq', 'team', 'app', 'co', 'inc', 'voice'];
+const MAX_SUGGESTIONS = 3;
+
+export const normalizeSubdomain = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+export const isReservedSubdomain = (subdomain) => RESERVED.has(subdomain);
+
+/**
+ * Why a subdomain cannot be used regardless of who holds it, or null if it is well formed
+ */
+export const checkSubdomainFormat = (subdomain) => {
+  if (subdomain.length < SUBDOMAIN_MIN_LENGTH || subdomain.length > SUBDOMAIN_MAX_LENGTH) {
+    return `Subdomain must be between ${SUBDOMAIN_MIN_LENGTH} and ${SUBDOMAIN_MAX_LENGTH} characters`;
+  }
+  if (!SUBDOMAIN_PATTERN.test(subdomain)) {
+    return 'Subdomain can only contain lowercase letters, numbers and hyphens, and cannot start or end with a hyphen';
+  }
+  // Punycode and other registry-reserved labels have hyphens in positions 3 and 4
+  if (subdomain.slice(2, 4) === '--') {
+    return 'Subdomain cannot have hyphens in the third and fourth positions';
+  }
+  if (isReservedSubdomain(subdomain)) {
+    return 'This subdomain is reserved';
+  }
+  return null;
+};
+
+/**
+ * Query for tenants holding any of the given subdomains, as their current name or
+ * as an old name that still redirects
+ */
+const holdersQuery = (subdomains) => ({
+  $or: [
+    { subdomain: { $in: subdomains } },
+    {
+      previousSubdomains: {
+        $elemMatch: { subdomain: { $in: subdomains }, redirectUntil: { $gt: new Date() } }
+      }
+    }
+  ]
+});
+
+/**
+ * Subdomains among the given ones that some tenant holds. exceptTenantId leaves out
+ * that tenant, so it can take back one of its own old names.
+ */
+const findTakenSubdomains = async (subdomains, { exceptTenantId } = {}) => {
+  const query = holdersQuery(subdomains);
+  if (exceptTenantId) query._id = { $ne: exceptTenantId };
+
+  const holders = await Tenant.find(query).select('subdomain previousSubdomains');
+  const now = new Date();
+  const taken = new Set();
+  for (const holder of holders) {
+    taken.add(holder.subdomain);
+    holder.previousSubdomains
+      .filter(previous => previous.redirectUntil > now)
+      .forEach(previous => taken.add(previous.subdomain));
+  }
+  return taken;
+};
+
+/**
+ * Free alternatives to a taken or reserved subdomain, e.g. acme-hq or acme2
+ */
+const suggestSubdomains = async (subdomain, options) => {
+  const base = subdomain.replace(/[^a-z0-9-]/g, '').replace(/^-+|-+$/g, '').slice(0, SUBDOMAIN_MAX_LENGTH - 6);
+  if (!base) return [];
+
+  const candidates = [
+    ...SUGGESTION_SUFFIXES.map(suffix => `${base}-${suffix}`),
+    ...[2, 3, 4, 5].map(number => `${base}${number}`)
+  ].filter(candidate => !checkSubdomainFormat(candidate));
+
+  const taken = await findTakenSubdomains(candidates, options);
+  return candidates.filter(candidate => !taken.has(candidate)).slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Whether a subdomain can be claimed: { subdomain, available, reason, suggestions }.
+ * Pass exceptTenantId when a tenant renames itself.
+ */
+export const checkSubdomainAvailability = async (value, options = {}) => {
+  const subdomain = normalizeSubdomain(value);
+
+  const formatError = checkSubdomainFormat(subdomain);
+  if (formatError) {
+    // Only suggest alternatives when the name itself is fine apart from being reserved
+    const suggestions = isReservedSubdomain(subdomain) ? await suggestSubdomains(subdomain, options) : [];
+    return { subdomain, available: false, reason: formatError, suggestions };
+  }
+
+  const taken = await findTakenSubdomains([subdomain], options);
+  if (taken.has(subdomain)) {
+    return {
+      subdomain,
+      available: false,
+      reason: 'This subdomain is already taken',
+      suggestions: await suggestSubdomains(subdomain, options)
+    };
+  }
+
+  return { subdomain, available: true, reason: null, suggestions: [] };
+};
+
+/**
+ * Tenant query matching a subdomain, including an old name still within its redirect period
+ */
+export const subdomainLookupQuery = (subdomain) => holdersQuery([subdomain]);
@@ -0,0 +1,256 @@
+import Tenant from '../models/Tenant.js';
+import { getRedisClient } from './redis.js';
+import { subdomainLookupQuery } from './subdomains.js';
+
+/**
+ * Cache for resolving tenants by subdomain, custom domain or id, so tenantMiddleware
+ * and authentication do not query MongoDB on every request. Two tiers: an
+ * in-process LRU, and Redis (when REDIS_URL is set) shared between instances.
+ * Lookups that found no tenant are cached too, for a shorter time.
+ *
+ * Entries hold plain tenant objects; each hit is hydrated into a fresh document,
+ * so requests can still modify and save req.tenant. Anything that changes a
+ * tenant must call invalidateTenant.
+ *
+ * With Redis, invalidations are published so every instance drops its in-process
+ * copy too. An instance that is not subscribed (Redis down or reconnecting) skips
+ * the in-process tier, so a suspension or SSO change never lingers there.
+ */
+
+const MAX_ENTRIES = Number(process.env.TENANT_CACHE_SIZE) || 1000;
+const TTL_SECONDS = Number(process.env.TENANT_CACHE_TTL_SECONDS) || 60;
+const NEGATIVE_TTL_SECONDS = Number(process.env.TENANT_CACHE_NEGATIVE_TTL_SECONDS) || 10;
+
+const KEY_PREFIX = 'tenant-cache:';
+const INVALIDATION_CHANNEL = 'tenant-cache:invalidations';
+const MISSING = { missing: true };
+
+// Map keeps insertion order, so the first key is the least recently used
+const localCache = new Map();
+
+const stats = {
+  hits: 0,
+  sharedHits: 0,
+  negativeHits: 0,
+  misses: 0,
+  invalidations: 0
+};
+
+const subdomainKey = (subdomain) => `sub:${subdomain}`;
+const domainKey = (domain) => `domain:${domain}`;
+const idKey = (id) => `id:${id}`;
+
+const getLocal = (key) => {
+  const entry = localCache.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    localCache.delete(key);
+    return null;
+  }
+
+  // Move to the most recently used end
+  localCache.delete(key);
+  localCache.set(key, entry);
+  return entry.value;
+};
+
+const setLocal = (key, value, ttlSeconds) => {
+  localCache.delete(key);
+  localCache.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+  while (localCache.size > MAX_ENTRIES) {
+    localCache.delete(localCache.keys().next().value);
+  }
+};
+
+// The shared tier is optional: Redis errors fall back to the database, never fail the request
+const getShared = async (key) => {
+  try {
+    const client = await getRedisClient();
+    if (!client) return null;
+    const raw = await client.get(KEY_PREFIX + key);
+    return raw === null ? null : JSON.parse(raw);
+  } catch (error) {
+    console.error('❌ Tenant cache read failed:', error.message);
+    return null;
+  }
+};
+
+const setShared = async (key, value, ttlSeconds) => {
+  try {
+    const client = await getRedisClient();
+    if (client) {
+      await client.set(KEY_PREFIX + key, JSON.stringify(value), { EX: ttlSeconds });
+    }
+  } catch (error) {
+    console.error('❌ Tenant cache write failed:', error.message);
+  }
+};
+
+const deleteShared = async (keys) => {
+  try {
+    const client = await getRedisClient();
+    if (client && keys.length > 0) {
+      await client.del(keys.map(key => KEY_PREFIX + key));
+    }
+  } catch (error) {
+    console.error('❌ Tenant cache invalidation failed:', error.message);
+  }
+};
+
+const publishInvalidation = async (keys) => {
+  try {
+    const client = await getRedisClient();
+    if (client && keys.length > 0) {
+      await client.publish(INVALIDATION_CHANNEL, JSON.stringify(keys));
+    }
+  } catch (error) {
+    console.error('❌ Tenant cache invalidation broadcast failed:', error.message);
+  }
+};
+
+let subscriberPromise = null;
+
+/**
+ * Subscribe (once) to invalidations published by other instances. Resolves to the
+ * subscriber connection, or null without Redis.
+ */
+const listenForInvalidations = () => {
+  if (!subscriberPromise) {
+    subscriberPromise = (async () => {
+      const client = await getRedisClient();
+      if (!client) return null;
+
+      const subscriber = client.duplicate();
+      subscriber.on('error', (error) => {
+        console.error('❌ Tenant cache subscriber error:', error.message);
+      });
+      // Invalidations sent while disconnected are lost, so start over after a reconnect
+      subscriber.on('ready', () => localCache.clear());
+
+      await subscriber.connect();
+      await subscriber.subscribe(INVALIDATION_CHANNEL, (message) => {
+        JSON.parse(message).forEach(key => localCache.delete(key));
+      });
+      return subscriber;
+    })().catch((error) => {
+      console.error('❌ Tenant cache subscription failed:', error.message);
+      return null;
+    });
+  }
+  return subscriberPromise;
+};
+
+/**
+ * The in-process tier is only safe while this instance hears other instances'
+ * invalidations; without REDIS_URL there is nobody else to hear from.
+ */
+const canUseLocal = async () => {
+  if (!process.env.REDIS_URL) return true;
+  const subscriber = await listenForInvalidations();
+  return !!subscriber?.isReady;
+};
+
+const toDocument = (value) => (value.missing ? null : Tenant.hydrate(value));
+
+/**
+ * Look a tenant up through the cache, running query() on a miss
+ */
+const resolve = async (key, query) => {
+  const useLocal = await canUseLocal();
+
+  const local = useLocal ? getLocal(key) : null;
+  if (local) {
+    stats[local.missing ? 'negativeHits' : 'hits']++;
+    return toDocument(local);
+  }
+
+  const shared = await getShared(key);
+  if (shared) {
+    stats[shared.missing ? 'negativeHits' : 'sharedHits']++;
+    if (useLocal) setLocal(key, shared, shared.missing ? NEGATIVE_TTL_SECONDS : TTL_SECONDS);
+    return toDocument(shared);
+  }
+
+  stats.misses++;
+  const tenant = await query();
+  const value = tenant ? tenant.toObject({ depopulate: true }) : MISSING;
+  const ttl = tenant ? TTL_SECONDS : NEGATIVE_TTL_SECONDS;
+
+  if (useLocal) setLocal(key, value, ttl);
+  await setShared(key, value, ttl);
+
+  return tenant;
+};
+
+/**
+ * Tenant with the given subdomain, or null. Suspended and closed tenants are
+ * returned so callers can explain why they cannot be used; deleted ones are not.
+ * A renamed tenant is also found by its old subdomain until the redirect period
+ * ends (compare tenant.subdomain to tell).
+ */
+export const getTenantBySubdomain = (subdomain) => resolve(
+  subdomainKey(subdomain),
+  () => Tenant.findOne({ ...subdomainLookupQuery(subdomain), status: { $ne: 'deleted' } })
+);
+
+/**
+ * Tenant that has verified the given custom domain, or null (same statuses as above)
+ */
+export const getTenantByCustomDomain = (domain) => resolve(
+  domainKey(domain),
+  () => Tenant.findOne({
+    'customDomain.domain': domain,
+    'customDomain.verifiedAt': { $exists: true },
+    status: { $ne: 'deleted' }
+  })
+);
+
+/**
+ * Tenant by id (e.g. a signed-in user's tenant), or null if it does not exist or was deleted
+ */
+export const getTenantById = (id) => resolve(
+  idKey(id),
+  () => Tenant.findOne({ _id: id, status: { $ne: 'deleted' } })
+);
+
+/**
+ * Drop cached lookups for tenants that changed. Pass the tenant as it was before
+ * the change as well as after it, so an old subdomain or domain is dropped too.
+ * Also accepts bare subdomains (e.g. one that was just registered).
+ */
+export const invalidateTenant = async (...tenants) => {
+  const keys = new Set();
+
+  for (const tenant of tenants.filter(Boolean)) {
+    if (typeof tenant === 'string') {
+      keys.add(subdomainKey(tenant));
+      continue;
+    }
+    if (tenant._id) keys.add(idKey(tenant._id));
+    if (tenant.subdomain) keys.add(subdomainKey(tenant.subdomain));
+    tenant.previousSubdomains?.forEach(previous => keys.add(subdomainKey(previous.subdomain)));
+    if (tenant.customDomain?.domain) keys.add(domainKey(tenant.customDomain.domain));
+  }
+
+  keys.forEach(key => localCache.delete(key));
+  await deleteShared([...keys]);
+  await publishInvalidation([...keys]);
+  stats.invalidations++;
+};
+
+/**
+ * Hit/miss counters since the process started
+ */
+export const getTenantCacheStats = () => {
+  const lookups = stats.hits + stats.sharedHits + stats.negativeHits + stats.misses;
+
+  return {
+    ...stats,
+    size: localCache.size,
+    maxSize: MAX_ENTRIES,
+    shared: !!process.env.REDIS_URL,
+    hitRate: lookups > 0 ? Number(((lookups - stats.misses) / lookups).toFixed(3)) : null
+  };
+};
@@ -0,0 +1,105 @@
+import Tenant from '../models/Tenant.js';
+import User from '../models/User.js';
+import Call from '../models/Call.js';
+import AuditLog from '../models/AuditLog.js';
+import ApiKey from '../models/ApiKey.js';
+import Session from '../models/Session.js';
+import Role from '../models/Role.js';
+import Invitation from '../models/Invitation.js';
+import Impersonation from '../models/Impersonation.js';
+import { logAudit, logPlatformAudit } from './auditLogger.js';
+import { invalidateTenant } from './tenantCache.js';
+import { removeFile, getAssetKey } from '../services/storage.js';
+
+/**
+ * Tenant lifecycle: suspending, reactivating and closing tenants, and purging
+ * closed tenants once their grace period is over.
+ */
+
+// Audit action recorded for a move into each status
+export const STATUS_ACTIONS = {
+  active: 'tenant.reactivated',
+  suspended: 'tenant.suspended',
+  pending_deletion: 'tenant.closed'
+};
+
+// Every collection holding tenant data, removed when a closed tenant is purged
+const TENANT_DATA_MODELS = { Call, User, AuditLog, ApiKey, Session, Role, Invitation, Impersonation };
+
+/**
+ * Change a tenant's status and record it in the tenant's audit log.
+ * actor is { kind: 'platform_admin' | 'user' | 'system', id, email }.
+ * Throws if the transition is not allowed.
+ */
+export const changeTenantStatus = async (tenant, status, { reason, actor, req }) => {
+  const previousStatus = tenant.status;
+
+  tenant.setStatus(status, { reason, actor });
+  await tenant.save();
+  await invalidateTenant(tenant);
+
+  await logAudit({
+    tenantId: tenant._id,
+    userId: actor.kind === 'user' ? actor.id : undefined,
+    action: STATUS_ACTIONS[status],
+    details: {
+      previousStatus,
+      reason,
+      by: actor.email,
+      byPlatformAdmin: actor.kind === 'platform_admin',
+      deletionScheduledFor: tenant.deletionScheduledFor
+    },
+    ip: req?.ip,
+    userAgent: req?.headers['user-agent']
+  });
+
+  console.log(`🏢 Tenant ${tenant.subdomain}: ${previousStatus} -> ${status}`, reason ? `(${reason})` : '');
+
+  return tenant;
+};
+
+/**
+ * Delete the data of closed tenants whose grace period has ended. The tenant
+ * record is kept, marked deleted, so the platform audit trail still points at it.
+ */
+export const purgeClosedTenants = async () => {
+  const due = await Tenant.find({ status: 'pending_deletion', deletionScheduledFor: { $lte: new Date() } });
+
+  for (const tenant of due) {
+    const removed = {};
+    for (const [name, Model] of Object.entries(TENANT_DATA_MODELS)) {
+      const result = await Model.deleteMany({ tenantId: tenant._id });
+      removed[name] = result.deletedCount;
+    }
+
+    for (const image of ['logo', 'favicon']) {
+      const key = getAssetKey(tenant.branding?.[image]);
+      if (key) {
+        await removeFile(key);
+        tenant.branding[image] = '';
+      }
+    }
+
+    const previous = tenant.toObject();
+    tenant.status = 'deleted';
+    tenant.statusChangedAt = new Date();
+    tenant.statusChangedBy = { kind: 'system' };
+    tenant.purgedAt = new Date();
+    // Free the custom domain and drop credentials; the name stays for the record
+    tenant.customDomain = undefined;
+    tenant.sso = undefined;
+    tenant.scim = undefined;
+    await tenant.save();
+    await invalidateTenant(previous, tenant);
+
+    await logPlatformAudit({
+      tenantId: tenant._id,
+      action: 'tenant.purged',
+      details: { subdomain: tenant.subdomain, removed }
+    });
+
+    console.log('🗑️ Purged closed tenant:', tenant.subdomain, removed);
+  }
+
+  return due.length;
+};
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import Tenant from '../models/Tenant.js';
+
+/**
+ * Per-tenant lock for checks that must hold until the write they allow is done:
+ * plan limits (utils/quotas.js) and keeping the last active admin (User model).
+ * Taking it is a conditional update on the tenant that only succeeds while no
+ * other request holds an unexpired lock. It is not reentrant.
+ */
+
+// A lock outlives its holder by at most this long; it may cover creating a call upstream
+const LOCK_MS = 30 * 1000;
+// How long a request waits for another one's lock before giving up
+const LOCK_WAIT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 50;
+
+/**
+ * Run fn while holding the tenant's lock
+ */
+export const withTenantLock = async (tenantId, fn) => {
+  const token = crypto.randomUUID();
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+  for (;;) {
+    const now = new Date();
+    const { modifiedCount } = await Tenant.updateOne(
+      { _id: tenantId, 'lock.expiresAt': { $not: { $gt: now } } },
+      { $set: { lock: { token, expiresAt: new Date(now.getTime() + LOCK_MS) } } }
+    );
+    if (modifiedCount === 1) break;
+
+    if (Date.now() >= giveUpAt) {
+      throw Object.assign(new Error('Too many requests for this tenant at once. Please try again.'), { status: 503 });
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await Tenant.updateOne({ _id: tenantId, 'lock.token': token }, { $unset: { lock: 1 } });
+  }
+};
@@ -0,0 +1,67 @@
+import { setValue, getValue, deleteValue, takeValue } from './redis.js';
+import { revokeUserSessions } from './sessions.js';
+
+/**
+ * Server-side token state (refresh tokens and revocations) kept in Redis
+ */
+
+const REFRESH_PREFIX = 'auth:refresh:';
+const REVOKED_PREFIX = 'auth:revoked:';
+const USER_CUTOFF_PREFIX = 'auth:user-cutoff:';
+
+// User-wide revocations must outlive the longest-lived token
+const USER_CUTOFF_TTL = 30 * 24 * 60 * 60;
+
+const secondsUntil = (exp) => exp - Math.floor(Date.now() / 1000);
+
+/**
+ * Remember an issued refresh token until it expires
+ */
+export const storeRefreshToken = async (jti, userId, exp) => {
+  await setValue(`${REFRESH_PREFIX}${jti}`, { userId: userId.toString() }, secondsUntil(exp));
+};
+
+/**
+ * Consume a refresh token (single use). Returns its stored data, or null if
+ * it was already used or revoked.
+ */
+export const consumeRefreshToken = async (jti) => {
+  return await takeValue(`${REFRESH_PREFIX}${jti}`);
+};
+
+/**
+ * Revoke a refresh token without using it
+ */
+export const revokeRefreshToken = async (jti) => {
+  await deleteValue(`${REFRESH_PREFIX}${jti}`);
+};
+
+/**
+ * Revoke a single access token until it would have expired anyway
+ */
+export const revokeAccessToken = async (jti, exp) => {
+  const ttl = secondsUntil(exp);
+  if (!jti || ttl <= 0) return;
+  await setValue(`${REVOKED_PREFIX}${jti}`, true, ttl);
+};
+
+/**
+ * Revoke every token issued to a user before now and end their sessions.
+ * exceptSessionId keeps that session open; it needs freshly issued tokens to continue.
+ */
+export const revokeAllUserTokens = async (userId, { exceptSessionId } = {}) => {
+  await setValue(`${USER_CUTOFF_PREFIX}${userId}`, Math.floor(Date.now() / 1000), USER_CUTOFF_TTL);
+  await revokeUserSessions(userId, { reason: 'all_revoked', exceptSessionId });
+};
+
+/**
+ * Check whether a decoded token (access or refresh) has been revoked
+ */
+export const isTokenRevoked = async (decoded) => {
+  const [revoked, cutoff] = await Promise.all([
+    decoded.jti ? getValue(`${REVOKED_PREFIX}${decoded.jti}`) : null,
+    getValue(`${USER_CUTOFF_PREFIX}${decoded.userId}`)
+  ]);
+
+  return !!revoked || (cutoff !== null && decoded.iat < cutoff);
+};
@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a random URL-safe token (reset links, verification links, invites)
+ */
+export const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage so a database leak does not expose usable tokens
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
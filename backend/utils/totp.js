@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with Google Authenticator,
+ * 1Password, Authy, etc. (SHA-1, 6 digits, 30 second steps)
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new base32 shared secret
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Current time step number
+ */
+export const currentTotpStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the code for a given time step
+ */
+export const generateTotp = (secret, step = currentTotpStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing `window` steps of clock drift either side.
+ * Returns the matching time step (so callers can reject replays), or null.
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentTotpStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateTotp(secret, step + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code
+ */
+export const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
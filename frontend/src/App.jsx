@@ -1,13 +1,26 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
 import { useAuthStore } from './store/useAuthStore'
+import { usePlatformStore } from './store/usePlatformStore'
 import { getSubdomain } from './lib/api'
 import SignupPage from './pages/SignupPage'
 import LoginPage from './pages/LoginPage'
+import ForgotPasswordPage from './pages/ForgotPasswordPage'
+import ResetPasswordPage from './pages/ResetPasswordPage'
+import VerifyEmailPage from './pages/VerifyEmailPage'
+import AcceptInvitePage from './pages/AcceptInvitePage'
+import SsoCallbackPage from './pages/SsoCallbackPage'
 import TenantSelectPage from './pages/TenantSelectPage'
 import DashboardPage from './pages/DashboardPage'
 import CallsPage from './pages/CallsPage'
 import SettingsPage from './pages/SettingsPage'
+import SecurityPage from './pages/SecurityPage'
+import UsersPage from './pages/UsersPage'
+import ProfilePage from './pages/ProfilePage'
+import PlatformLoginPage from './pages/PlatformLoginPage'
+import PlatformPage from './pages/PlatformPage'
+import MfaSetupPage from './pages/MfaSetupPage'
 import Layout from './components/Layout'
+import ThemeManager from './components/ThemeManager'
 
 function ProtectedRoute({ children }) {
   const { isAuthenticated } = useAuthStore()
@@ -16,7 +29,17 @@ function ProtectedRoute({ children }) {
 
 function TenantRoute({ children }) {
   const subdomain = getSubdomain()
-  const { isAuthenticated } = useAuthStore()
+  const { isAuthenticated, isEmailVerified, needsMfaEnrollment } = useAuthStore()
+
+  // Tenant features stay locked until the user's email is verified
+  if (isAuthenticated() && !isEmailVerified()) {
+    return <Navigate to="/verify-email" replace />
+  }
+
+  // ...and until MFA is enrolled, if the tenant requires it
+  if (isAuthenticated() && needsMfaEnrollment()) {
+    return <Navigate to="/mfa-setup" replace />
+  }
 
   // If user is authenticated and has a tenant, allow access
   if (isAuthenticated() && subdomain) {
@@ -32,16 +55,22 @@ function TenantRoute({ children }) {
   return <Navigate to="/login" replace />
 }
 
+// Platform operator console, signed in separately from any tenant
+function PlatformRoute({ children }) {
+  const { isAuthenticated } = usePlatformStore()
+  return isAuthenticated() ? children : <Navigate to="/platform/login" replace />
+}
+
 function App() {
   const { isAuthenticated } = useAuthStore()
+  const { isAuthenticated: isPlatformAuthenticated } = usePlatformStore()
 
   return (
     <Router future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <ThemeManager />
       <Routes>
         {/* Public routes */}
-        <Route path="/select-tenant" element={
-          isAuthenticated() ? <TenantSelectPage /> : <Navigate to="/login" replace />
-        } />
+        <Route path="/select-tenant" element={<TenantSelectPage />} />
 
         <Route path="/signup" element={
           isAuthenticated() ? <Navigate to="/dashboard" replace /> : <SignupPage />
@@ -51,6 +80,34 @@ function App() {
           isAuthenticated() ? <Navigate to="/dashboard" replace /> : <LoginPage />
         } />
 
+        <Route path="/forgot-password" element={
+          isAuthenticated() ? <Navigate to="/dashboard" replace /> : <ForgotPasswordPage />
+        } />
+
+        <Route path="/reset-password" element={<ResetPasswordPage />} />
+
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
+
+        <Route path="/sso/callback" element={<SsoCallbackPage />} />
+
+        <Route path="/accept-invite" element={
+          isAuthenticated() ? <Navigate to="/dashboard" replace /> : <AcceptInvitePage />
+        } />
+
+        <Route path="/mfa-setup" element={
+          isAuthenticated() ? <MfaSetupPage /> : <Navigate to="/login" replace />
+        } />
+
+        <Route path="/platform/login" element={
+          isPlatformAuthenticated() ? <Navigate to="/platform" replace /> : <PlatformLoginPage />
+        } />
+
+        <Route path="/platform" element={
+          <PlatformRoute>
+            <PlatformPage />
+          </PlatformRoute>
+        } />
+
         {/* Protected routes - require authentication and tenant */}
         <Route path="/" element={
           <TenantRoute>
@@ -60,7 +117,10 @@ function App() {
           <Route index element={<Navigate to="/dashboard" replace />} />
           <Route path="dashboard" element={<DashboardPage />} />
           <Route path="calls" element={<CallsPage />} />
+          <Route path="users" element={<UsersPage />} />
           <Route path="settings" element={<SettingsPage />} />
+          <Route path="security" element={<SecurityPage />} />
+          <Route path="profile" element={<ProfilePage />} />
         </Route>
       </Routes>
     </Router>
@@ -0,0 +1,176 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { apiKeys } from '@/lib/api'
+import { KeyRound, Copy, XCircle, Loader2 } from 'lucide-react'
+
+const SCOPES = [
+  { value: 'calls:read', label: 'Read calls and transcripts' },
+  { value: 'calls:write', label: 'Create calls' },
+  { value: 'dashboard:read', label: 'Read dashboard metrics' },
+]
+
+export default function ApiKeysCard() {
+  const queryClient = useQueryClient()
+  const [name, setName] = useState('')
+  const [scopes, setScopes] = useState(SCOPES.map(scope => scope.value))
+  const [newKey, setNewKey] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  const { data: keyList, isLoading } = useQuery({
+    queryKey: ['api-keys'],
+    queryFn: apiKeys.getAll,
+  })
+
+  const createMutation = useMutation({
+    mutationFn: (data) => apiKeys.create(data),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['api-keys'])
+      setName('')
+      setScopes(SCOPES.map(scope => scope.value))
+      setNewKey(data)
+      setCopied(false)
+    },
+  })
+
+  const revokeMutation = useMutation({
+    mutationFn: (id) => apiKeys.revoke(id),
+    onSuccess: () => queryClient.invalidateQueries(['api-keys']),
+  })
+
+  const toggleScope = (value) => {
+    setScopes(scopes.includes(value) ? scopes.filter(scope => scope !== value) : [...scopes, value])
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    createMutation.mutate({ name, scopes })
+  }
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(newKey.key)
+    setCopied(true)
+  }
+
+  const actionError = createMutation.error || revokeMutation.error
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <KeyRound className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">API Keys</CardTitle>
+        </div>
+        <CardDescription className="text-sm">
+          Let your backend services call the API without a user login. Send the key in the X-API-Key header.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 sm:space-y-6">
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="space-y-2">
+            <Label htmlFor="apiKeyName" className="text-sm font-medium">Name</Label>
+            <Input
+              id="apiKeyName"
+              placeholder="Production backend"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+              className="h-10 sm:h-11"
+            />
+          </div>
+          <div className="space-y-2">
+            <Label className="text-sm font-medium">Scopes</Label>
+            <div className="flex flex-col gap-2">
+              {SCOPES.map(scope => (
+                <label key={scope.value} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={scopes.includes(scope.value)}
+                    onChange={() => toggleScope(scope.value)}
+                    className="h-4 w-4"
+                  />
+                  <span className="font-mono text-xs">{scope.value}</span>
+                  <span className="text-muted-foreground">{scope.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <Button type="submit" disabled={createMutation.isPending || scopes.length === 0} className="h-10 sm:h-11">
+            {createMutation.isPending ? 'Creating...' : 'Create API Key'}
+          </Button>
+        </form>
+
+        {newKey && (
+          <div className="space-y-2 p-3 rounded-md bg-green-50 border border-green-200">
+            <p className="text-sm text-green-700">
+              API key &quot;{newKey.apiKey.name}&quot; created. Copy it now, it will not be shown again.
+            </p>
+            <div className="p-2 bg-background rounded border font-mono text-xs break-all">{newKey.key}</div>
+            <div className="flex gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+                <Copy className="mr-2 h-4 w-4" />
+                {copied ? 'Copied!' : 'Copy key'}
+              </Button>
+              <Button type="button" variant="ghost" size="sm" onClick={() => setNewKey(null)}>
+                Done
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {actionError && (
+          <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+            Error: {actionError.message}
+          </div>
+        )}
+
+        {isLoading ? (
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        ) : keyList?.length > 0 ? (
+          <div className="space-y-2 sm:space-y-3">
+            {keyList.map((apiKey) => (
+              <div key={apiKey._id} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-2">
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <span className="font-medium text-sm sm:text-base truncate">{apiKey.name}</span>
+                    <span className="font-mono text-xs text-muted-foreground">{apiKey.prefix}…</span>
+                    {apiKey.revokedAt && <Badge variant="outline" className="text-xs">revoked</Badge>}
+                    {!apiKey.revokedAt && apiKey.expired && <Badge variant="destructive" className="text-xs">expired</Badge>}
+                  </div>
+                  <div className="flex flex-wrap gap-1 mb-1">
+                    {apiKey.scopes.map(scope => (
+                      <Badge key={scope} variant="secondary" className="text-xs font-mono">{scope}</Badge>
+                    ))}
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    Created by {apiKey.createdBy?.email || 'unknown'} • {new Date(apiKey.createdAt).toLocaleDateString()}
+                    {' • '}
+                    {apiKey.lastUsedAt ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()}` : 'Never used'}
+                  </p>
+                </div>
+                {!apiKey.revokedAt && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    disabled={revokeMutation.isPending}
+                    onClick={() => revokeMutation.mutate(apiKey._id)}
+                    className="self-start sm:self-center"
+                  >
+                    <XCircle className="mr-1 h-4 w-4" />
+                    Revoke
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-center text-muted-foreground py-4 text-sm">No API keys yet</p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from 'react'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { tenant, assetUrl } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { ImagePlus, Trash2 } from 'lucide-react'
+
+const ACCEPTED_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+
+// Drag-and-drop upload for a branding image: kind is 'logo' or 'favicon'
+export default function BrandingImageUploader({ kind, label, hint }) {
+  const queryClient = useQueryClient()
+  const { tenant: currentTenant, updateTenantBranding } = useAuthStore()
+  const inputRef = useRef(null)
+  const [file, setFile] = useState(null)
+  const [previewUrl, setPreviewUrl] = useState(null)
+  const [dragging, setDragging] = useState(false)
+  const [fileError, setFileError] = useState(null)
+
+  const currentImage = currentTenant?.branding?.[kind]
+
+  // Preview the chosen file locally until it is uploaded
+  useEffect(() => {
+    if (!file) {
+      setPreviewUrl(null)
+      return undefined
+    }
+    const url = URL.createObjectURL(file)
+    setPreviewUrl(url)
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  const onSuccess = (data) => {
+    updateTenantBranding(data.branding)
+    queryClient.invalidateQueries(['tenant'])
+    setFile(null)
+  }
+
+  const uploadMutation = useMutation({ mutationFn: (chosen) => tenant.uploadBrandingImage(kind, chosen), onSuccess })
+  const removeMutation = useMutation({ mutationFn: () => tenant.removeBrandingImage(kind), onSuccess })
+
+  const chooseFile = (chosen) => {
+    uploadMutation.reset()
+    if (!chosen) return
+    if (!ACCEPTED_TYPES.includes(chosen.type)) {
+      setFileError('Choose a PNG, JPEG or WebP image')
+      setFile(null)
+      return
+    }
+    setFileError(null)
+    setFile(chosen)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    chooseFile(e.dataTransfer.files?.[0])
+  }
+
+  const error = fileError || uploadMutation.error?.message || removeMutation.error?.message
+  const isPending = uploadMutation.isPending || removeMutation.isPending
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-sm font-medium">{label}</Label>
+
+      <div
+        role="button"
+        tabIndex={0}
+        onClick={() => inputRef.current?.click()}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault()
+            inputRef.current?.click()
+          }
+        }}
+        onDragOver={(e) => {
+          e.preventDefault()
+          setDragging(true)
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center gap-2 p-4 sm:p-6 rounded-lg border-2 border-dashed cursor-pointer text-center transition-colors ${
+          dragging ? 'border-primary bg-primary/5' : 'border-input hover:bg-muted/50'
+        }`}
+      >
+        {previewUrl || currentImage ? (
+          <img
+            src={previewUrl || assetUrl(currentImage)}
+            alt={`${label} preview`}
+            className="h-12 sm:h-16 max-w-full object-contain"
+          />
+        ) : (
+          <ImagePlus className="h-8 w-8 text-muted-foreground" />
+        )}
+        <p className="text-sm">
+          {file ? file.name : 'Drop an image here or click to choose one'}
+        </p>
+        <p className="text-xs text-muted-foreground">
+          {hint} Image metadata such as location is removed on upload.
+        </p>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPTED_TYPES.join(',')}
+          className="hidden"
+          onChange={(e) => {
+            chooseFile(e.target.files?.[0])
+            e.target.value = ''
+          }}
+        />
+      </div>
+
+      {error && (
+        <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+          Error: {error}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        {file && (
+          <>
+            <Button type="button" disabled={isPending} onClick={() => uploadMutation.mutate(file)} className="h-10 sm:h-11">
+              {uploadMutation.isPending ? 'Uploading...' : `Upload ${label}`}
+            </Button>
+            <Button type="button" variant="ghost" disabled={isPending} onClick={() => setFile(null)} className="h-10 sm:h-11">
+              Cancel
+            </Button>
+          </>
+        )}
+        {!file && currentImage && (
+          <Button type="button" variant="outline" disabled={isPending} onClick={() => removeMutation.mutate()} className="h-10 sm:h-11">
+            <Trash2 className="mr-2 h-4 w-4" />
+            {removeMutation.isPending ? 'Removing...' : `Remove ${label}`}
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { tenant } from '@/lib/api'
+import { PhoneCall, Loader2, Save } from 'lucide-react'
+
+const FIELD_CLASS = 'flex w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2'
+
+const FIRST_SPEAKER_LABELS = {
+  agent: 'Agent greets the caller',
+  user: 'Agent waits for the caller',
+}
+
+// The form edits the duration in minutes; the API stores seconds
+const toForm = (defaults) => ({
+  systemPrompt: defaults.systemPrompt,
+  model: defaults.model,
+  voice: defaults.voice,
+  language: defaults.language,
+  maxDurationMinutes: String(Math.max(1, Math.round(defaults.maxDurationSeconds / 60))),
+  recordingEnabled: defaults.recordingEnabled,
+  firstSpeaker: defaults.firstSpeaker,
+})
+
+export default function CallDefaultsCard() {
+  const queryClient = useQueryClient()
+  const [formData, setFormData] = useState(null)
+  const [success, setSuccess] = useState(false)
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['tenant-call-defaults'],
+    queryFn: tenant.getCallDefaults,
+  })
+
+  useEffect(() => {
+    if (data) {
+      setFormData(toForm(data.callDefaults))
+    }
+  }, [data])
+
+  const updateMutation = useMutation({
+    mutationFn: (updates) => tenant.updateCallDefaults(updates),
+    onSuccess: (result) => {
+      queryClient.setQueryData(['tenant-call-defaults'], { ...data, callDefaults: result.callDefaults })
+      setSuccess(true)
+      setTimeout(() => setSuccess(false), 3000)
+    },
+  })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const { maxDurationMinutes, ...fields } = formData
+    updateMutation.mutate({ ...fields, maxDurationSeconds: Number(maxDurationMinutes) * 60 })
+  }
+
+  if (isLoading || !formData) {
+    return (
+      <Card>
+        <CardContent className="py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const maxMinutes = Math.floor(data.maxDurationSeconds / 60)
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <PhoneCall className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">Call Defaults</CardTitle>
+        </div>
+        <CardDescription className="text-sm">
+          Every new call starts from this configuration. API requests may override it per call,
+          but never for longer than the max duration set here.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="systemPrompt" className="text-sm font-medium">System Prompt</Label>
+            <textarea
+              id="systemPrompt"
+              rows={5}
+              maxLength={10000}
+              required
+              value={formData.systemPrompt}
+              onChange={(e) => setFormData({ ...formData, systemPrompt: e.target.value })}
+              className={FIELD_CLASS}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="callModel" className="text-sm font-medium">Model</Label>
+              <Input
+                id="callModel"
+                required
+                placeholder="fixie-ai/ultravox"
+                value={formData.model}
+                onChange={(e) => setFormData({ ...formData, model: e.target.value })}
+                className="h-10 sm:h-11"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="callVoice" className="text-sm font-medium">Voice</Label>
+              <Input
+                id="callVoice"
+                placeholder="Ultravox default"
+                value={formData.voice}
+                onChange={(e) => setFormData({ ...formData, voice: e.target.value })}
+                className="h-10 sm:h-11"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="callLanguage" className="text-sm font-medium">Language</Label>
+              <Input
+                id="callLanguage"
+                placeholder="Auto-detect (e.g. en, es-MX)"
+                value={formData.language}
+                onChange={(e) => setFormData({ ...formData, language: e.target.value })}
+                className="h-10 sm:h-11"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="callMaxDuration" className="text-sm font-medium">Max Duration (minutes)</Label>
+              <Input
+                id="callMaxDuration"
+                type="number"
+                min={1}
+                max={maxMinutes}
+                step={1}
+                required
+                value={formData.maxDurationMinutes}
+                onChange={(e) => setFormData({ ...formData, maxDurationMinutes: e.target.value })}
+                className="h-10 sm:h-11"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="callFirstSpeaker" className="text-sm font-medium">First Speaker</Label>
+              <select
+                id="callFirstSpeaker"
+                value={formData.firstSpeaker}
+                onChange={(e) => setFormData({ ...formData, firstSpeaker: e.target.value })}
+                className={`${FIELD_CLASS} h-10 sm:h-11`}
+              >
+                {data.firstSpeakers.map(value => (
+                  <option key={value} value={value}>{FIRST_SPEAKER_LABELS[value] || value}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <p className="text-sm font-medium">Recording</p>
+              <label className="flex h-10 sm:h-11 items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={formData.recordingEnabled}
+                  onChange={(e) => setFormData({ ...formData, recordingEnabled: e.target.checked })}
+                  className="h-4 w-4"
+                />
+                Record calls
+              </label>
+            </div>
+          </div>
+
+          {success && (
+            <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
+              Call defaults saved
+            </div>
+          )}
+
+          {updateMutation.isError && (
+            <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+              Error: {updateMutation.error.message}
+            </div>
+          )}
+
+          <Button type="submit" disabled={updateMutation.isPending} className="w-full sm:w-auto h-10 sm:h-11">
+            {updateMutation.isPending ? (
+              <>Saving...</>
+            ) : (
+              <>
+                <Save className="mr-2 h-4 w-4" />
+                Save Call Defaults
+              </>
+            )}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  )
+}
@@ -114,6 +114,36 @@ export default function CallDetailsModal({ call, onClose }) {
             </CardContent>
           </Card>
 
+          {/* Configuration the call was created with (calls from before call defaults have none) */}
+          {call.config?.model && (
+            <Card>
+              <CardHeader className="pb-3 sm:pb-6">
+                <CardTitle className="text-lg sm:text-xl">Configuration</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3 sm:space-y-4">
+                <div className="grid grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
+                  {[
+                    ['Model', call.config.model],
+                    ['Voice', call.config.voice || 'Default'],
+                    ['Language', call.config.language || 'Auto-detect'],
+                    ['Max duration', `${Math.round(call.config.maxDurationSeconds / 60)} min`],
+                    ['Recording', call.config.recordingEnabled ? 'On' : 'Off'],
+                    ['First speaker', call.config.firstSpeaker === 'user' ? 'Caller' : 'Agent'],
+                  ].map(([label, value]) => (
+                    <div key={label}>
+                      <p className="text-xs sm:text-sm text-muted-foreground">{label}</p>
+                      <p className="font-medium text-sm sm:text-base truncate">{value}</p>
+                    </div>
+                  ))}
+                </div>
+                <div>
+                  <p className="text-xs sm:text-sm text-muted-foreground">System prompt</p>
+                  <p className="text-sm whitespace-pre-line">{call.config.systemPrompt}</p>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Events */}
           {statusData?.events && statusData.events.length > 0 && (
             <Card>
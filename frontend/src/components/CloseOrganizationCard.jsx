@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import { useMutation } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { tenant } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { AlertTriangle } from 'lucide-react'
+
+export default function CloseOrganizationCard() {
+  const { tenant: currentTenant, logout } = useAuthStore()
+  const [open, setOpen] = useState(false)
+  const [form, setForm] = useState({ subdomain: '', currentPassword: '', reason: '' })
+
+  const closeMutation = useMutation({
+    mutationFn: tenant.close,
+    // Closing signs everyone out, including this session
+    onSuccess: () => logout(),
+  })
+
+  return (
+    <Card className="border-destructive/50">
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <AlertTriangle className="h-4 w-4 sm:h-5 sm:w-5 text-destructive" />
+          <CardTitle className="text-lg sm:text-xl">Close Organization</CardTitle>
+        </div>
+        <CardDescription className="text-sm">
+          Signs everyone out and blocks all access immediately. Calls, users and audit logs are deleted
+          permanently after a grace period; until then support can restore the organization.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!open ? (
+          <Button variant="outline" onClick={() => setOpen(true)} className="h-10 sm:h-11 text-destructive">
+            Close organization…
+          </Button>
+        ) : (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault()
+              closeMutation.mutate(form)
+            }}
+            className="space-y-4"
+          >
+            <div className="space-y-2">
+              <Label htmlFor="closeSubdomain" className="text-sm">
+                Type <span className="font-mono">{currentTenant?.subdomain}</span> to confirm
+              </Label>
+              <Input
+                id="closeSubdomain"
+                value={form.subdomain}
+                onChange={(e) => setForm({ ...form, subdomain: e.target.value })}
+                required
+                className="h-10 sm:h-11"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="closePassword" className="text-sm">Your password</Label>
+              <Input
+                id="closePassword"
+                type="password"
+                value={form.currentPassword}
+                onChange={(e) => setForm({ ...form, currentPassword: e.target.value })}
+                required
+                className="h-10 sm:h-11"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="closeReason" className="text-sm">Reason (optional)</Label>
+              <Input
+                id="closeReason"
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                className="h-10 sm:h-11"
+              />
+            </div>
+
+            {closeMutation.error && (
+              <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                Error: {closeMutation.error.message}
+              </div>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Button
+                type="submit"
+                variant="destructive"
+                disabled={closeMutation.isPending || form.subdomain !== currentTenant?.subdomain}
+                className="h-10 sm:h-11"
+              >
+                {closeMutation.isPending ? 'Closing...' : 'Close Organization'}
+              </Button>
+              <Button type="button" variant="ghost" onClick={() => setOpen(false)} className="h-10 sm:h-11">
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,144 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { tenant } from '@/lib/api'
+import { Globe, Copy, Loader2 } from 'lucide-react'
+
+export default function CustomDomainCard() {
+  const queryClient = useQueryClient()
+  const [domainInput, setDomainInput] = useState('')
+  const [copied, setCopied] = useState(false)
+
+  const { data: config, isLoading } = useQuery({
+    queryKey: ['tenant-domain'],
+    queryFn: tenant.getDomain,
+  })
+
+  const onSuccess = (data) => {
+    queryClient.setQueryData(['tenant-domain'], data)
+    setDomainInput('')
+  }
+
+  const updateMutation = useMutation({ mutationFn: tenant.updateDomain, onSuccess })
+  const verifyMutation = useMutation({ mutationFn: tenant.verifyDomain, onSuccess })
+  const removeMutation = useMutation({ mutationFn: tenant.removeDomain, onSuccess })
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(config.record.value)
+    setCopied(true)
+  }
+
+  const actionError = updateMutation.error || verifyMutation.error || removeMutation.error
+  const isPending = updateMutation.isPending || verifyMutation.isPending || removeMutation.isPending
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <Globe className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">Custom Domain</CardTitle>
+          {!isLoading && config?.domain && (
+            <Badge variant={config.verified ? 'default' : 'outline'} className="text-xs">
+              {config.verified ? 'verified' : 'pending verification'}
+            </Badge>
+          )}
+        </div>
+        <CardDescription className="text-sm">
+          Serve your workspace from your own hostname, such as voice.yourcompany.com, once you prove you own it.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 sm:space-y-6">
+        {isLoading ? (
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        ) : (
+          <>
+            {config?.domain && (
+              <div className="space-y-1">
+                <p className="text-xs sm:text-sm text-muted-foreground">Domain</p>
+                <p className="font-mono text-sm break-all">{config.domain}</p>
+                {config.verified && (
+                  <p className="text-xs text-muted-foreground">
+                    Verified {new Date(config.verifiedAt).toLocaleString()}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {config?.domain && !config.verified && (
+              <div className="space-y-2 p-3 rounded-md bg-muted border">
+                <p className="text-sm">Add this DNS record at your DNS provider, then check it below.</p>
+                <div className="grid gap-1 text-xs sm:text-sm">
+                  <p><span className="text-muted-foreground">Type:</span> <span className="font-mono">{config.record.type}</span></p>
+                  <p className="break-all"><span className="text-muted-foreground">Name:</span> <span className="font-mono">{config.record.name}</span></p>
+                  <p className="break-all"><span className="text-muted-foreground">Value:</span> <span className="font-mono">{config.record.value}</span></p>
+                </div>
+                <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+                  <Copy className="mr-2 h-4 w-4" />
+                  {copied ? 'Copied!' : 'Copy value'}
+                </Button>
+                {config.lastError && (
+                  <p className="text-xs text-destructive">
+                    Last check {new Date(config.lastCheckedAt).toLocaleString()}: {config.lastError}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {actionError && (
+              <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                Error: {actionError.message}
+              </div>
+            )}
+
+            <form
+              onSubmit={(e) => {
+                e.preventDefault()
+                updateMutation.mutate(domainInput)
+              }}
+              className="space-y-2"
+            >
+              <Label htmlFor="customDomain" className="text-sm">
+                {config?.domain ? 'Change domain' : 'Domain'}
+              </Label>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <Input
+                  id="customDomain"
+                  placeholder="voice.yourcompany.com"
+                  value={domainInput}
+                  onChange={(e) => setDomainInput(e.target.value)}
+                  required
+                  className="h-10 sm:h-11"
+                />
+                <Button type="submit" disabled={isPending} className="h-10 sm:h-11">
+                  {updateMutation.isPending ? 'Saving...' : 'Save Domain'}
+                </Button>
+              </div>
+              {config?.verified && (
+                <p className="text-xs text-muted-foreground">
+                  Changing the domain stops the current one from working until the new one is verified.
+                </p>
+              )}
+            </form>
+
+            {config?.domain && (
+              <div className="flex flex-col sm:flex-row gap-2">
+                {!config.verified && (
+                  <Button type="button" disabled={isPending} onClick={() => verifyMutation.mutate()} className="h-10 sm:h-11">
+                    {verifyMutation.isPending ? 'Checking...' : 'Check DNS Record'}
+                  </Button>
+                )}
+                <Button type="button" variant="outline" disabled={isPending} onClick={() => removeMutation.mutate()} className="h-10 sm:h-11">
+                  Remove Domain
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuthStore } from '@/store/useAuthStore'
+import { Button } from './ui/button'
+import { auth } from '@/lib/api'
+import { Eye } from 'lucide-react'
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(Math.floor(ms / 1000), 0)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+/**
+ * Shown on every page while a platform operator is impersonating the signed-in user
+ */
+export default function ImpersonationBanner() {
+  const { user, impersonation, logout } = useAuthStore()
+  const navigate = useNavigate()
+  const [now, setNow] = useState(Date.now())
+  const [ending, setEnding] = useState(false)
+
+  useEffect(() => {
+    if (!impersonation) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [impersonation])
+
+  const remaining = impersonation ? new Date(impersonation.expiresAt).getTime() - now : 0
+
+  // The token stops working when the session expires, so leave with it
+  useEffect(() => {
+    if (impersonation && remaining <= 0) {
+      logout()
+      navigate('/platform')
+    }
+  }, [impersonation, remaining, logout, navigate])
+
+  if (!impersonation) return null
+
+  const handleEnd = async () => {
+    setEnding(true)
+    try {
+      // Ends the impersonation server-side; leave locally even if this fails
+      await auth.logout()
+    } catch (error) {
+      console.log('⚠️ Ending impersonation failed:', error.message)
+    }
+    logout()
+    navigate('/platform')
+  }
+
+  return (
+    <div className="bg-amber-500 text-black">
+      <div className="container mx-auto px-4 py-2 flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-xs sm:text-sm">
+        <div className="flex items-center gap-2 min-w-0">
+          <Eye className="h-4 w-4 flex-shrink-0" />
+          <span className="truncate">
+            Impersonating <strong>{user?.email}</strong> as {impersonation.adminEmail} — “{impersonation.reason}”.
+            {' '}Every change is audited. Ends in {formatRemaining(remaining)}.
+          </span>
+        </div>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={handleEnd}
+          disabled={ending}
+          className="h-7 bg-transparent border-black text-black hover:bg-black hover:text-white"
+        >
+          End impersonation
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,183 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { invitations, roles } from '@/lib/api'
+import { UserPlus, Send, XCircle, Loader2 } from 'lucide-react'
+
+export default function InvitationsCard() {
+  const queryClient = useQueryClient()
+  const [formData, setFormData] = useState({ email: '', role: 'user' })
+  const [success, setSuccess] = useState('')
+
+  const { data: invitationList, isLoading } = useQuery({
+    queryKey: ['invitations'],
+    queryFn: invitations.getAll,
+  })
+
+  const { data: roleList } = useQuery({
+    queryKey: ['roles'],
+    queryFn: roles.getAll,
+  })
+
+  const showSuccess = (message) => {
+    setSuccess(message)
+    setTimeout(() => setSuccess(''), 3000)
+  }
+
+  const inviteMutation = useMutation({
+    mutationFn: (data) => invitations.create(data),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['invitations'])
+      setFormData({ email: '', role: 'user' })
+      showSuccess(`Invitation sent to ${data.email}`)
+    },
+  })
+
+  const resendMutation = useMutation({
+    mutationFn: (id) => invitations.resend(id),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['invitations'])
+      showSuccess(`Invitation resent to ${data.email}`)
+    },
+  })
+
+  const revokeMutation = useMutation({
+    mutationFn: (id) => invitations.revoke(id),
+    onSuccess: () => queryClient.invalidateQueries(['invitations']),
+  })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    inviteMutation.mutate(formData)
+  }
+
+  const actionError = inviteMutation.error || resendMutation.error || revokeMutation.error
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <UserPlus className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">Invite Teammates</CardTitle>
+        </div>
+        <CardDescription className="text-sm">
+          Invite colleagues to join your tenant. Invitations expire after 7 days.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 sm:space-y-6">
+        <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2 sm:items-end">
+          <div className="space-y-2 flex-1">
+            <Label htmlFor="inviteEmail" className="text-sm font-medium">Email</Label>
+            <Input
+              id="inviteEmail"
+              type="email"
+              placeholder="colleague@example.com"
+              value={formData.email}
+              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+              required
+              className="h-10 sm:h-11"
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="inviteRole" className="text-sm font-medium">Role</Label>
+            <select
+              id="inviteRole"
+              value={formData.role}
+              onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+              className="flex h-10 sm:h-11 w-full sm:w-40 rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+            >
+              {(roleList || [{ key: 'user', name: 'User' }, { key: 'admin', name: 'Admin' }]).map(role => (
+                <option key={role.key} value={role.key}>{role.name}</option>
+              ))}
+            </select>
+          </div>
+          <Button type="submit" disabled={inviteMutation.isPending} className="h-10 sm:h-11">
+            <Send className="mr-2 h-4 w-4" />
+            {inviteMutation.isPending ? 'Sending...' : 'Send Invite'}
+          </Button>
+        </form>
+
+        {success && (
+          <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
+            {success}
+          </div>
+        )}
+
+        {actionError && (
+          <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+            Error: {actionError.message}
+          </div>
+        )}
+
+        {isLoading ? (
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        ) : invitationList?.length > 0 ? (
+          <div className="space-y-2 sm:space-y-3">
+            {invitationList.map((invitation) => (
+              <div key={invitation._id} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-2">
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <span className="font-medium text-sm sm:text-base truncate">{invitation.email}</span>
+                    <Badge variant="outline" className="text-xs capitalize">
+                      {roleList?.find(role => role.key === invitation.role)?.name || invitation.role}
+                    </Badge>
+                    <InvitationStatusBadge invitation={invitation} />
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    Invited by {invitation.invitedBy?.email || 'unknown'} • {new Date(invitation.createdAt).toLocaleDateString()}
+                    {invitation.status === 'pending' && ` • Expires ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                {invitation.status === 'pending' && (
+                  <div className="flex gap-2 self-start sm:self-center">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={resendMutation.isPending}
+                      onClick={() => resendMutation.mutate(invitation._id)}
+                    >
+                      Resend
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      disabled={revokeMutation.isPending}
+                      onClick={() => revokeMutation.mutate(invitation._id)}
+                    >
+                      <XCircle className="mr-1 h-4 w-4" />
+                      Revoke
+                    </Button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-center text-muted-foreground py-4 text-sm">No invitations yet</p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function InvitationStatusBadge({ invitation }) {
+  if (invitation.expired) {
+    return <Badge variant="destructive" className="text-xs">expired</Badge>
+  }
+
+  const variants = {
+    pending: 'secondary',
+    accepted: 'default',
+    revoked: 'outline',
+  }
+
+  return (
+    <Badge variant={variants[invitation.status] || 'outline'} className="text-xs">
+      {invitation.status}
+    </Badge>
+  )
+}
@@ -1,8 +1,13 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Outlet, Link, useLocation } from 'react-router-dom'
+import { useQuery } from '@tanstack/react-query'
 import { useAuthStore } from '@/store/useAuthStore'
+import { useThemeStore } from '@/store/useThemeStore'
 import { Button } from './ui/button'
-import { LayoutDashboard, Phone, Settings, LogOut, Shield, Menu, X } from 'lucide-react'
+import ImpersonationBanner from './ImpersonationBanner'
+import { auth, roles, assetUrl } from '@/lib/api'
+import { resolveColorMode } from '@/lib/theme'
+import { LayoutDashboard, Phone, Users, Settings, LogOut, Shield, ShieldCheck, UserCircle, Menu, X, Sun, Moon } from 'lucide-react'
 
 // Utility function to convert hex color to hue rotation
 const getHueFromColor = (hexColor) => {
@@ -31,14 +36,47 @@ const getHueFromColor = (hexColor) => {
 };
 
 export default function Layout() {
-  const { user, tenant, logout, isAdmin } = useAuthStore()
+  const { user, tenant, logout, isAdmin, hasPermission, setPermissions } = useAuthStore()
+  const { colorMode, setColorMode } = useThemeStore()
   const location = useLocation()
   const [sidebarOpen, setSidebarOpen] = useState(false)
+  const isDark = resolveColorMode(colorMode || tenant?.branding?.colorMode) === 'dark'
+
+  // Keep permissions current when an admin changes the user's role
+  const { data: permissionData } = useQuery({
+    queryKey: ['my-permissions'],
+    queryFn: roles.getPermissions,
+    refetchInterval: 60000,
+  })
+
+  useEffect(() => {
+    if (permissionData) {
+      setPermissions(permissionData.granted)
+    }
+  }, [permissionData, setPermissions])
+
+  const handleLogout = async () => {
+    try {
+      // Revoke tokens server-side; log out locally even if this fails
+      await auth.logout(useAuthStore.getState().refreshToken)
+    } catch (error) {
+      console.log('⚠️ Server logout failed:', error.message)
+    }
+    logout()
+  }
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
     { name: 'Calls', href: '/calls', icon: Phone },
-    { name: 'Settings', href: '/settings', icon: Settings, adminOnly: true },
+    { name: 'Users', href: '/users', icon: Users, permissions: ['users.manage'] },
+    { name: 'Security', href: '/security', icon: ShieldCheck },
+    { name: 'Profile', href: '/profile', icon: UserCircle },
+    {
+      name: 'Settings',
+      href: '/settings',
+      icon: Settings,
+      permissions: ['branding.edit', 'users.manage', 'roles.manage', 'api_keys.manage', 'security.manage'],
+    },
   ]
 
   const isActive = (href) => location.pathname === href
@@ -47,6 +85,7 @@ export default function Layout() {
     <div className="min-h-screen bg-background">
       {/* Header */}
       <header className="border-b sticky top-0 z-50 bg-background/95 backdrop-blur supports-[backdrop-filter]:bg-background/60">
+        <ImpersonationBanner />
         <div className="container mx-auto px-4 py-3 sm:py-4">
           <div className="flex items-center justify-between">
             {/* Mobile menu button */}
@@ -61,13 +100,21 @@ export default function Layout() {
 
             {/* Logo */}
             <div className="flex items-center gap-2 sm:gap-4">
-              <img
-                src="/logo.svg"
-                alt="Voho SaaS Logo"
-                className="h-6 sm:h-8 lg:h-10 w-auto"
-                style={{ filter: tenant?.branding?.primaryColor ? `hue-rotate(${getHueFromColor(tenant.branding.primaryColor)}deg)` : 'none' }}
-              />
-              <h1 className="text-lg sm:text-xl lg:text-2xl font-bold truncate" style={{ color: tenant?.branding?.primaryColor }}>
+              {tenant?.branding?.logo ? (
+                <img
+                  src={assetUrl(tenant.branding.logo)}
+                  alt={`${tenant.name} logo`}
+                  className="h-6 sm:h-8 lg:h-10 w-auto max-w-[160px] object-contain"
+                />
+              ) : (
+                <img
+                  src="/logo.svg"
+                  alt="Voho SaaS Logo"
+                  className="h-6 sm:h-8 lg:h-10 w-auto"
+                  style={{ filter: tenant?.branding?.primaryColor ? `hue-rotate(${getHueFromColor(tenant.branding.primaryColor)}deg)` : 'none' }}
+                />
+              )}
+              <h1 className="text-lg sm:text-xl lg:text-2xl font-bold truncate text-primary">
                 {tenant?.name || 'Voho SaaS'}
               </h1>
             </div>
@@ -75,17 +122,25 @@ export default function Layout() {
             {/* User info and logout */}
             <div className="flex items-center gap-2 sm:gap-4">
               <div className="hidden sm:flex items-center gap-2">
-                <span className="text-xs sm:text-sm text-muted-foreground truncate max-w-[120px] sm:max-w-none">
+                <Link to="/profile" className="text-xs sm:text-sm text-muted-foreground hover:text-foreground truncate max-w-[120px] sm:max-w-none">
                   {user?.email}
-                </span>
+                </Link>
                 {isAdmin() && (
                   <Shield className="h-3 w-3 sm:h-4 sm:w-4 text-primary flex-shrink-0" />
                 )}
               </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setColorMode(isDark ? 'light' : 'dark')}
+                title={isDark ? 'Switch to light mode' : 'Switch to dark mode'}
+              >
+                {isDark ? <Sun className="h-4 w-4" /> : <Moon className="h-4 w-4" />}
+              </Button>
               <Button
                 variant="ghost"
                 size="sm"
-                onClick={logout}
+                onClick={handleLogout}
                 className="text-xs sm:text-sm px-2 sm:px-3"
               >
                 <LogOut className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2" />
@@ -123,7 +178,7 @@ export default function Layout() {
             {/* Navigation */}
             <nav className="flex-1 p-4 space-y-2">
               {navigation.map((item) => {
-                if (item.adminOnly && !isAdmin()) return null
+                if (item.permissions && !item.permissions.some(hasPermission)) return null
 
                 return (
                   <Link key={item.name} to={item.href} onClick={() => setSidebarOpen(false)}>
@@ -0,0 +1,79 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { lockouts } from '@/lib/api'
+import { Lock, Unlock, Loader2 } from 'lucide-react'
+
+export default function LockoutsCard() {
+  const queryClient = useQueryClient()
+
+  const { data: lockoutList, isLoading } = useQuery({
+    queryKey: ['lockouts'],
+    queryFn: lockouts.getAll,
+    refetchInterval: 30000,
+  })
+
+  const clearMutation = useMutation({
+    mutationFn: (userId) => lockouts.clear(userId),
+    onSuccess: () => queryClient.invalidateQueries(['lockouts']),
+  })
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <Lock className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">Login Lockouts</CardTitle>
+        </div>
+        <CardDescription className="text-sm">
+          Accounts are locked temporarily after repeated failed logins. Unlock them here once you have confirmed it was the account owner.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {clearMutation.isError && (
+          <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+            Error: {clearMutation.error.message}
+          </div>
+        )}
+
+        {isLoading ? (
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        ) : lockoutList?.length > 0 ? (
+          <div className="space-y-2 sm:space-y-3">
+            {lockoutList.map((entry) => (
+              <div key={entry.userId} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-2">
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <span className="font-medium text-sm sm:text-base truncate">{entry.email}</span>
+                    {entry.locked ? (
+                      <Badge variant="destructive" className="text-xs">locked</Badge>
+                    ) : (
+                      <Badge variant="secondary" className="text-xs">failed attempts</Badge>
+                    )}
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {entry.failedAttempts} failed attempt{entry.failedAttempts === 1 ? '' : 's'}
+                    {entry.locked && ` • Locked until ${new Date(entry.lockedUntil).toLocaleTimeString()}`}
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={clearMutation.isPending}
+                  onClick={() => clearMutation.mutate(entry.userId)}
+                  className="self-start sm:self-center"
+                >
+                  <Unlock className="mr-1 h-4 w-4" />
+                  {entry.locked ? 'Unlock' : 'Reset'}
+                </Button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-center text-muted-foreground py-4 text-sm">No locked accounts</p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
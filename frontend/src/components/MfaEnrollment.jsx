@@ -0,0 +1,149 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { mfa } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { Loader2, Copy } from 'lucide-react'
+
+/**
+ * TOTP enrollment flow: scan QR code -> confirm code -> save recovery codes
+ */
+export default function MfaEnrollment({ onComplete }) {
+  const updateUser = useAuthStore(state => state.updateUser)
+
+  const [setupData, setSetupData] = useState(null)
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const handleStart = async () => {
+    setError('')
+    setLoading(true)
+
+    try {
+      setSetupData(await mfa.setup())
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleConfirm = async (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+
+    try {
+      const response = await mfa.enable(code)
+      setRecoveryCodes(response.recoveryCodes)
+      // Update the user only once codes are saved, so route guards don't navigate away early
+      setSetupData({ ...setupData, user: response.user })
+    } catch (err) {
+      setError(err.message.includes('Invalid verification code')
+        ? 'That code is not valid. Check your authenticator app and try again.'
+        : err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDone = () => {
+    updateUser(setupData.user)
+    onComplete?.()
+  }
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm">
+          MFA is enabled. Save these recovery codes somewhere safe. Each one can be used once
+          to log in if you lose access to your authenticator app. They will not be shown again.
+        </p>
+        <RecoveryCodeList codes={recoveryCodes} />
+        <Button onClick={handleDone} className="w-full sm:w-auto h-10 sm:h-11">
+          I&apos;ve saved my recovery codes
+        </Button>
+      </div>
+    )
+  }
+
+  if (!setupData) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Use an authenticator app such as Google Authenticator, 1Password or Authy to generate
+          a one-time code each time you log in.
+        </p>
+        {error && (
+          <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+            {error}
+          </div>
+        )}
+        <Button onClick={handleStart} disabled={loading} className="w-full sm:w-auto h-10 sm:h-11">
+          {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Set Up Authenticator App
+        </Button>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleConfirm} className="space-y-4">
+      <p className="text-sm">Scan this QR code with your authenticator app:</p>
+      <img src={setupData.qrCode} alt="MFA QR code" className="h-40 w-40 sm:h-48 sm:w-48 border rounded-lg" />
+      <div>
+        <p className="text-xs text-muted-foreground">Or enter this key manually:</p>
+        <p className="font-mono text-xs sm:text-sm break-all">{setupData.secret}</p>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="mfaSetupCode" className="text-sm font-medium">Verification Code</Label>
+        <Input
+          id="mfaSetupCode"
+          placeholder="123456"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          required
+          className="h-10 sm:h-11 max-w-xs"
+        />
+      </div>
+
+      {error && (
+        <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+          {error}
+        </div>
+      )}
+
+      <Button type="submit" disabled={loading} className="w-full sm:w-auto h-10 sm:h-11">
+        {loading ? 'Verifying...' : 'Enable MFA'}
+      </Button>
+    </form>
+  )
+}
+
+export function RecoveryCodeList({ codes }) {
+  const [copied, setCopied] = useState(false)
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'))
+    setCopied(true)
+    setTimeout(() => setCopied(false), 2000)
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2 p-3 bg-muted/50 rounded-lg border font-mono text-xs sm:text-sm">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+        <Copy className="mr-2 h-4 w-4" />
+        {copied ? 'Copied!' : 'Copy codes'}
+      </Button>
+    </div>
+  )
+}
@@ -0,0 +1,80 @@
+import { useQuery } from '@tanstack/react-query'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { dashboard } from '@/lib/api'
+import { Gauge } from 'lucide-react'
+
+// Usage bars turn amber from this share of a limit, and red once it is reached
+const WARNING_SHARE = 0.8
+
+const QUOTAS = [
+  { key: 'monthlyCalls', label: 'Calls this month' },
+  { key: 'callMinutes', label: 'Call minutes this month' },
+  { key: 'concurrentCalls', label: 'Active calls' },
+  { key: 'seats', label: 'Seats' },
+]
+
+function UsageBar({ label, used, limit, note }) {
+  const share = limit ? Math.min(used / limit, 1) : 0
+  const color = limit && used >= limit
+    ? 'bg-destructive'
+    : share >= WARNING_SHARE ? 'bg-amber-500' : 'bg-primary'
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between gap-2 text-xs sm:text-sm">
+        <span className="font-medium">{label}</span>
+        <span className="text-muted-foreground whitespace-nowrap">
+          {limit === null ? `${used} (unlimited)` : `${used} / ${limit}`}
+        </span>
+      </div>
+      <div className="h-2 rounded-full bg-muted overflow-hidden">
+        {limit !== null && <div className={`h-full ${color}`} style={{ width: `${share * 100}%` }} />}
+      </div>
+      {note && <p className="text-xs text-muted-foreground">{note}</p>}
+    </div>
+  )
+}
+
+export default function PlanUsageCard() {
+  const { data } = useQuery({
+    queryKey: ['dashboard-usage'],
+    queryFn: dashboard.getUsage,
+    refetchInterval: 30000,
+  })
+
+  if (!data) return null
+
+  const { plan, limits, usage, period } = data
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2">
+            <Gauge className="h-4 w-4 sm:h-5 sm:w-5" />
+            <CardTitle className="text-lg sm:text-xl">Plan & Usage</CardTitle>
+          </div>
+          <Badge variant="secondary">{plan.name}</Badge>
+        </div>
+        <CardDescription className="text-sm">
+          Monthly limits reset on {new Date(period.end).toLocaleDateString()}.
+          {limits.auditRetentionDays !== null && ` Audit logs are kept for ${limits.auditRetentionDays} days.`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-4 sm:grid-cols-2">
+        {QUOTAS.map(({ key, label }) => (
+          <UsageBar
+            key={key}
+            label={label}
+            used={usage[key]}
+            limit={limits[key]}
+            note={key === 'seats' && usage.pendingInvitations > 0
+              ? `${usage.pendingInvitations} pending ${usage.pendingInvitations === 1 ? 'invitation holds' : 'invitations hold'} a seat too`
+              : null}
+          />
+        ))}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,202 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { roles } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { UserCog, Pencil, Trash2, Loader2 } from 'lucide-react'
+
+const emptyForm = { name: '', description: '', permissions: [] }
+
+export default function RolesCard() {
+  const queryClient = useQueryClient()
+  const { permissions: myPermissions } = useAuthStore()
+  // null = not editing, '' = creating a new role, otherwise the key of the role being edited
+  const [editingKey, setEditingKey] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+
+  const { data: roleList, isLoading } = useQuery({
+    queryKey: ['roles'],
+    queryFn: roles.getAll,
+  })
+
+  const { data: catalog } = useQuery({
+    queryKey: ['my-permissions'],
+    queryFn: roles.getPermissions,
+  })
+
+  const onSaved = () => {
+    queryClient.invalidateQueries(['roles'])
+    queryClient.invalidateQueries(['my-permissions'])
+    setEditingKey(null)
+    setFormData(emptyForm)
+  }
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => (editingKey ? roles.update(editingKey, data) : roles.create(data)),
+    onSuccess: onSaved,
+  })
+
+  const deleteMutation = useMutation({
+    mutationFn: (key) => roles.remove(key),
+    onSuccess: () => queryClient.invalidateQueries(['roles']),
+  })
+
+  const startEditing = (role) => {
+    saveMutation.reset()
+    setEditingKey(role ? role.key : '')
+    setFormData(role
+      ? { name: role.name, description: role.description, permissions: role.permissions }
+      : emptyForm)
+  }
+
+  const togglePermission = (key) => {
+    const { permissions } = formData
+    setFormData({
+      ...formData,
+      permissions: permissions.includes(key) ? permissions.filter(permission => permission !== key) : [...permissions, key],
+    })
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    saveMutation.mutate(formData)
+  }
+
+  const editingRole = roleList?.find(role => role.key === editingKey)
+  const actionError = saveMutation.error || deleteMutation.error
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <UserCog className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">Roles & Permissions</CardTitle>
+        </div>
+        <CardDescription className="text-sm">
+          Decide what each role can do. The Admin role always has every permission.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 sm:space-y-6">
+        {actionError && (
+          <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+            Error: {actionError.message}
+          </div>
+        )}
+
+        {isLoading ? (
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        ) : (
+          <div className="space-y-2 sm:space-y-3">
+            {roleList?.map((role) => (
+              <div key={role.key} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-2">
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <span className="font-medium text-sm sm:text-base">{role.name}</span>
+                    {role.builtIn && <Badge variant="outline" className="text-xs">built-in</Badge>}
+                    <span className="text-xs text-muted-foreground">
+                      {role.userCount} user{role.userCount === 1 ? '' : 's'}
+                    </span>
+                  </div>
+                  {role.description && (
+                    <p className="text-xs sm:text-sm text-muted-foreground mb-1">{role.description}</p>
+                  )}
+                  <div className="flex flex-wrap gap-1">
+                    {role.permissions.map(permission => (
+                      <Badge key={permission} variant="secondary" className="text-xs font-mono">{permission}</Badge>
+                    ))}
+                  </div>
+                </div>
+                {role.key !== 'admin' && (
+                  <div className="flex gap-2">
+                    <Button variant="outline" size="sm" onClick={() => startEditing(role)} className="flex-1 sm:flex-none">
+                      <Pencil className="mr-2 h-4 w-4" />
+                      Edit
+                    </Button>
+                    {!role.builtIn && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={deleteMutation.isPending || role.userCount > 0}
+                        onClick={() => deleteMutation.mutate(role.key)}
+                        className="flex-1 sm:flex-none"
+                      >
+                        <Trash2 className="mr-2 h-4 w-4" />
+                        Delete
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {editingKey === null ? (
+          <Button variant="outline" onClick={() => startEditing(null)} className="h-10 sm:h-11">
+            New Role
+          </Button>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-3 border-t pt-4">
+            <p className="font-medium text-sm sm:text-base">
+              {editingKey ? `Edit ${editingRole?.name || 'role'}` : 'New role'}
+            </p>
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="roleName" className="text-sm font-medium">Name</Label>
+                <Input
+                  id="roleName"
+                  placeholder="Supervisor"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  disabled={!!editingRole?.builtIn}
+                  required
+                  className="h-10 sm:h-11"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="roleDescription" className="text-sm font-medium">Description</Label>
+                <Input
+                  id="roleDescription"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="h-10 sm:h-11"
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label className="text-sm font-medium">Permissions</Label>
+              <div className="flex flex-col gap-2">
+                {catalog?.permissions.map(permission => (
+                  <label key={permission.key} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={formData.permissions.includes(permission.key)}
+                      onChange={() => togglePermission(permission.key)}
+                      // You can only add permissions you have yourself
+                      disabled={!myPermissions.includes(permission.key) && !formData.permissions.includes(permission.key)}
+                      className="h-4 w-4"
+                    />
+                    <span className="font-mono text-xs">{permission.key}</span>
+                    <span className="text-muted-foreground">{permission.description}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Button type="submit" disabled={saveMutation.isPending} className="h-10 sm:h-11">
+                {saveMutation.isPending ? 'Saving...' : editingKey ? 'Save Role' : 'Create Role'}
+              </Button>
+              <Button type="button" variant="ghost" onClick={() => setEditingKey(null)} className="h-10 sm:h-11">
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { tenant } from '@/lib/api'
+import { Users, Copy, Loader2 } from 'lucide-react'
+
+export default function ScimCard() {
+  const queryClient = useQueryClient()
+  const [newToken, setNewToken] = useState('')
+  const [copied, setCopied] = useState(false)
+
+  const { data: config, isLoading } = useQuery({
+    queryKey: ['tenant-scim'],
+    queryFn: tenant.getScim,
+  })
+
+  const generateMutation = useMutation({
+    mutationFn: tenant.generateScimToken,
+    onSuccess: ({ token, ...data }) => {
+      queryClient.setQueryData(['tenant-scim'], data)
+      setNewToken(token)
+      setCopied(false)
+    },
+  })
+
+  const disableMutation = useMutation({
+    mutationFn: tenant.disableScim,
+    onSuccess: (data) => {
+      queryClient.setQueryData(['tenant-scim'], data)
+      setNewToken('')
+    },
+  })
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(newToken)
+    setCopied(true)
+  }
+
+  const actionError = generateMutation.error || disableMutation.error
+  const isPending = generateMutation.isPending || disableMutation.isPending
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <Users className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">Directory Sync (SCIM)</CardTitle>
+          {!isLoading && (
+            <Badge variant={config?.enabled ? 'default' : 'outline'} className="text-xs">
+              {config?.enabled ? 'enabled' : 'disabled'}
+            </Badge>
+          )}
+        </div>
+        <CardDescription className="text-sm">
+          Let your identity provider create, update and deactivate users automatically. Members of the Admins group become admins.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 sm:space-y-6">
+        {isLoading ? (
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        ) : (
+          <>
+            <div className="space-y-1">
+              <p className="text-xs sm:text-sm text-muted-foreground">SCIM base URL</p>
+              <p className="font-mono text-xs sm:text-sm break-all">{config?.baseUrl}</p>
+            </div>
+
+            {config?.enabled && (
+              <p className="text-xs sm:text-sm text-muted-foreground">
+                Token <span className="font-mono">{config.tokenPrefix}…</span> created {new Date(config.tokenCreatedAt).toLocaleDateString()}
+                {' • '}
+                {config.lastUsedAt ? `last used ${new Date(config.lastUsedAt).toLocaleString()}` : 'never used'}
+              </p>
+            )}
+
+            {newToken && (
+              <div className="space-y-2 p-3 rounded-md bg-green-50 border border-green-200">
+                <p className="text-sm text-green-700">
+                  Copy this bearer token into your identity provider now, it will not be shown again.
+                </p>
+                <div className="p-2 bg-background rounded border font-mono text-xs break-all">{newToken}</div>
+                <div className="flex gap-2">
+                  <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+                    <Copy className="mr-2 h-4 w-4" />
+                    {copied ? 'Copied!' : 'Copy token'}
+                  </Button>
+                  <Button type="button" variant="ghost" size="sm" onClick={() => setNewToken('')}>
+                    Done
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {actionError && (
+              <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                Error: {actionError.message}
+              </div>
+            )}
+
+            {config?.enabled && (
+              <p className="text-xs text-muted-foreground">
+                Rotating replaces the current token immediately; update your identity provider afterwards.
+              </p>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Button type="button" disabled={isPending} onClick={() => generateMutation.mutate()} className="h-10 sm:h-11">
+                {generateMutation.isPending ? 'Generating...' : config?.enabled ? 'Rotate Token' : 'Enable SCIM'}
+              </Button>
+              {config?.enabled && (
+                <Button type="button" variant="outline" disabled={isPending} onClick={() => disableMutation.mutate()} className="h-10 sm:h-11">
+                  Disable SCIM
+                </Button>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
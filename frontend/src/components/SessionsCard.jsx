@@ -0,0 +1,107 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { sessions } from '@/lib/api'
+import { MonitorSmartphone, LogOut, Loader2 } from 'lucide-react'
+
+/**
+ * Active sessions panel. scope="own" lists the current user's devices,
+ * scope="tenant" lists every user's sessions for admins.
+ */
+export default function SessionsCard({ scope = 'own' }) {
+  const queryClient = useQueryClient()
+  const isTenant = scope === 'tenant'
+  const queryKey = isTenant ? ['sessions', 'tenant'] : ['sessions']
+
+  const { data: sessionList, isLoading } = useQuery({
+    queryKey,
+    queryFn: isTenant ? sessions.getTenant : sessions.getAll,
+  })
+
+  const revokeMutation = useMutation({
+    mutationFn: (id) => (isTenant ? sessions.revokeTenant(id) : sessions.revoke(id)),
+    onSuccess: () => queryClient.invalidateQueries(['sessions']),
+  })
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: sessions.revokeOthers,
+    onSuccess: () => queryClient.invalidateQueries(['sessions']),
+  })
+
+  const actionError = revokeMutation.error || revokeOthersMutation.error
+  const hasOtherSessions = sessionList?.some(session => !session.current)
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <MonitorSmartphone className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">{isTenant ? 'Active Sessions' : 'Sessions'}</CardTitle>
+        </div>
+        <CardDescription className="text-sm">
+          {isTenant
+            ? 'Everyone signed in to your tenant. Sign out a session you do not recognize.'
+            : 'Devices where you are signed in. Sign out any you no longer use.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {actionError && (
+          <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+            Error: {actionError.message}
+          </div>
+        )}
+
+        {isLoading ? (
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        ) : sessionList?.length > 0 ? (
+          <div className="space-y-2 sm:space-y-3">
+            {sessionList.map((session) => (
+              <div key={session.id} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-2">
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    {session.user && (
+                      <span className="font-medium text-sm sm:text-base truncate">{session.user.email}</span>
+                    )}
+                    <span className={session.user ? 'text-sm text-muted-foreground' : 'font-medium text-sm sm:text-base'}>
+                      {session.device}
+                    </span>
+                    {session.current && <Badge variant="secondary" className="text-xs">This device</Badge>}
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {session.ip || 'Unknown IP'} • Signed in {new Date(session.createdAt).toLocaleDateString()} • Last active {new Date(session.lastActiveAt).toLocaleString()}
+                  </p>
+                </div>
+                {!session.current && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={revokeMutation.isPending}
+                    onClick={() => revokeMutation.mutate(session.id)}
+                    className="w-full sm:w-auto"
+                  >
+                    <LogOut className="mr-2 h-4 w-4" />
+                    Sign out
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-muted-foreground text-center py-4">No active sessions</p>
+        )}
+
+        {!isTenant && hasOtherSessions && (
+          <Button
+            variant="outline"
+            disabled={revokeOthersMutation.isPending}
+            onClick={() => revokeOthersMutation.mutate()}
+            className="w-full sm:w-auto h-10 sm:h-11"
+          >
+            {revokeOthersMutation.isPending ? 'Signing out...' : 'Sign out all other sessions'}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { tenant, roles } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { KeyRound, Loader2 } from 'lucide-react'
+
+const emptyForm = {
+  issuer: '',
+  clientId: '',
+  clientSecret: '',
+  allowedDomains: '',
+  defaultRole: 'user',
+}
+
+export default function SsoSettingsCard() {
+  const queryClient = useQueryClient()
+  const [formData, setFormData] = useState(emptyForm)
+  const [success, setSuccess] = useState('')
+  const { tenant: currentTenant, updateTenantSecurity } = useAuthStore()
+  const passwordLoginEnabled = currentTenant?.security?.passwordLoginEnabled !== false
+
+  const { data: config, isLoading } = useQuery({
+    queryKey: ['tenant-sso'],
+    queryFn: tenant.getSso,
+  })
+
+  const { data: roleList } = useQuery({
+    queryKey: ['roles'],
+    queryFn: roles.getAll,
+  })
+
+  useEffect(() => {
+    if (config) {
+      setFormData({
+        issuer: config.issuer,
+        clientId: config.clientId,
+        clientSecret: '',
+        allowedDomains: config.allowedDomains.join(', '),
+        defaultRole: config.defaultRole,
+      })
+    }
+  }, [config])
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => tenant.updateSso(data),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['tenant-sso'], data)
+      setSuccess(data.enabled ? 'SSO settings saved and enabled' : 'SSO settings saved')
+      setTimeout(() => setSuccess(''), 3000)
+    },
+  })
+
+  const passwordLoginMutation = useMutation({
+    mutationFn: (passwordLoginEnabled) => tenant.updateSecurity({ passwordLoginEnabled }),
+    onSuccess: (data) => updateTenantSecurity(data.security),
+  })
+
+  const save = (enabled) => {
+    updateMutation.mutate({
+      enabled,
+      issuer: formData.issuer,
+      clientId: formData.clientId,
+      // Blank keeps the stored secret
+      ...(formData.clientSecret && { clientSecret: formData.clientSecret }),
+      allowedDomains: formData.allowedDomains.split(',').map(domain => domain.trim()).filter(Boolean),
+      defaultRole: formData.defaultRole,
+    })
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    save(!!config?.enabled)
+  }
+
+  if (isLoading) {
+    return (
+      <Card>
+        <CardContent className="py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <KeyRound className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">Single Sign-On (OIDC)</CardTitle>
+          <Badge variant={config?.enabled ? 'default' : 'outline'} className="text-xs">
+            {config?.enabled ? 'enabled' : 'disabled'}
+          </Badge>
+        </div>
+        <CardDescription className="text-sm">
+          Let users sign in with your OpenID Connect identity provider. New users are created on their first login.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-6">
+          <div className="space-y-2">
+            <Label htmlFor="ssoIssuer" className="text-sm font-medium">Issuer URL</Label>
+            <Input
+              id="ssoIssuer"
+              placeholder="https://login.example.com"
+              value={formData.issuer}
+              onChange={(e) => setFormData({ ...formData, issuer: e.target.value })}
+              className="h-10 sm:h-11"
+            />
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label htmlFor="ssoClientId" className="text-sm font-medium">Client ID</Label>
+              <Input
+                id="ssoClientId"
+                value={formData.clientId}
+                onChange={(e) => setFormData({ ...formData, clientId: e.target.value })}
+                className="h-10 sm:h-11"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="ssoClientSecret" className="text-sm font-medium">Client Secret</Label>
+              <Input
+                id="ssoClientSecret"
+                type="password"
+                placeholder={config?.hasClientSecret ? 'Unchanged' : ''}
+                value={formData.clientSecret}
+                onChange={(e) => setFormData({ ...formData, clientSecret: e.target.value })}
+                autoComplete="new-password"
+                className="h-10 sm:h-11"
+              />
+            </div>
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label htmlFor="ssoDomains" className="text-sm font-medium">Allowed Email Domains</Label>
+              <Input
+                id="ssoDomains"
+                placeholder="example.com, example.org"
+                value={formData.allowedDomains}
+                onChange={(e) => setFormData({ ...formData, allowedDomains: e.target.value })}
+                className="h-10 sm:h-11"
+              />
+              <p className="text-xs text-muted-foreground">Leave blank to allow any domain</p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="ssoDefaultRole" className="text-sm font-medium">Default Role</Label>
+              <select
+                id="ssoDefaultRole"
+                value={formData.defaultRole}
+                onChange={(e) => setFormData({ ...formData, defaultRole: e.target.value })}
+                className="flex h-10 sm:h-11 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+              >
+                {(roleList || [{ key: 'user', name: 'User' }, { key: 'admin', name: 'Admin' }]).map(role => (
+                  <option key={role.key} value={role.key}>{role.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="space-y-1">
+            <p className="text-xs sm:text-sm text-muted-foreground">Redirect URI to register with your provider</p>
+            <p className="font-mono text-xs sm:text-sm break-all">{config?.redirectUri}</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
+              {success}
+            </div>
+          )}
+
+          {updateMutation.isError && (
+            <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+              Error: {updateMutation.error.message}
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Button type="submit" variant="outline" disabled={updateMutation.isPending} className="h-10 sm:h-11">
+              {updateMutation.isPending ? 'Saving...' : 'Save'}
+            </Button>
+            <Button
+              type="button"
+              variant={config?.enabled ? 'outline' : 'default'}
+              disabled={updateMutation.isPending}
+              onClick={() => save(!config?.enabled)}
+              className="h-10 sm:h-11"
+            >
+              {config?.enabled ? 'Disable SSO' : 'Enable SSO'}
+            </Button>
+          </div>
+        </form>
+
+        {config?.enabled && (
+          <div className="mt-4 space-y-3 border-t pt-4">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+              <div>
+                <p className="font-medium text-sm sm:text-base">Password sign-in</p>
+                <p className="text-xs sm:text-sm text-muted-foreground">
+                  {passwordLoginEnabled
+                    ? 'Users can sign in with a password as well as with SSO'
+                    : 'Only SSO is offered. Users who can manage security may still use a password, and disabling SSO turns passwords back on.'}
+                </p>
+              </div>
+              <Button
+                variant={passwordLoginEnabled ? 'default' : 'outline'}
+                disabled={passwordLoginMutation.isPending}
+                onClick={() => passwordLoginMutation.mutate(!passwordLoginEnabled)}
+                className="w-full sm:w-auto h-10 sm:h-11"
+              >
+                {passwordLoginEnabled ? 'Require SSO' : 'Allow Passwords'}
+              </Button>
+            </div>
+
+            {passwordLoginMutation.isError && (
+              <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                Error: {passwordLoginMutation.error.message}
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
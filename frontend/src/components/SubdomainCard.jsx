@@ -0,0 +1,133 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import SubdomainStatus from '@/components/SubdomainStatus'
+import { tenant, followTenantRename } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { useSubdomainAvailability } from '@/hooks/useSubdomainAvailability'
+import { Link2 } from 'lucide-react'
+
+export default function SubdomainCard() {
+  const queryClient = useQueryClient()
+  const currentSubdomain = useAuthStore((state) => state.tenant?.subdomain)
+  const [renaming, setRenaming] = useState(false)
+  const [subdomainInput, setSubdomainInput] = useState('')
+
+  const subdomainCheck = useSubdomainAvailability(subdomainInput, {
+    scope: 'rename',
+    check: tenant.checkSubdomain,
+  })
+
+  const { data: info } = useQuery({
+    queryKey: ['tenant-info'],
+    queryFn: tenant.getInfo,
+  })
+
+  const renameMutation = useMutation({
+    mutationFn: tenant.renameSubdomain,
+    onSuccess: (data) => {
+      queryClient.setQueryData(['tenant-info'], (previous) => previous && { ...previous, ...data })
+      setRenaming(false)
+      setSubdomainInput('')
+      followTenantRename(currentSubdomain, data.subdomain)
+    },
+  })
+
+  const redirecting = (info?.previousSubdomains || []).filter(
+    (previous) => new Date(previous.redirectUntil) > new Date()
+  )
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    renameMutation.mutate(subdomainInput.trim().toLowerCase())
+  }
+
+  const cancel = () => {
+    setRenaming(false)
+    setSubdomainInput('')
+    renameMutation.reset()
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3 sm:pb-6">
+        <div className="flex items-center gap-2">
+          <Link2 className="h-4 w-4 sm:h-5 sm:w-5" />
+          <CardTitle className="text-lg sm:text-xl">Subdomain</CardTitle>
+        </div>
+        <CardDescription className="text-sm">
+          The address your workspace is reached at. After a rename the old address keeps redirecting
+          for a grace period, and nobody else can claim it until that ends.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          <p className="font-medium text-sm sm:text-base break-all">{currentSubdomain}.yourapp.com</p>
+          {!renaming && (
+            <Button variant="outline" onClick={() => setRenaming(true)} className="w-full sm:w-auto h-10 sm:h-11">
+              Rename
+            </Button>
+          )}
+        </div>
+
+        {renaming && (
+          <form onSubmit={handleSubmit} className="space-y-3 rounded-md border p-3 sm:p-4">
+            <div className="space-y-2">
+              <Label htmlFor="newSubdomain" className="text-sm font-medium">New subdomain</Label>
+              <div className="flex items-center gap-1 sm:gap-2">
+                <Input
+                  id="newSubdomain"
+                  value={subdomainInput}
+                  onChange={(e) => setSubdomainInput(e.target.value.toLowerCase())}
+                  autoFocus
+                  required
+                  className="h-10 sm:h-11"
+                />
+                <span className="text-xs sm:text-sm text-muted-foreground whitespace-nowrap">.yourapp.com</span>
+              </div>
+              <SubdomainStatus {...subdomainCheck} onSuggestion={setSubdomainInput} />
+            </div>
+
+            <p className="text-xs sm:text-sm text-muted-foreground">
+              Everyone will use the new address from now on. Update any links, SSO redirect URIs and
+              integrations that mention {currentSubdomain}.yourapp.com before the grace period ends.
+            </p>
+
+            {renameMutation.isError && (
+              <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                Error: {renameMutation.error.message}
+              </div>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Button
+                type="submit"
+                disabled={renameMutation.isPending || !subdomainCheck.result?.available}
+                className="h-10 sm:h-11"
+              >
+                {renameMutation.isPending ? 'Renaming...' : 'Rename Subdomain'}
+              </Button>
+              <Button type="button" variant="ghost" onClick={cancel} className="h-10 sm:h-11">
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {redirecting.length > 0 && (
+          <div className="space-y-1 border-t pt-4">
+            <p className="text-sm font-medium">Old addresses still redirecting</p>
+            {redirecting.map((previous) => (
+              <p key={previous.subdomain} className="text-xs sm:text-sm text-muted-foreground">
+                {previous.subdomain}.yourapp.com until {new Date(previous.redirectUntil).toLocaleDateString()}
+              </p>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,53 @@
+import { CheckCircle2, Loader2, XCircle } from 'lucide-react'
+
+/**
+ * Availability message under a subdomain field, with clickable suggestions
+ * (see useSubdomainAvailability)
+ */
+export default function SubdomainStatus({ checking, result, onSuggestion }) {
+  if (checking) {
+    return (
+      <p className="flex items-center gap-1 text-xs text-muted-foreground">
+        <Loader2 className="h-3 w-3 animate-spin" />
+        Checking availability...
+      </p>
+    )
+  }
+
+  if (!result) return null
+
+  if (result.available) {
+    return (
+      <p className="flex items-center gap-1 text-xs text-green-700">
+        <CheckCircle2 className="h-3 w-3" />
+        {result.subdomain} is available
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-1">
+      <p className="flex items-center gap-1 text-xs text-destructive">
+        <XCircle className="h-3 w-3" />
+        {result.reason}
+      </p>
+      {result.suggestions?.length > 0 && (
+        <p className="text-xs text-muted-foreground">
+          Try{' '}
+          {result.suggestions.map((suggestion, index) => (
+            <span key={suggestion}>
+              {index > 0 && ', '}
+              <button
+                type="button"
+                className="text-primary hover:underline font-medium"
+                onClick={() => onSuggestion(suggestion)}
+              >
+                {suggestion}
+              </button>
+            </span>
+          ))}
+        </p>
+      )}
+    </div>
+  )
+}
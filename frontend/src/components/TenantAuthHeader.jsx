@@ -0,0 +1,45 @@
+import { CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { assetUrl } from '@/lib/api'
+
+/**
+ * Full-page backdrop for the sign-in pages, in the tenant's colours when there is a tenant
+ */
+export function AuthPage({ tenantInfo, children }) {
+  return (
+    <div
+      className={`min-h-screen flex items-center justify-center bg-gradient-to-br p-4 ${
+        tenantInfo ? 'from-primary/5 to-primary/20' : 'from-blue-50 to-indigo-100'
+      }`}
+    >
+      {children}
+    </div>
+  )
+}
+
+/**
+ * Card header for the sign-in pages: the tenant's logo and welcome message when
+ * the page is opened for a tenant (see usePublicTenant), otherwise just the title
+ */
+export default function TenantAuthHeader({ tenantInfo, title, description }) {
+  const logo = tenantInfo?.branding?.logo
+  const welcomeMessage = tenantInfo?.branding?.welcomeMessage
+
+  return (
+    <CardHeader className="space-y-1 pb-4 sm:pb-6">
+      {logo && (
+        <img
+          src={assetUrl(logo)}
+          alt={`${tenantInfo.name} logo`}
+          className="mx-auto mb-2 h-12 sm:h-14 w-auto max-w-[220px] object-contain"
+        />
+      )}
+      <CardTitle className="text-2xl sm:text-3xl font-bold text-center">{title}</CardTitle>
+      {welcomeMessage && (
+        <p className="text-center text-sm sm:text-base whitespace-pre-line">{welcomeMessage}</p>
+      )}
+      {description && (
+        <CardDescription className="text-center text-sm sm:text-base">{description}</CardDescription>
+      )}
+    </CardHeader>
+  )
+}
@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react'
+import { useAuthStore } from '@/store/useAuthStore'
+import { useThemeStore } from '@/store/useThemeStore'
+import { assetUrl } from '@/lib/api'
+import { applyTheme, resetTheme, resolveColorMode } from '@/lib/theme'
+
+/**
+ * Applies the signed-in tenant's theme (or, on the sign-in pages, the public
+ * branding of the tenant being visited) to the document and keeps it current as
+ * branding, the user's colour mode choice or the device's colour scheme change.
+ */
+export default function ThemeManager() {
+  const tenantBranding = useAuthStore((state) => state.tenant?.branding)
+  const publicBranding = useThemeStore((state) => state.publicBranding)
+  const branding = tenantBranding || publicBranding
+  const userColorMode = useThemeStore((state) => state.colorMode)
+  const [systemChange, setSystemChange] = useState(0)
+
+  const colorMode = userColorMode || branding?.colorMode || 'light'
+
+  // Re-resolve 'system' when the device switches between light and dark
+  useEffect(() => {
+    if (colorMode !== 'system' || !window.matchMedia) return undefined
+    const query = window.matchMedia('(prefers-color-scheme: dark)')
+    const onChange = () => setSystemChange((count) => count + 1)
+    query.addEventListener('change', onChange)
+    return () => query.removeEventListener('change', onChange)
+  }, [colorMode])
+
+  useEffect(() => {
+    if (!branding) {
+      resetTheme()
+      return
+    }
+    applyTheme(branding, resolveColorMode(colorMode), assetUrl(branding.favicon))
+  }, [branding, colorMode, systemChange])
+
+  return null
+}
@@ -0,0 +1,34 @@
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { buildTheme } from '@/lib/theme'
+
+/**
+ * Unsaved branding rendered with the real ui primitives, in light and dark mode.
+ * The theme variables are set on each panel, so only the preview changes.
+ */
+export default function ThemePreview({ branding, name }) {
+  return (
+    <div className="grid gap-3 sm:grid-cols-2">
+      {['light', 'dark'].map((mode) => (
+        <div
+          key={mode}
+          style={buildTheme(branding, mode)}
+          className="font-sans rounded-lg border bg-background text-foreground p-4 space-y-3"
+        >
+          <div className="flex items-center justify-between gap-2">
+            <span className="font-bold text-primary truncate">{name || 'Your company'}</span>
+            <Badge variant="secondary" className="text-xs">{mode}</Badge>
+          </div>
+          <p className="text-sm text-muted-foreground">Calls this month: 128</p>
+          <Input placeholder="Search calls..." className="h-9" readOnly />
+          <div className="flex flex-wrap gap-2">
+            <Button type="button" size="sm">Primary</Button>
+            <Button type="button" size="sm" variant="secondary">Secondary</Button>
+            <Button type="button" size="sm" variant="outline" className="bg-accent text-accent-foreground">Accent</Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
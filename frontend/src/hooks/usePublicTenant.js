@@ -0,0 +1,34 @@
+import { useEffect } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { tenant } from '@/lib/api'
+import { useThemeStore } from '@/store/useThemeStore'
+
+/**
+ * Public details of the tenant the app was opened for (subdomain, custom domain or
+ * the dev subdomain): { name, subdomain, branding, loginOptions }, or null when
+ * there is none. Themes the page with the tenant's branding while it is mounted,
+ * unless applyBranding is false.
+ *
+ * subdomain is only part of the cache key; the request itself picks the tenant
+ * the same way every other request does (see getSubdomain in lib/api.js).
+ */
+export function usePublicTenant(subdomain = '', { applyBranding = true } = {}) {
+  const setPublicBranding = useThemeStore((state) => state.setPublicBranding)
+
+  const { data, isError, isLoading } = useQuery({
+    queryKey: ['public-tenant', subdomain],
+    queryFn: tenant.getBranding,
+    retry: false,
+    staleTime: 5 * 60 * 1000,
+  })
+
+  const tenantInfo = isError ? null : data || null
+
+  useEffect(() => {
+    setPublicBranding((applyBranding && tenantInfo?.branding) || null)
+  }, [tenantInfo, applyBranding, setPublicBranding])
+
+  useEffect(() => () => setPublicBranding(null), [setPublicBranding])
+
+  return { tenantInfo, loading: isLoading }
+}
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+
+// Wait for a pause in typing before asking the server
+const CHECK_DELAY_MS = 400
+
+/**
+ * Availability of a subdomain as the user types it: { checking, result }, where result
+ * is { subdomain, available, reason, suggestions } once the server has answered for
+ * the current value. scope names the check function in the query cache: 'signup' with
+ * auth.checkSubdomain, or 'rename' with tenant.checkSubdomain.
+ */
+export function useSubdomainAvailability(subdomain, { scope, check }) {
+  const value = subdomain.trim().toLowerCase()
+  const [debounced, setDebounced] = useState(value)
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebounced(value), CHECK_DELAY_MS)
+    return () => clearTimeout(timeoutId)
+  }, [value])
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['subdomain-availability', scope, debounced],
+    queryFn: () => check(debounced),
+    enabled: !!debounced,
+    retry: false,
+    staleTime: 30 * 1000,
+  })
+
+  const current = !!value && debounced === value && data?.subdomain === value
+  return {
+    checking: !!value && (debounced !== value || isFetching),
+    result: current ? data : null,
+  }
+}
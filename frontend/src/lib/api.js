@@ -1,3 +1,6 @@
+import { useAuthStore } from '@/store/useAuthStore'
+import { usePlatformStore } from '@/store/usePlatformStore'
+
 // Determine API URL based on environment
 const API_URL = (() => {
   // Debug environment variables
@@ -76,16 +79,100 @@ export const getSubdomain = () => {
   return null;
 }
 
+/**
+ * Full URL for a file served by the API (e.g. an uploaded logo at /api/assets/...).
+ * Anything else, such as a logo URL saved before uploads existed, is returned unchanged.
+ */
+export const assetUrl = (path) => {
+  if (!path?.startsWith('/api/')) return path
+  return `${API_URL.replace(/\/api$/, '')}${path}`
+}
+
+// Shared in-flight refresh so parallel 401s only rotate the refresh token once
+let refreshPromise = null
+
+/**
+ * Exchange the stored refresh token for a new token pair.
+ * Returns the new access token, or null (and logs out) if refresh failed.
+ */
+const refreshAccessToken = () => {
+  const { refreshToken, setTokens, logout } = useAuthStore.getState()
+
+  if (!refreshToken) {
+    return Promise.resolve(null)
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          console.log('⚠️ Token refresh failed, logging out')
+          logout()
+          return null
+        }
+
+        const data = await response.json()
+        setTokens(data.token, data.refreshToken)
+        return data.token
+      })
+      .catch((error) => {
+        console.error('❌ Token refresh error:', error.message)
+        return null
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+
+  return refreshPromise
+}
+
+/**
+ * Switch to a tenant's new subdomain after a rename: update the stored tenant and dev
+ * subdomain, and move the browser over if the app was opened on the old subdomain
+ */
+export const followTenantRename = (previousSubdomain, subdomain) => {
+  console.log('🔀 Tenant renamed:', previousSubdomain, '->', subdomain)
+
+  const { tenant, updateTenantSubdomain } = useAuthStore.getState()
+  if (tenant?.subdomain === previousSubdomain) {
+    updateTenantSubdomain(subdomain)
+  }
+  if (localStorage.getItem('dev-subdomain') === previousSubdomain) {
+    localStorage.setItem('dev-subdomain', subdomain)
+  }
+
+  const [firstLabel, ...rest] = window.location.hostname.split('.')
+  if (firstLabel === previousSubdomain && rest.length > 0) {
+    const url = new URL(window.location.href)
+    url.hostname = [subdomain, ...rest].join('.')
+    window.location.replace(url.toString())
+  }
+}
+
+// Error codes returned for every request while the tenant is suspended or closed
+const TENANT_ACCESS_CODES = ['TENANT_SUSPENDED', 'TENANT_CLOSED']
+
 /**
  * Make API request with authentication
  */
 export const apiRequest = async (endpoint, options = {}) => {
+  const { _retried, ...fetchOptions } = options
   const token = JSON.parse(localStorage.getItem('voho-auth-storage') || '{}')?.state?.token
   const subdomain = getSubdomain()
 
   const headers = {
     'Content-Type': 'application/json',
-    ...options.headers,
+    ...fetchOptions.headers,
+  }
+
+  // The browser sets the multipart boundary itself
+  if (fetchOptions.body instanceof FormData) {
+    delete headers['Content-Type']
   }
 
   if (token) {
@@ -123,13 +210,27 @@ export const apiRequest = async (endpoint, options = {}) => {
     console.log(`🔗 Full URL: "${fullUrl}"`);
 
     const response = await fetch(fullUrl, {
-      ...options,
+      ...fetchOptions,
       headers,
       signal: controller.signal,
     })
 
     clearTimeout(timeoutId)
 
+    // The tenant was reached through a subdomain it has since been renamed from
+    const renamedTo = response.headers.get('X-Tenant-Renamed-To')
+    if (renamedTo && subdomain && renamedTo !== subdomain) {
+      followTenantRename(subdomain, renamedTo)
+    }
+
+    // Access tokens are short-lived: refresh once and retry
+    if (response.status === 401 && !_retried && !normalizedEndpoint.startsWith('/auth/')) {
+      const newToken = await refreshAccessToken()
+      if (newToken) {
+        return apiRequest(endpoint, { ...options, _retried: true })
+      }
+    }
+
     if (!response.ok) {
       const errorText = await response.text().catch(() => 'Unknown error');
       console.error('❌ API Response not OK:', {
@@ -139,6 +240,28 @@ export const apiRequest = async (endpoint, options = {}) => {
         responseText: errorText
       });
 
+      // A suspended or closed tenant locks everyone out: explain why and sign out
+      if (response.status === 403) {
+        let errorBody = null
+        try {
+          errorBody = JSON.parse(errorText)
+        } catch {
+          // Not a JSON error body
+        }
+
+        if (TENANT_ACCESS_CODES.includes(errorBody?.code)) {
+          if (!normalizedEndpoint.startsWith('/auth/')) {
+            useAuthStore.getState().logout()
+          }
+          throw new Error(`${errorBody.error}. ${errorBody.message}`)
+        }
+
+        // Other coded refusals (e.g. PASSWORD_LOGIN_DISABLED) explain themselves
+        if (errorBody?.code && errorBody.message) {
+          throw new Error(`${errorBody.error}. ${errorBody.message}`)
+        }
+      }
+
       // Handle specific error cases
       if (response.status === 404) {
         throw new Error('Service not found. Please check if the backend is running.')
@@ -177,6 +300,8 @@ export const apiRequest = async (endpoint, options = {}) => {
 
 // Auth API
 export const auth = {
+  checkSubdomain: (subdomain) => apiRequest(`/auth/subdomain-availability?subdomain=${encodeURIComponent(subdomain)}`),
+
   signup: (data) => apiRequest('/auth/signup', {
     method: 'POST',
     body: JSON.stringify(data),
@@ -186,6 +311,69 @@ export const auth = {
     method: 'POST',
     body: JSON.stringify(data),
   }),
+
+  selectTenant: (data) => apiRequest('/auth/login/select-tenant', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  verifyMfaLogin: (data) => apiRequest('/auth/login/mfa', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  logout: (refreshToken) => apiRequest('/auth/logout', {
+    method: 'POST',
+    body: JSON.stringify({ refreshToken }),
+  }),
+
+  verifyEmail: (token) => apiRequest('/auth/verify-email', {
+    method: 'POST',
+    body: JSON.stringify({ token }),
+  }),
+
+  resendVerification: () => apiRequest('/auth/resend-verification', {
+    method: 'POST',
+  }),
+
+  getInvitation: (token) => apiRequest(`/auth/invitations/${encodeURIComponent(token)}`),
+
+  acceptInvite: (token, password) => apiRequest('/auth/accept-invite', {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  }),
+
+  forgotPassword: (email) => apiRequest('/auth/forgot-password', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  }),
+
+  resetPassword: (token, password) => apiRequest('/auth/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  }),
+}
+
+// MFA API
+export const mfa = {
+  setup: () => apiRequest('/auth/mfa/setup', {
+    method: 'POST',
+  }),
+
+  enable: (code) => apiRequest('/auth/mfa/enable', {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  }),
+
+  disable: (data) => apiRequest('/auth/mfa/disable', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  regenerateRecoveryCodes: (code) => apiRequest('/auth/mfa/recovery-codes', {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  }),
 }
 
 // Tenant API
@@ -197,7 +385,215 @@ export const tenant = {
     body: JSON.stringify(data),
   }),
 
+  // kind is 'logo' or 'favicon'
+  uploadBrandingImage: (kind, file) => {
+    const body = new FormData()
+    body.append(kind, file)
+    return apiRequest(`/tenant/branding/${kind}`, { method: 'POST', body })
+  },
+
+  removeBrandingImage: (kind) => apiRequest(`/tenant/branding/${kind}`, { method: 'DELETE' }),
+
   getInfo: () => apiRequest('/tenant/info'),
+
+  updateSecurity: (data) => apiRequest('/tenant/security', {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  }),
+
+  getCallDefaults: () => apiRequest('/tenant/call-defaults'),
+
+  updateCallDefaults: (data) => apiRequest('/tenant/call-defaults', {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  }),
+
+  getSso: () => apiRequest('/tenant/sso'),
+
+  updateSso: (data) => apiRequest('/tenant/sso', {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  }),
+
+  getScim: () => apiRequest('/tenant/scim'),
+
+  generateScimToken: () => apiRequest('/tenant/scim/token', {
+    method: 'POST',
+  }),
+
+  disableScim: () => apiRequest('/tenant/scim/token', {
+    method: 'DELETE',
+  }),
+
+  checkSubdomain: (subdomain) => apiRequest(`/tenant/subdomain/availability?subdomain=${encodeURIComponent(subdomain)}`),
+
+  renameSubdomain: (subdomain) => apiRequest('/tenant/subdomain', {
+    method: 'PUT',
+    body: JSON.stringify({ subdomain }),
+  }),
+
+  close: (data) => apiRequest('/tenant/close', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  getDomain: () => apiRequest('/tenant/domain'),
+
+  updateDomain: (domain) => apiRequest('/tenant/domain', {
+    method: 'PUT',
+    body: JSON.stringify({ domain }),
+  }),
+
+  verifyDomain: () => apiRequest('/tenant/domain/verify', {
+    method: 'POST',
+  }),
+
+  removeDomain: () => apiRequest('/tenant/domain', {
+    method: 'DELETE',
+  }),
+}
+
+// Invitations API (admin)
+export const invitations = {
+  getAll: () => apiRequest('/invitations'),
+
+  create: (data) => apiRequest('/invitations', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  resend: (id) => apiRequest(`/invitations/${id}/resend`, {
+    method: 'POST',
+  }),
+
+  revoke: (id) => apiRequest(`/invitations/${id}`, {
+    method: 'DELETE',
+  }),
+}
+
+// Login lockouts API
+export const lockouts = {
+  getAll: () => apiRequest('/lockouts'),
+
+  clear: (userId) => apiRequest(`/lockouts/${userId}`, {
+    method: 'DELETE',
+  }),
+}
+
+// Single sign-on API
+export const sso = {
+  getStatus: () => apiRequest('/sso'),
+
+  start: (email) => apiRequest('/sso/start', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  }),
+
+  callback: (code, state) => apiRequest('/sso/callback', {
+    method: 'POST',
+    body: JSON.stringify({ code, state }),
+  }),
+}
+
+// API keys API
+export const apiKeys = {
+  getAll: () => apiRequest('/api-keys'),
+
+  create: (data) => apiRequest('/api-keys', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  revoke: (id) => apiRequest(`/api-keys/${id}`, {
+    method: 'DELETE',
+  }),
+}
+
+// Roles API (custom roles and permissions)
+export const roles = {
+  getAll: () => apiRequest('/roles'),
+
+  getPermissions: () => apiRequest('/roles/permissions'),
+
+  create: (data) => apiRequest('/roles', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  update: (key, data) => apiRequest(`/roles/${key}`, {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  }),
+
+  remove: (key) => apiRequest(`/roles/${key}`, {
+    method: 'DELETE',
+  }),
+}
+
+// Sessions API (own sessions; tenant-wide for admins)
+export const sessions = {
+  getAll: () => apiRequest('/sessions'),
+
+  revoke: (id) => apiRequest(`/sessions/${id}`, {
+    method: 'DELETE',
+  }),
+
+  revokeOthers: () => apiRequest('/sessions', {
+    method: 'DELETE',
+  }),
+
+  getTenant: () => apiRequest('/sessions/tenant'),
+
+  revokeTenant: (id) => apiRequest(`/sessions/tenant/${id}`, {
+    method: 'DELETE',
+  }),
+}
+
+// Profile API (the current user's own account)
+export const profile = {
+  get: () => apiRequest('/profile'),
+
+  changePassword: (data) => apiRequest('/profile/password', {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  }),
+
+  changeEmail: (data) => apiRequest('/profile/email', {
+    method: 'PUT',
+    body: JSON.stringify(data),
+  }),
+
+  cancelEmailChange: () => apiRequest('/profile/email', {
+    method: 'DELETE',
+  }),
+
+  getLoginHistory: (limit = 50) => apiRequest(`/profile/login-history?limit=${limit}`),
+}
+
+// User management API (users.manage)
+export const users = {
+  getAll: () => apiRequest('/users'),
+
+  updateRole: (id, role) => apiRequest(`/users/${id}/role`, {
+    method: 'PUT',
+    body: JSON.stringify({ role }),
+  }),
+
+  deactivate: (id) => apiRequest(`/users/${id}/deactivate`, {
+    method: 'POST',
+  }),
+
+  reactivate: (id) => apiRequest(`/users/${id}/reactivate`, {
+    method: 'POST',
+  }),
+
+  resetPassword: (id) => apiRequest(`/users/${id}/reset-password`, {
+    method: 'POST',
+  }),
+
+  remove: (id) => apiRequest(`/users/${id}`, {
+    method: 'DELETE',
+  }),
 }
 
 // Calls API
@@ -225,8 +621,80 @@ export const dashboard = {
 
   getStats: () => apiRequest('/dashboard/stats'),
 
+  getUsage: () => apiRequest('/dashboard/usage'),
+
   getAuditLogs: (limit = 50) => apiRequest(`/dashboard/audit-logs?limit=${limit}`),
 
   getUsers: () => apiRequest('/dashboard/users'),
 }
 
+
+/**
+ * Make a request to the platform operator API with the platform token.
+ * Platform requests never carry a tenant, and an expired token signs the operator out.
+ */
+const platformRequest = async (endpoint, options = {}) => {
+  const { token, logout } = usePlatformStore.getState()
+
+  const response = await fetch(`${API_URL}/platform${endpoint}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...options.headers,
+    },
+  })
+
+  if (response.status === 401 && token) {
+    logout()
+  }
+
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`)
+  }
+
+  return data
+}
+
+// Platform operator API (all tenants)
+export const platform = {
+  login: (data) => platformRequest('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  logout: () => platformRequest('/auth/logout', {
+    method: 'POST',
+  }),
+
+  getTenants: (params = {}) => platformRequest(`/tenants?${new URLSearchParams(params)}`),
+
+  getTenant: (id) => platformRequest(`/tenants/${id}`),
+
+  setTenantStatus: (id, data) => platformRequest(`/tenants/${id}/status`, {
+    method: 'PATCH',
+    body: JSON.stringify(data),
+  }),
+
+  setTenantPlan: (id, plan) => platformRequest(`/tenants/${id}/plan`, {
+    method: 'PATCH',
+    body: JSON.stringify({ plan }),
+  }),
+
+  getTenantUsers: (id) => platformRequest(`/tenants/${id}/users`),
+
+  impersonate: (id, data) => platformRequest(`/tenants/${id}/impersonate`, {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  getImpersonations: () => platformRequest('/impersonations'),
+
+  endImpersonation: (id) => platformRequest(`/impersonations/${id}/end`, {
+    method: 'POST',
+  }),
+
+  getAuditLogs: (limit = 50) => platformRequest(`/audit-logs?limit=${limit}`),
+}
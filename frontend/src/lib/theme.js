@@ -0,0 +1,208 @@
+/**
+ * Tenant theming: turns Tenant.branding (colours, colour mode, font) into the CSS
+ * variables that tailwind.config.js and every components/ui primitive read.
+ */
+
+// Keys match BRANDING_FONTS in backend/models/Tenant.js. Local font stacks only, so
+// choosing a font never loads anything from a third party.
+export const FONTS = {
+  system: {
+    label: 'System',
+    stack: "ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif",
+  },
+  humanist: {
+    label: 'Humanist',
+    stack: "Seravek, 'Gill Sans Nova', Ubuntu, Calibri, 'DejaVu Sans', source-sans-pro, sans-serif",
+  },
+  geometric: {
+    label: 'Geometric',
+    stack: "Avenir, Montserrat, Corbel, 'URW Gothic', source-sans-pro, sans-serif",
+  },
+  serif: {
+    label: 'Serif',
+    stack: "Charter, 'Bitstream Charter', 'Sitka Text', Cambria, Georgia, serif",
+  },
+  rounded: {
+    label: 'Rounded',
+    stack: "ui-rounded, 'Hiragino Maru Gothic ProN', Quicksand, Comfortaa, Manjari, 'Arial Rounded MT', Calibri, sans-serif",
+  },
+  mono: {
+    label: 'Monospace',
+    stack: "ui-monospace, 'Cascadia Code', 'Source Code Pro', Menlo, Consolas, 'DejaVu Sans Mono', monospace",
+  },
+}
+
+export const COLOR_MODES = {
+  light: 'Light',
+  dark: 'Dark',
+  system: 'Match device',
+}
+
+export const DEFAULT_PRIMARY_COLOR = '#3b82f6'
+
+// Neutral surfaces and text; brand colours are layered on top
+const NEUTRALS = {
+  light: {
+    '--background': '0 0% 100%',
+    '--foreground': '222.2 84% 4.9%',
+    '--card': '0 0% 100%',
+    '--card-foreground': '222.2 84% 4.9%',
+    '--popover': '0 0% 100%',
+    '--popover-foreground': '222.2 84% 4.9%',
+    '--muted-foreground': '215.4 16.3% 46.9%',
+    '--destructive': '0 84.2% 60.2%',
+    '--destructive-foreground': '210 40% 98%',
+  },
+  dark: {
+    '--background': '222.2 84% 4.9%',
+    '--foreground': '210 40% 98%',
+    '--card': '222.2 84% 4.9%',
+    '--card-foreground': '210 40% 98%',
+    '--popover': '222.2 84% 4.9%',
+    '--popover-foreground': '210 40% 98%',
+    '--muted-foreground': '215 20.2% 65.1%',
+    '--destructive': '0 62.8% 30.6%',
+    '--destructive-foreground': '210 40% 98%',
+  },
+}
+
+const LIGHT_TEXT = { h: 210, s: 40, l: 98 }
+const DARK_TEXT = { h: 222.2, s: 84, l: 4.9 }
+
+const hexToHsl = (hex) => {
+  if (!/^#[0-9a-f]{6}$/i.test(hex || '')) return null
+
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const l = (max + min) / 2
+  let h = 0
+  let s = 0
+
+  if (max !== min) {
+    const d = max - min
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0)
+    else if (max === g) h = (b - r) / d + 2
+    else h = (r - g) / d + 4
+    h /= 6
+  }
+
+  return { h: h * 360, s: s * 100, l: l * 100 }
+}
+
+const hslToRgb = ({ h, s, l }) => {
+  const sat = s / 100
+  const light = l / 100
+  const k = (n) => (n + h / 30) % 12
+  const a = sat * Math.min(light, 1 - light)
+  return [0, 8, 4].map(n => light - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1))))
+}
+
+// WCAG relative luminance and contrast ratio
+const luminance = (color) => {
+  const [r, g, b] = hslToRgb(color).map(c => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4))
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+const contrast = (a, b) => {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x)
+  return (light + 0.05) / (dark + 0.05)
+}
+
+const round = (value) => Math.round(value * 10) / 10
+const toVar = ({ h, s, l }) => `${round(h)} ${round(s)}% ${round(l)}%`
+
+// Light text as long as it reaches 3:1 (WCAG large text / UI components), as on the
+// default blue; otherwise whichever of light or dark text contrasts more
+const textOn = (color) => {
+  const onLight = contrast(color, LIGHT_TEXT)
+  return toVar(onLight >= 3 || onLight >= contrast(color, DARK_TEXT) ? LIGHT_TEXT : DARK_TEXT)
+}
+
+/**
+ * CSS variables for a tenant's branding in 'light' or 'dark' mode
+ */
+export const buildTheme = (branding = {}, mode = 'light') => {
+  const dark = mode === 'dark'
+  const primary = hexToHsl(branding.primaryColor) || hexToHsl(DEFAULT_PRIMARY_COLOR)
+  const secondary = hexToHsl(branding.secondaryColor)
+  const accent = hexToHsl(branding.accentColor) || primary
+
+  // Very dark brand colours would vanish on a dark background
+  const brand = dark && primary.l < 40 ? { ...primary, l: 60 } : primary
+
+  // Surfaces carry a hint of the primary hue
+  const tint = (l, maxSaturation) => ({ h: primary.h, s: Math.min(primary.s, maxSaturation), l })
+  const surface = dark ? tint(17.5, 30) : tint(96, 40)
+  const border = dark ? tint(20, 30) : tint(91, 32)
+
+  return {
+    ...NEUTRALS[dark ? 'dark' : 'light'],
+    '--primary': toVar(brand),
+    '--primary-foreground': textOn(brand),
+    '--ring': toVar(brand),
+    '--secondary': toVar(secondary || surface),
+    '--secondary-foreground': secondary ? textOn(secondary) : toVar(dark ? LIGHT_TEXT : tint(11.2, 47)),
+    '--accent': toVar({ h: accent.h, s: Math.min(accent.s, dark ? 45 : 80), l: dark ? 20 : 94 }),
+    '--accent-foreground': toVar({ h: accent.h, s: Math.min(accent.s, 60), l: dark ? 92 : 20 }),
+    '--muted': toVar(surface),
+    '--border': toVar(border),
+    '--input': toVar(border),
+    '--font-sans': (FONTS[branding.font] || FONTS.system).stack,
+  }
+}
+
+/**
+ * 'light' or 'dark' for a colour mode setting ('system' follows the device)
+ */
+export const resolveColorMode = (colorMode) => {
+  if (colorMode === 'system') {
+    return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
+  }
+  return colorMode === 'dark' ? 'dark' : 'light'
+}
+
+const DEFAULT_FAVICON = '/favicon.svg'
+
+const setFavicon = (href) => {
+  document.querySelectorAll('link[rel="icon"], link[rel="apple-touch-icon"]').forEach((link) => {
+    link.href = href || DEFAULT_FAVICON
+    if (href) link.removeAttribute('type')
+    else if (link.rel === 'icon') link.type = 'image/svg+xml'
+  })
+}
+
+const setThemeColor = (color) => {
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', color)
+}
+
+let appliedVariables = []
+
+/**
+ * Apply a theme to the whole document. faviconUrl is already resolved (see assetUrl).
+ */
+export const applyTheme = (branding, mode, faviconUrl) => {
+  const root = document.documentElement
+  const variables = buildTheme(branding, mode)
+
+  appliedVariables.forEach(name => root.style.removeProperty(name))
+  Object.entries(variables).forEach(([name, value]) => root.style.setProperty(name, value))
+  appliedVariables = Object.keys(variables)
+
+  root.classList.toggle('dark', mode === 'dark')
+  setFavicon(faviconUrl)
+  setThemeColor(branding.primaryColor || DEFAULT_PRIMARY_COLOR)
+}
+
+/**
+ * Back to the default theme (e.g. after signing out)
+ */
+export const resetTheme = () => {
+  const root = document.documentElement
+  appliedVariables.forEach(name => root.style.removeProperty(name))
+  appliedVariables = []
+  root.classList.remove('dark')
+  setFavicon(null)
+  setThemeColor(DEFAULT_PRIMARY_COLOR)
+}
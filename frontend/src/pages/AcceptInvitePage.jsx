@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { auth } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { Loader2 } from 'lucide-react'
+
+export default function AcceptInvitePage() {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const setAuth = useAuthStore(state => state.setAuth)
+
+  const [invitation, setInvitation] = useState(null)
+  const [lookupError, setLookupError] = useState(token ? '' : 'This invitation link is missing its token.')
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  })
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!token) return
+
+    auth.getInvitation(token)
+      .then(data => setInvitation(data))
+      .catch(() => setLookupError('This invitation is invalid or has expired. Ask your admin to send a new one.'))
+  }, [token])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const response = await auth.acceptInvite(token, formData.password)
+      setAuth(response.token, response.user, response.tenant, response.refreshToken)
+
+      // Save subdomain for development
+      localStorage.setItem('dev-subdomain', response.tenant.subdomain)
+
+      navigate(response.mfaEnrollmentRequired ? '/mfa-setup' : '/dashboard', { replace: true })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md mx-auto">
+        <CardHeader className="space-y-1 pb-4 sm:pb-6">
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">
+            {invitation ? `Join ${invitation.tenant.name}` : 'Accept Invitation'}
+          </CardTitle>
+          <CardDescription className="text-center text-sm sm:text-base">
+            {invitation
+              ? <>Set a password for <strong>{invitation.email}</strong> to join with the {invitation.roleName} role</>
+              : 'Checking your invitation...'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 sm:space-y-6">
+          {lookupError && (
+            <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+              {lookupError}
+            </div>
+          )}
+
+          {!invitation && !lookupError && (
+            <Loader2 className="h-8 w-8 animate-spin text-primary mx-auto" />
+          )}
+
+          {invitation && (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="password" className="text-sm font-medium">Password</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  placeholder="••••••••"
+                  value={formData.password}
+                  onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                  required
+                  minLength={6}
+                  className="h-10 sm:h-11"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword" className="text-sm font-medium">Confirm Password</Label>
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  placeholder="••••••••"
+                  value={formData.confirmPassword}
+                  onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                  required
+                  minLength={6}
+                  className="h-10 sm:h-11"
+                />
+              </div>
+
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <Button type="submit" className="w-full h-10 sm:h-11 text-sm sm:text-base" disabled={loading}>
+                {loading ? 'Joining...' : 'Accept Invitation'}
+              </Button>
+            </form>
+          )}
+
+          <div className="mt-4 sm:mt-6 text-center text-sm">
+            Already have an account?{' '}
+            <a href="/login" className="text-primary hover:underline font-medium">
+              Login
+            </a>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -38,10 +38,8 @@ export default function CallsPage() {
 
       console.log('🔗 Creating call with tenantId:', tenant.id);
 
+      // The backend applies the tenant's call defaults (Settings > Call Defaults)
       return calls.create({
-        systemPrompt: 'You are a helpful AI assistant for customer support.',
-        model: 'fixie-ai/ultravox',
-        voice: 'default',
         tenantId: tenant.id, // Include tenantId for backend validation
       });
     },
@@ -2,13 +2,14 @@ import { useQuery } from '@tanstack/react-query'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import PlanUsageCard from '@/components/PlanUsageCard'
 import { dashboard } from '@/lib/api'
 import { useAuthStore } from '@/store/useAuthStore'
 import { Users, Phone, CheckCircle, Clock } from 'lucide-react'
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
 
 export default function DashboardPage() {
-  const { isAdmin } = useAuthStore()
+  const { hasPermission } = useAuthStore()
 
   // Fetch metrics
   const { data: metricsData, isLoading: metricsLoading } = useQuery({
@@ -24,11 +25,11 @@ export default function DashboardPage() {
     refetchInterval: 15000,
   })
 
-  // Fetch audit logs (admin only)
+  // Fetch audit logs (audit.view)
   const { data: auditLogs } = useQuery({
     queryKey: ['audit-logs'],
     queryFn: () => dashboard.getAuditLogs(20),
-    enabled: isAdmin(),
+    enabled: hasPermission('audit.view'),
     refetchInterval: 30000,
   })
 
@@ -94,7 +95,7 @@ export default function DashboardPage() {
           </CardContent>
         </Card>
 
-        {isAdmin() && metrics.totalUsers !== null && (
+        {metrics.totalUsers !== null && metrics.totalUsers !== undefined && (
           <Card className="p-3 sm:p-6">
             <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2 p-0">
               <CardTitle className="text-xs sm:text-sm font-medium">Total Users</CardTitle>
@@ -108,11 +109,13 @@ export default function DashboardPage() {
         )}
       </div>
 
+      <PlanUsageCard />
+
       <Tabs defaultValue="activity" className="space-y-4">
         <TabsList className="grid w-full grid-cols-2 lg:grid-cols-3">
           <TabsTrigger value="activity" className="text-xs sm:text-sm">Recent Activity</TabsTrigger>
           <TabsTrigger value="analytics" className="text-xs sm:text-sm">Analytics</TabsTrigger>
-          {isAdmin() && <TabsTrigger value="audit" className="text-xs sm:text-sm">Audit Logs</TabsTrigger>}
+          {hasPermission('audit.view') && <TabsTrigger value="audit" className="text-xs sm:text-sm">Audit Logs</TabsTrigger>}
         </TabsList>
 
         <TabsContent value="activity" className="space-y-4">
@@ -213,7 +216,7 @@ export default function DashboardPage() {
           </div>
         </TabsContent>
 
-        {isAdmin() && (
+        {hasPermission('audit.view') && (
           <TabsContent value="audit" className="space-y-4">
             <Card>
               <CardHeader className="pb-3 sm:pb-6">
@@ -231,6 +234,11 @@ export default function DashboardPage() {
                             <span className="text-xs text-muted-foreground truncate">
                               {log.userId?.email || 'System'}
                             </span>
+                            {log.apiKeyId && (
+                              <Badge variant="secondary" className="text-xs">
+                                API key: {log.apiKeyId.name || log.apiKeyId.prefix}
+                              </Badge>
+                            )}
                           </div>
                           <p className="text-xs text-muted-foreground">
                             {new Date(log.timestamp).toLocaleString()}
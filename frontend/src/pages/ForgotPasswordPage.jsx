@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { auth } from '@/lib/api'
+import { usePublicTenant } from '@/hooks/usePublicTenant'
+import { Mail } from 'lucide-react'
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('')
+  // Reset links are only sent for accounts in the organization the page is for
+  const [subdomain, setSubdomain] = useState(() => localStorage.getItem('dev-subdomain') || '')
+  const [editingSubdomain, setEditingSubdomain] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const { tenantInfo } = usePublicTenant(subdomain)
+  // Opened on a tenant's own subdomain or custom domain: nothing to choose
+  const showSubdomainField = editingSubdomain || !!subdomain || !tenantInfo
+
+  const handleSubdomainChange = (e) => {
+    setEditingSubdomain(true)
+    setSubdomain(e.target.value)
+    localStorage.setItem('dev-subdomain', e.target.value)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setMessage('')
+    setLoading(true)
+
+    try {
+      const response = await auth.forgotPassword(email)
+      setMessage(response.message)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md mx-auto">
+        <CardHeader className="space-y-1 pb-4 sm:pb-6">
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Forgot Password</CardTitle>
+          <CardDescription className="text-center text-sm sm:text-base">
+            Enter your email and we&apos;ll send you a link to reset your password
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 sm:space-y-6">
+          {message ? (
+            <div className="flex items-start gap-3 bg-green-50 text-green-700 p-3 rounded-md text-sm">
+              <Mail className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <span>{message}</span>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {showSubdomainField && (
+                <div className="space-y-2">
+                  <Label htmlFor="subdomain" className="text-sm font-medium">Subdomain</Label>
+                  <Input
+                    id="subdomain"
+                    placeholder="acme"
+                    value={subdomain}
+                    onChange={handleSubdomainChange}
+                    required
+                    className="h-10 sm:h-11"
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Your company subdomain.
+                  </p>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="email" className="text-sm font-medium">Email</Label>
+                <Input
+                  id="email"
+                  type="email"
+                  placeholder="you@example.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  className="h-10 sm:h-11"
+                />
+              </div>
+
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <Button type="submit" className="w-full h-10 sm:h-11 text-sm sm:text-base" disabled={loading}>
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </form>
+          )}
+
+          <div className="mt-4 sm:mt-6 text-center text-sm">
+            Remembered it?{' '}
+            <a href="/login" className="text-primary hover:underline font-medium">
+              Back to login
+            </a>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
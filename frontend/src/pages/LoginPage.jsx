@@ -1,163 +1,298 @@
-import { useState, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useState } from 'react'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
-import { auth, tenant } from '@/lib/api'
+import { Card, CardContent } from '@/components/ui/card'
+import TenantAuthHeader, { AuthPage } from '@/components/TenantAuthHeader'
+import { auth, sso } from '@/lib/api'
+import { usePublicTenant } from '@/hooks/usePublicTenant'
 import { useAuthStore } from '@/store/useAuthStore'
-import { getSubdomain } from '@/lib/api'
+import { KeyRound } from 'lucide-react'
+
+// Offered when the tenant's settings are unknown (no tenant, or the lookup failed)
+const DEFAULT_LOGIN_OPTIONS = { password: true, sso: false }
 
 export default function LoginPage() {
   const navigate = useNavigate()
+  const location = useLocation()
   const setAuth = useAuthStore(state => state.setAuth)
   
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   })
-  const [subdomain, setSubdomain] = useState('')
-  const [tenantInfo, setTenantInfo] = useState(null)
+  // For development, start from the stored subdomain
+  const [subdomain, setSubdomain] = useState(() => localStorage.getItem('dev-subdomain') || '')
+  const [editingSubdomain, setEditingSubdomain] = useState(false)
+  // SSO-only tenants still let security admins in with a password
+  const [passwordFallback, setPasswordFallback] = useState(false)
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
+  // A login finished on the tenant selection page may still need its second factor
+  const [mfaToken, setMfaToken] = useState(location.state?.mfaToken || null)
+  const [mfaCode, setMfaCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
 
-  useEffect(() => {
-    // For development, check if there's a stored subdomain
-    const devSubdomain = localStorage.getItem('dev-subdomain')
-    if (devSubdomain) {
-      setSubdomain(devSubdomain)
-      // Try to load tenant branding for development
-      tenant.getBranding()
-        .then(data => setTenantInfo(data))
-        .catch(() => setTenantInfo(null))
-    }
-  }, [])
+  const { tenantInfo } = usePublicTenant(subdomain)
+  const loginOptions = tenantInfo?.loginOptions || DEFAULT_LOGIN_OPTIONS
+  const passwordLogin = loginOptions.password || passwordFallback
+  // Opened on a tenant's own subdomain or custom domain: nothing to choose
+  const showSubdomainField = editingSubdomain || !!subdomain || !tenantInfo
 
   const handleSubdomainChange = (e) => {
     const sub = e.target.value
+    setEditingSubdomain(true)
     setSubdomain(sub)
+    setPasswordFallback(false)
     localStorage.setItem('dev-subdomain', sub)
-
-    // Try to load tenant branding when subdomain changes
-    if (sub) {
-      tenant.getBranding()
-        .then(data => setTenantInfo(data))
-        .catch((error) => {
-          console.log('Tenant branding not found:', error.message)
-          setTenantInfo(null)
-        })
-    } else {
-      setTenantInfo(null)
-    }
   }
 
-  const handleSubmit = async (e) => {
-    e.preventDefault()
+  const handleSsoLogin = async () => {
     setError('')
     setLoading(true)
 
-    if (!subdomain) {
-      setError('Please enter a subdomain')
+    try {
+      const { authorizationUrl } = await sso.start(formData.email)
+      window.location.href = authorizationUrl
+    } catch (err) {
+      console.error('SSO start error:', err.message)
+      setError(getLoginErrorMessage(err))
       setLoading(false)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!passwordLogin) {
+      handleSsoLogin()
       return
     }
+    setError('')
+    setLoading(true)
 
     try {
       const response = await auth.login(formData)
-      setAuth(response.token, response.user, response.tenant)
 
-      // Save subdomain for development
-      localStorage.setItem('dev-subdomain', response.tenant.subdomain)
+      // MFA-enabled accounts get a challenge token instead of a session
+      if (response.mfaRequired) {
+        setMfaToken(response.mfaToken)
+        return
+      }
+
+      // Same credentials in several tenants: let the user pick one
+      if (response.tenantSelectionRequired) {
+        navigate('/select-tenant', {
+          state: { selectionToken: response.selectionToken, tenants: response.tenants },
+        })
+        return
+      }
 
-      navigate('/dashboard')
+      finishLogin(response)
     } catch (err) {
       console.error('Login error:', err.message)
+      setError(getLoginErrorMessage(err))
+    } finally {
+      setLoading(false)
+    }
+  }
 
-      // Provide user-friendly error messages
-      if (err.message.includes('Service not found')) {
-        setError('Backend service is not available. Please try again in a few moments.')
-      } else if (err.message.includes('Server error')) {
-        setError('Server is experiencing issues. Please try again later.')
-      } else if (err.message.includes('temporarily unavailable')) {
-        setError('Service is temporarily unavailable. Please try again.')
-      } else if (err.message.includes('Request timed out')) {
-        setError('Request timed out. Please check your connection and try again.')
-      } else if (err.message.includes('Tenant not found')) {
-        setError('The subdomain you entered does not exist. Please check and try again.')
-      } else if (err.message.includes('Invalid credentials')) {
-        setError('Invalid email or password. Please check your credentials.')
-      } else {
-        setError(err.message)
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+
+    try {
+      const response = await auth.verifyMfaLogin({
+        mfaToken,
+        ...(useRecoveryCode ? { recoveryCode: mfaCode } : { code: mfaCode }),
+      })
+      finishLogin(response)
+    } catch (err) {
+      console.error('MFA verification error:', err.message)
+
+      if (err.message.includes('MFA session expired') || err.message.includes('Too many attempts')) {
+        setMfaToken(null)
       }
+      setMfaCode('')
+      setError(getLoginErrorMessage(err))
     } finally {
       setLoading(false)
     }
   }
 
+  const finishLogin = (response) => {
+    setAuth(response.token, response.user, response.tenant, response.refreshToken)
+
+    // Save subdomain for development
+    localStorage.setItem('dev-subdomain', response.tenant.subdomain)
+
+    navigate(response.mfaEnrollmentRequired ? '/mfa-setup' : '/dashboard')
+  }
+
   return (
-    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+    <AuthPage tenantInfo={tenantInfo}>
       <Card className="w-full max-w-md mx-auto">
-        <CardHeader className="space-y-1 pb-4 sm:pb-6">
-          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">
-            {tenantInfo ? `Welcome to ${tenantInfo.name}` : 'Login'}
-          </CardTitle>
-          <CardDescription className="text-center text-sm sm:text-base">
-            Enter your credentials to access your account
-          </CardDescription>
-        </CardHeader>
+        <TenantAuthHeader
+          tenantInfo={tenantInfo}
+          title={tenantInfo ? `Welcome to ${tenantInfo.name}` : 'Login'}
+          description={
+            mfaToken
+              ? 'Two-factor authentication'
+              : passwordLogin
+                ? 'Enter your credentials to access your account'
+                : 'Sign in with your organization\'s single sign-on'
+          }
+        />
         <CardContent className="space-y-4 sm:space-y-6">
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="subdomain" className="text-sm font-medium">Subdomain</Label>
-              <Input
-                id="subdomain"
-                placeholder="acme"
-                value={subdomain}
-                onChange={handleSubdomainChange}
-                required
-                className="h-10 sm:h-11"
-              />
-              <p className="text-xs text-muted-foreground">
-                Your company subdomain (for development)
-              </p>
-            </div>
-
-            <div className="space-y-2">
-              <Label htmlFor="email" className="text-sm font-medium">Email</Label>
-              <Input
-                id="email"
-                type="email"
-                placeholder="you@example.com"
-                value={formData.email}
-                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-                required
-                className="h-10 sm:h-11"
-              />
-            </div>
-
-            <div className="space-y-2">
-              <Label htmlFor="password" className="text-sm font-medium">Password</Label>
-              <Input
-                id="password"
-                type="password"
-                placeholder="••••••••"
-                value={formData.password}
-                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-                required
-                className="h-10 sm:h-11"
-              />
-            </div>
-
-            {error && (
-              <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
-                {error}
+          {mfaToken ? (
+            <form onSubmit={handleMfaSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="mfaCode" className="text-sm font-medium">
+                  {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                </Label>
+                <Input
+                  id="mfaCode"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  value={mfaCode}
+                  onChange={(e) => setMfaCode(e.target.value)}
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className="h-10 sm:h-11"
+                />
+                <p className="text-xs text-muted-foreground">
+                  {useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when setting up MFA'
+                    : 'Enter the 6-digit code from your authenticator app'}
+                </p>
               </div>
-            )}
 
-            <Button type="submit" className="w-full h-10 sm:h-11 text-sm sm:text-base" disabled={loading}>
-              {loading ? 'Logging in...' : 'Login'}
-            </Button>
-          </form>
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <Button type="submit" className="w-full h-10 sm:h-11 text-sm sm:text-base" disabled={loading}>
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+
+              <div className="flex items-center justify-between text-xs">
+                <button
+                  type="button"
+                  className="text-primary hover:underline"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode)
+                    setMfaCode('')
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  className="text-muted-foreground hover:underline"
+                  onClick={() => {
+                    setMfaToken(null)
+                    setMfaCode('')
+                    setError('')
+                  }}
+                >
+                  Back to login
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {showSubdomainField && (
+                <div className="space-y-2">
+                  <Label htmlFor="subdomain" className="text-sm font-medium">Subdomain (optional)</Label>
+                  <Input
+                    id="subdomain"
+                    placeholder="acme"
+                    value={subdomain}
+                    onChange={handleSubdomainChange}
+                    className="h-10 sm:h-11"
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Your company subdomain. Leave blank to choose from the organizations you belong to.
+                  </p>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="email" className="text-sm font-medium">Email</Label>
+                <Input
+                  id="email"
+                  type="email"
+                  placeholder="you@example.com"
+                  value={formData.email}
+                  onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                  required={passwordLogin}
+                  className="h-10 sm:h-11"
+                />
+              </div>
+
+              {passwordLogin && (
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="password" className="text-sm font-medium">Password</Label>
+                    <a href="/forgot-password" className="text-xs text-primary hover:underline">
+                      Forgot password?
+                    </a>
+                  </div>
+                  <Input
+                    id="password"
+                    type="password"
+                    placeholder="••••••••"
+                    value={formData.password}
+                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                    required
+                    className="h-10 sm:h-11"
+                  />
+                </div>
+              )}
+
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              {passwordLogin && (
+                <Button type="submit" className="w-full h-10 sm:h-11 text-sm sm:text-base" disabled={loading}>
+                  {loading ? 'Logging in...' : 'Login'}
+                </Button>
+              )}
+
+              {loginOptions.sso && (
+                <Button
+                  type={passwordLogin ? 'button' : 'submit'}
+                  variant={passwordLogin ? 'outline' : 'default'}
+                  className="w-full h-10 sm:h-11 text-sm sm:text-base"
+                  disabled={loading}
+                  onClick={passwordLogin ? handleSsoLogin : undefined}
+                >
+                  <KeyRound className="mr-2 h-4 w-4" />
+                  Sign in with SSO
+                </Button>
+              )}
+
+              {!passwordLogin && (
+                <p className="text-center text-xs text-muted-foreground">
+                  Administrator?{' '}
+                  <button
+                    type="button"
+                    className="text-primary hover:underline"
+                    onClick={() => setPasswordFallback(true)}
+                  >
+                    Sign in with a password
+                  </button>
+                </p>
+              )}
+            </form>
+          )}
 
           <div className="mt-4 sm:mt-6 text-center text-sm">
             Don&apos;t have an account?{' '}
@@ -167,7 +302,31 @@ export default function LoginPage() {
           </div>
         </CardContent>
       </Card>
-    </div>
+    </AuthPage>
   )
 }
 
+// Map API errors to user-friendly messages
+function getLoginErrorMessage(err) {
+  if (err.message.includes('Service not found')) {
+    return 'Backend service is not available. Please try again in a few moments.'
+  } else if (err.message.includes('Server error')) {
+    return 'Server is experiencing issues. Please try again later.'
+  } else if (err.message.includes('temporarily unavailable')) {
+    return 'Service is temporarily unavailable. Please try again.'
+  } else if (err.message.includes('Request timed out')) {
+    return 'Request timed out. Please check your connection and try again.'
+  } else if (err.message.includes('Tenant not found')) {
+    return 'The subdomain you entered does not exist. Please check and try again.'
+  } else if (err.message.includes('Too many failed login attempts')) {
+    const wait = err.message.match(/Try again in (\d+ minutes?)/)
+    return `Too many failed login attempts. Please try again in ${wait ? wait[1] : 'a few minutes'}.`
+  } else if (err.message.includes('Invalid credentials')) {
+    return 'Invalid email or password. Please check your credentials.'
+  } else if (err.message.includes('Invalid verification code')) {
+    return 'That code is not valid. Please try again.'
+  } else if (err.message.includes('MFA session expired') || err.message.includes('Too many attempts')) {
+    return 'Your verification session expired. Please log in again.'
+  }
+  return err.message
+}
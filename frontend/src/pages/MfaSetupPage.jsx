@@ -0,0 +1,37 @@
+import { useNavigate } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import MfaEnrollment from '@/components/MfaEnrollment'
+import { useAuthStore } from '@/store/useAuthStore'
+import { ShieldCheck } from 'lucide-react'
+
+export default function MfaSetupPage() {
+  const navigate = useNavigate()
+  const { tenant, logout } = useAuthStore()
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md mx-auto">
+        <CardHeader className="space-y-1 pb-4 sm:pb-6">
+          <div className="flex items-center justify-center mb-4">
+            <div className="p-3 bg-primary/10 rounded-full">
+              <ShieldCheck className="h-8 w-8 text-primary" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">
+            Set Up Two-Factor Authentication
+          </CardTitle>
+          <CardDescription className="text-center text-sm sm:text-base">
+            {tenant?.name || 'Your organization'} requires multi-factor authentication for all users
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 sm:space-y-6">
+          <MfaEnrollment onComplete={() => navigate('/dashboard', { replace: true })} />
+          <Button variant="ghost" onClick={logout} className="w-full text-sm">
+            Log out
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,514 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { platform } from '@/lib/api'
+import { usePlatformStore } from '@/store/usePlatformStore'
+import { useAuthStore } from '@/store/useAuthStore'
+import { ServerCog, Building2, ScrollText, LogOut, Search, Loader2, Eye } from 'lucide-react'
+
+const PAGE_SIZE = 25
+
+const STATUS_LABELS = {
+  active: 'Active',
+  suspended: 'Suspended',
+  pending_deletion: 'Closed',
+  deleted: 'Deleted',
+}
+
+// Keys match PLANS in backend/utils/plans.js
+const PLAN_LABELS = {
+  free: 'Free',
+  pro: 'Pro',
+  enterprise: 'Enterprise',
+  legacy: 'Legacy',
+}
+
+const QUOTA_LABELS = {
+  monthlyCalls: 'Calls this month',
+  callMinutes: 'Call minutes this month',
+  concurrentCalls: 'Active calls',
+  seats: 'Seats',
+}
+
+function ImpersonateForm({ tenantId }) {
+  const navigate = useNavigate()
+  const { setAuth, setImpersonation } = useAuthStore()
+  const [form, setForm] = useState({ userId: '', reason: '', durationMinutes: 30 })
+
+  const { data: users } = useQuery({
+    queryKey: ['platform-tenant-users', tenantId],
+    queryFn: () => platform.getTenantUsers(tenantId),
+  })
+
+  const impersonateMutation = useMutation({
+    mutationFn: () => platform.impersonate(tenantId, { ...form, durationMinutes: Number(form.durationMinutes) }),
+    onSuccess: (data) => {
+      // Support sessions get a single access token and no refresh token
+      setAuth(data.token, data.user, data.tenant, null)
+      setImpersonation(data.impersonation)
+      navigate('/dashboard')
+    },
+  })
+
+  const activeUsers = users?.filter(user => user.isActive) || []
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault()
+        impersonateMutation.mutate()
+      }}
+      className="space-y-2 border-t pt-3"
+    >
+      <p className="font-medium text-xs sm:text-sm">Impersonate a user</p>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={form.userId}
+          onChange={(e) => setForm({ ...form, userId: e.target.value })}
+          required
+          className="flex h-9 rounded-md border border-input bg-background px-3 py-1 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+        >
+          <option value="">Select a user</option>
+          {activeUsers.map(user => (
+            <option key={user.id} value={user.id}>{user.email} ({user.role})</option>
+          ))}
+        </select>
+        <Input
+          placeholder="Reason (shown to the tenant in its audit log)"
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          required
+          className="h-9"
+        />
+        <select
+          value={form.durationMinutes}
+          onChange={(e) => setForm({ ...form, durationMinutes: e.target.value })}
+          className="flex h-9 rounded-md border border-input bg-background px-3 py-1 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+        >
+          <option value={15}>15 min</option>
+          <option value={30}>30 min</option>
+          <option value={60}>1 hour</option>
+          <option value={120}>2 hours</option>
+        </select>
+        <Button type="submit" size="sm" disabled={impersonateMutation.isPending}>
+          <Eye className="mr-2 h-4 w-4" />
+          Impersonate
+        </Button>
+      </div>
+      {impersonateMutation.error && (
+        <p className="text-xs text-destructive">Error: {impersonateMutation.error.message}</p>
+      )}
+    </form>
+  )
+}
+
+function PlanForm({ tenantId, details }) {
+  const queryClient = useQueryClient()
+  const [plan, setPlan] = useState(details.plan)
+
+  const planMutation = useMutation({
+    mutationFn: () => platform.setTenantPlan(tenantId, plan),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['platform-tenant', tenantId])
+      queryClient.invalidateQueries(['platform-tenants'])
+      queryClient.invalidateQueries(['platform-audit'])
+    },
+  })
+
+  const { limits, usage } = details.quota
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault()
+        planMutation.mutate()
+      }}
+      className="space-y-2 border-t pt-3"
+    >
+      <p className="font-medium text-xs sm:text-sm">Plan</p>
+      <div className="grid gap-1 sm:grid-cols-2 text-muted-foreground">
+        {Object.entries(QUOTA_LABELS).map(([key, label]) => (
+          <p key={key}>
+            {label}: {usage[key]} / {limits[key] === null ? 'unlimited' : limits[key]}
+          </p>
+        ))}
+        <p>Audit retention: {limits.auditRetentionDays === null ? 'forever' : `${limits.auditRetentionDays} days`}</p>
+      </div>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={plan}
+          onChange={(e) => setPlan(e.target.value)}
+          className="flex h-9 rounded-md border border-input bg-background px-3 py-1 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+        >
+          {Object.entries(PLAN_LABELS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <Button type="submit" size="sm" variant="outline" disabled={planMutation.isPending || plan === details.plan}>
+          Change plan
+        </Button>
+      </div>
+      {planMutation.error && (
+        <p className="text-xs text-destructive">Error: {planMutation.error.message}</p>
+      )}
+    </form>
+  )
+}
+
+function TenantDetails({ tenantId, isActive }) {
+  const { data: details, isLoading } = useQuery({
+    queryKey: ['platform-tenant', tenantId],
+    queryFn: () => platform.getTenant(tenantId),
+  })
+
+  if (isLoading) {
+    return <Loader2 className="h-5 w-5 animate-spin text-primary" />
+  }
+
+  if (!details) return null
+
+  return (
+    <div className="grid gap-3 sm:grid-cols-3 text-xs sm:text-sm border-t pt-3">
+      <div>
+        <p className="font-medium mb-1">Admins</p>
+        {details.admins.length > 0 ? details.admins.map(admin => (
+          <p key={admin.id} className="text-muted-foreground truncate">
+            {admin.email}{!admin.isActive && ' (deactivated)'}
+          </p>
+        )) : <p className="text-muted-foreground">None</p>}
+      </div>
+      <div>
+        <p className="font-medium mb-1">Security</p>
+        <p className="text-muted-foreground">MFA required: {details.security.mfaRequired ? 'yes' : 'no'}</p>
+        <p className="text-muted-foreground">SSO: {details.security.ssoEnabled ? 'enabled' : 'off'}</p>
+        <p className="text-muted-foreground">SCIM: {details.security.scimEnabled ? 'enabled' : 'off'}</p>
+      </div>
+      <div>
+        <p className="font-medium mb-1">Usage</p>
+        <p className="text-muted-foreground">Call minutes: {Math.round(details.usage.totalDuration / 60)}</p>
+        <p className="text-muted-foreground">Active API keys: {details.usage.activeApiKeys}</p>
+      </div>
+      <div className="sm:col-span-3">
+        <PlanForm key={details.plan} tenantId={tenantId} details={details} />
+      </div>
+      {isActive && (
+        <div className="sm:col-span-3">
+          <ImpersonateForm tenantId={tenantId} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function PlatformPage() {
+  const queryClient = useQueryClient()
+  const { admin, logout } = usePlatformStore()
+  const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState({ search: '', status: '', page: 1 })
+  const [expandedId, setExpandedId] = useState(null)
+  // Tenant being suspended or closed, and the reason typed for it
+  const [statusChange, setStatusChange] = useState({ id: null, status: null, reason: '' })
+
+  const { data: tenantPage, isLoading } = useQuery({
+    queryKey: ['platform-tenants', filters],
+    queryFn: () => platform.getTenants({ ...filters, limit: PAGE_SIZE }),
+  })
+
+  const { data: auditLogs } = useQuery({
+    queryKey: ['platform-audit'],
+    queryFn: () => platform.getAuditLogs(25),
+  })
+
+  const { data: impersonations } = useQuery({
+    queryKey: ['platform-impersonations'],
+    queryFn: platform.getImpersonations,
+  })
+
+  const endImpersonationMutation = useMutation({
+    mutationFn: platform.endImpersonation,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['platform-impersonations'])
+      queryClient.invalidateQueries(['platform-audit'])
+    },
+  })
+
+  const statusMutation = useMutation({
+    mutationFn: ({ id, ...data }) => platform.setTenantStatus(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['platform-tenants'])
+      queryClient.invalidateQueries(['platform-audit'])
+      setStatusChange({ id: null, status: null, reason: '' })
+    },
+  })
+
+  const handleLogout = async () => {
+    try {
+      await platform.logout()
+    } catch (error) {
+      console.log('⚠️ Platform logout failed:', error.message)
+    }
+    logout()
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setFilters({ ...filters, search: searchInput, page: 1 })
+  }
+
+  const totalPages = tenantPage ? Math.max(Math.ceil(tenantPage.total / PAGE_SIZE), 1) : 1
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b bg-slate-900 text-white">
+        <div className="container mx-auto px-4 py-3 sm:py-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <ServerCog className="h-5 w-5 sm:h-6 sm:w-6" />
+            <h1 className="text-lg sm:text-xl font-bold">Platform Console</h1>
+          </div>
+          <div className="flex items-center gap-2 sm:gap-4">
+            <span className="hidden sm:inline text-sm text-slate-300">{admin?.email}</span>
+            <Button variant="ghost" size="sm" onClick={handleLogout} className="text-white hover:bg-slate-800 hover:text-white">
+              <LogOut className="h-4 w-4 mr-1 sm:mr-2" />
+              <span className="hidden sm:inline">Logout</span>
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto p-4 sm:p-6 lg:p-8 space-y-4 sm:space-y-6">
+        <Card>
+          <CardHeader className="pb-3 sm:pb-6">
+            <div className="flex items-center gap-2">
+              <Building2 className="h-4 w-4 sm:h-5 sm:w-5" />
+              <CardTitle className="text-lg sm:text-xl">Tenants</CardTitle>
+            </div>
+            <CardDescription className="text-sm">
+              {tenantPage ? `${tenantPage.total} tenant${tenantPage.total === 1 ? '' : 's'}` : 'All tenants on the platform'}.
+              Suspended and closed tenants cannot sign in or use the API; closed tenants are purged after a grace period.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <form onSubmit={handleSearch} className="flex flex-col sm:flex-row gap-2">
+              <Input
+                placeholder="Search by name or subdomain"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                className="h-10 sm:h-11"
+              />
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+                className="flex h-10 sm:h-11 rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+              >
+                <option value="">All statuses</option>
+                {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <Button type="submit" className="h-10 sm:h-11">
+                <Search className="mr-2 h-4 w-4" />
+                Search
+              </Button>
+            </form>
+
+            {statusMutation.error && (
+              <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                Error: {statusMutation.error.message}
+              </div>
+            )}
+
+            {isLoading ? (
+              <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+            ) : tenantPage?.tenants.length > 0 ? (
+              <div className="space-y-2 sm:space-y-3">
+                {tenantPage.tenants.map((tenant) => (
+                  <div key={tenant.id} className="p-3 border rounded-lg space-y-3">
+                    <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-2">
+                      <div className="flex-1 min-w-0">
+                        <div className="flex flex-wrap items-center gap-2 mb-1">
+                          <span className="font-medium text-sm sm:text-base">{tenant.name}</span>
+                          <span className="text-xs font-mono text-muted-foreground">{tenant.subdomain}</span>
+                          <Badge variant={tenant.status === 'active' ? 'secondary' : 'destructive'} className="text-xs">
+                            {STATUS_LABELS[tenant.status]}
+                          </Badge>
+                          <Badge variant="outline" className="text-xs">{PLAN_LABELS[tenant.plan]}</Badge>
+                        </div>
+                        <p className="text-xs text-muted-foreground">
+                          {tenant.usage.activeUsers}/{tenant.usage.users} active users •
+                          {' '}{tenant.usage.calls} calls ({tenant.usage.callsLast30Days} in 30 days) •
+                          {' '}Created {new Date(tenant.createdAt).toLocaleDateString()}
+                        </p>
+                        {tenant.status !== 'active' && tenant.statusReason && (
+                          <p className="text-xs text-muted-foreground">
+                            {STATUS_LABELS[tenant.status]} by {tenant.statusChangedBy} on {new Date(tenant.statusChangedAt).toLocaleDateString()}: “{tenant.statusReason}”
+                            {tenant.deletionScheduledFor && ` • Purge on ${new Date(tenant.deletionScheduledFor).toLocaleDateString()}`}
+                          </p>
+                        )}
+                      </div>
+                      <div className="flex flex-col sm:flex-row gap-2">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setExpandedId(expandedId === tenant.id ? null : tenant.id)}
+                        >
+                          {expandedId === tenant.id ? 'Hide details' : 'Details'}
+                        </Button>
+                        {statusChange.id !== tenant.id && tenant.status === 'active' && (
+                          <Button variant="outline" size="sm" onClick={() => setStatusChange({ id: tenant.id, status: 'suspended', reason: '' })}>
+                            Suspend
+                          </Button>
+                        )}
+                        {['suspended', 'pending_deletion'].includes(tenant.status) && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={statusMutation.isPending}
+                            onClick={() => statusMutation.mutate({ id: tenant.id, status: 'active' })}
+                          >
+                            {tenant.status === 'suspended' ? 'Reactivate' : 'Restore'}
+                          </Button>
+                        )}
+                        {statusChange.id !== tenant.id && ['active', 'suspended'].includes(tenant.status) && (
+                          <Button variant="outline" size="sm" onClick={() => setStatusChange({ id: tenant.id, status: 'pending_deletion', reason: '' })}>
+                            Close
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+
+                    {statusChange.id === tenant.id && (
+                      <form
+                        onSubmit={(e) => {
+                          e.preventDefault()
+                          statusMutation.mutate({ id: tenant.id, status: statusChange.status, reason: statusChange.reason })
+                        }}
+                        className="flex flex-col sm:flex-row gap-2 border-t pt-3"
+                      >
+                        <Input
+                          placeholder="Reason (recorded in the audit trail)"
+                          value={statusChange.reason}
+                          onChange={(e) => setStatusChange({ ...statusChange, reason: e.target.value })}
+                          required
+                          className="h-9"
+                        />
+                        <Button type="submit" variant="destructive" size="sm" disabled={statusMutation.isPending}>
+                          {statusChange.status === 'suspended' ? 'Suspend tenant' : 'Close and schedule purge'}
+                        </Button>
+                        <Button type="button" variant="ghost" size="sm" onClick={() => setStatusChange({ id: null, status: null, reason: '' })}>
+                          Cancel
+                        </Button>
+                      </form>
+                    )}
+
+                    {expandedId === tenant.id && <TenantDetails tenantId={tenant.id} isActive={tenant.isActive} />}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground text-center py-4">No tenants found</p>
+            )}
+
+            {totalPages > 1 && (
+              <div className="flex items-center justify-between">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={filters.page <= 1}
+                  onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+                >
+                  Previous
+                </Button>
+                <span className="text-sm text-muted-foreground">Page {filters.page} of {totalPages}</span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={filters.page >= totalPages}
+                  onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+                >
+                  Next
+                </Button>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {impersonations?.length > 0 && (
+          <Card>
+            <CardHeader className="pb-3 sm:pb-6">
+              <div className="flex items-center gap-2">
+                <Eye className="h-4 w-4 sm:h-5 sm:w-5" />
+                <CardTitle className="text-lg sm:text-xl">Active Impersonations</CardTitle>
+              </div>
+              <CardDescription className="text-sm">Support sessions that have not ended or expired yet</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {impersonations.map((impersonation) => (
+                <div key={impersonation._id} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-2">
+                  <div className="min-w-0 text-sm">
+                    <p className="truncate">
+                      {impersonation.adminId?.email} as {impersonation.userId?.email}
+                      {impersonation.tenantId && (
+                        <span className="text-xs text-muted-foreground"> → {impersonation.tenantId.name} ({impersonation.tenantId.subdomain})</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      “{impersonation.reason}” • {impersonation.requestCount} changes •
+                      {' '}Expires {new Date(impersonation.expiresAt).toLocaleTimeString()}
+                    </p>
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={endImpersonationMutation.isPending}
+                    onClick={() => endImpersonationMutation.mutate(impersonation._id)}
+                  >
+                    End
+                  </Button>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
+        <Card>
+          <CardHeader className="pb-3 sm:pb-6">
+            <div className="flex items-center gap-2">
+              <ScrollText className="h-4 w-4 sm:h-5 sm:w-5" />
+              <CardTitle className="text-lg sm:text-xl">Platform Audit Trail</CardTitle>
+            </div>
+            <CardDescription className="text-sm">Every platform operator action, newest first</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {auditLogs?.length > 0 ? (
+              <div className="space-y-2">
+                {auditLogs.map((log) => (
+                  <div key={log._id} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-1 sm:gap-2">
+                    <div className="flex flex-wrap items-center gap-2 min-w-0">
+                      <Badge variant="outline" className="text-xs font-mono">{log.action}</Badge>
+                      <span className="text-sm truncate">{log.adminId?.email || log.details?.email || 'Unknown'}</span>
+                      {log.tenantId && (
+                        <span className="text-xs text-muted-foreground">→ {log.tenantId.name} ({log.tenantId.subdomain})</span>
+                      )}
+                      {log.details?.reason && (
+                        <span className="text-xs text-muted-foreground">“{log.details.reason}”</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-muted-foreground whitespace-nowrap">
+                      {new Date(log.timestamp).toLocaleString()}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground text-center py-4">No activity yet</p>
+            )}
+          </CardContent>
+        </Card>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,287 @@
+import { useState } from 'react'
+import { useQuery, useMutation } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { profile } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { KeyRound, Mail, History, Loader2 } from 'lucide-react'
+
+const HISTORY_LABELS = {
+  'user.login': 'Signed in',
+  'user.logout': 'Signed out',
+  'user.failed_login': 'Failed sign-in',
+  'user.locked_out': 'Account locked',
+  'user.mfa_failed': 'Wrong MFA code',
+  'user.mfa_recovery_used': 'Recovery code used',
+  'session.expired': 'Signed out for inactivity',
+}
+
+const FAILURE_ACTIONS = ['user.failed_login', 'user.locked_out', 'user.mfa_failed']
+
+export default function ProfilePage() {
+  const { user, updateUser, setTokens } = useAuthStore()
+
+  const [passwordData, setPasswordData] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' })
+  const [passwordMessage, setPasswordMessage] = useState('')
+  const [emailData, setEmailData] = useState({ email: '', currentPassword: '' })
+  const [emailMessage, setEmailMessage] = useState('')
+
+  const { data: history, isLoading: historyLoading } = useQuery({
+    queryKey: ['login-history'],
+    queryFn: () => profile.getLoginHistory(),
+  })
+
+  const passwordMutation = useMutation({
+    mutationFn: () => profile.changePassword({
+      currentPassword: passwordData.currentPassword,
+      newPassword: passwordData.newPassword,
+    }),
+    onSuccess: (data) => {
+      // Other sessions were signed out, including the tokens this one was using
+      setTokens(data.token, data.refreshToken)
+      setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' })
+      setPasswordMessage(data.message)
+    },
+  })
+
+  const emailMutation = useMutation({
+    mutationFn: () => profile.changeEmail(emailData),
+    onSuccess: (data) => {
+      setTokens(data.token, data.refreshToken)
+      updateUser(data.user)
+      setEmailData({ email: '', currentPassword: '' })
+      setEmailMessage(data.message)
+    },
+  })
+
+  const cancelEmailMutation = useMutation({
+    mutationFn: profile.cancelEmailChange,
+    onSuccess: (data) => {
+      updateUser(data.user)
+      setEmailMessage('')
+    },
+  })
+
+  const passwordsMatch = passwordData.newPassword === passwordData.confirmPassword
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault()
+    setPasswordMessage('')
+    if (passwordsMatch) {
+      passwordMutation.mutate()
+    }
+  }
+
+  const handleEmailSubmit = (e) => {
+    e.preventDefault()
+    setEmailMessage('')
+    emailMutation.mutate()
+  }
+
+  return (
+    <div className="space-y-4 sm:space-y-6 lg:space-y-8">
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold">Profile</h1>
+        <p className="text-sm sm:text-base text-muted-foreground mt-1 sm:mt-2">
+          Manage your sign-in details and review recent account activity
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3 sm:pb-6">
+          <div className="flex items-center gap-2">
+            <KeyRound className="h-4 w-4 sm:h-5 sm:w-5" />
+            <CardTitle className="text-lg sm:text-xl">Password</CardTitle>
+          </div>
+          <CardDescription className="text-sm">
+            Changing your password signs you out on every other device
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handlePasswordSubmit} className="space-y-3 sm:space-y-4">
+            <div className="grid gap-3 sm:grid-cols-3">
+              <div className="space-y-2">
+                <Label htmlFor="currentPassword" className="text-sm font-medium">Current Password</Label>
+                <Input
+                  id="currentPassword"
+                  type="password"
+                  autoComplete="current-password"
+                  value={passwordData.currentPassword}
+                  onChange={(e) => setPasswordData({ ...passwordData, currentPassword: e.target.value })}
+                  required
+                  className="h-10 sm:h-11"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="newPassword" className="text-sm font-medium">New Password</Label>
+                <Input
+                  id="newPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  value={passwordData.newPassword}
+                  onChange={(e) => setPasswordData({ ...passwordData, newPassword: e.target.value })}
+                  minLength={6}
+                  required
+                  className="h-10 sm:h-11"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword" className="text-sm font-medium">Confirm New Password</Label>
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  value={passwordData.confirmPassword}
+                  onChange={(e) => setPasswordData({ ...passwordData, confirmPassword: e.target.value })}
+                  minLength={6}
+                  required
+                  className="h-10 sm:h-11"
+                />
+              </div>
+            </div>
+
+            {!passwordsMatch && passwordData.confirmPassword && (
+              <p className="text-xs sm:text-sm text-destructive">Passwords do not match</p>
+            )}
+
+            {passwordMutation.isError && (
+              <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                Error: {passwordMutation.error.message}
+              </div>
+            )}
+
+            {passwordMessage && (
+              <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
+                {passwordMessage}
+              </div>
+            )}
+
+            <Button type="submit" disabled={passwordMutation.isPending || !passwordsMatch} className="w-full sm:w-auto h-10 sm:h-11">
+              {passwordMutation.isPending ? 'Changing...' : 'Change Password'}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-3 sm:pb-6">
+          <div className="flex items-center gap-2">
+            <Mail className="h-4 w-4 sm:h-5 sm:w-5" />
+            <CardTitle className="text-lg sm:text-xl">Email</CardTitle>
+          </div>
+          <CardDescription className="text-sm">
+            You sign in as <strong>{user?.email}</strong>. A new address takes effect once you confirm it from your inbox.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {user?.pendingEmail && (
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm">{user.pendingEmail}</span>
+                <Badge variant="outline" className="text-xs">Waiting for confirmation</Badge>
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={cancelEmailMutation.isPending}
+                onClick={() => cancelEmailMutation.mutate()}
+                className="w-full sm:w-auto"
+              >
+                Cancel change
+              </Button>
+            </div>
+          )}
+
+          {user?.scim?.provisionedAt ? (
+            <p className="text-xs sm:text-sm text-muted-foreground">
+              Your email is managed by your organization&apos;s directory.
+            </p>
+          ) : (
+            <form onSubmit={handleEmailSubmit} className="space-y-3 sm:space-y-4">
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-2">
+                  <Label htmlFor="newEmail" className="text-sm font-medium">New Email</Label>
+                  <Input
+                    id="newEmail"
+                    type="email"
+                    value={emailData.email}
+                    onChange={(e) => setEmailData({ ...emailData, email: e.target.value })}
+                    required
+                    className="h-10 sm:h-11"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="emailPassword" className="text-sm font-medium">Current Password</Label>
+                  <Input
+                    id="emailPassword"
+                    type="password"
+                    autoComplete="current-password"
+                    value={emailData.currentPassword}
+                    onChange={(e) => setEmailData({ ...emailData, currentPassword: e.target.value })}
+                    required
+                    className="h-10 sm:h-11"
+                  />
+                </div>
+              </div>
+
+              {(emailMutation.error || cancelEmailMutation.error) && (
+                <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                  Error: {(emailMutation.error || cancelEmailMutation.error).message}
+                </div>
+              )}
+
+              {emailMessage && (
+                <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
+                  {emailMessage}
+                </div>
+              )}
+
+              <Button type="submit" disabled={emailMutation.isPending} className="w-full sm:w-auto h-10 sm:h-11">
+                {emailMutation.isPending ? 'Sending...' : 'Change Email'}
+              </Button>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-3 sm:pb-6">
+          <div className="flex items-center gap-2">
+            <History className="h-4 w-4 sm:h-5 sm:w-5" />
+            <CardTitle className="text-lg sm:text-xl">Login History</CardTitle>
+          </div>
+          <CardDescription className="text-sm">
+            Recent sign-ins and failed attempts on your account
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {historyLoading ? (
+            <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+          ) : history?.length > 0 ? (
+            <div className="space-y-2">
+              {history.map((entry) => (
+                <div key={entry.id} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 border rounded-lg gap-1 sm:gap-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Badge variant={FAILURE_ACTIONS.includes(entry.action) ? 'destructive' : 'secondary'} className="text-xs">
+                      {HISTORY_LABELS[entry.action] || entry.action}
+                    </Badge>
+                    {entry.method && <span className="text-xs text-muted-foreground">via {entry.method}</span>}
+                    <span className="text-sm">{entry.device}</span>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {entry.ip || 'Unknown IP'} • {new Date(entry.timestamp).toLocaleString()}
+                  </p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground text-center py-4">No login activity yet</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+import { useState } from 'react'
+import { useMutation } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import MfaEnrollment, { RecoveryCodeList } from '@/components/MfaEnrollment'
+import SessionsCard from '@/components/SessionsCard'
+import { mfa } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { ShieldCheck, KeyRound } from 'lucide-react'
+
+export default function SecurityPage() {
+  const { user, tenant, updateUser } = useAuthStore()
+  const mfaEnabled = !!user?.mfa?.enabled
+
+  const [regenerateCode, setRegenerateCode] = useState('')
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState(null)
+  const [disableData, setDisableData] = useState({ password: '', code: '' })
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => mfa.regenerateRecoveryCodes(regenerateCode),
+    onSuccess: (data) => {
+      updateUser(data.user)
+      setNewRecoveryCodes(data.recoveryCodes)
+      setRegenerateCode('')
+    },
+  })
+
+  const disableMutation = useMutation({
+    mutationFn: () => mfa.disable(disableData),
+    onSuccess: (data) => {
+      updateUser(data.user)
+      setDisableData({ password: '', code: '' })
+      setNewRecoveryCodes(null)
+    },
+  })
+
+  return (
+    <div className="space-y-4 sm:space-y-6 lg:space-y-8">
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold">Security</h1>
+        <p className="text-sm sm:text-base text-muted-foreground mt-1 sm:mt-2">
+          Protect your account and manage where you are signed in
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3 sm:pb-6">
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <ShieldCheck className="h-4 w-4 sm:h-5 sm:w-5" />
+              <CardTitle className="text-lg sm:text-xl">Two-Factor Authentication</CardTitle>
+            </div>
+            <Badge variant={mfaEnabled ? 'default' : 'outline'}>
+              {mfaEnabled ? 'Enabled' : 'Disabled'}
+            </Badge>
+          </div>
+          <CardDescription className="text-sm">
+            {mfaEnabled
+              ? `Enabled ${user.mfa.enrolledAt ? new Date(user.mfa.enrolledAt).toLocaleDateString() : ''} • ${user.mfa.recoveryCodesRemaining} recovery codes remaining`
+              : 'Require a code from your authenticator app when you log in'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 sm:space-y-6">
+          {!mfaEnabled && <MfaEnrollment />}
+
+          {mfaEnabled && (
+            <>
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault()
+                  regenerateMutation.mutate()
+                }}
+                className="space-y-3"
+              >
+                <div className="flex items-center gap-2">
+                  <KeyRound className="h-4 w-4" />
+                  <p className="font-medium text-sm sm:text-base">Recovery Codes</p>
+                </div>
+                <p className="text-xs sm:text-sm text-muted-foreground">
+                  Generate a new set of recovery codes. Your old codes will stop working.
+                </p>
+                {newRecoveryCodes && <RecoveryCodeList codes={newRecoveryCodes} />}
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <Input
+                    placeholder="Authenticator code"
+                    value={regenerateCode}
+                    onChange={(e) => setRegenerateCode(e.target.value)}
+                    inputMode="numeric"
+                    required
+                    className="h-10 sm:h-11 sm:max-w-xs"
+                  />
+                  <Button type="submit" variant="outline" disabled={regenerateMutation.isPending} className="h-10 sm:h-11">
+                    {regenerateMutation.isPending ? 'Generating...' : 'Regenerate Codes'}
+                  </Button>
+                </div>
+                {regenerateMutation.isError && (
+                  <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                    Error: {regenerateMutation.error.message}
+                  </div>
+                )}
+              </form>
+
+              {tenant?.security?.mfaRequired ? (
+                <p className="text-xs sm:text-sm text-muted-foreground border-t pt-4">
+                  Your organization requires MFA, so it cannot be disabled.
+                </p>
+              ) : (
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault()
+                    disableMutation.mutate()
+                  }}
+                  className="space-y-3 border-t pt-4"
+                >
+                  <p className="font-medium text-sm sm:text-base">Disable MFA</p>
+                  <div className="grid gap-3 sm:grid-cols-2">
+                    <div className="space-y-2">
+                      <Label htmlFor="disablePassword" className="text-sm font-medium">Password</Label>
+                      <Input
+                        id="disablePassword"
+                        type="password"
+                        value={disableData.password}
+                        onChange={(e) => setDisableData({ ...disableData, password: e.target.value })}
+                        required
+                        className="h-10 sm:h-11"
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="disableCode" className="text-sm font-medium">Authenticator Code</Label>
+                      <Input
+                        id="disableCode"
+                        value={disableData.code}
+                        onChange={(e) => setDisableData({ ...disableData, code: e.target.value })}
+                        inputMode="numeric"
+                        required
+                        className="h-10 sm:h-11"
+                      />
+                    </div>
+                  </div>
+                  {disableMutation.isError && (
+                    <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                      Error: {disableMutation.error.message}
+                    </div>
+                  )}
+                  <Button type="submit" variant="destructive" disabled={disableMutation.isPending} className="w-full sm:w-auto h-10 sm:h-11">
+                    {disableMutation.isPending ? 'Disabling...' : 'Disable MFA'}
+                  </Button>
+                </form>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <SessionsCard />
+    </div>
+  )
+}
@@ -6,16 +6,76 @@ import { Label } from '@/components/ui/label'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { tenant } from '@/lib/api'
 import { useAuthStore } from '@/store/useAuthStore'
-import { Save, Palette } from 'lucide-react'
+import InvitationsCard from '@/components/InvitationsCard'
+import LockoutsCard from '@/components/LockoutsCard'
+import ApiKeysCard from '@/components/ApiKeysCard'
+import CallDefaultsCard from '@/components/CallDefaultsCard'
+import SsoSettingsCard from '@/components/SsoSettingsCard'
+import ScimCard from '@/components/ScimCard'
+import CustomDomainCard from '@/components/CustomDomainCard'
+import SubdomainCard from '@/components/SubdomainCard'
+import SessionsCard from '@/components/SessionsCard'
+import RolesCard from '@/components/RolesCard'
+import CloseOrganizationCard from '@/components/CloseOrganizationCard'
+import BrandingImageUploader from '@/components/BrandingImageUploader'
+import ThemePreview from '@/components/ThemePreview'
+import { FONTS, COLOR_MODES, DEFAULT_PRIMARY_COLOR } from '@/lib/theme'
+import { Save, Palette, ShieldCheck } from 'lucide-react'
+
+const IDLE_TIMEOUT_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '15', label: '15 minutes' },
+  { value: '30', label: '30 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '240', label: '4 hours' },
+  { value: '480', label: '8 hours' },
+  { value: '1440', label: '24 hours' },
+]
+
+const SELECT_CLASS = 'flex h-10 sm:h-11 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2'
+
+// Colour picker plus hex field; optional colours can be cleared to derive them from the primary colour
+function ColorField({ id, label, value, onChange, optional }) {
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={id} className="text-sm font-medium">{label}</Label>
+      <div className="flex gap-2 sm:gap-4 items-center">
+        <Input
+          id={id}
+          type="color"
+          value={value || '#ffffff'}
+          onChange={(e) => onChange(e.target.value)}
+          className="w-16 sm:w-24 h-10 sm:h-12"
+        />
+        <Input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="flex-1 h-10 sm:h-11"
+          placeholder={optional ? 'Derived from the primary color' : DEFAULT_PRIMARY_COLOR}
+        />
+        {optional && value && (
+          <Button type="button" variant="ghost" size="sm" onClick={() => onChange('')}>
+            Derive
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
 
 export default function SettingsPage() {
   const queryClient = useQueryClient()
-  const { tenant: currentTenant, updateTenantBranding } = useAuthStore()
+  const { tenant: currentTenant, user, updateTenantBranding, updateTenantSecurity, hasPermission } = useAuthStore()
   
   const [formData, setFormData] = useState({
     name: currentTenant?.name || '',
-    logo: currentTenant?.branding?.logo || '',
-    primaryColor: currentTenant?.branding?.primaryColor || '#3b82f6',
+    primaryColor: currentTenant?.branding?.primaryColor || DEFAULT_PRIMARY_COLOR,
+    secondaryColor: currentTenant?.branding?.secondaryColor || '',
+    accentColor: currentTenant?.branding?.accentColor || '',
+    colorMode: currentTenant?.branding?.colorMode || 'light',
+    font: currentTenant?.branding?.font || 'system',
+    welcomeMessage: currentTenant?.branding?.welcomeMessage || '',
   })
   const [success, setSuccess] = useState(false)
 
@@ -29,6 +89,17 @@ export default function SettingsPage() {
     },
   })
 
+  const updateSecurityMutation = useMutation({
+    mutationFn: (data) => tenant.updateSecurity(data),
+    onSuccess: (data) => {
+      updateTenantSecurity(data.security)
+      queryClient.invalidateQueries(['tenant'])
+    },
+  })
+
+  const mfaRequired = !!currentTenant?.security?.mfaRequired
+  const idleTimeout = currentTenant?.security?.sessionIdleTimeoutMinutes
+
   const handleSubmit = (e) => {
     e.preventDefault()
     updateBrandingMutation.mutate(formData)
@@ -39,107 +110,234 @@ export default function SettingsPage() {
       <div>
         <h1 className="text-2xl sm:text-3xl font-bold">Settings</h1>
         <p className="text-sm sm:text-base text-muted-foreground mt-1 sm:mt-2">
-          Manage your tenant branding and configuration
+          Manage your tenant branding, team and configuration
         </p>
       </div>
 
-      <Card>
-        <CardHeader className="pb-3 sm:pb-6">
-          <div className="flex items-center gap-2">
-            <Palette className="h-4 w-4 sm:h-5 sm:w-5" />
-            <CardTitle className="text-lg sm:text-xl">Branding</CardTitle>
-          </div>
-          <CardDescription className="text-sm">
-            Customize your tenant&apos;s appearance
-          </CardDescription>
-        </CardHeader>
-        <CardContent className="space-y-4 sm:space-y-6">
-          <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-6">
-            <div className="space-y-2">
-              <Label htmlFor="name" className="text-sm font-medium">Company Name</Label>
-              <Input
-                id="name"
-                value={formData.name}
-                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                placeholder="Acme Corporation"
-                className="h-10 sm:h-11"
-              />
+      {hasPermission('branding.edit') && (
+        <Card>
+          <CardHeader className="pb-3 sm:pb-6">
+            <div className="flex items-center gap-2">
+              <Palette className="h-4 w-4 sm:h-5 sm:w-5" />
+              <CardTitle className="text-lg sm:text-xl">Branding</CardTitle>
             </div>
+            <CardDescription className="text-sm">
+              Customize your tenant&apos;s appearance
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4 sm:space-y-6">
+            <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-6">
+              <div className="space-y-2">
+                <Label htmlFor="name" className="text-sm font-medium">Company Name</Label>
+                <Input
+                  id="name"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="Acme Corporation"
+                  className="h-10 sm:h-11"
+                />
+              </div>
+
+              <BrandingImageUploader kind="logo" label="Logo" hint="PNG, JPEG or WebP." />
 
-            <div className="space-y-2">
-              <Label htmlFor="logo" className="text-sm font-medium">Logo URL</Label>
-              <Input
-                id="logo"
-                value={formData.logo}
-                onChange={(e) => setFormData({ ...formData, logo: e.target.value })}
-                placeholder="https://example.com/logo.png"
-                className="h-10 sm:h-11"
+              <BrandingImageUploader
+                kind="favicon"
+                label="Favicon"
+                hint="Square PNG, JPEG or WebP, up to 512x512 pixels."
               />
-              {formData.logo && (
-                <div className="mt-2 p-3 bg-muted/50 rounded-lg border">
-                  <p className="text-xs text-muted-foreground mb-2">Logo Preview:</p>
-                  <img
-                    src={formData.logo}
-                    alt="Logo preview"
-                    className="h-8 sm:h-12 object-contain"
-                    onError={(e) => e.target.style.display = 'none'}
-                  />
-                  <p className="text-xs text-muted-foreground mt-2">
-                    Note: Custom logos will be displayed alongside the Voho brand
-                  </p>
-                </div>
-              )}
-            </div>
 
-            <div className="space-y-2">
-              <Label htmlFor="primaryColor" className="text-sm font-medium">Primary Color</Label>
-              <div className="flex gap-2 sm:gap-4 items-center">
-                <Input
+              <div className="grid gap-4 lg:grid-cols-3">
+                <ColorField
                   id="primaryColor"
-                  type="color"
+                  label="Primary Color"
                   value={formData.primaryColor}
-                  onChange={(e) => setFormData({ ...formData, primaryColor: e.target.value })}
-                  className="w-16 sm:w-24 h-10 sm:h-12"
+                  onChange={(primaryColor) => setFormData({ ...formData, primaryColor })}
                 />
-                <Input
-                  type="text"
-                  value={formData.primaryColor}
-                  onChange={(e) => setFormData({ ...formData, primaryColor: e.target.value })}
-                  className="flex-1 h-10 sm:h-11"
-                  placeholder="#3b82f6"
+                <ColorField
+                  id="secondaryColor"
+                  label="Secondary Color"
+                  value={formData.secondaryColor}
+                  onChange={(secondaryColor) => setFormData({ ...formData, secondaryColor })}
+                  optional
+                />
+                <ColorField
+                  id="accentColor"
+                  label="Accent Color"
+                  value={formData.accentColor}
+                  onChange={(accentColor) => setFormData({ ...formData, accentColor })}
+                  optional
                 />
               </div>
-            </div>
 
-            {success && (
-              <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
-                Branding updated successfully!
+              <div className="grid gap-4 sm:grid-cols-2">
+                <div className="space-y-2">
+                  <Label htmlFor="colorMode" className="text-sm font-medium">Default Mode</Label>
+                  <select
+                    id="colorMode"
+                    value={formData.colorMode}
+                    onChange={(e) => setFormData({ ...formData, colorMode: e.target.value })}
+                    className={SELECT_CLASS}
+                  >
+                    {Object.entries(COLOR_MODES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-muted-foreground">Users can still switch mode for themselves</p>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="font" className="text-sm font-medium">Font</Label>
+                  <select
+                    id="font"
+                    value={formData.font}
+                    onChange={(e) => setFormData({ ...formData, font: e.target.value })}
+                    className={SELECT_CLASS}
+                  >
+                    {Object.entries(FONTS).map(([value, font]) => (
+                      <option key={value} value={value}>{font.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="welcomeMessage" className="text-sm font-medium">Welcome Message</Label>
+                <textarea
+                  id="welcomeMessage"
+                  rows={3}
+                  maxLength={500}
+                  placeholder="Sign in with your work account. Need help? Contact it@acme.com"
+                  value={formData.welcomeMessage}
+                  onChange={(e) => setFormData({ ...formData, welcomeMessage: e.target.value })}
+                  className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                />
+                <p className="text-xs text-muted-foreground">
+                  Shown on your sign-in and sign-up pages
+                </p>
+              </div>
+
+              <div className="space-y-2">
+                <p className="text-sm font-medium">Preview</p>
+                <ThemePreview branding={formData} name={formData.name} />
               </div>
+
+              {success && (
+                <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
+                  Branding updated successfully!
+                </div>
+              )}
+
+              {updateBrandingMutation.isError && (
+                <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+                  Error: {updateBrandingMutation.error.message}
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                disabled={updateBrandingMutation.isPending}
+                className="w-full sm:w-auto h-10 sm:h-11"
+              >
+                {updateBrandingMutation.isPending ? (
+                  <>Saving...</>
+                ) : (
+                  <>
+                    <Save className="mr-2 h-4 w-4" />
+                    Save Changes
+                  </>
+                )}
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      )}
+
+      {hasPermission('calls.configure') && <CallDefaultsCard />}
+
+      {hasPermission('users.manage') && <InvitationsCard />}
+
+      {hasPermission('roles.manage') && <RolesCard />}
+
+      {hasPermission('security.manage') && (
+        <Card>
+          <CardHeader className="pb-3 sm:pb-6">
+            <div className="flex items-center gap-2">
+              <ShieldCheck className="h-4 w-4 sm:h-5 sm:w-5" />
+              <CardTitle className="text-lg sm:text-xl">Security Policy</CardTitle>
+            </div>
+            <CardDescription className="text-sm">
+              Control how users in your tenant sign in and how long they stay signed in
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+              <div>
+                <p className="font-medium text-sm sm:text-base">Require multi-factor authentication</p>
+                <p className="text-xs sm:text-sm text-muted-foreground">
+                  Every user must set up an authenticator app before using the application
+                </p>
+              </div>
+              <Button
+                variant={mfaRequired ? 'outline' : 'default'}
+                disabled={updateSecurityMutation.isPending || (!mfaRequired && !user?.mfa?.enabled)}
+                onClick={() => updateSecurityMutation.mutate({ mfaRequired: !mfaRequired })}
+                className="w-full sm:w-auto h-10 sm:h-11"
+              >
+                {mfaRequired ? 'Stop Requiring MFA' : 'Require MFA'}
+              </Button>
+            </div>
+
+            {!mfaRequired && !user?.mfa?.enabled && (
+              <p className="text-xs sm:text-sm text-muted-foreground">
+                Enable MFA on your own account from the Security page before requiring it for everyone.
+              </p>
             )}
 
-            {updateBrandingMutation.isError && (
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 border-t pt-4">
+              <div>
+                <p className="font-medium text-sm sm:text-base">Sign out idle sessions</p>
+                <p className="text-xs sm:text-sm text-muted-foreground">
+                  Users must sign in again after this long without activity
+                </p>
+              </div>
+              <select
+                value={idleTimeout ? String(idleTimeout) : ''}
+                disabled={updateSecurityMutation.isPending}
+                onChange={(e) => updateSecurityMutation.mutate({
+                  sessionIdleTimeoutMinutes: e.target.value ? Number(e.target.value) : null,
+                })}
+                className="flex h-10 sm:h-11 w-full sm:w-48 rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+              >
+                {idleTimeout && !IDLE_TIMEOUT_OPTIONS.some(option => option.value === String(idleTimeout)) && (
+                  <option value={String(idleTimeout)}>{idleTimeout} minutes</option>
+                )}
+                {IDLE_TIMEOUT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {updateSecurityMutation.isError && (
               <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
-                Error: {updateBrandingMutation.error.message}
+                Error: {updateSecurityMutation.error.message}
               </div>
             )}
+          </CardContent>
+        </Card>
+      )}
 
-            <Button
-              type="submit"
-              disabled={updateBrandingMutation.isPending}
-              className="w-full sm:w-auto h-10 sm:h-11"
-            >
-              {updateBrandingMutation.isPending ? (
-                <>Saving...</>
-              ) : (
-                <>
-                  <Save className="mr-2 h-4 w-4" />
-                  Save Changes
-                </>
-              )}
-            </Button>
-          </form>
-        </CardContent>
-      </Card>
+      {hasPermission('security.manage') && <SsoSettingsCard />}
+
+      {hasPermission('security.manage') && <ScimCard />}
+
+      {hasPermission('security.manage') && <SubdomainCard />}
+
+      {hasPermission('security.manage') && <CustomDomainCard />}
+
+      {hasPermission('users.manage') && <SessionsCard scope="tenant" />}
+
+      {hasPermission('users.manage') && <LockoutsCard />}
+
+      {hasPermission('api_keys.manage') && <ApiKeysCard />}
 
       <Card>
         <CardHeader className="pb-3 sm:pb-6">
@@ -156,6 +354,8 @@ export default function SettingsPage() {
           </div>
         </CardContent>
       </Card>
+
+      {hasPermission('security.manage') && <CloseOrganizationCard />}
     </div>
   )
 }
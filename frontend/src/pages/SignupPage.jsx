@@ -3,8 +3,12 @@ import { useNavigate } from 'react-router-dom'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Card, CardContent } from '@/components/ui/card'
+import TenantAuthHeader, { AuthPage } from '@/components/TenantAuthHeader'
+import SubdomainStatus from '@/components/SubdomainStatus'
 import { auth } from '@/lib/api'
+import { usePublicTenant } from '@/hooks/usePublicTenant'
+import { useSubdomainAvailability } from '@/hooks/useSubdomainAvailability'
 import { useAuthStore } from '@/store/useAuthStore'
 
 export default function SignupPage() {
@@ -19,6 +23,16 @@ export default function SignupPage() {
   })
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
+  // On a tenant's own address people join by invitation; creating an organization is a step away
+  const [creatingOrganization, setCreatingOrganization] = useState(false)
+  const { tenantInfo } = usePublicTenant(localStorage.getItem('dev-subdomain') || '', {
+    applyBranding: !creatingOrganization,
+  })
+  const subdomainCheck = useSubdomainAvailability(formData.subdomain, {
+    scope: 'signup',
+    check: auth.checkSubdomain,
+  })
+  const subdomainUnavailable = subdomainCheck.result?.available === false
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -27,12 +41,12 @@ export default function SignupPage() {
 
     try {
       const response = await auth.signup(formData)
-      setAuth(response.token, response.user, response.tenant)
+      setAuth(response.token, response.user, response.tenant, response.refreshToken)
       
       // Save subdomain for development
       localStorage.setItem('dev-subdomain', response.tenant.subdomain)
       
-      navigate('/dashboard')
+      navigate(response.verificationRequired ? '/verify-email' : '/dashboard')
     } catch (err) {
       setError(err.message)
     } finally {
@@ -40,15 +54,44 @@ export default function SignupPage() {
     }
   }
 
+  if (tenantInfo && !creatingOrganization) {
+    return (
+      <AuthPage tenantInfo={tenantInfo}>
+        <Card className="w-full max-w-md mx-auto">
+          <TenantAuthHeader
+            tenantInfo={tenantInfo}
+            title={`Join ${tenantInfo.name}`}
+            description={
+              tenantInfo.loginOptions?.sso
+                ? 'Accounts are created by invitation or the first time you sign in with SSO.'
+                : 'Accounts are created by invitation. Ask an administrator to invite you.'
+            }
+          />
+          <CardContent className="space-y-4 sm:space-y-6">
+            <Button className="w-full h-10 sm:h-11 text-sm sm:text-base" onClick={() => navigate('/login')}>
+              Sign in to {tenantInfo.name}
+            </Button>
+
+            <div className="text-center text-sm">
+              Starting something new?{' '}
+              <button
+                type="button"
+                className="text-primary hover:underline font-medium"
+                onClick={() => setCreatingOrganization(true)}
+              >
+                Create a new organization
+              </button>
+            </div>
+          </CardContent>
+        </Card>
+      </AuthPage>
+    )
+  }
+
   return (
-    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+    <AuthPage>
       <Card className="w-full max-w-md mx-auto">
-        <CardHeader className="space-y-1 pb-4 sm:pb-6">
-          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Create Account</CardTitle>
-          <CardDescription className="text-center text-sm sm:text-base">
-            Start your multi-tenant SaaS journey
-          </CardDescription>
-        </CardHeader>
+        <TenantAuthHeader title="Create Account" description="Start your multi-tenant SaaS journey" />
         <CardContent className="space-y-4 sm:space-y-6">
           <form onSubmit={handleSubmit} className="space-y-4">
             <div className="space-y-2">
@@ -76,6 +119,10 @@ export default function SignupPage() {
                 />
                 <span className="text-xs sm:text-sm text-muted-foreground whitespace-nowrap">.yourapp.com</span>
               </div>
+              <SubdomainStatus
+                {...subdomainCheck}
+                onSuggestion={(subdomain) => setFormData({ ...formData, subdomain })}
+              />
             </div>
 
             <div className="space-y-2">
@@ -111,7 +158,11 @@ export default function SignupPage() {
               </div>
             )}
 
-            <Button type="submit" className="w-full h-10 sm:h-11 text-sm sm:text-base" disabled={loading}>
+            <Button
+              type="submit"
+              className="w-full h-10 sm:h-11 text-sm sm:text-base"
+              disabled={loading || subdomainUnavailable}
+            >
               {loading ? 'Creating Account...' : 'Create Account'}
             </Button>
           </form>
@@ -124,7 +175,7 @@ export default function SignupPage() {
           </div>
         </CardContent>
       </Card>
-    </div>
+    </AuthPage>
   )
 }
 
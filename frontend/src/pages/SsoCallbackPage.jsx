@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { sso } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { KeyRound, Loader2 } from 'lucide-react'
+
+export default function SsoCallbackPage() {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const setAuth = useAuthStore(state => state.setAuth)
+  const code = searchParams.get('code')
+  const state = searchParams.get('state')
+  const providerError = searchParams.get('error_description') || searchParams.get('error')
+
+  const [error, setError] = useState(
+    providerError || (!code || !state ? 'The sign-in response from your identity provider was incomplete.' : '')
+  )
+  const callbackRequested = useRef(false)
+
+  useEffect(() => {
+    // Codes are single use, so only submit once (StrictMode runs effects twice)
+    if (providerError || !code || !state || callbackRequested.current) return
+    callbackRequested.current = true
+
+    sso.callback(code, state)
+      .then((response) => {
+        setAuth(response.token, response.user, response.tenant, response.refreshToken)
+        localStorage.setItem('dev-subdomain', response.tenant.subdomain)
+        navigate(response.mfaEnrollmentRequired ? '/mfa-setup' : '/dashboard', { replace: true })
+      })
+      .catch((err) => {
+        console.error('SSO callback error:', err.message)
+        setError(err.message)
+      })
+  }, [code, state, providerError, setAuth, navigate])
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md mx-auto">
+        <CardHeader className="space-y-1 pb-4 sm:pb-6">
+          <div className="flex items-center justify-center mb-4">
+            <div className="p-3 bg-primary/10 rounded-full">
+              <KeyRound className="h-8 w-8 text-primary" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">Single Sign-On</CardTitle>
+          <CardDescription className="text-center text-sm sm:text-base">
+            {error ? 'We could not sign you in.' : 'Completing sign-in with your identity provider...'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 sm:space-y-6">
+          {error ? (
+            <>
+              <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                {error}
+              </div>
+              <Button className="w-full h-10 sm:h-11" onClick={() => navigate('/login', { replace: true })}>
+                Back to login
+              </Button>
+            </>
+          ) : (
+            <Loader2 className="h-8 w-8 animate-spin text-primary mx-auto" />
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
@@ -1,18 +1,55 @@
 import { useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
-import { tenant } from '@/lib/api'
+import { auth, tenant, assetUrl } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
 import { ArrowRight, Building } from 'lucide-react'
 
 export default function TenantSelectPage() {
   const navigate = useNavigate()
+  const location = useLocation()
+  const setAuth = useAuthStore(state => state.setAuth)
   const [subdomain, setSubdomain] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
 
+  // Set when a login matched accounts in several tenants
+  const selection = location.state?.tenants ? location.state : null
+
+  const handleSelectTenant = async (selectedTenant) => {
+    setError('')
+    setLoading(true)
+
+    try {
+      const response = await auth.selectTenant({
+        selectionToken: selection.selectionToken,
+        tenantId: selectedTenant.id,
+      })
+
+      // Save subdomain for development
+      localStorage.setItem('dev-subdomain', selectedTenant.subdomain)
+
+      if (response.mfaRequired) {
+        navigate('/login', { replace: true, state: { mfaToken: response.mfaToken } })
+        return
+      }
+
+      setAuth(response.token, response.user, response.tenant, response.refreshToken)
+      navigate(response.mfaEnrollmentRequired ? '/mfa-setup' : '/dashboard', { replace: true })
+    } catch (err) {
+      if (err.message.includes('Login session expired')) {
+        navigate('/login', { replace: true })
+        return
+      }
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
@@ -61,55 +98,92 @@ export default function TenantSelectPage() {
             Welcome to Voho SaaS
           </CardTitle>
           <CardDescription className="text-center text-sm sm:text-base">
-            Enter your tenant subdomain to continue
+            {selection
+              ? 'Your account belongs to several organizations. Choose one to continue.'
+              : 'Enter your tenant subdomain to continue'}
           </CardDescription>
         </CardHeader>
         <CardContent className="space-y-4 sm:space-y-6">
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="subdomain" className="text-sm font-medium">
-                Tenant Subdomain
-              </Label>
-              <div className="flex items-center gap-1 sm:gap-2">
-                <Input
-                  id="subdomain"
-                  placeholder="yourcompany"
-                  value={subdomain}
-                  onChange={handleSubdomainChange}
-                  required
-                  className="h-10 sm:h-11"
-                  autoFocus
-                />
-                <span className="text-xs sm:text-sm text-muted-foreground whitespace-nowrap">
-                  .yourapp.com
-                </span>
+          {selection ? (
+            <div className="space-y-2 sm:space-y-3">
+              {selection.tenants.map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  disabled={loading}
+                  onClick={() => handleSelectTenant(option)}
+                  className="w-full flex items-center justify-between p-3 border rounded-lg text-left hover:bg-accent transition-colors disabled:opacity-50"
+                >
+                  <div className="flex items-center gap-3 min-w-0">
+                    {option.branding?.logo ? (
+                      <img src={assetUrl(option.branding.logo)} alt="" className="h-8 w-8 object-contain flex-shrink-0" />
+                    ) : (
+                      <Building className="h-8 w-8 flex-shrink-0" style={{ color: option.branding?.primaryColor }} />
+                    )}
+                    <div className="min-w-0">
+                      <p className="font-medium text-sm sm:text-base truncate">{option.name}</p>
+                      <p className="text-xs text-muted-foreground truncate">{option.subdomain}.yourapp.com</p>
+                    </div>
+                  </div>
+                  <ArrowRight className="h-4 w-4 flex-shrink-0" />
+                </button>
+              ))}
+
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="subdomain" className="text-sm font-medium">
+                  Tenant Subdomain
+                </Label>
+                <div className="flex items-center gap-1 sm:gap-2">
+                  <Input
+                    id="subdomain"
+                    placeholder="yourcompany"
+                    value={subdomain}
+                    onChange={handleSubdomainChange}
+                    required
+                    className="h-10 sm:h-11"
+                    autoFocus
+                  />
+                  <span className="text-xs sm:text-sm text-muted-foreground whitespace-nowrap">
+                    .yourapp.com
+                  </span>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  This is the subdomain you or your company uses to access the application
+                </p>
               </div>
-              <p className="text-xs text-muted-foreground">
-                This is the subdomain you or your company uses to access the application
+
+              {error && (
+                <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+                  {error}
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                className="w-full h-10 sm:h-11 text-sm sm:text-base"
+                disabled={loading || !subdomain.trim()}
+              >
+                {loading ? 'Checking...' : 'Continue'}
+                {!loading && <ArrowRight className="ml-2 h-4 w-4" />}
+              </Button>
+            </form>
+          )}
+
+          {!selection && (
+            <div className="text-center">
+              <p className="text-sm text-muted-foreground">
+                Don&apos;t have a tenant? The system will guide you to create one.
               </p>
             </div>
-
-            {error && (
-              <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
-                {error}
-              </div>
-            )}
-
-            <Button
-              type="submit"
-              className="w-full h-10 sm:h-11 text-sm sm:text-base"
-              disabled={loading || !subdomain.trim()}
-            >
-              {loading ? 'Checking...' : 'Continue'}
-              {!loading && <ArrowRight className="ml-2 h-4 w-4" />}
-            </Button>
-          </form>
-
-          <div className="text-center">
-            <p className="text-sm text-muted-foreground">
-              Don't have a tenant? The system will guide you to create one.
-            </p>
-          </div>
+          )}
         </CardContent>
       </Card>
     </div>
@@ -0,0 +1,200 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { users, roles } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { Users, KeyRound, UserX, UserCheck, Trash2, Loader2 } from 'lucide-react'
+
+const actions = {
+  role: ({ id, role }) => users.updateRole(id, role),
+  deactivate: ({ id }) => users.deactivate(id),
+  reactivate: ({ id }) => users.reactivate(id),
+  resetPassword: ({ id }) => users.resetPassword(id),
+  remove: ({ id }) => users.remove(id),
+}
+
+export default function UsersPage() {
+  const queryClient = useQueryClient()
+  const { user: currentUser } = useAuthStore()
+  // Deleting takes a second click on the same row
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null)
+  const [message, setMessage] = useState('')
+
+  const { data: userList, isLoading } = useQuery({
+    queryKey: ['users'],
+    queryFn: users.getAll,
+  })
+
+  const { data: roleList } = useQuery({
+    queryKey: ['roles'],
+    queryFn: roles.getAll,
+  })
+
+  const actionMutation = useMutation({
+    mutationFn: (action) => actions[action.type](action),
+    onMutate: () => setMessage(''),
+    onSuccess: (data, action) => {
+      queryClient.invalidateQueries(['users'])
+      queryClient.invalidateQueries(['roles'])
+      setConfirmDeleteId(null)
+      if (action.type === 'resetPassword' || action.type === 'remove') {
+        setMessage(data.message)
+      }
+    },
+  })
+
+  const run = (type, member, extra = {}) => actionMutation.mutate({ type, id: member.id, ...extra })
+
+  const roleOptions = roleList?.length > 0
+    ? roleList
+    : [{ key: 'user', name: 'User' }, { key: 'admin', name: 'Admin' }]
+
+  return (
+    <div className="space-y-4 sm:space-y-6 lg:space-y-8">
+      <div>
+        <h1 className="text-2xl sm:text-3xl font-bold">Users</h1>
+        <p className="text-sm sm:text-base text-muted-foreground mt-1 sm:mt-2">
+          Change roles, deactivate accounts and reset passwords
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3 sm:pb-6">
+          <div className="flex items-center gap-2">
+            <Users className="h-4 w-4 sm:h-5 sm:w-5" />
+            <CardTitle className="text-lg sm:text-xl">Team Members</CardTitle>
+          </div>
+          <CardDescription className="text-sm">
+            Deactivated users cannot sign in. Resetting a password signs the user out and emails them a reset link.
+            The tenant always keeps at least one active admin.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {actionMutation.error && (
+            <div className="bg-destructive/10 text-destructive p-3 rounded-md text-sm">
+              Error: {actionMutation.error.message}
+            </div>
+          )}
+
+          {message && (
+            <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
+              {message}
+            </div>
+          )}
+
+          {isLoading ? (
+            <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />
+          ) : userList?.length > 0 ? (
+            <div className="space-y-2 sm:space-y-3">
+              {userList.map((member) => {
+                const isSelf = member.id === currentUser?._id
+
+                return (
+                  <div key={member.id} className="flex flex-col lg:flex-row lg:items-center justify-between p-3 border rounded-lg gap-2">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap items-center gap-2 mb-1">
+                        <span className="font-medium text-sm sm:text-base truncate">{member.email}</span>
+                        {isSelf && <Badge variant="secondary" className="text-xs">You</Badge>}
+                        {!member.isActive && <Badge variant="destructive" className="text-xs">Deactivated</Badge>}
+                        {!member.emailVerified && <Badge variant="outline" className="text-xs">Unverified</Badge>}
+                        {member.mfaEnabled && <Badge variant="outline" className="text-xs">MFA</Badge>}
+                        {member.sso && <Badge variant="outline" className="text-xs">SSO</Badge>}
+                        {member.scim && <Badge variant="outline" className="text-xs">SCIM</Badge>}
+                      </div>
+                      <p className="text-xs text-muted-foreground">
+                        Joined {new Date(member.createdAt).toLocaleDateString()}
+                      </p>
+                    </div>
+
+                    <div className="flex flex-col sm:flex-row gap-2">
+                      <select
+                        value={member.role}
+                        onChange={(e) => run('role', member, { role: e.target.value })}
+                        disabled={isSelf || actionMutation.isPending}
+                        className="flex h-9 rounded-md border border-input bg-background px-3 py-1 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring disabled:cursor-not-allowed disabled:opacity-50"
+                      >
+                        {!roleOptions.some(role => role.key === member.role) && (
+                          <option value={member.role}>{member.role}</option>
+                        )}
+                        {roleOptions.map(role => (
+                          <option key={role.key} value={role.key}>{role.name}</option>
+                        ))}
+                      </select>
+
+                      {!isSelf && (
+                        <>
+                          {member.isActive ? (
+                            <>
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={actionMutation.isPending}
+                                onClick={() => run('resetPassword', member)}
+                              >
+                                <KeyRound className="mr-2 h-4 w-4" />
+                                Reset password
+                              </Button>
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={actionMutation.isPending}
+                                onClick={() => run('deactivate', member)}
+                              >
+                                <UserX className="mr-2 h-4 w-4" />
+                                Deactivate
+                              </Button>
+                            </>
+                          ) : (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={actionMutation.isPending}
+                              onClick={() => run('reactivate', member)}
+                            >
+                              <UserCheck className="mr-2 h-4 w-4" />
+                              Reactivate
+                            </Button>
+                          )}
+
+                          {confirmDeleteId === member.id ? (
+                            <>
+                              <Button
+                                variant="destructive"
+                                size="sm"
+                                disabled={actionMutation.isPending}
+                                onClick={() => run('remove', member)}
+                              >
+                                Confirm delete
+                              </Button>
+                              <Button variant="ghost" size="sm" onClick={() => setConfirmDeleteId(null)}>
+                                Cancel
+                              </Button>
+                            </>
+                          ) : (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={actionMutation.isPending}
+                              onClick={() => setConfirmDeleteId(member.id)}
+                            >
+                              <Trash2 className="mr-2 h-4 w-4" />
+                              Delete
+                            </Button>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground text-center py-4">No users yet</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,122 @@
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { auth } from '@/lib/api'
+import { useAuthStore } from '@/store/useAuthStore'
+import { Mail, CheckCircle, Loader2 } from 'lucide-react'
+
+export default function VerifyEmailPage() {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const { user, isAuthenticated, updateUser, logout } = useAuthStore()
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'pending')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [resending, setResending] = useState(false)
+  const verifyRequested = useRef(false)
+
+  useEffect(() => {
+    // Tokens are single use, so only submit once (StrictMode runs effects twice)
+    if (!token || verifyRequested.current) return
+    verifyRequested.current = true
+
+    auth.verifyEmail(token)
+      .then((response) => {
+        if (isAuthenticated()) {
+          updateUser(response.user)
+        }
+        setStatus('verified')
+      })
+      .catch((err) => {
+        setError(err.message)
+        setStatus('failed')
+      })
+  }, [token, isAuthenticated, updateUser])
+
+  const handleResend = async () => {
+    setError('')
+    setMessage('')
+    setResending(true)
+
+    try {
+      const response = await auth.resendVerification()
+      setMessage(response.message)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setResending(false)
+    }
+  }
+
+  const handleContinue = () => {
+    navigate(isAuthenticated() ? '/dashboard' : '/login', { replace: true })
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <Card className="w-full max-w-md mx-auto">
+        <CardHeader className="space-y-1 pb-4 sm:pb-6">
+          <div className="flex items-center justify-center mb-4">
+            <div className="p-3 bg-primary/10 rounded-full">
+              {status === 'verified'
+                ? <CheckCircle className="h-8 w-8 text-primary" />
+                : <Mail className="h-8 w-8 text-primary" />}
+            </div>
+          </div>
+          <CardTitle className="text-2xl sm:text-3xl font-bold text-center">
+            {status === 'verified' ? 'Email Verified' : 'Verify Your Email'}
+          </CardTitle>
+          <CardDescription className="text-center text-sm sm:text-base">
+            {status === 'verifying' && 'Confirming your email address...'}
+            {status === 'verified' && 'Your account is now active.'}
+            {status === 'failed' && 'We could not verify your email address.'}
+            {status === 'pending' && (
+              <>We sent a verification link to <strong>{user?.email || 'your email'}</strong>. Click it to activate your account.</>
+            )}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 sm:space-y-6">
+          {status === 'verifying' && (
+            <Loader2 className="h-8 w-8 animate-spin text-primary mx-auto" />
+          )}
+
+          {message && (
+            <div className="bg-green-50 text-green-700 p-3 rounded-md text-sm">
+              {message}
+            </div>
+          )}
+
+          {error && (
+            <div className="text-sm text-destructive bg-destructive/10 p-3 rounded-md">
+              {error}
+            </div>
+          )}
+
+          {status === 'verified' && (
+            <Button onClick={handleContinue} className="w-full h-10 sm:h-11 text-sm sm:text-base">
+              Continue
+            </Button>
+          )}
+
+          {(status === 'pending' || status === 'failed') && isAuthenticated() && !user?.emailVerified && (
+            <div className="space-y-2">
+              <Button
+                onClick={handleResend}
+                disabled={resending}
+                className="w-full h-10 sm:h-11 text-sm sm:text-base"
+              >
+                {resending ? 'Sending...' : 'Resend Verification Email'}
+              </Button>
+              <Button variant="ghost" onClick={logout} className="w-full text-sm">
+                Log out
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -5,29 +5,75 @@ export const useAuthStore = create(
   persist(
     (set, get) => ({
       token: null,
+      refreshToken: null,
       user: null,
       tenant: null,
+      // Permissions granted by the user's role, refreshed from the API by Layout
+      permissions: [],
+      // Set while a platform operator is impersonating this user: { reason, expiresAt, adminEmail }
+      impersonation: null,
       
-      setAuth: (token, user, tenant) => {
-        set({ token, user, tenant })
+      setAuth: (token, user, tenant, refreshToken = null) => {
+        set({ token, user, tenant, refreshToken })
+      },
+
+      setTokens: (token, refreshToken) => {
+        set({ token, refreshToken })
+      },
+
+      setImpersonation: (impersonation) => {
+        set({ impersonation })
       },
       
       logout: () => {
-        set({ token: null, user: null, tenant: null })
+        set({ token: null, refreshToken: null, user: null, tenant: null, permissions: [], impersonation: null })
       },
       
       isAuthenticated: () => {
         return !!get().token
       },
       
+      updateUser: (user) => {
+        set({ user })
+      },
+
+      isEmailVerified: () => {
+        return get().user?.emailVerified !== false
+      },
+      
+      needsMfaEnrollment: () => {
+        const { user, tenant } = get()
+        return !!tenant?.security?.mfaRequired && !user?.mfa?.enabled
+      },
+      
       isAdmin: () => {
         return get().user?.role === 'admin'
       },
+
+      setPermissions: (permissions) => {
+        set({ permissions })
+      },
+
+      hasPermission: (permission) => {
+        return get().permissions.includes(permission)
+      },
       
       updateTenantBranding: (branding) => {
         set(state => ({
           tenant: { ...state.tenant, branding }
         }))
+      },
+
+      updateTenantSecurity: (security) => {
+        set(state => ({
+          tenant: { ...state.tenant, security }
+        }))
+      },
+
+      updateTenantSubdomain: (subdomain) => {
+        set(state => ({
+          tenant: { ...state.tenant, subdomain }
+        }))
       }
     }),
     {
@@ -0,0 +1,27 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+// Platform operator session, kept apart from tenant logins in useAuthStore
+export const usePlatformStore = create(
+  persist(
+    (set, get) => ({
+      token: null,
+      admin: null,
+
+      setAuth: (token, admin) => {
+        set({ token, admin })
+      },
+
+      logout: () => {
+        set({ token: null, admin: null })
+      },
+
+      isAuthenticated: () => {
+        return !!get().token
+      },
+    }),
+    {
+      name: 'voho-platform-storage',
+    }
+  )
+)
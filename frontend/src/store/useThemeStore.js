@@ -0,0 +1,25 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+// The user's own light/dark choice on this device; null follows the tenant's default.
+// publicBranding themes the sign-in pages of a tenant before anyone is signed in.
+export const useThemeStore = create(
+  persist(
+    (set) => ({
+      colorMode: null,
+      publicBranding: null,
+
+      setColorMode: (colorMode) => {
+        set({ colorMode })
+      },
+
+      setPublicBranding: (publicBranding) => {
+        set({ publicBranding })
+      },
+    }),
+    {
+      name: 'voho-theme-storage',
+      partialize: (state) => ({ colorMode: state.colorMode }),
+    }
+  )
+)
@@ -16,6 +16,9 @@ export default {
       },
     },
     extend: {
+      fontFamily: {
+        sans: "var(--font-sans)",
+      },
       colors: {
         border: "hsl(var(--border))",
         input: "hsl(var(--input))",